@@ -6,6 +6,15 @@ if (window.utils && typeof window.utils.setupSpinner === 'function') {
     window.utils.setupSpinner();
 }
 
+// Buttons of each operation, the role the signed-in user needs for it, and its key in the worker app's
+// permission matrix (see /api/token/permissions)
+const OPERATION_ACCESS = {
+    import: { label: 'Import users', role: 'operator', buttons: ['import-btn'] },
+    modify: { label: 'Modify users', role: 'operator', buttons: ['modify-btn'] },
+    delete: { label: 'Delete users', role: 'admin', buttons: ['delete-btn', 'delete-filter-btn', 'delete-username-btn'] },
+    export: { label: 'Export users', role: 'operator', buttons: ['export-users-btn'] }
+};
+
 class MainPage {
     constructor() {
         // State management for file operations
@@ -16,11 +25,16 @@ class MainPage {
         this.importInProgress = false;  // DEBUG: Check this flag if operations seem stuck
         this.modifyInProgress = false;
         this.deleteInProgress = false;
+        this.exportInProgress = false;
         
         // Results and pagination state
         this.resultsData = [];          // Stores operation results for display
+        this.resultsOperationId = null; // Stored run shown in the results panel (reports, failed rows)
         this.currentPage = 1;           // Current pagination page
         this.recordsPerPage = 25;       // Results per page
+
+        // Worker app capability matrix from /api/token/permissions (null until checked)
+        this.capabilities = null;
         
         this.init();
     }
@@ -32,16 +46,91 @@ class MainPage {
         this.setupEventListeners();
         this.loadPersistedState();
         this.initializeTooltips();
+        this.loadJobs();
+        this.loadPurgeList();
+        this.loadMappingProfiles();
         utils.log('Main page initialized', 'info');
 
+        // Operations above the signed-in user's role are disabled before anything else
+        await utils.currentUserReady;
+        this.applyOperationAccess();
+
         // TEMP: Credential check on main page load
         const credentials = utils.getSettings();
-        if (!credentials || !credentials.environmentId || !credentials.clientId || (credentials.useClientSecret && !credentials.clientSecret)) {
+        if ((!credentials || !credentials.credentialId) && !utils.hasRole('admin')) {
+            utils.showModal(
+                'Configuration Error',
+                'No environment profile is selected. Pick one in the sidebar, or ask an administrator to configure the PingOne credentials.',
+                { showCancel: false, confirmText: 'OK' }
+            );
+        } else if (!credentials || !credentials.credentialId) {
             utils.showModal(
                 'Configuration Error',
                 'Your PingOne credentials are not configured. Please go to the Settings page to configure them.',
                 { showCancel: false, confirmText: 'Go to Settings', onConfirm: () => window.location.href = 'settings.html' }
             );
+        } else {
+            this.loadPermissions();
+        }
+    }
+
+    async loadPermissions() {
+        // Disable operations the worker application has no permission for, with the reason next to the button
+        // DEBUG: If a button stays disabled, run Test Credentials on the settings page to see the matrix
+        const settings = utils.getSettings();
+        try {
+            const response = await fetch('/api/token/permissions', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ credentialId: settings.credentialId })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error || `HTTP ${response.status}`);
+            }
+            this.applyPermissions(data.permissions.capabilities);
+        } catch (error) {
+            // Unknown permissions leave everything enabled; PingOne still refuses what the app may not do
+            utils.log('Failed to check worker application permissions', 'warn', { error: error.message });
+        }
+    }
+
+    applyPermissions(capabilities) {
+        this.capabilities = capabilities;
+        this.applyOperationAccess();
+    }
+
+    // Disable each operation the user's role or the worker app's permissions do not allow, with the reason under its button
+    applyOperationAccess() {
+        for (const [name, operation] of Object.entries(OPERATION_ACCESS)) {
+            const capability = this.capabilities?.[name];
+            let denied = '';
+            if (!utils.hasRole(operation.role)) {
+                denied = `your account needs the ${operation.role} role`;
+            } else if (capability && capability.allowed === false) {
+                denied = capability.reason;
+            }
+
+            operation.buttons.forEach(buttonId => {
+                const button = document.getElementById(buttonId);
+                if (!button) return;
+
+                let note = button.parentElement.querySelector(`.permission-note[data-for="${buttonId}"]`);
+                if (denied) {
+                    button.dataset.permissionDenied = denied;
+                    button.disabled = true;
+                    if (!note) {
+                        note = document.createElement('p');
+                        note.className = 'permission-note denied';
+                        note.dataset.for = buttonId;
+                        button.parentElement.appendChild(note);
+                    }
+                    note.textContent = `${operation.label} is disabled: ${denied}`;
+                } else {
+                    delete button.dataset.permissionDenied;
+                    note?.remove();
+                }
+            });
         }
     }
 
@@ -89,6 +178,10 @@ class MainPage {
         // Delete user listeners
         document.getElementById('delete-btn')?.addEventListener('click', () => this.deleteUsers());
         document.getElementById('delete-username-btn')?.addEventListener('click', () => this.deleteUserByUsername());
+        document.getElementById('delete-filter-btn')?.addEventListener('click', () => this.deleteUsersByFilter());
+
+        // Export listeners
+        document.getElementById('export-users-btn')?.addEventListener('click', () => this.exportUsers());
 
         // Sidebar Quick Actions
         this.setupSidebarNavigation();
@@ -106,6 +199,69 @@ class MainPage {
 
         // Export results
         document.getElementById('export-results')?.addEventListener('click', () => this.exportResults());
+
+        // Stored jobs
+        document.getElementById('refresh-jobs-btn')?.addEventListener('click', () => this.loadJobs());
+        document.getElementById('refresh-purge-btn')?.addEventListener('click', () => this.loadPurgeList());
+        document.getElementById('purge-due-btn')?.addEventListener('click', () => this.purgeDueUsers());
+
+        // Failed rows of the run shown in the results panel
+        document.getElementById('export-failed-rows')?.addEventListener('click', () => this.exportFailedRows());
+        document.getElementById('retry-failed-rows')?.addEventListener('click', () => this.retryFailedRows());
+
+        // Column mapping profile picker; the choice is remembered across page loads
+        document.getElementById('mapping-profile')?.addEventListener('change', (e) => {
+            localStorage.setItem('mappingProfileId', e.target.value);
+        });
+    }
+
+    async loadMappingProfiles() {
+        // Fill the column mapping picker from the server
+        // DEBUG: If the list stays empty, check GET /api/mappings and the server's data/mappings directory
+        const select = document.getElementById('mapping-profile');
+        if (!select) return;
+
+        try {
+            const response = await fetch('/api/mappings');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const { profiles } = await response.json();
+            const savedId = localStorage.getItem('mappingProfileId') || '';
+            (profiles || []).forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.description ? `${profile.name} - ${profile.description}` : profile.name;
+                select.appendChild(option);
+            });
+            // A profile deleted since the last visit falls back to no mapping
+            select.value = (profiles || []).some(profile => profile.id === savedId) ? savedId : '';
+        } catch (error) {
+            utils.log('Failed to load mapping profiles', 'error', { error: error.message });
+        }
+    }
+
+    async applyMappingProfile(records) {
+        // Translate parsed CSV rows with the selected mapping profile; rows are returned unchanged when none is selected
+        const profileId = document.getElementById('mapping-profile')?.value;
+        if (!profileId) {
+            return records;
+        }
+
+        const response = await fetch(`/api/mappings/${encodeURIComponent(profileId)}/apply`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rows: records })
+        });
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`Column mapping failed: ${errorData.details || errorData.error || `HTTP ${response.status}`}`);
+        }
+
+        const { rows } = await response.json();
+        utils.log('Applied column mapping profile', 'info', { profileId, firstRecord: rows[0] || null });
+        return rows;
     }
 
     setupSidebarNavigation() {
@@ -245,6 +401,13 @@ class MainPage {
                         setTimeout(() => usernameInput.focus(), 500);
                     }
                     break;
+                case 'export':
+                    // Focus on the SCIM filter input for export
+                    const filterInput = document.getElementById('export-filter');
+                    if (filterInput) {
+                        setTimeout(() => filterInput.focus(), 500);
+                    }
+                    break;
                 // Add more specific action handlers as needed
             }
         }
@@ -430,7 +593,8 @@ class MainPage {
         buttons.forEach(buttonId => {
             const button = document.getElementById(buttonId);
             if (button) {
-                button.disabled = !enable;
+                // Buttons the worker app has no permission for stay disabled
+                button.disabled = !enable || Boolean(button.dataset.permissionDenied);
             }
         });
 
@@ -551,6 +715,10 @@ class MainPage {
                     `;
                 }
                 break;
+            case 'cancelled':
+                statusClass = 'status-error';
+                statusText = 'Cancelled – remaining rows can be resumed from Recent Jobs';
+                break;
             case 'failed':
                 statusClass = 'status-error';
                 statusText = 'Failed – See Logs';
@@ -602,7 +770,7 @@ class MainPage {
             // Get credentials from settings
             const credentials = utils.getSettings();
             
-            if (!credentials || !credentials.environmentId || !credentials.clientId || (credentials.useClientSecret && !credentials.clientSecret)) {
+            if (!credentials || !credentials.credentialId) {
                 utils.showModal(
                     'Configuration Error',
                     'Your PingOne credentials are not configured. Please go to the Settings page to configure them.',
@@ -616,7 +784,7 @@ class MainPage {
 
             // Parse CSV file
             utils.log('Parsing CSV file for import', 'info', { fileName: this.currentFile.name });
-            const records = await utils.parseCSV(this.currentFile);
+            const records = await this.applyMappingProfile(await utils.parseCSV(this.currentFile));
             
             utils.log('CSV parsing result', 'debug', { 
                 recordCount: records?.length || 0,
@@ -627,6 +795,20 @@ class MainPage {
                 throw new Error('No valid records found in CSV file');
             }
 
+            // Pre-flight validation: problems in the file are reported before anything is sent to PingOne
+            if (!await this.validateRecords(records, credentials)) {
+                utils.log('Import not started after validation', 'info');
+                return;
+            }
+
+            // Dry run first: the plan is shown in the results table and nothing is written until the user confirms
+            const confirmed = await this.previewOperation('Import', this.currentFile.name, records.length,
+                () => this.processImport(records, credentials, { dryRun: true }));
+            if (!confirmed) {
+                utils.log('Import not started after preview', 'info');
+                return;
+            }
+
             // Show operation spinner with initial status
             utils.showOperationSpinner(
                 'Bulk User Import',
@@ -656,20 +838,34 @@ class MainPage {
             
             // Display results
             if (result.success) {
-                const successCount = result.results?.filter(r => r.status === 'imported').length || 0;
+                const createdCount = result.results?.filter(r => r.status === 'imported').length || 0;
+                const updatedCount = result.results?.filter(r => r.status === 'updated').length || 0;
+                const unchangedCount = result.results?.filter(r => r.status === 'unchanged').length || 0;
+                const successCount = createdCount + updatedCount;
                 const errorCount = result.results?.filter(r => r.status === 'error').length || 0;
-                const skippedCount = result.results?.filter(r => r.status === 'skipped').length || 0;
+                const skippedCount = (result.results?.filter(r => r.status === 'skipped').length || 0) + unchangedCount;
                 
                 utils.log('Import operation completed successfully', 'info', {
                     totalRecords: records.length,
-                    successCount,
+                    createdCount,
+                    updatedCount,
+                    unchangedCount,
                     errorCount,
                     skippedCount,
                     duration: result.duration
                 });
                 
-                this.updateOperationStatus('Import', 'completed', result.results);
-                this.displayResults(`Import Results (${successCount} successful, ${errorCount} failed, ${skippedCount} skipped)`, result.results);
+                // Upsert runs report created/updated/unchanged separately
+                const cancelledCount = result.summary?.notProcessed || 0;
+                const countText = updatedCount || unchangedCount
+                    ? `${createdCount} created, ${updatedCount} updated, ${unchangedCount} unchanged, ${errorCount} failed, ${skippedCount - unchangedCount} skipped`
+                    : `${successCount} successful, ${errorCount} failed, ${skippedCount} skipped`;
+                const title = result.cancelled
+                    ? `Import Cancelled (${countText}, ${cancelledCount} not processed)`
+                    : `Import Results (${countText})`;
+                
+                this.updateOperationStatus('Import', result.cancelled ? 'cancelled' : 'completed', result.results);
+                this.displayResults(title, result.results, result.dryRun ? null : result.operationId);
                 
                 // Complete spinner with all counts
                 utils.completeOperationSpinner(successCount, errorCount, skippedCount);
@@ -693,6 +889,7 @@ class MainPage {
         } finally {
             this.importInProgress = false;
             utils.disconnectProgress();
+            this.loadJobs();
         }
     }
 
@@ -717,7 +914,7 @@ class MainPage {
         }
 
         const credentials = utils.getSettings();
-        if (!credentials || !credentials.environmentId || !credentials.clientId || (credentials.useClientSecret && !credentials.clientSecret)) {
+        if (!credentials || !credentials.credentialId) {
             utils.showModal(
                 'Configuration Error',
                 'Your PingOne credentials are not configured. Please go to the Settings page to configure them.',
@@ -729,29 +926,40 @@ class MainPage {
         try {
             this.modifyInProgress = true;
             this.updateOperationStatus('modify', 'in-progress');
+
+            // Read and parse file, then translate the headers with the selected mapping profile
+            const records = await this.applyMappingProfile(await utils.parseCSV(this.currentFile));
+
+            // Dry run first: the plan is shown in the results table and nothing is written until the user confirms
+            const confirmed = await this.previewOperation('Modify', this.currentFile.name, records.length,
+                () => this.processModify(records, credentials, { dryRun: true }));
+            if (!confirmed) {
+                this.updateOperationStatus('modify', 'ready');
+                return;
+            }
+            credentials.confirmEnvironment = await this.confirmProductionEnvironment('Modify');
+            if (credentials.confirmEnvironment === null) {
+                this.updateOperationStatus('modify', 'ready');
+                return;
+            }
             
             utils.showOperationSpinner('Modifying Users...', this.currentFile.name, 'User Modification', this.currentFileInfo.records);
             utils.log(`Modify Users started – action: Modify Users (${this.currentFileInfo.records} records)`, 'info');
 
             utils.startWorkflowSteps();
-
-            // Read and parse file
-            const records = await utils.parseCSV(this.currentFile);
             
             utils.addFileLoadingStep(this.currentFileInfo.name, records.length);
             utils.addProcessingStep();
 
-            // Start progress simulation
-            utils.startProgressSimulation(records.length, 6000, this.currentFileInfo.name);
-
             // Process the modification
             const results = await this.processModify(records, credentials);
 
             utils.addFinalizingStep(results.summary.successful, results.summary.failed, 'Modify');
             utils.completeOperationSpinner(results.summary.successful, results.summary.failed);
             
-            this.updateOperationStatus('modify', 'completed', results);
-            this.displayResults('Modify Results', results.results);
+            this.updateOperationStatus('modify', results.cancelled ? 'cancelled' : 'completed', results);
+            const modifyCounts = `${results.summary.successful} modified, ${results.summary.unchanged || 0} unchanged, ${results.summary.failed} failed`;
+            this.displayResults(results.cancelled ? `Modify Cancelled (${modifyCounts}, ${results.summary.notProcessed} not processed)` : `Modify Results (${modifyCounts})`, results.results, results.operationId);
             
             utils.log(`Modified ${results.summary.successful} users (${results.summary.failed} failed) in ${results.duration}ms.`, 'info');
             utils.log(`Action complete – Modify Users: ${results.summary.successful}, Failed: ${results.summary.failed} ✅`, 'info');
@@ -769,6 +977,8 @@ class MainPage {
             
         } finally {
             this.modifyInProgress = false;
+            utils.disconnectProgress();
+            this.loadJobs();
         }
     }
 
@@ -793,7 +1003,7 @@ class MainPage {
         }
 
         const credentials = utils.getSettings();
-        if (!credentials || !credentials.environmentId || !credentials.clientId || (credentials.useClientSecret && !credentials.clientSecret)) {
+        if (!credentials || !credentials.credentialId) {
             utils.showModal(
                 'Configuration Error',
                 'Your PingOne credentials are not configured. Please go to the Settings page to configure them.',
@@ -805,32 +1015,42 @@ class MainPage {
         try {
             this.deleteInProgress = true;
             this.updateOperationStatus('delete', 'in-progress');
+
+            // Read and parse file, then translate the headers with the selected mapping profile
+            const records = await this.applyMappingProfile(await utils.parseCSV(this.currentFile));
+
+            // Dry run first: the plan is shown in the results table and nothing is deleted until the user confirms
+            const confirmed = await this.previewOperation('Delete', this.currentFile.name, records.length,
+                () => this.processDelete(records, credentials, { dryRun: true }));
+            if (!confirmed) {
+                this.updateOperationStatus('delete', 'ready');
+                return;
+            }
+            credentials.confirmEnvironment = await this.confirmProductionEnvironment('Delete');
+            if (credentials.confirmEnvironment === null) {
+                this.updateOperationStatus('delete', 'ready');
+                return;
+            }
             
             utils.showOperationSpinner('Deleting Users...', this.currentFile.name, 'User Deletion', this.currentFileInfo.records);
             utils.log(`Delete Users started – action: Delete Users (${this.currentFileInfo.records} records)`, 'info');
 
             utils.startWorkflowSteps();
-
-            // Read and parse file
-            const records = await utils.parseCSV(this.currentFile);
             
             utils.addFileLoadingStep(this.currentFileInfo.name, records.length);
             utils.addProcessingStep();
 
-            // Start progress simulation
-            utils.startProgressSimulation(records.length, 5000, this.currentFileInfo.name);
-
             // Process the deletion
             const results = await this.processDelete(records, credentials);
 
-            utils.addFinalizingStep(results.successCount, results.errorCount, 'Delete');
-            utils.completeOperationSpinner(results.successCount, results.errorCount);
+            utils.addFinalizingStep(results.summary.successful, results.summary.failed, 'Delete');
+            utils.completeOperationSpinner(results.summary.successful, results.summary.failed);
             
-            this.updateOperationStatus('delete', 'completed', results);
-            this.displayResults('Delete Results', results.results);
+            this.updateOperationStatus('delete', results.cancelled ? 'cancelled' : 'completed', results);
+            this.displayResults(results.cancelled ? `Delete Cancelled (${results.summary.notProcessed} not processed)` : 'Delete Results', results.results, results.operationId);
             
-            utils.log(`Deleted ${results.successCount} users (${results.errorCount} failed).`, 'info');
-            utils.log(`Action complete – Delete Users: ${results.successCount}, Failed: ${results.errorCount} ✅`, 'info');
+            utils.log(`Deleted ${results.summary.successful} users (${results.summary.failed} failed).`, 'info');
+            utils.log(`Action complete – Delete Users: ${results.summary.successful}, Failed: ${results.summary.failed} ✅`, 'info');
 
         } catch (error) {
             console.error('Delete operation failed:', error);
@@ -845,6 +1065,9 @@ class MainPage {
             
         } finally {
             this.deleteInProgress = false;
+            utils.disconnectProgress();
+            this.loadJobs();
+            this.loadPurgeList();
         }
     }
 
@@ -860,7 +1083,7 @@ class MainPage {
         }
 
         const settings = utils.getSettings();
-        if (!settings || !settings.environmentId || !settings.clientId || !settings.clientSecret) {
+        if (!settings || !settings.credentialId) {
             utils.showModal('Error', 'Please configure your PingOne credentials in Settings first.');
             return;
         }
@@ -869,6 +1092,10 @@ class MainPage {
         if (!confirm(`Are you sure you want to delete user "${username}"? This action cannot be undone.`)) {
             return;
         }
+        settings.confirmEnvironment = await this.confirmProductionEnvironment('Delete');
+        if (settings.confirmEnvironment === null) {
+            return;
+        }
 
         try {
             utils.showOperationSpinner('Deleting User...', username, 'Single User Deletion', 1);
@@ -891,6 +1118,289 @@ class MainPage {
         }
     }
 
+    async deleteUsersByFilter() {
+        // Delete every user matching a SCIM filter and/or population
+        // The server only deletes users from a preview it issued, after the confirmation text is typed back
+        // DEBUG: A 404 'Preview not found' means the preview expired (10 minutes) or was already used
+        if (this.deleteInProgress) {
+            utils.showModal('Warning', 'Delete operation already in progress.');
+            return;
+        }
+
+        const filter = document.getElementById('delete-filter')?.value.trim() || '';
+        const population = document.getElementById('delete-population')?.value.trim() || '';
+        if (!filter && !population) {
+            utils.showModal('Warning', 'Enter a SCIM filter, a population, or both.', { showCancel: false });
+            return;
+        }
+
+        const credentials = utils.getSettings();
+        if (!credentials || !credentials.credentialId) {
+            utils.showModal(
+                'Configuration Error',
+                'Your PingOne credentials are not configured. Please go to the Settings page to configure them.',
+                { showCancel: false, confirmText: 'Go to Settings', onConfirm: () => window.location.href = 'settings.html' }
+            );
+            return;
+        }
+
+        const requestBody = {
+            environmentId: credentials.environmentId,
+            clientId: credentials.clientId,
+            credentialId: credentials.credentialId,
+            baseUrl: credentials.baseUrl
+        };
+        const postJson = async (url, body) => {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...requestBody, ...body }),
+                signal: utils.currentOperationController?.signal
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.details ? `${data.error}: ${data.details}` : (data.error || `HTTP ${response.status}`));
+            }
+            return data;
+        };
+
+        try {
+            this.deleteInProgress = true;
+            this.updateOperationStatus('delete', 'in-progress');
+
+            // Preview is mandatory: the matched count and a sample, nothing deleted yet
+            utils.showOperationSpinner('Finding Users...', null, 'Delete by Filter (preview)');
+            utils.startWorkflowSteps();
+            utils.addProcessingStep();
+            const preview = await postJson('/api/delete/by-filter/preview', { filter, populationName: population || undefined });
+            utils.stopElapsedTimer();
+            utils.hideSpinner();
+
+            utils.log('Filter delete preview', 'info', { filter: preview.filter, matchCount: preview.matchCount });
+            if (preview.matchCount === 0) {
+                utils.showModal('Delete by Filter', 'No users match this filter. Nothing was deleted.', { showCancel: false });
+                this.updateOperationStatus('delete', 'ready');
+                return;
+            }
+
+            const confirmation = await this.confirmFilterDelete(preview, credentials.deleteMode);
+            if (confirmation === null) {
+                this.updateOperationStatus('delete', 'ready');
+                return;
+            }
+            if (confirmation !== preview.confirmationText) {
+                utils.showModal('Delete by Filter', `The confirmation did not match "${preview.confirmationText}". Nothing was deleted.`, { showCancel: false });
+                this.updateOperationStatus('delete', 'ready');
+                return;
+            }
+            const confirmEnvironment = await this.confirmProductionEnvironment('Delete by Filter');
+            if (confirmEnvironment === null) {
+                this.updateOperationStatus('delete', 'ready');
+                return;
+            }
+
+            // Subscribe to progress before sending so no updates are missed
+            const operationId = utils.createOperationId('delete');
+            utils.showOperationSpinner('Deleting Users...', null, 'Delete by Filter', preview.matchCount);
+            utils.startWorkflowSteps();
+            utils.addProcessingStep();
+            utils.connectToProgress(operationId);
+
+            const results = await postJson('/api/delete/by-filter', {
+                operationId,
+                previewId: preview.previewId,
+                confirmation,
+                confirmEnvironment,
+                concurrency: credentials.concurrency,
+                mode: credentials.deleteMode,
+                retentionDays: credentials.retentionDays
+            });
+
+            utils.addFinalizingStep(results.summary.successful, results.summary.failed, 'Delete');
+            utils.completeOperationSpinner(results.summary.successful, results.summary.failed);
+
+            this.updateOperationStatus('delete', results.cancelled ? 'cancelled' : 'completed', results);
+            this.displayResults(results.cancelled ? `Delete by Filter Cancelled (${results.summary.notProcessed} not processed)` : 'Delete by Filter Results', results.results, results.operationId);
+            utils.log(`Action complete – Delete by Filter: ${results.summary.successful}, Failed: ${results.summary.failed} ✅`, 'info');
+
+        } catch (error) {
+            utils.log(`Delete by filter failed: ${error.message}`, 'error');
+            this.updateOperationStatus('delete', 'failed', null, error.message);
+            utils.failOperationSpinner('step-processing', error.message);
+        } finally {
+            this.deleteInProgress = false;
+            utils.disconnectProgress();
+            this.loadJobs();
+            this.loadPurgeList();
+        }
+    }
+
+    confirmFilterDelete(preview, deleteMode) {
+        // Show the matched count and sample and ask for the confirmation text
+        // Resolves with the typed text, or null when cancelled
+        const outcome = deleteMode === 'disable' ? 'disabled and purged after the retention period' : 'permanently deleted';
+        const escape = value => String(value ?? '').replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+        const sampleRows = preview.sample.map(user => `
+            <tr>
+                <td>${escape(user.username)}</td>
+                <td>${escape(user.email)}</td>
+                <td>${escape(user.populationName)}</td>
+            </tr>
+        `).join('');
+
+        return new Promise(resolve => {
+            utils.showModal(
+                'Confirm Delete by Filter',
+                `<p><strong>${preview.matchCount}</strong> user(s) match <code>${escape(preview.filter)}</code> and will be ${outcome}.</p>
+                <div style="max-height: 300px; overflow-y: auto;">
+                    <table class="results-table">
+                        <thead><tr><th>Username</th><th>Email</th><th>Population</th></tr></thead>
+                        <tbody>${sampleRows}</tbody>
+                    </table>
+                </div>
+                ${preview.matchCount > preview.sample.length ? `<p>Showing ${preview.sample.length} of ${preview.matchCount} users.</p>` : ''}
+                <p>Type <strong>${escape(preview.confirmationText)}</strong> to confirm:</p>
+                <input type="text" id="filter-delete-confirmation" class="input-30char" autocomplete="off">`,
+                {
+                    confirmText: 'Delete Users',
+                    onConfirm: () => resolve(document.getElementById('filter-delete-confirmation')?.value.trim() || ''),
+                    onCancel: () => resolve(null)
+                }
+            );
+        });
+    }
+
+    async confirmProductionEnvironment(label) {
+        // Production environment profiles need their name typed before a delete or modify runs (the server checks it too)
+        // Resolves with the typed name to send as confirmEnvironment, undefined for other profiles, or null when cancelled
+        const profile = utils.getActiveProfile();
+        if (!profile || !profile.production) {
+            return undefined;
+        }
+
+        const escape = value => String(value ?? '').replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+        const typed = await new Promise(resolve => {
+            utils.showModal(
+                `Confirm ${label} in Production`,
+                `<p>The active environment profile <strong>${escape(profile.name)}</strong> is marked as production.</p>
+                <p>Type <strong>${escape(profile.name)}</strong> to run the ${escape(label.toLowerCase())}:</p>
+                <input type="text" id="production-confirmation" class="input-30char" autocomplete="off">`,
+                {
+                    confirmText: `Run ${label}`,
+                    onConfirm: () => resolve(document.getElementById('production-confirmation')?.value.trim() || ''),
+                    onCancel: () => resolve(null)
+                }
+            );
+        });
+
+        if (typed === null) {
+            return null;
+        }
+        if (typed !== profile.name) {
+            utils.showModal(`${label} Cancelled`, `The environment name did not match "${escape(profile.name)}". Nothing was changed.`, { showCancel: false });
+            return null;
+        }
+        return typed;
+    }
+
+    async previewOperation(label, fileName, recordCount, runPlan) {
+        // Run a bulk operation as a dry run, show its per-row plan in the results table, then ask to proceed
+        // Resolves true only when the user confirms; nothing is written to PingOne before that
+        // DEBUG: Plan rows have status 'planned' (would create/update/delete), 'skipped', 'not_found', 'ambiguous' or 'error'
+        utils.showOperationSpinner(`Previewing ${label}...`, fileName, `${label} (dry run)`, recordCount);
+        utils.startWorkflowSteps();
+        utils.addProcessingStep();
+
+        // On failure the spinner stays open so the caller can show the error in it
+        const plan = await runPlan();
+        utils.stopElapsedTimer();
+        utils.hideSpinner();
+
+        const { successful = 0, failed = 0, skipped = 0, notFound = 0, ambiguous = 0, unchanged = 0 } = plan.summary || {};
+        const skippedTotal = skipped + notFound + ambiguous + unchanged;
+        this.displayResults(
+            `${label} Preview (${successful} planned, ${skippedTotal} skipped, ${failed} failed) – nothing has been changed yet`,
+            plan.results
+        );
+
+        if (plan.cancelled) {
+            utils.log(`${label} preview cancelled`, 'info', { notProcessed: plan.summary?.notProcessed });
+            return false;
+        }
+
+        if (successful === 0) {
+            utils.showModal(`${label} Preview`, 'The dry run found no rows to process. See the results table for details.', { showCancel: false });
+            return false;
+        }
+
+        return new Promise(resolve => {
+            utils.showModal(
+                `Confirm ${label}`,
+                `The dry run planned ${successful} change(s); ${skippedTotal} row(s) would be skipped and ${failed} would fail. Review the plan in the results table, then confirm to run the ${label.toLowerCase()}.`,
+                { confirmText: `Run ${label}`, onConfirm: () => resolve(true), onCancel: () => resolve(false) }
+            );
+        });
+    }
+
+    async validateRecords(records, credentials) {
+        // Check the rows with POST /api/validate and show the per-row report when anything is wrong
+        // Resolves true when the file is clean or the user chooses to continue anyway
+        // DEBUG: The server never writes to PingOne here; it only reads the password policy when credentials are set
+        const response = await fetch('/api/validate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                users: records,
+                environmentId: credentials.environmentId,
+                clientId: credentials.clientId,
+                credentialId: credentials.credentialId,
+                baseUrl: credentials.baseUrl
+            })
+        });
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`Validation failed: ${errorData.details || errorData.error || `HTTP ${response.status}`}`);
+        }
+
+        const report = await response.json();
+        utils.log('CSV validation report', report.valid ? 'info' : 'warning', {
+            totalRows: report.totalRows,
+            invalidRows: report.invalidRows,
+            problemCount: report.problemCount,
+            rows: report.rows
+        });
+        if (report.valid) {
+            return true;
+        }
+
+        // Long reports are cut off in the modal; the full list is in the browser log
+        const maxRows = 100;
+        const escape = value => String(value ?? '').replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+        const tableRows = report.rows.slice(0, maxRows).map(entry => `
+            <tr>
+                <td>${entry.row}</td>
+                <td>${escape(entry.identifier)}</td>
+                <td>${entry.problems.map(problem => escape(problem.message)).join('<br>')}</td>
+            </tr>
+        `).join('');
+
+        return new Promise(resolve => {
+            utils.showModal(
+                'CSV Validation Report',
+                `<p>${report.problemCount} problem(s) in ${report.invalidRows} of ${report.totalRows} row(s). Passwords were checked against the ${escape(report.passwordPolicy?.name)} password policy.</p>
+                <div style="max-height: 300px; overflow-y: auto;">
+                    <table class="results-table">
+                        <thead><tr><th>Row</th><th>User</th><th>Problems</th></tr></thead>
+                        <tbody>${tableRows}</tbody>
+                    </table>
+                </div>
+                ${report.rows.length > maxRows ? `<p>Showing the first ${maxRows} rows; the full report is in the browser log.</p>` : ''}
+                <p>Fix the file and select it again, or continue to the preview - rows with problems will most likely fail.</p>`,
+                { confirmText: 'Continue to Preview', onConfirm: () => resolve(true), onCancel: () => resolve(false) }
+            );
+        });
+    }
+
     readFileAsText(file) {
         // Read file as text for parsing
         return new Promise((resolve, reject) => {
@@ -913,26 +1423,35 @@ class MainPage {
         utils.log('hideImportProgress called (legacy)', 'debug');
     }
 
-    async processImport(records, credentials) {
+    async processImport(records, credentials, options = {}) {
         // Process bulk user import with real-time progress
         // DEBUG: Check server logs for detailed PingOne API responses
         const startTime = Date.now();
         
         try {
+            // Subscribe to progress before sending so no updates (or a 'cancelled' event) are missed
+            const operationId = utils.createOperationId('bulk');
+            utils.connectToProgress(operationId);
+
             // Update status to show we're making the API call
             utils.updateSpinnerSubtitle('Sending import request to server...');
             
             const payload = {
+                operationId,
                 users: records,
                 environmentId: credentials.environmentId,
                 clientId: credentials.clientId,
-                clientSecret: credentials.clientSecret
+                credentialId: credentials.credentialId,
+                baseUrl: credentials.baseUrl,
+                concurrency: credentials.concurrency,
+                mode: credentials.importMode || 'create',
+                matchKey: credentials.matchKey || 'username',
+                dryRun: !!options.dryRun
             };
             
             utils.log('Sending import payload to /api/import/bulk', 'debug', {
                 payload: {
                     ...payload,
-                    clientSecret: 'REDACTED', // Do not log the actual secret
                     users: `${payload.users.length} records`
                 }
             });
@@ -958,14 +1477,6 @@ class MainPage {
 
             const result = await response.json();
             
-            // Update status to show we're connecting to progress updates
-            utils.updateSpinnerSubtitle('Connecting to progress updates...');
-            
-            // Connect to SSE for real-time progress updates
-            if (result.operationId) {
-                utils.connectToProgress(result.operationId);
-            }
-            
             const duration = Date.now() - startTime;
             
             return {
@@ -978,26 +1489,39 @@ class MainPage {
         }
     }
 
-    async processModify(records, credentials) {
+    async processModify(records, credentials, options = {}) {
         // Process bulk user modification with real-time progress
         // DEBUG: Ensure CSV contains user IDs or usernames for modification
         const startTime = Date.now();
         
         try {
+            // Subscribe to progress before sending so no updates are missed
+            const operationId = utils.createOperationId('modify');
+            utils.connectToProgress(operationId);
+
             // Update status to show we're making the API call
             utils.updateSpinnerSubtitle('Sending modify request to server...');
             
             const payload = {
+                operationId,
                 users: records,
                 environmentId: credentials.environmentId,
                 clientId: credentials.clientId,
-                clientSecret: credentials.clientSecret
+                credentialId: credentials.credentialId,
+                baseUrl: credentials.baseUrl,
+                concurrency: credentials.concurrency,
+                confirmEnvironment: credentials.confirmEnvironment,
+                dryRun: !!options.dryRun
             };
             
+            // Flat CSV rows are mapped on the server; only the Modify Attributes ticked in settings are updated
+            if (Array.isArray(credentials.modifyFields)) {
+                payload.fields = credentials.modifyFields;
+            }
+            
             utils.log('Sending modify payload to /api/modify/bulk', 'debug', {
                 payload: {
                     ...payload,
-                    clientSecret: 'REDACTED', // Do not log the actual secret
                     users: `${payload.users.length} records`
                 }
             });
@@ -1023,32 +1547,6 @@ class MainPage {
 
             const result = await response.json();
             
-            // Update status to show we're connecting to progress updates
-            utils.updateSpinnerSubtitle('Connecting to progress updates...');
-            
-            // Connect to SSE for real-time progress updates
-            if (result.operationId) {
-                utils.connectToProgress(result.operationId, 'modify');
-            }
-            
-            // Wait for operation to complete via SSE
-            await new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    reject(new Error('Operation timed out'));
-                }, 300000); // 5 minutes timeout
-                
-                const checkComplete = () => {
-                    const spinner = document.getElementById('spinner-overlay');
-                    if (spinner && spinner.classList.contains('hidden')) {
-                        clearTimeout(timeout);
-                        resolve();
-                    } else {
-                        setTimeout(checkComplete, 100);
-                    }
-                };
-                checkComplete();
-            });
-            
             const duration = Date.now() - startTime;
             
             return {
@@ -1061,34 +1559,40 @@ class MainPage {
         }
     }
 
-    async processDelete(records, credentials) {
+    async processDelete(records, credentials, options = {}) {
         // Process bulk user deletion with real-time progress
-        // DEBUG: Check if usernames exist in PingOne before attempting deletion
+        // DEBUG: Rows are matched by the column chosen in #delete-identifier; 'auto' lets the server pick it from the headers
         const startTime = Date.now();
         
         try {
-            // Extract usernames from records (assuming 'username' field exists)
-            const usernames = records.map(record => record.username).filter(Boolean);
-            
-            if (usernames.length === 0) {
-                throw new Error('No valid usernames found in CSV file');
-            }
+            const identifier = document.getElementById('delete-identifier')?.value || 'auto';
+
+            // Subscribe to progress before sending so no updates are missed
+            const operationId = utils.createOperationId('delete');
+            utils.connectToProgress(operationId);
 
             // Update status to show we're making the API call
             utils.updateSpinnerSubtitle('Sending delete request to server...');
             
             const payload = {
-                usernames: usernames,
+                operationId,
+                users: records,
+                identifier,
                 environmentId: credentials.environmentId,
                 clientId: credentials.clientId,
-                clientSecret: credentials.clientSecret
+                credentialId: credentials.credentialId,
+                baseUrl: credentials.baseUrl,
+                concurrency: credentials.concurrency,
+                mode: credentials.deleteMode,
+                retentionDays: credentials.retentionDays,
+                confirmEnvironment: credentials.confirmEnvironment,
+                dryRun: !!options.dryRun
             };
             
             utils.log('Sending delete payload to /api/delete', 'debug', {
                 payload: {
                     ...payload,
-                    clientSecret: 'REDACTED', // Do not log the actual secret
-                    usernames: `${payload.usernames.length} usernames`
+                    users: `${payload.users.length} rows`
                 }
             });
 
@@ -1112,31 +1616,8 @@ class MainPage {
             }
 
             const result = await response.json();
-            
-            // Update status to show we're connecting to progress updates
-            utils.updateSpinnerSubtitle('Connecting to progress updates...');
-            
-            // Connect to SSE for real-time progress updates
-            if (result.operationId) {
-                utils.connectToProgress(result.operationId, 'delete');
-            }
-            
-            // Wait for operation to complete via SSE
-            await new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    reject(new Error('Operation timed out'));
-                }, 300000); // 5 minutes timeout
-                
-                const checkComplete = () => {
-                    const spinner = document.getElementById('spinner-overlay');
-                    if (spinner && spinner.classList.contains('hidden')) {
-                        clearTimeout(timeout);
-                        resolve();
-                    } else {
-                        setTimeout(checkComplete, 100);
-                    }
-                };
-                checkComplete();
+            utils.log(`Delete matched users by ${result.identifier}`, 'info', {
+                ambiguous: result.summary?.ambiguous || 0
             });
             
             const duration = Date.now() - startTime;
@@ -1162,7 +1643,11 @@ class MainPage {
                     username,
                     environmentId: credentials.environmentId,
                     clientId: credentials.clientId,
-                    clientSecret: credentials.clientSecret,
+                    credentialId: credentials.credentialId,
+                    baseUrl: credentials.baseUrl,
+                    mode: credentials.deleteMode,
+                    retentionDays: credentials.retentionDays,
+                    confirmEnvironment: credentials.confirmEnvironment
                 }),
                 signal: utils.currentOperationController.signal
             });
@@ -1184,8 +1669,411 @@ class MainPage {
         }
     }
 
-    displayResults(title, results) {
+    async loadJobs() {
+        // Load stored bulk jobs from the server
+        // DEBUG: If the list stays empty, check GET /api/jobs and the server's data/jobs directory
+        const tbody = document.getElementById('jobs-table-body');
+        if (!tbody) return;
+
+        try {
+            const response = await fetch('/api/jobs?limit=20');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const { jobs } = await response.json();
+            this.renderJobs(jobs || []);
+        } catch (error) {
+            utils.log('Failed to load jobs', 'error', { error: error.message });
+            tbody.innerHTML = `<tr><td colspan="6">Failed to load jobs: ${error.message}</td></tr>`;
+        }
+    }
+
+    renderJobs(jobs) {
+        // Render the jobs table; only jobs with pending or failed rows can be resumed
+        const tbody = document.getElementById('jobs-table-body');
+        if (!tbody) return;
+
+        if (jobs.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6">No jobs recorded yet.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = jobs.map(job => {
+            const counts = job.counts || {};
+            const remaining = (counts.pending || 0) + (counts.error || 0);
+            const canResume = remaining > 0 && job.status !== 'running';
+            const countText = Object.entries(counts).map(([status, count]) => `${status}: ${count}`).join(', ');
+            return `
+                <tr>
+                    <td title="${job.operationId}">${job.operationId}</td>
+                    <td>${job.type}</td>
+                    <td>${job.status}</td>
+                    <td>${new Date(job.createdAt).toLocaleString()}</td>
+                    <td>${job.total} (${countText})</td>
+                    <td class="actions-column">
+                        ${canResume ? `<button class="debug-btn" onclick="mainPage.resumeJob('${job.operationId}', ${remaining})">Resume (${remaining})</button>` : ''}
+                        ${job.type === 'delete' && job.status !== 'running' && (counts.deleted || 0) + (counts.success || 0) > 0 ? `<button class="debug-btn" onclick="mainPage.restoreSnapshot('${job.operationId}')">Restore Deleted</button>` : ''}
+                        ${job.status !== 'running' ? this.renderReportLinks(job.operationId) : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    renderReportLinks(operationId) {
+        // Download links for GET /api/jobs/:operationId/report in every format
+        const id = encodeURIComponent(operationId);
+        return ['csv', 'json', 'html']
+            .map(format => `<a class="debug-btn" href="/api/jobs/${id}/report?format=${format}" download>${format.toUpperCase()}</a>`)
+            .join(' ');
+    }
+
+    async loadPurgeList() {
+        // Load users disabled by soft deletes that are waiting for their purge, for the configured environment
+        // DEBUG: If the list stays empty, check GET /api/purge and the server's data/purge directory
+        const tbody = document.getElementById('purge-table-body');
+        if (!tbody) return;
+
+        const settings = utils.getSettings();
+        if (!settings?.environmentId) {
+            tbody.innerHTML = '<tr><td colspan="5">Configure your PingOne credentials to see pending purges.</td></tr>';
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/purge?status=pending&environmentId=${encodeURIComponent(settings.environmentId)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const { entries } = await response.json();
+            this.renderPurgeList(entries || []);
+        } catch (error) {
+            utils.log('Failed to load pending purges', 'error', { error: error.message });
+            tbody.innerHTML = `<tr><td colspan="5">Failed to load pending purges: ${error.message}</td></tr>`;
+        }
+    }
+
+    renderPurgeList(entries) {
+        const tbody = document.getElementById('purge-table-body');
+        if (!tbody) return;
+
+        if (entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5">No users are waiting to be purged.</td></tr>';
+            return;
+        }
+
+        const escape = value => String(value ?? '').replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+        tbody.innerHTML = entries.map(entry => `
+            <tr>
+                <td title="${escape(entry.userId)}">${escape(entry.username || entry.email || entry.userId)}</td>
+                <td>${new Date(entry.disabledAt).toLocaleString()}</td>
+                <td>${new Date(entry.purgeAfter).toLocaleString()}</td>
+                <td>${entry.lastError ? `Last purge failed: ${escape(entry.lastError)}` : 'pending'}</td>
+                <td class="actions-column">
+                    <button class="debug-btn" onclick="mainPage.restorePurgeUser('${escape(entry.userId)}')">Restore</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    restorePurgeUser(userId) {
+        // Re-enable a disabled user and take them off the purge list
+        const settings = utils.getSettings();
+        utils.showModal(
+            'Restore User',
+            'Re-enable this user and cancel the scheduled purge?',
+            {
+                confirmText: 'Restore',
+                onConfirm: async () => {
+                    try {
+                        const response = await fetch(`/api/purge/${encodeURIComponent(userId)}/restore`, {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({
+                                environmentId: settings.environmentId,
+                                clientId: settings.clientId,
+                                credentialId: settings.credentialId,
+                                baseUrl: settings.baseUrl
+                            })
+                        });
+                        const result = await response.json().catch(() => ({}));
+                        if (!response.ok) {
+                            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+                        }
+                        utils.log('User restored from purge list', 'info', { userId, username: result.entry?.username });
+                    } catch (error) {
+                        utils.log(`Restore failed: ${error.message}`, 'error', { userId });
+                        utils.showModal('Restore Failed', error.message, { showCancel: false });
+                    } finally {
+                        this.loadPurgeList();
+                    }
+                }
+            }
+        );
+    }
+
+    async purgeDueUsers() {
+        // Purge the users whose retention period has ended now, instead of waiting for the server's scheduler
+        const settings = utils.getSettings();
+        if (!settings?.environmentId || !settings.clientId) {
+            utils.showModal('Error', 'Please configure your PingOne credentials in Settings first.');
+            return;
+        }
+        const confirmEnvironment = await this.confirmProductionEnvironment('Purge');
+        if (confirmEnvironment === null) {
+            return;
+        }
+
+        utils.showModal(
+            'Purge Due Users',
+            'Permanently delete every disabled user whose retention period has ended? Users still inside their retention period are not touched.',
+            {
+                confirmText: 'Purge',
+                onConfirm: async () => {
+                    try {
+                        const response = await fetch('/api/purge/run', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({
+                                environmentId: settings.environmentId,
+                                clientId: settings.clientId,
+                                credentialId: settings.credentialId,
+                                baseUrl: settings.baseUrl,
+                                confirmEnvironment
+                            })
+                        });
+                        const result = await response.json().catch(() => ({}));
+                        if (!response.ok) {
+                            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+                        }
+                        utils.log('Purge run finished', 'info', { due: result.due, purged: result.purged, restored: result.restored, errors: result.errors });
+                        utils.showModal(
+                            'Purge Finished',
+                            `${result.due} user(s) were due: ${result.purged} purged, ${result.restored} already re-enabled, ${result.errors} failed.`,
+                            { showCancel: false }
+                        );
+                    } catch (error) {
+                        utils.log(`Purge failed: ${error.message}`, 'error');
+                        utils.showModal('Purge Failed', error.message, { showCancel: false });
+                    } finally {
+                        this.loadPurgeList();
+                    }
+                }
+            }
+        );
+    }
+
+    async restoreSnapshot(operationId) {
+        // Recreate the users a delete run removed, from the snapshot saved before each delete
+        // DEBUG: A 404 means the run deleted nothing or ran before snapshots existed - check GET /api/snapshots
+        const settings = utils.getSettings();
+        if (!settings?.environmentId || !settings.clientId) {
+            utils.showModal('Error', 'Please configure your PingOne credentials in Settings first.');
+            return;
+        }
+        const confirmEnvironment = await this.confirmProductionEnvironment('Restore');
+        if (confirmEnvironment === null) {
+            return;
+        }
+
+        utils.showModal(
+            'Restore Deleted Users',
+            `Recreate the users deleted by ${operationId} with their saved attributes and population? They get new user IDs and no password, and users that already exist again are skipped.`,
+            {
+                confirmText: 'Restore',
+                onConfirm: async () => {
+                    try {
+                        const response = await fetch(`/api/snapshots/${encodeURIComponent(operationId)}/restore`, {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({
+                                environmentId: settings.environmentId,
+                                clientId: settings.clientId,
+                                credentialId: settings.credentialId,
+                                baseUrl: settings.baseUrl,
+                                concurrency: settings.concurrency,
+                                confirmEnvironment
+                            })
+                        });
+                        const result = await response.json().catch(() => ({}));
+                        if (!response.ok) {
+                            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+                        }
+
+                        const { restored, skipped, exists, error } = result.summary;
+                        this.displayResults(`Restore Results (${restored} restored, ${skipped + exists} skipped, ${error} failed)`, result.results);
+                        utils.log('Deleted users restored from snapshot', 'info', { operationId, ...result.summary });
+                    } catch (error) {
+                        utils.log(`Restore failed: ${error.message}`, 'error', { operationId });
+                        utils.showModal('Restore Failed', error.message, { showCancel: false });
+                    }
+                }
+            }
+        );
+    }
+
+    resumeJob(operationId, remaining) {
+        // Confirm, then re-process the unfinished rows of a stored job
+        utils.showModal(
+            'Resume Job',
+            `Re-process ${remaining} unfinished row(s) of ${operationId}? Rows that already succeeded are not touched.`,
+            { confirmText: 'Resume', onConfirm: () => this.processResume(operationId) }
+        );
+    }
+
+    async exportUsers() {
+        // Export users from PingOne to a CSV download, with progress streamed over SSE
+        // DEBUG: A 400 'Invalid filter' means PingOne rejected the SCIM filter syntax
+        if (this.exportInProgress) {
+            utils.log('Export already in progress', 'warning');
+            return;
+        }
+
+        const credentials = utils.getSettings();
+        if (!credentials || !credentials.credentialId) {
+            utils.showModal(
+                'Configuration Error',
+                'Your PingOne credentials are not configured. Please go to the Settings page to configure them.',
+                { showCancel: false, confirmText: 'Go to Settings', onConfirm: () => window.location.href = 'settings.html' }
+            );
+            return;
+        }
+
+        const filter = document.getElementById('export-filter')?.value.trim() || '';
+        const population = document.getElementById('export-population')?.value.trim() || '';
+
+        this.exportInProgress = true;
+        const operationId = utils.createOperationId('export');
+        try {
+            utils.showOperationSpinner('Exporting Users...', null, 'User Export');
+            utils.startWorkflowSteps();
+            utils.addProcessingStep();
+            utils.connectToProgress(operationId);
+
+            // A population can be given by name or ID; the server resolves either
+            const response = await fetch('/api/export', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    operationId,
+                    environmentId: credentials.environmentId,
+                    clientId: credentials.clientId,
+                    credentialId: credentials.credentialId,
+                    baseUrl: credentials.baseUrl,
+                    filter,
+                    populationName: population || undefined
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.details || errorData.error || `HTTP ${response.status}`);
+            }
+
+            const exported = parseInt(response.headers.get('X-Exported-Count'), 10) || 0;
+            const blob = await response.blob();
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            link.setAttribute('href', url);
+            link.setAttribute('download', `pingone-users-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.csv`);
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+
+            utils.addFinalizingStep(exported, 0, 'Export');
+            utils.completeOperationSpinner(exported, 0);
+            utils.log('Users exported', 'info', { exported, filter, population });
+        } catch (error) {
+            utils.log('User export failed', 'error', { error: error.message });
+            utils.failOperationSpinner('step-processing', error.message);
+        } finally {
+            this.exportInProgress = false;
+            utils.disconnectProgress();
+        }
+    }
+
+    exportFailedRows() {
+        // Download the failed (and optionally skipped) rows of the displayed run as CSV
+        if (!this.resultsOperationId) return;
+        const includeSkipped = document.getElementById('include-skipped-rows')?.checked === true;
+        window.location.href = `/api/jobs/${encodeURIComponent(this.resultsOperationId)}/failed-rows?includeSkipped=${includeSkipped}`;
+    }
+
+    retryFailedRows() {
+        // Confirm, then re-run only the failed rows of the displayed run under the same operationId
+        if (!this.resultsOperationId) return;
+        const operationId = this.resultsOperationId;
+        const includeSkipped = document.getElementById('include-skipped-rows')?.checked === true;
+        const failed = this.resultsData.filter(result => result.status === 'error').length;
+        const skipped = this.resultsData.filter(result => ['skipped', 'not_found', 'ambiguous'].includes(result.status)).length;
+        const rowText = includeSkipped ? `${failed} failed and ${skipped} skipped row(s)` : `${failed} failed row(s)`;
+
+        utils.showModal(
+            'Retry Failed Rows',
+            `Re-run ${rowText} of ${operationId}? Rows that succeeded are not touched.`,
+            { confirmText: 'Retry', onConfirm: () => this.processResume(operationId, { retry: true, includeSkipped }) }
+        );
+    }
+
+    async processResume(operationId, options = {}) {
+        // Resume (or with options.retry, retry failed rows) using the current settings for credentials
+        // The server rejects a different environment than the job was created for
+        const action = options.retry ? 'retry' : 'resume';
+        const credentials = utils.getSettings();
+        if (!credentials || !credentials.environmentId || !credentials.clientId) {
+            utils.showModal('Configuration Error', 'Your PingOne credentials are not configured. Please go to the Settings page to configure them.');
+            return;
+        }
+
+        try {
+            utils.showSpinner(options.retry ? `Retrying failed rows of ${operationId}...` : `Resuming ${operationId}...`);
+            const response = await fetch(`/api/jobs/${encodeURIComponent(operationId)}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    environmentId: credentials.environmentId,
+                    clientId: credentials.clientId,
+                    credentialId: credentials.credentialId,
+                    baseUrl: credentials.baseUrl,
+                    concurrency: credentials.concurrency,
+                    includeSkipped: !!options.includeSkipped,
+                    confirmEnvironment: options.confirmEnvironment
+                })
+            });
+
+            const result = await response.json();
+
+            // 428: a delete or modify job on a production profile; ask for the environment name and send it again
+            if (response.status === 428 && options.confirmEnvironment === undefined) {
+                utils.hideSpinner();
+                const confirmEnvironment = await this.confirmProductionEnvironment(options.retry ? 'Retry' : 'Resume');
+                if (confirmEnvironment) {
+                    await this.processResume(operationId, { ...options, confirmEnvironment });
+                }
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(result.details || result.error || `HTTP ${response.status}`);
+            }
+
+            utils.log(options.retry ? 'Failed rows retried' : 'Job resumed', 'info', { operationId, resumedRows: result.resumedRows });
+            this.displayResults(`${options.retry ? 'Retried' : 'Resumed'} ${operationId} (${result.resumedRows} rows)`, result.results, operationId);
+        } catch (error) {
+            utils.log(`Job ${action} failed`, 'error', { operationId, error: error.message });
+            utils.showModal('Error', `Failed to ${action} job: ${error.message}`);
+        } finally {
+            utils.hideSpinner();
+            this.loadJobs();
+        }
+    }
+
+    displayResults(title, results, operationId = null) {
         // Display operation results in the results section
+        // operationId is set for stored runs, whose full report can be downloaded from the server
         // DEBUG: If results don't display, check results array structure
         this.resultsData = results || [];
         this.currentPage = 1;
@@ -1194,13 +2082,23 @@ class MainPage {
         if (titleElement) {
             titleElement.textContent = title;
         }
+
+        this.resultsOperationId = operationId;
+        const hasFailures = this.resultsData.some(result => ['error', 'skipped', 'not_found', 'ambiguous'].includes(result.status));
+        document.getElementById('failed-rows-actions')?.classList.toggle('hidden', !operationId || !hasFailures);
+
+        const reportLinks = document.getElementById('report-downloads');
+        if (reportLinks) {
+            reportLinks.innerHTML = operationId ? this.renderReportLinks(operationId) : '';
+            reportLinks.classList.toggle('hidden', !operationId);
+        }
         
         this.renderResults();
         
         // Show results section
-        const resultsSection = document.getElementById('results-section');
+        const resultsSection = document.getElementById('results-panel');
         if (resultsSection) {
-            resultsSection.style.display = 'block';
+            resultsSection.classList.remove('hidden');
             resultsSection.scrollIntoView({ behavior: 'smooth' });
         }
     }
@@ -1208,7 +2106,7 @@ class MainPage {
     renderResults() {
         // Render paginated results table
         // DEBUG: Check if resultsData is properly populated
-        const tbody = document.getElementById('results-tbody');
+        const tbody = document.getElementById('results-table-body');
         const summary = document.getElementById('results-summary');
         
         if (!tbody || !this.resultsData) return;
@@ -1221,8 +2119,8 @@ class MainPage {
         // Update summary
         if (summary) {
             const totalRecords = this.resultsData.length;
-            const successCount = this.resultsData.filter(r => r.status === 'imported' || r.status === 'modified' || r.status === 'deleted').length;
-            const skippedCount = this.resultsData.filter(r => r.status === 'skipped').length;
+            const successCount = this.resultsData.filter(r => r.status === 'imported' || r.status === 'updated' || r.status === 'modified' || r.status === 'deleted' || r.status === 'disabled' || r.status === 'restored' || r.status === 'planned').length;
+            const skippedCount = this.resultsData.filter(r => r.status === 'skipped' || r.status === 'unchanged' || r.status === 'not_found' || r.status === 'ambiguous').length;
             const errorCount = totalRecords - successCount - skippedCount;
             summary.textContent = `Showing ${startIndex + 1}-${Math.min(endIndex, totalRecords)} of ${totalRecords} records (${successCount} successful, ${errorCount} failed, ${skippedCount} skipped)`;
         }
@@ -1231,9 +2129,9 @@ class MainPage {
         tbody.innerHTML = pageData.map((result, index) => {
             const globalIndex = startIndex + index;
             let statusClass = 'error';
-            if (result.status === 'imported' || result.status === 'modified' || result.status === 'deleted') statusClass = 'success';
-            else if (result.status === 'skipped') statusClass = 'skipped';
-            const showDebugButton = result.status !== 'imported' && result.status !== 'modified' && result.status !== 'deleted' && result.status !== 'skipped';
+            if (result.status === 'imported' || result.status === 'updated' || result.status === 'modified' || result.status === 'deleted' || result.status === 'disabled' || result.status === 'restored' || result.status === 'planned') statusClass = 'success';
+            else if (result.status === 'skipped' || result.status === 'unchanged' || result.status === 'cancelled' || result.status === 'not_found' || result.status === 'ambiguous') statusClass = 'skipped';
+            const showDebugButton = statusClass === 'error';
             return `
                 <tr class="result-row ${statusClass}">
                     <td>${globalIndex + 1}</td>
@@ -1355,12 +2253,13 @@ ${JSON.stringify(result, null, 2)}
 
         try {
             // Convert results to CSV format
-            const headers = ['Row', 'Username', 'Status', 'Message'];
+            const headers = ['Row', 'Username', 'Status', 'Message', 'Changes'];
             const csvData = this.resultsData.map((result, index) => [
                 index + 1,
                 result.username || 'N/A',
                 result.status || 'unknown',
-                (result.message || 'No message').replace(/"/g, '""') // Escape quotes
+                (result.message || 'No message').replace(/"/g, '""'), // Escape quotes
+                (result.diff || '').replace(/"/g, '""')
             ]);
 
             // Create CSV content
@@ -2,6 +2,9 @@
 
 class SettingsPage {
     constructor() {
+        // PEM key chosen for Private Key JWT, held until the configuration is saved
+        this.pendingPrivateKey = null;
+
         // Only initialize if we're on the settings page
         if (this.isSettingsPage()) {
             this.init();
@@ -24,6 +27,7 @@ class SettingsPage {
         this.setupEventListeners();
         this.setupModifyFields();
         this.loadSettings();
+        this.loadProfiles();
         this.startTokenStatusCheck();
         this.initializeTooltips();
         this.updateDefaultFileDisplay();
@@ -79,6 +83,10 @@ class SettingsPage {
         document.getElementById('test-credentials')?.addEventListener('click', () => this.testCredentials());
         document.getElementById('default-file')?.addEventListener('change', (e) => this.handleDefaultFileSelect(e));
         document.getElementById('toggle-secret')?.addEventListener('click', () => this.toggleSecretVisibility());
+        document.getElementById('auth-method')?.addEventListener('change', () => this.showAuthMethodFields());
+        document.getElementById('private-key-file')?.addEventListener('change', (e) => this.readPrivateKeyFile(e));
+        document.getElementById('profile-select')?.addEventListener('change', (e) => this.selectProfile(e.target.value));
+        document.getElementById('delete-profile-btn')?.addEventListener('click', () => this.deleteProfile());
         
         // Sidebar Quick Actions
         this.setupSidebarNavigation();
@@ -231,6 +239,9 @@ class SettingsPage {
                 this.populateFormFields(settings);
                 utils.log('Settings loaded from storage', 'info');
                 this.loadLogSettings(); // Load logging settings
+                if (settings.clientSecret) {
+                    this.migrateStoredSecret(settings);
+                }
             }
         } catch (error) {
             utils.handleError(error, 'loadSettings');
@@ -244,14 +255,23 @@ class SettingsPage {
         const clientSecretEl = document.getElementById('client-secret');
         const baseUrlEl = document.getElementById('base-url');
         const saveCredentialsEl = document.getElementById('save-credentials');
-        const useClientSecretEl = document.getElementById('use-client-secret');
 
         if (envIdEl) envIdEl.value = settings.environmentId || '';
         if (clientIdEl) clientIdEl.value = settings.clientId || '';
-        if (clientSecretEl) clientSecretEl.value = settings.clientSecret || '';
+        if (clientSecretEl) this.showSecretState(clientSecretEl, settings);
+        this.populateProfileFields(settings.activeProfile);
         if (baseUrlEl) baseUrlEl.value = settings.baseUrl || 'https://api.pingone.com';
+        const concurrencyEl = document.getElementById('concurrency');
+        if (concurrencyEl) concurrencyEl.value = settings.concurrency || 5;
+        const importModeEl = document.getElementById('import-mode');
+        if (importModeEl) importModeEl.value = settings.importMode || 'create';
+        const matchKeyEl = document.getElementById('match-key');
+        if (matchKeyEl) matchKeyEl.value = settings.matchKey || 'username';
+        const deleteModeEl = document.getElementById('delete-mode');
+        if (deleteModeEl) deleteModeEl.value = settings.deleteMode || '';
+        const retentionDaysEl = document.getElementById('retention-days');
+        if (retentionDaysEl) retentionDaysEl.value = settings.retentionDays || '';
         if (saveCredentialsEl) saveCredentialsEl.checked = settings.saveCredentials || false;
-        if (useClientSecretEl) useClientSecretEl.checked = settings.useClientSecret || false;
 
         // App settings
         if (settings.defaultFileName) {
@@ -274,16 +294,35 @@ class SettingsPage {
             const clientId = document.getElementById('client-id').value.trim();
             const baseUrl = document.getElementById('base-url').value.trim();
             const saveCredentials = document.getElementById('save-credentials').checked;
-            const useClientSecret = document.getElementById('use-client-secret').checked;
-            const clientSecret = document.getElementById('client-secret').value.trim();
+            const authMethod = document.getElementById('auth-method')?.value || 'client_secret_basic';
+            const keyId = document.getElementById('key-id')?.value.trim() || '';
+            const clientSecret = authMethod === 'private_key_jwt' ? '' : document.getElementById('client-secret').value.trim();
             const defaultFileName = document.getElementById('current-default-file')?.textContent || null;
+            const concurrency = parseInt(document.getElementById('concurrency')?.value, 10) || 5;
+            const importMode = document.getElementById('import-mode')?.value || 'create';
+            const matchKey = document.getElementById('match-key')?.value || 'username';
+            const deleteMode = document.getElementById('delete-mode')?.value || undefined;
+            const retentionDaysValue = document.getElementById('retention-days')?.value.trim();
+            const retentionDays = retentionDaysValue ? Number(retentionDaysValue) : undefined;
 
             // Robust validation
             let errorMsg = '';
             if (!environmentId) errorMsg += '<li>Environment ID is required.</li>';
             if (!clientId) errorMsg += '<li>Client ID is required.</li>';
             if (!baseUrl) errorMsg += '<li>Base URL is required.</li>';
-            if (useClientSecret && !clientSecret) errorMsg += '<li>Client Secret is required when "Use Client Secret" is checked.</li>';
+            if (concurrency < 1 || concurrency > 20) errorMsg += '<li>Parallel Requests must be between 1 and 20.</li>';
+            if (retentionDays !== undefined && !(Number.isInteger(retentionDays) && retentionDays >= 1 && retentionDays <= 3650)) errorMsg += '<li>Purge Retention must be a whole number of days between 1 and 3650.</li>';
+            const selectedProfileId = document.getElementById('profile-select')?.value || '';
+            const profileName = document.getElementById('profile-name')?.value.trim() || '';
+            const production = document.getElementById('profile-production')?.checked === true;
+            const color = document.getElementById('profile-color')?.value || undefined;
+            if (production && !profileName) errorMsg += '<li>Production profiles need a Profile Name (it is typed to confirm deletes and modifications).</li>';
+            const savedProfile = utils.environmentProfiles.find(profile => profile.id === selectedProfileId);
+            if (authMethod === 'private_key_jwt') {
+                if (!this.pendingPrivateKey && !savedProfile?.hasPrivateKey) errorMsg += '<li>A Private Key (PEM) is required for Private Key JWT.</li>';
+            } else if (!clientSecret && !savedProfile?.hasSecret) {
+                errorMsg += '<li>Client Secret is required when saving a new profile.</li>';
+            }
             if (errorMsg) {
                 utils.showModal(
                     'Invalid Credentials',
@@ -304,19 +343,36 @@ class SettingsPage {
                 clientId,
                 baseUrl,
                 saveCredentials,
-                useClientSecret,
-                defaultFileName
+                defaultFileName,
+                concurrency,
+                importMode,
+                matchKey,
+                deleteMode,
+                retentionDays
             };
 
             const modifyFields = Array.from(document.querySelectorAll('input[name="modifyFields"]:checked')).map(cb => cb.value);
             settings.modifyFields = modifyFields;
 
-            if (useClientSecret) {
-                settings.clientSecret = clientSecret;
-            } else {
-                delete settings.clientSecret;
-            }
+            // The secret and key go to the server vault only; the browser keeps the profile ID
+            const profile = await this.storeCredentials(selectedProfileId, {
+                name: profileName,
+                production,
+                color,
+                environmentId,
+                clientId,
+                clientSecret,
+                authMethod,
+                keyId,
+                privateKey: this.pendingPrivateKey || undefined,
+                baseUrl
+            });
+            settings.credentialId = profile.id;
+            settings.activeProfile = utils.toActiveProfile(profile);
             localStorage.setItem('pingone-settings', JSON.stringify(settings));
+            this.showSecretState(document.getElementById('client-secret'), settings);
+            await this.loadProfiles();
+            this.populateAuthFields(profile);
             utils.log('All settings saved', 'info', settings);
 
             // Update button for visual feedback
@@ -338,6 +394,173 @@ class SettingsPage {
         }
     }
 
+    // Create or update the server-side credential profile; resolves to the profile (which never includes the secret)
+    async storeCredentials(credentialId, credentials) {
+        const response = await fetch(credentialId ? `/api/credentials/${encodeURIComponent(credentialId)}` : '/api/credentials', {
+            method: credentialId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(credentials)
+        });
+        const result = await response.json().catch(() => ({}));
+
+        // The stored profile is gone (deleted on the server), so save the credentials as a new one
+        if (response.status === 404 && credentialId && (credentials.clientSecret || credentials.privateKey)) {
+            return this.storeCredentials(null, credentials);
+        }
+        if (!response.ok) {
+            const details = Array.isArray(result.details) ? result.details.join(', ') : result.details;
+            throw new Error(details || result.error || `HTTP ${response.status}`);
+        }
+        return result.profile;
+    }
+
+    // Settings saved before the credential vault kept the secret in localStorage: move it to the server
+    async migrateStoredSecret(settings) {
+        try {
+            const profile = await this.storeCredentials(settings.credentialId, {
+                environmentId: settings.environmentId,
+                clientId: settings.clientId,
+                clientSecret: settings.clientSecret,
+                baseUrl: settings.baseUrl
+            });
+            const { clientSecret, ...rest } = settings;
+            const migrated = { ...rest, credentialId: profile.id, activeProfile: utils.toActiveProfile(profile) };
+            localStorage.setItem('pingone-settings', JSON.stringify(migrated));
+            this.showSecretState(document.getElementById('client-secret'), migrated);
+            utils.log('Client secret moved from browser storage to the server credential vault', 'info', { credentialId: profile.id });
+            await this.loadProfiles();
+        } catch (error) {
+            utils.log(`Could not move the client secret to the credential vault: ${error.message}`, 'warn');
+        }
+    }
+
+    // Refresh the profile list (and the sidebar switcher/banner) and select the active profile for editing
+    async loadProfiles() {
+        const profiles = await utils.loadEnvironmentProfiles();
+        const select = document.getElementById('profile-select');
+        if (!select) return;
+
+        const escape = value => String(value ?? '').replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+        select.innerHTML = '<option value="">New Profile</option>' + profiles
+            .map(profile => `<option value="${escape(profile.id)}">${escape(profile.name)}</option>`)
+            .join('');
+        const activeId = utils.getSettings()?.credentialId || '';
+        select.value = profiles.some(profile => profile.id === activeId) ? activeId : '';
+        document.getElementById('delete-profile-btn').disabled = !select.value;
+        this.populateAuthFields(profiles.find(profile => profile.id === select.value));
+    }
+
+    // Load a saved profile (or an empty form for New Profile); the secret stays on the server
+    selectProfile(credentialId) {
+        const profile = utils.environmentProfiles.find(candidate => candidate.id === credentialId);
+        document.getElementById('environment-id').value = profile ? profile.environmentId : '';
+        document.getElementById('client-id').value = profile ? profile.clientId : '';
+        if (profile) {
+            document.getElementById('base-url').value = utils.getRegionBaseUrl(profile.region) || 'https://api.pingone.com';
+        }
+        this.showSecretState(document.getElementById('client-secret'), { credentialId: profile ? profile.id : null });
+        this.populateProfileFields(profile);
+        this.populateAuthFields(profile);
+        document.getElementById('delete-profile-btn').disabled = !profile;
+        // The matrix belongs to the previously tested credentials
+        this.renderPermissionMatrix(null);
+    }
+
+    populateProfileFields(profile) {
+        const nameEl = document.getElementById('profile-name');
+        const productionEl = document.getElementById('profile-production');
+        const colorEl = document.getElementById('profile-color');
+        if (nameEl) nameEl.value = profile?.name || '';
+        if (productionEl) productionEl.checked = !!profile?.production;
+        if (colorEl) colorEl.value = profile?.color || (profile?.production ? '#c8102e' : '#2e7d32');
+    }
+
+    // Token auth method of a saved profile; a new key file has to be chosen again for every save
+    populateAuthFields(profile) {
+        const authMethodEl = document.getElementById('auth-method');
+        const keyIdEl = document.getElementById('key-id');
+        const keyFileEl = document.getElementById('private-key-file');
+        if (authMethodEl) authMethodEl.value = profile?.authMethod || 'client_secret_basic';
+        if (keyIdEl) keyIdEl.value = profile?.keyId || '';
+        if (keyFileEl) keyFileEl.value = '';
+        this.pendingPrivateKey = null;
+        this.showPrivateKeyState(profile?.hasPrivateKey ? 'Saved on the server - choose a file to replace it' : '');
+        this.showAuthMethodFields();
+    }
+
+    // Private Key JWT needs the key instead of the secret
+    showAuthMethodFields() {
+        const privateKeyJwt = document.getElementById('auth-method')?.value === 'private_key_jwt';
+        document.querySelectorAll('.client-secret-group').forEach(group => group.classList.toggle('hidden', privateKeyJwt));
+        document.querySelectorAll('.private-key-group').forEach(group => group.classList.toggle('hidden', !privateKeyJwt));
+    }
+
+    async readPrivateKeyFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const pem = await file.text();
+        if (!pem.includes('PRIVATE KEY')) {
+            event.target.value = '';
+            this.pendingPrivateKey = null;
+            this.showPrivateKeyState('');
+            utils.showModal('Invalid Private Key', `${file.name} is not a PEM-encoded private key.`, { showCancel: false, confirmText: 'OK' });
+            return;
+        }
+        // Kept in memory until the next save sends it to the vault
+        this.pendingPrivateKey = pem;
+        this.showPrivateKeyState(`${file.name} - saved to the server with the configuration`);
+    }
+
+    showPrivateKeyState(message) {
+        const state = document.getElementById('private-key-state');
+        if (!state) return;
+        state.textContent = message;
+        state.classList.toggle('show', Boolean(message));
+    }
+
+    deleteProfile() {
+        const select = document.getElementById('profile-select');
+        const profile = utils.environmentProfiles.find(candidate => candidate.id === select?.value);
+        if (!profile) return;
+
+        utils.showModal(
+            'Delete Profile',
+            `Delete the environment profile "${profile.name}" and its stored secret?`,
+            {
+                confirmText: 'Delete Profile',
+                onConfirm: async () => {
+                    try {
+                        const response = await fetch(`/api/credentials/${encodeURIComponent(profile.id)}`, { method: 'DELETE' });
+                        const result = await response.json().catch(() => ({}));
+                        if (!response.ok) {
+                            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+                        }
+
+                        // Deleting the active profile leaves the browser without credentials until another is picked
+                        const settings = utils.getSettings() || {};
+                        if (settings.credentialId === profile.id) {
+                            const { credentialId, activeProfile, ...rest } = settings;
+                            utils.saveSettings(rest);
+                        }
+                        utils.log(`Environment profile ${profile.name} deleted`, 'info', { credentialId: profile.id });
+                        await this.loadProfiles();
+                        this.selectProfile(document.getElementById('profile-select').value);
+                    } catch (error) {
+                        utils.handleError(error, 'deleteProfile');
+                    }
+                }
+            }
+        );
+    }
+
+    // The secret field stays empty once the secret is on the server; typing a new one replaces it on save
+    showSecretState(clientSecretEl, settings) {
+        if (!clientSecretEl) return;
+        clientSecretEl.value = settings.credentialId ? '' : (settings.clientSecret || '');
+        clientSecretEl.placeholder = settings.credentialId ? 'Saved on the server - leave blank to keep' : '';
+    }
+
     async testCredentials() {
         const tokenStatusEl = document.getElementById('token-status');
         try {
@@ -348,32 +571,44 @@ class SettingsPage {
                 environmentId: document.getElementById('environment-id').value,
                 clientId: document.getElementById('client-id').value,
                 clientSecret: document.getElementById('client-secret').value,
-                useClientSecret: document.getElementById('use-client-secret').checked
+                baseUrl: document.getElementById('base-url').value,
+                authMethod: document.getElementById('auth-method')?.value || 'client_secret_basic',
+                keyId: document.getElementById('key-id')?.value.trim() || ''
             };
+            if (currentCreds.authMethod === 'private_key_jwt') {
+                currentCreds.clientSecret = '';
+            }
 
             if (!currentCreds.environmentId || !currentCreds.clientId) {
                 throw new Error('Environment ID and Client ID are required.');
             }
 
-            if (currentCreds.useClientSecret && !currentCreds.clientSecret) {
-                throw new Error('Client Secret is required when "Use Client Secret" is checked.');
+            const savedCredentialId = document.getElementById('profile-select')?.value || '';
+            if (!currentCreds.clientSecret && !this.pendingPrivateKey && !savedCredentialId) {
+                throw new Error(currentCreds.authMethod === 'private_key_jwt'
+                    ? 'Private Key is required until credentials have been saved.'
+                    : 'Client Secret is required until credentials have been saved.');
             }
 
             utils.log('Testing PingOne credentials', 'info', {
                 environmentId: currentCreds.environmentId.substring(0, 8) + '...',
                 clientId: currentCreds.clientId.substring(0, 8) + '...',
-                useClientSecret: currentCreds.useClientSecret
+                authMethod: currentCreds.authMethod
             });
 
             // Use the new test endpoint for better error reporting
             const testResult = await utils.testCredentials(
                 currentCreds.environmentId,
                 currentCreds.clientId,
-                currentCreds.clientSecret
+                currentCreds.clientSecret,
+                currentCreds.baseUrl,
+                savedCredentialId,
+                { authMethod: currentCreds.authMethod, keyId: currentCreds.keyId, privateKey: this.pendingPrivateKey }
             );
 
             if (testResult.success) {
-                this.updateTokenStatus('valid', `✓ Credentials are valid - Environment: ${testResult.environment.name}`);
+                this.updateTokenStatus('valid', `✓ Credentials are valid - Environment: ${testResult.environment.name} (${testResult.environment.region})`);
+                this.renderPermissionMatrix(testResult.permissions);
                 utils.log(`Credentials test successful for environment ${currentCreds.environmentId.substring(0, 8)}...`, 'info');
                 // Clear any cached token to force fresh authentication
                 utils.clearTokenCache();
@@ -396,6 +631,44 @@ class SettingsPage {
         }
     }
 
+    // Capability matrix from the credentials test: one row per operation with what is missing
+    renderPermissionMatrix(permissions) {
+        const container = document.getElementById('permission-matrix');
+        if (!container) return;
+        if (!permissions) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        const escape = value => String(value ?? '').replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+        if (!permissions.capabilities) {
+            container.innerHTML = `<p class="permission-note">Permissions could not be checked: ${escape(permissions.error)}</p>`;
+            container.classList.remove('hidden');
+            return;
+        }
+
+        const status = capability => capability.allowed === null ? ['unknown', 'Unknown'] : capability.allowed ? ['allowed', 'Allowed'] : ['denied', 'Missing'];
+        const roles = permissions.roles.map(role => `${role.name} (${role.scope.type.toLowerCase()})`).join(', ');
+        container.innerHTML = `
+            <table class="results-table">
+                <thead><tr><th>Operation</th><th>Permission</th><th>Details</th></tr></thead>
+                <tbody>
+                    ${Object.values(permissions.capabilities).map(capability => `
+                        <tr>
+                            <td>${escape(capability.label)}</td>
+                            <td><span class="permission-${status(capability)[0]}">${status(capability)[1]}</span></td>
+                            <td>${escape(capability.reason || '')}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+            <p class="permission-note">
+                Roles: ${escape(roles || (permissions.checked ? 'none' : 'not readable'))}
+                ${permissions.scopes?.length ? `<br>Token scopes: ${escape(permissions.scopes.join(' '))}` : ''}
+            </p>
+        `;
+        container.classList.remove('hidden');
+    }
+
     updateTokenStatus(status, message) {
         const tokenStatus = document.getElementById('token-status');
         if (!tokenStatus) return;
@@ -575,6 +848,7 @@ class SettingsPage {
             { id: 'externalId', label: 'External ID', checked: false },
             { id: 'type', label: 'Type', checked: false },
             { id: 'nickname', label: 'Nickname', checked: false },
+            { id: 'customAttributes', label: 'Custom Attributes', checked: false },
         ];
 
         const grid = document.getElementById('modify-fields-grid');
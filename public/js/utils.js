@@ -2,6 +2,14 @@
 // This file provides core functionality: authentication, UI management, logging, and API helpers
 // Debugging: Check browser console for detailed operation logs and error messages
 
+// Settings page base URL for each region code the server stores on environment profiles
+const REGION_BASE_URLS = {
+    NA: 'https://api.pingone.com',
+    EU: 'https://api.pingone.eu',
+    CA: 'https://api.pingone.ca',
+    APAC: 'https://api.pingone.asia'
+};
+
 class Utils {
     constructor() {
         // Token cache to avoid repeated authentication requests
@@ -15,18 +23,27 @@ class Utils {
         // DEBUG: Check this.settings object for current configuration
         this.settings = {};
         
-        // Progress simulation state
-        // DEBUG: Check these properties if progress updates aren't working
-        this.progressInterval = null;
-        this.progressSimulationActive = false;
-        
         // Abort controller for cancelling operations
         this.currentOperationController = null;
+
+        // Operation ID sent with the running bulk request, used to cancel it on the server
+        this.activeOperationId = null;
+
+        // Called when the open modal is dismissed without confirming
+        this.modalCancelHandler = null;
         
         // SSE connection for real-time progress
         this.sseConnection = null;
         this.currentOperationId = null;
 
+        // Environment profiles from the server vault (never include secrets)
+        this.environmentProfiles = [];
+
+        // Signed-in user from the server session ({ name, username, role }); stays null while sign-in is disabled
+        this.authEnabled = false;
+        this.currentUser = null;
+        this.currentUserReady = null;
+
         this.init();
     }
 
@@ -37,7 +54,10 @@ class Utils {
             this.setupSidebar();
             this.setupModals();
             this.setupSpinner();
+            this.watchForSignOut();
+            this.currentUserReady = this.loadCurrentUser();
             this.loadSettings();
+            this.loadEnvironmentProfiles();
             this.log('Utils initialized successfully', 'info');
         } catch (error) {
             console.error('Failed to initialize utils:', error);
@@ -46,86 +66,71 @@ class Utils {
     }
 
     // ============================================================================
-    // TOKEN MANAGEMENT
-    // These functions handle PingOne API authentication and token caching
-    // DEBUG: If authentication fails, check these functions first
+    // SIGN-IN AND ROLES
+    // The server keeps the session; these functions only reflect it in the UI
+    // DEBUG: If buttons stay disabled for a user, check their role in GET /auth/me
     // ============================================================================
 
-    async getWorkerToken() {
-        // Get worker token with automatic caching and refresh
-        // DEBUG: If token requests fail, check credentials and PingOne connectivity
-        const settings = this.getSettings();
-        if (!settings || !settings.environmentId || !settings.clientId || !settings.clientSecret) {
-            throw new Error('Missing PingOne credentials. Please configure in Settings.');
+    async loadCurrentUser() {
+        try {
+            const response = await fetch('/auth/me');
+            const data = await response.json();
+            this.authEnabled = data.authEnabled === true;
+            this.currentUser = data.user || null;
+        } catch (error) {
+            this.log('Failed to load the signed-in user', 'warn', { error: error.message });
         }
+        this.renderCurrentUser();
+        return this.currentUser;
+    }
 
-        const now = Date.now();
-        
-        // Check cache first to avoid unnecessary API calls
-        // DEBUG: If tokens expire unexpectedly, check cache validation logic
-        if (this.isTokenValid()) {
-            const timeRemaining = Math.floor((this.tokenCache.expiresAt - now) / (60 * 1000));
-            this.log('Using cached worker token', 'info', { timeRemaining });
-            return {
-                success: true,
-                data: {
-                    access_token: this.tokenCache.token,
-                    expires_in: Math.floor((this.tokenCache.expiresAt - now) / 1000)
-                },
-                cached: true
-            };
+    // Sidebar name, role and sign-out button; the Configuration link is for admins only
+    renderCurrentUser() {
+        const container = document.getElementById('current-user');
+        if (container) {
+            container.classList.toggle('hidden', !this.currentUser);
+            const name = document.getElementById('current-user-name');
+            if (name && this.currentUser) {
+                name.textContent = `${this.currentUser.name || this.currentUser.username} (${this.currentUser.role})`;
+            }
         }
-
-        this.log('Requesting new worker token from PingOne', 'info', { 
-            environmentId: settings.environmentId.substring(0, 8) + '...'
+        document.querySelectorAll('.nav-link[href="settings.html"]').forEach(link => {
+            link.classList.toggle('hidden', !this.hasRole('admin'));
         });
-        
-        try {
-            const response = await fetch('/api/token/worker', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    environmentId: settings.environmentId,
-                    clientId: settings.clientId,
-                    clientSecret: settings.clientSecret
-                })
-            });
+    }
 
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({ error: response.statusText }));
-                this.log(`Worker token request failed: ${response.status}`, 'error', errorData);
-                throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
-            }
+    // True if the signed-in user has `requiredRole` or a higher one; always true while sign-in is disabled
+    hasRole(requiredRole) {
+        if (!this.authEnabled) return true;
+        const roles = ['admin', 'operator', 'viewer'];
+        const index = roles.indexOf(this.currentUser?.role);
+        return index !== -1 && index <= roles.indexOf(requiredRole);
+    }
 
-            const data = await response.json();
-            
-            if (!data.success) { 
-                const errorMsg = data.error || 'Unknown token error';
-                this.log(`Worker token error: ${errorMsg}`, 'error');
-                throw new Error(errorMsg); 
+    // An expired session turns every API call into a 401; send the browser back through the sign-in instead
+    watchForSignOut() {
+        const originalFetch = window.fetch.bind(window);
+        window.fetch = async (...args) => {
+            const response = await originalFetch(...args);
+            if (response.status === 401) {
+                const data = await response.clone().json().catch(() => ({}));
+                if (data.authRequired) {
+                    window.location.href = `/auth/login?returnTo=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+                }
             }
-
-            // Cache token for reuse
-            // DEBUG: Check cache expiration calculation if tokens expire early
-            this.tokenCache.token = data.data.access_token;
-            this.tokenCache.expiresAt = now + (data.data.expires_in * 1000);
-            
-            this.log('Worker token obtained and cached successfully', 'info', {
-                expiresIn: data.data.expires_in + ' seconds',
-                cached: data.cached || false
-            });
-            
-            return data;
-            
-        } catch (error) {
-            const errorMsg = error.message || error.toString() || 'Unknown error occurred';
-            this.log(`Failed to get worker token: ${errorMsg}`, 'error');
-            throw new Error(errorMsg);
-        }
+            return response;
+        };
     }
 
-    async testCredentials(environmentId, clientId, clientSecret) {
+    // ============================================================================
+    // TOKEN MANAGEMENT
+    // These functions handle PingOne API authentication and token caching
+    // DEBUG: If authentication fails, check these functions first
+    // ============================================================================
+
+    async testCredentials(environmentId, clientId, clientSecret, baseUrl, credentialId, auth = {}) {
         // Test PingOne credentials without caching the token
+        // Without a typed secret or a newly chosen key the saved credential profile is tested instead (the browser never has its secret)
         // DEBUG: Use this function to validate credentials before operations
         this.log('Testing PingOne credentials', 'info', { 
             environmentId: environmentId.substring(0, 8) + '...' 
@@ -135,7 +140,9 @@ class Utils {
             const response = await fetch('/api/token/test', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ environmentId, clientId, clientSecret })
+                body: JSON.stringify(clientSecret || auth.privateKey
+                    ? { environmentId, clientId, clientSecret, baseUrl, authMethod: auth.authMethod, keyId: auth.keyId, privateKey: auth.privateKey }
+                    : { environmentId, clientId, baseUrl, credentialId })
             });
 
             const data = await response.json();
@@ -184,34 +191,30 @@ class Utils {
 
     async getEnvironmentInfo() {
         // Get PingOne environment information
+        // The server looks it up with the worker token, which never reaches the browser
         // DEBUG: If environment info fails to load, check API permissions
         try {
-            const tokenResponse = await this.getWorkerToken();
-            if (!tokenResponse.success) {
-                throw new Error('Failed to get authentication token');
+            const settings = this.getSettings();
+            if (!settings || !settings.credentialId) {
+                throw new Error('Missing PingOne credentials. Please configure in Settings.');
             }
 
-            const settings = this.getSettings();
-            const response = await fetch(`https://api.pingone.com/v1/environments/${settings.environmentId}`, {
-                headers: {
-                    'Authorization': `Bearer ${tokenResponse.data.access_token}`,
-                    'Content-Type': 'application/json'
-                }
+            const response = await fetch('/api/token/environment', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    environmentId: settings.environmentId,
+                    clientId: settings.clientId,
+                    credentialId: settings.credentialId,
+                    baseUrl: settings.baseUrl
+                })
             });
 
-            if (!response.ok) {
-                throw new Error(`Failed to get environment info: ${response.status}`);
+            const data = await response.json().catch(() => ({ error: response.statusText }));
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Failed to get environment info: ${response.status}`);
             }
-
-            const data = await response.json();
-            return {
-                success: true,
-                data: {
-                    name: data.name || 'Unknown Environment',
-                    id: settings.environmentId,
-                    clientId: settings.clientId
-                }
-            };
+            return data;
         } catch (error) {
             this.log('Failed to get environment info', 'error', { error: error.message });
             return {
@@ -289,6 +292,92 @@ class Utils {
         }
     }
 
+    // ============================================================================
+    // ENVIRONMENT PROFILES
+    // Named credential profiles (dev, staging, prod...) with a sidebar switcher and a colour banner
+    // DEBUG: The active profile is settings.credentialId; settings.activeProfile caches its name/colour/production flag
+    // ============================================================================
+
+    async loadEnvironmentProfiles() {
+        // Fill the sidebar switcher from GET /api/credentials and show the banner of the active profile
+        // DEBUG: An empty switcher means no profile is saved yet, or the server has no CREDENTIAL_VAULT_KEY (503)
+        try {
+            const response = await fetch('/api/credentials');
+            const data = await response.json().catch(() => ({}));
+            this.environmentProfiles = response.ok ? data.profiles || [] : [];
+        } catch (error) {
+            this.environmentProfiles = [];
+            this.log('Failed to load environment profiles', 'error', { error: error.message });
+        }
+
+        const settings = this.getSettings() || {};
+        const active = this.environmentProfiles.find(profile => profile.id === settings.credentialId) || null;
+        if (active) {
+            // Name, colour or the production flag may have been changed from another browser
+            this.saveSettings({ ...settings, activeProfile: this.toActiveProfile(active) });
+        }
+
+        const switcher = document.getElementById('profile-switcher');
+        if (switcher) {
+            const escape = value => String(value ?? '').replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+            switcher.innerHTML = (active ? '' : '<option value="">No profile</option>') + this.environmentProfiles
+                .map(profile => `<option value="${escape(profile.id)}">${escape(profile.name)}${profile.production ? ' (production)' : ''}</option>`)
+                .join('');
+            switcher.value = active ? active.id : '';
+            switcher.onchange = () => this.switchEnvironmentProfile(switcher.value);
+        }
+
+        this.renderEnvironmentBanner(active ? this.toActiveProfile(active) : null);
+        return this.environmentProfiles;
+    }
+
+    toActiveProfile(profile) {
+        return { id: profile.id, name: profile.name, production: !!profile.production, color: profile.color || null };
+    }
+
+    getRegionBaseUrl(region) {
+        return REGION_BASE_URLS[region] || null;
+    }
+
+    getActiveProfile() {
+        return this.getSettings()?.activeProfile || null;
+    }
+
+    switchEnvironmentProfile(credentialId) {
+        // Make another profile active; the page reloads because jobs, purge list and environment info belong to the old one
+        const profile = this.environmentProfiles.find(candidate => candidate.id === credentialId);
+        if (!profile) return;
+
+        const settings = this.getSettings() || {};
+        this.saveSettings({
+            ...settings,
+            credentialId: profile.id,
+            environmentId: profile.environmentId,
+            clientId: profile.clientId,
+            baseUrl: this.getRegionBaseUrl(profile.region) || settings.baseUrl,
+            activeProfile: this.toActiveProfile(profile)
+        });
+        this.clearTokenCache();
+        this.log(`Switched to environment profile ${profile.name}`, 'info', { credentialId: profile.id });
+        window.location.reload();
+    }
+
+    renderEnvironmentBanner(profile) {
+        // Colour-coded strip above the page title; production profiles default to Ping red
+        const banner = document.getElementById('environment-banner');
+        if (!banner) return;
+
+        if (!profile) {
+            banner.classList.add('hidden');
+            return;
+        }
+
+        banner.textContent = profile.production ? `PRODUCTION – ${profile.name}` : `Environment: ${profile.name}`;
+        banner.style.backgroundColor = profile.color || (profile.production ? '#c8102e' : '#2e7d32');
+        banner.classList.toggle('production', profile.production);
+        banner.classList.remove('hidden');
+    }
+
     // ============================================================================
     // LOGGING SYSTEM
     // These functions provide structured logging for debugging and monitoring
@@ -375,8 +464,14 @@ class Utils {
             `;
             document.body.insertAdjacentHTML('beforeend', modalHTML);
 
-            // Setup modal event listeners
-            const closeModal = () => this.hideModal();
+            // Setup modal event listeners (closing without confirming runs the caller's onCancel)
+            const closeModal = () => {
+                const onCancel = this.modalCancelHandler;
+                this.hideModal();
+                if (onCancel) {
+                    onCancel();
+                }
+            };
             document.getElementById('modal-close').addEventListener('click', closeModal);
             document.getElementById('modal-cancel').addEventListener('click', closeModal);
             document.getElementById('modal-overlay').addEventListener('click', (e) => {
@@ -413,7 +508,9 @@ class Utils {
         confirmBtn.textContent = options.confirmText || 'OK';
 
         // Setup confirm handler
+        this.modalCancelHandler = options.onCancel || null;
         const confirmHandler = () => {
+            this.modalCancelHandler = null;
             if (options.onConfirm) {
                 options.onConfirm();
             }
@@ -434,6 +531,7 @@ class Utils {
     hideModal() {
         // Hide currently displayed modal
         const modal = document.getElementById('modal-overlay');
+        this.modalCancelHandler = null;
         if (modal) {
             modal.classList.add('hidden');
             document.body.style.overflow = '';
@@ -572,7 +670,31 @@ class Utils {
         }
     }
 
-    cancelCurrentOperation() {
+    // Generate the operation ID for a bulk request so progress and cancel work before the response arrives
+    createOperationId(prefix) {
+        this.activeOperationId = `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return this.activeOperationId;
+    }
+
+    async cancelCurrentOperation() {
+        // Ask the server to stop the bulk loop first; the request then returns with partial results
+        // DEBUG: If PingOne keeps changing users after Cancel, check POST /api/jobs/:operationId/cancel
+        if (this.activeOperationId) {
+            const operationId = this.activeOperationId;
+            this.log('User cancelled operation', 'warn', { operationId });
+            this.updateSpinnerSubtitle('Cancelling... rows already in progress will finish');
+
+            try {
+                const response = await fetch(`/api/jobs/${encodeURIComponent(operationId)}/cancel`, { method: 'POST' });
+                if (response.ok) {
+                    return;
+                }
+                this.log('Server cancel request rejected', 'warn', { operationId, status: response.status });
+            } catch (error) {
+                this.log('Server cancel request failed', 'error', { operationId, error: error.message });
+            }
+        }
+
         if (this.currentOperationController) {
             this.log('User cancelled operation', 'warn');
             this.currentOperationController.abort();
@@ -825,72 +947,6 @@ class Utils {
         this.log('Finalizing step added', 'debug', { successCount, errorCount, operation });
     }
 
-    startProgressSimulation(totalRecords, estimatedDurationMs = 10000, fileName = null) {
-        // Start progress simulation for operations
-        // DEBUG: Check if progress updates are called with correct parameters
-        this.stopProgressSimulation();
-        this.progressSimulationActive = true;
-        
-        // Calculate dynamic increment based on record count
-        let incrementPerUpdate;
-        if (totalRecords <= 10) {
-            incrementPerUpdate = 1;
-        } else if (totalRecords <= 50) {
-            incrementPerUpdate = 5;
-        } else if (totalRecords <= 200) {
-            incrementPerUpdate = 10;
-        } else if (totalRecords <= 1000) {
-            incrementPerUpdate = 25;
-        } else {
-            incrementPerUpdate = 100;
-        }
-
-        const totalUpdates = Math.ceil(totalRecords / incrementPerUpdate);
-        const timePerUpdate = estimatedDurationMs / totalUpdates;
-        let currentProgress = 0;
-
-        this.progressInterval = setInterval(() => {
-            if (!this.progressSimulationActive) return;
-
-            currentProgress = Math.min(currentProgress + incrementPerUpdate, totalRecords);
-            
-            // Update progress bar
-            this.updateProgress(currentProgress, totalRecords);
-            
-            // Update processing step text
-            const stepElement = document.getElementById('step-processing');
-            if (stepElement) {
-                const stepText = `🔢 Processing records: ${currentProgress.toLocaleString()}/${totalRecords.toLocaleString()}`;
-                stepElement.querySelector('.step-text').textContent = stepText;
-            }
-            
-            // Update subtitle
-            this.updateSpinnerSubtitle(`Processing ${currentProgress.toLocaleString()} of ${totalRecords.toLocaleString()} records...`);
-
-            if (currentProgress >= totalRecords) {
-                this.stopProgressSimulation();
-            }
-        }, timePerUpdate);
-        
-        this.log('Progress simulation started', 'debug', { 
-            totalRecords, 
-            estimatedDurationMs,
-            fileName,
-            incrementPerUpdate,
-            totalUpdates,
-            timePerUpdate
-        });
-    }
-
-    stopProgressSimulation() {
-        // Stop progress simulation
-        this.progressSimulationActive = false;
-        if (this.progressInterval) {
-            clearInterval(this.progressInterval);
-            this.progressInterval = null;
-        }
-    }
-
     updateSpinnerProgress(current, total, action = 'Processing') {
         // Update spinner progress display
         const progressElement = document.getElementById('spinner-progress');
@@ -902,7 +958,6 @@ class Utils {
 
     completeOperationSpinner(successCount, failedCount = 0) {
         // Complete the operation spinner with final results
-        this.stopProgressSimulation();
         this.stopElapsedTimer();
         
         // Update final step
@@ -988,7 +1043,6 @@ class Utils {
     }
 
     failOperationSpinner(stepId, error) {
-        this.stopProgressSimulation();
         this.stopElapsedTimer();
 
         // Ensure endTime is set before formatting to prevent errors
@@ -1224,13 +1278,14 @@ class Utils {
     }
 
     // Connect to SSE for real-time progress updates
+    // Call this before sending the bulk request (with a createOperationId() ID) so no events are missed
     connectToProgress(operationId) {
         if (this.sseConnection) {
             this.sseConnection.close();
         }
 
         this.currentOperationId = operationId;
-        this.sseConnection = new EventSource(`/api/import/progress/${operationId}`);
+        this.sseConnection = new EventSource(`/api/progress/${encodeURIComponent(operationId)}`);
         
         this.sseConnection.onmessage = (event) => {
             try {
@@ -1257,14 +1312,17 @@ class Utils {
             case 'progress':
                 // Throttle progress updates to prevent too frequent updates
                 if (!this.lastProgressUpdate || Date.now() - this.lastProgressUpdate > 500) {
-                    this.updateSpinnerProgress(data.current, data.total, data.message);
                     this.updateSpinnerSubtitle(data.message || `Processing ${data.current}/${data.total} records...`);
+                    if (data.total) {
+                        this.updateProgress(data.current, data.total);
+                        this.updateProcessingProgress(data.current, data.total);
+                    }
                     this.lastProgressUpdate = Date.now();
                 }
                 
                 // Update success/error counts if available
                 if (data.success !== undefined && data.errors !== undefined) {
-                    this.updateSpinnerStats(data.success, data.errors);
+                    this.updateSpinnerStats(data.success, data.errors, data.skipped);
                 }
                 break;
                 
@@ -1283,6 +1341,12 @@ class Utils {
                 this.updateSpinnerSubtitle(`Error: ${data.message}`);
                 this.failOperationSpinner('step-processing', data.message);
                 break;
+
+            case 'cancelled':
+                this.updateSpinnerProgress(data.current, data.total, data.message);
+                this.updateSpinnerSubtitle(data.message || 'Operation cancelled');
+                this.failOperationSpinner('step-processing', data.message || 'Operation cancelled by user.');
+                break;
                 
             case 'status':
                 // Handle status updates specifically
@@ -1292,7 +1356,7 @@ class Utils {
     }
 
     // Update spinner statistics
-    updateSpinnerStats(success, errors) {
+    updateSpinnerStats(success, errors, skipped = 0) {
         const statsElement = document.getElementById('spinner-stats');
         if (statsElement) {
             statsElement.innerHTML = `
@@ -1304,6 +1368,10 @@ class Utils {
                     <span class="stats-label">Errors:</span>
                     <span class="stats-value error">${errors}</span>
                 </div>
+                <div class="stats-row">
+                    <span class="stats-label">Skipped:</span>
+                    <span class="stats-value">${skipped || 0}</span>
+                </div>
             `;
         }
     }
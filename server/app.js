@@ -10,6 +10,20 @@ const importRouter = require('./routes/import');
 const modifyRouter = require('./routes/modify');
 const deleteRouter = require('./routes/delete');
 const logsRouter = require('./routes/logs'); // Import the new logs router
+const jobsRouter = require('./routes/jobs');
+const mappingsRouter = require('./routes/mappings');
+const validateRouter = require('./routes/validate');
+const exportRouter = require('./routes/export');
+const purgeRouter = require('./routes/purge');
+const snapshotsRouter = require('./routes/snapshots');
+const credentialsRouter = require('./routes/credentials');
+const authRouter = require('./routes/auth');
+const { requireAuthentication } = require('./utils/accessControl');
+const { isAuthEnabled, isSignInDisabled } = require('./utils/oidcClient');
+const { resolveCredentials } = require('./utils/credentialVault');
+const jobStore = require('./utils/jobStore');
+const progress = require('./utils/progress');
+const { startPurgeScheduler } = require('./utils/purgeScheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -34,22 +48,43 @@ app.use((req, res, next) => {
             url: req.originalUrl,
             statusCode: res.statusCode,
             duration: `${duration}ms`,
-            ip: req.ip
+            ip: req.ip,
+            user: req.authSession?.user.username
         });
     });
     next();
 });
 
+// Sign-in, then a session (and the right role) for every page and API call after this point
+app.use('/auth', authRouter);
+app.use(requireAuthentication);
+
 // Serve static files from public directory
 const publicPath = path.join(__dirname, '../public');
 app.use(express.static(publicPath));
 
+// Profile bodies carry authMethod/privateKey to store, not to authenticate with, so they skip resolveCredentials
+app.use('/api/credentials', credentialsRouter);
+
+// Requests that name a credential profile get its stored credentials before any route sees them
+// (multipart uploads are parsed inside their route, so the import router resolves those again after multer)
+app.use('/api', resolveCredentials);
+
 // API Routes
 app.use('/api/token', tokenRouter);
 app.use('/api/import', importRouter);
 app.use('/api/modify', modifyRouter);
 app.use('/api/delete', deleteRouter);
 app.use('/api/logs', logsRouter); // Register the new logs router
+app.use('/api/jobs', jobsRouter);
+app.use('/api/mappings', mappingsRouter);
+app.use('/api/validate', validateRouter);
+app.use('/api/export', exportRouter);
+app.use('/api/purge', purgeRouter);
+app.use('/api/snapshots', snapshotsRouter);
+
+// Server-Sent Events progress stream shared by every bulk operation
+app.get('/api/progress/:operationId', progress.subscribe);
 
 // Logging endpoint for client-side errors
 app.post('/api/log', (req, res) => {
@@ -102,6 +137,20 @@ app.use((error, req, res, next) => {
     res.status(500).json({ error: 'Internal Server Error' });
 });
 
+// Jobs left 'running' by a previous process can no longer finish - mark them resumable
+jobStore.recoverInterruptedJobs();
+
+// No sign-in configured means no start, unless local development opts out explicitly
+if (isSignInDisabled()) {
+    logManager.warn('Sign-in is disabled by INSECURE_DISABLE_SIGN_IN - anyone who can reach this server can manage users. Use this for local development only');
+} else if (!isAuthEnabled()) {
+    logManager.error('Sign-in is not configured: set OIDC_ISSUER and OIDC_CLIENT_ID (or INSECURE_DISABLE_SIGN_IN=true for local development)');
+    process.exit(1);
+}
+
+// Hard-delete soft-deleted users whose retention period has ended (needs PINGONE_* credentials in the environment)
+startPurgeScheduler();
+
 // Start server
 app.listen(PORT, () => {
     // Log server startup and configuration details
@@ -118,6 +167,7 @@ app.listen(PORT, () => {
 // Graceful shutdown
 const shutdown = (signal) => {
     logger.info(`${signal} received, shutting down gracefully.`);
+    jobStore.flushAllJobs();
     logManager.stopFileLogging();
     process.exit(0);
 };
@@ -0,0 +1,112 @@
+// Sign-in Routes
+// OIDC authorization code + PKCE sign-in, sign-out and the current user for the UI
+// Debugging: Check 'Sign-in ...' log entries; /auth/me reports whether sign-in is enabled at all
+
+const express = require('express');
+const logManager = require('../utils/logManager');
+const oidcClient = require('../utils/oidcClient');
+const sessionStore = require('../utils/sessionStore');
+
+const router = express.Router();
+
+// Only local paths, so the sign-in cannot be used as an open redirect
+function safeReturnTo(value) {
+    return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') && !value.startsWith('/auth/')
+        ? value
+        : '/';
+}
+
+function isSecureCookie() {
+    return oidcClient.OIDC_CONFIG.REDIRECT_URI.startsWith('https://');
+}
+
+// GET /auth/login - Redirect to the provider's sign-in page
+router.get('/login', async (req, res) => {
+    if (!oidcClient.isAuthEnabled()) {
+        return res.redirect('/');
+    }
+
+    try {
+        const { url, state, codeVerifier, nonce } = await oidcClient.createAuthorizationRequest();
+        sessionStore.savePendingLogin(state, { codeVerifier, nonce, returnTo: safeReturnTo(req.query.returnTo) });
+        res.redirect(url);
+    } catch (error) {
+        logManager.error('Sign-in could not start', { error: error.message });
+        res.status(502).send('<p>Sign-in is unavailable: the identity provider could not be reached.</p>');
+    }
+});
+
+// GET /auth/callback - Provider redirects back here with the authorization code
+router.get('/callback', async (req, res) => {
+    const { code, state, error, error_description: errorDescription } = req.query;
+    const login = sessionStore.takePendingLogin(state);
+
+    if (error) {
+        logManager.warn('Sign-in rejected by the provider', { error, errorDescription });
+        return res.status(401).send(`<p>Sign-in failed. <a href="/auth/login">Try again</a></p>`);
+    }
+    if (!login || !code) {
+        return res.status(400).send('<p>Sign-in expired or was not started here. <a href="/auth/login">Try again</a></p>');
+    }
+
+    try {
+        const tokens = await oidcClient.exchangeCode(code, login.codeVerifier);
+        const idClaims = await oidcClient.verifyIdToken(tokens.id_token, login.nonce);
+        const claims = { ...(await oidcClient.fetchUserInfo(tokens.access_token)), ...idClaims };
+        const role = oidcClient.resolveRole(claims);
+
+        if (!role) {
+            logManager.warn('Sign-in without a role', { sub: idClaims.sub });
+            return res.status(403).send('<p>Your account has no access to User Management (no admin, operator or viewer role). <a href="/auth/logout">Sign out</a></p>');
+        }
+
+        const session = sessionStore.createSession({
+            sub: idClaims.sub,
+            name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null,
+            username: claims.preferred_username || claims.email || idClaims.sub,
+            email: claims.email || null,
+            role
+        }, { idToken: tokens.id_token });
+        sessionStore.setSessionCookie(res, session, isSecureCookie());
+        logManager.info('Sign-in completed', { sub: idClaims.sub, role });
+        res.redirect(login.returnTo);
+    } catch (error) {
+        logManager.error('Sign-in failed', { error: error.message, status: error.response?.status });
+        res.status(401).send('<p>Sign-in failed. <a href="/auth/login">Try again</a></p>');
+    }
+});
+
+// POST /auth/logout - End the session here and, if the provider supports it, at the provider too
+// GET is accepted for the no-role page, which has no form
+async function logout(req, res) {
+    const session = sessionStore.destroySession(sessionStore.getSessionIdFromRequest(req));
+    sessionStore.clearSessionCookie(res);
+
+    if (!oidcClient.isAuthEnabled()) {
+        return res.redirect('/');
+    }
+    try {
+        const logoutUrl = await oidcClient.getLogoutUrl(session?.idToken);
+        res.redirect(logoutUrl || '/');
+    } catch (error) {
+        logManager.warn('Provider sign-out unavailable', { error: error.message });
+        res.redirect('/');
+    }
+}
+router.post('/logout', logout);
+router.get('/logout', logout);
+
+// GET /auth/me - Signed-in user for the sidebar and role-based UI; `user` is null when sign-in is disabled
+router.get('/me', (req, res) => {
+    if (!oidcClient.isAuthEnabled()) {
+        return res.json({ authEnabled: false, user: null });
+    }
+
+    const session = sessionStore.getSession(sessionStore.getSessionIdFromRequest(req));
+    if (!session) {
+        return res.status(401).json({ error: 'Authentication required', authEnabled: true, authRequired: true });
+    }
+    res.json({ authEnabled: true, user: session.user });
+});
+
+module.exports = router;
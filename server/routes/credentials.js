@@ -0,0 +1,119 @@
+// Credential Profile Routes
+// CRUD for the server-side credential vault; client secrets and private keys go in and are never sent back
+// Debugging: Profiles live in data/credentials/ - check 'Credential profile ...' log entries for changes
+
+const express = require('express');
+const logManager = require('../utils/logManager');
+const credentialVault = require('../utils/credentialVault');
+const { clearCachedToken } = require('./token');
+
+const router = express.Router();
+
+// Every endpoint needs the master key
+router.use((req, res, next) => {
+    if (!credentialVault.isVaultEnabled()) {
+        return res.status(503).json({
+            error: 'Credential vault is disabled',
+            details: 'Set CREDENTIAL_VAULT_KEY on the server to store credentials'
+        });
+    }
+    next();
+});
+
+// GET /api/credentials - List profiles (without secrets)
+router.get('/', (req, res) => {
+    try {
+        res.json({ success: true, profiles: credentialVault.listProfiles() });
+    } catch (error) {
+        logManager.error('Failed to list credential profiles', { error: error.message });
+        res.status(500).json({ error: 'Failed to list credential profiles', details: error.message });
+    }
+});
+
+// GET /api/credentials/:id - Single profile (without its secret)
+router.get('/:id', (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!credentialVault.isValidCredentialId(id)) {
+            return res.status(400).json({ error: 'Invalid credential profile ID' });
+        }
+
+        const profile = credentialVault.getProfile(id);
+        if (!profile) {
+            return res.status(404).json({ error: 'Credential profile not found' });
+        }
+
+        res.json({ success: true, profile });
+    } catch (error) {
+        logManager.error('Failed to get credential profile', { id: req.params.id, error: error.message });
+        res.status(500).json({ error: 'Failed to get credential profile', details: error.message });
+    }
+});
+
+// POST /api/credentials - Store credentials; the response carries the new profile ID, never the secret
+router.post('/', (req, res) => {
+    try {
+        const errors = credentialVault.validateProfile(req.body, null);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid credential profile', details: errors });
+        }
+
+        const profile = credentialVault.createProfile(req.body);
+        res.status(201).json({ success: true, profile });
+    } catch (error) {
+        logManager.error('Failed to create credential profile', { error: error.message });
+        res.status(500).json({ error: 'Failed to create credential profile', details: error.message });
+    }
+});
+
+// PUT /api/credentials/:id - Replace a profile; leave clientSecret/privateKey out (or empty) to keep the stored ones
+router.put('/:id', (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!credentialVault.isValidCredentialId(id)) {
+            return res.status(400).json({ error: 'Invalid credential profile ID' });
+        }
+
+        const existing = credentialVault.getProfile(id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Credential profile not found' });
+        }
+
+        const errors = credentialVault.validateProfile(req.body, existing);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid credential profile', details: errors });
+        }
+
+        // A token cached for the old secret or key would hide a wrong new one until it expires
+        if (req.body.clientSecret || req.body.privateKey) {
+            clearCachedToken(existing.environmentId, existing.clientId, existing.region);
+        }
+        res.json({ success: true, profile: credentialVault.updateProfile(id, req.body) });
+    } catch (error) {
+        logManager.error('Failed to update credential profile', { id: req.params.id, error: error.message });
+        res.status(500).json({ error: 'Failed to update credential profile', details: error.message });
+    }
+});
+
+// DELETE /api/credentials/:id - Remove a profile and its secret
+router.delete('/:id', (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!credentialVault.isValidCredentialId(id)) {
+            return res.status(400).json({ error: 'Invalid credential profile ID' });
+        }
+
+        const existing = credentialVault.getProfile(id);
+        if (!existing || !credentialVault.deleteProfile(id)) {
+            return res.status(404).json({ error: 'Credential profile not found' });
+        }
+        clearCachedToken(existing.environmentId, existing.clientId, existing.region);
+
+        res.json({ success: true, id });
+    } catch (error) {
+        logManager.error('Failed to delete credential profile', { id: req.params.id, error: error.message });
+        res.status(500).json({ error: 'Failed to delete credential profile', details: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,12 +1,72 @@
 const express = require('express');
 const axios = require('axios');
+const crypto = require('crypto');
 const logManager = require('../utils/logManager');
+const { getRequestRegion, requireValidRegion, getApiBaseUrl } = require('../utils/pingoneRegions');
 const { getWorkerToken, getUserIdByUsername } = require('./token');
+const { runWorkerPool } = require('../utils/workerPool');
+const jobStore = require('../utils/jobStore');
+const { sendProgressUpdate } = require('../utils/progress');
+const { getPopulationContext, resolvePopulationId, mapUserToRow } = require('../utils/userMapping');
+const { buildUserFilter, forEachUserPage } = require('../utils/userSearch');
+const purgeStore = require('../utils/purgeStore');
+const { setUserEnabled, getSoftDeleteError } = require('../utils/purgeScheduler');
+const snapshotStore = require('../utils/snapshotStore');
+const { requireProductionConfirmation } = require('../utils/credentialVault');
 
 const router = express.Router();
 
+// Filter deletes must quote a preview from /by-filter/preview and repeat its confirmation text
+const FILTER_DELETE_CONFIG = {
+    PREVIEW_TTL: 10 * 60 * 1000, // Previews expire after 10 minutes
+    SAMPLE_SIZE: 10
+};
+
+// CSV columns a bulk delete can match users by, in auto-detect priority order
+const DELETE_IDENTIFIERS = ['userId', 'username', 'email', 'externalId'];
+
+// previewId -> { environmentId, filter, userIds, confirmationText, expiresAt }
+// DEBUG: Previews live in memory, so a server restart means previewing again
+const filterDeletePreviews = new Map();
+
+// An unknown region or base URL is a 400 like on /api/token, not a 500 from the first PingOne call
+router.use(requireValidRegion);
+
+// Every endpoint takes `mode` ('delete' or 'disable') and, for disable, `retentionDays` before the purge
+router.use((req, res, next) => {
+    const body = req.body || {};
+    if (purgeStore.getDeleteMode(body) === null) {
+        return res.status(400).json({
+            error: 'Invalid mode',
+            details: `mode must be one of: ${purgeStore.DELETE_MODES.join(', ')}`
+        });
+    }
+    if (purgeStore.getRetentionDays(body.retentionDays) === null) {
+        return res.status(400).json({
+            error: 'Invalid retentionDays',
+            details: `retentionDays must be a whole number of days between 1 and ${purgeStore.PURGE_CONFIG.MAX_RETENTION_DAYS}`
+        });
+    }
+    // Disabled users must be purged later without anyone calling /api/purge/run
+    const softDeleteError = purgeStore.getDeleteMode(body) === 'disable' && body.environmentId && getSoftDeleteError(body.environmentId);
+    if (softDeleteError) {
+        return res.status(400).json(softDeleteError);
+    }
+    next();
+});
+
+// Production environment profiles need the environment name typed back (confirmEnvironment); the filter preview only reads
+router.use((req, res, next) => {
+    if (req.path === '/by-filter/preview') {
+        return next();
+    }
+    requireProductionConfirmation(req, res, next);
+});
+
 // DELETE /api/delete/user/:userId - Delete a specific user
 router.delete('/user/:userId', async (req, res) => {
+    const operationId = jobStore.createOperationId('delete', req.body?.operationId);
+
     try {
         const { userId } = req.params;
         const { environmentId, clientId, clientSecret } = req.body;
@@ -22,26 +82,28 @@ router.delete('/user/:userId', async (req, res) => {
             environmentId
         });
 
-        const token = await getWorkerToken(environmentId, clientId, clientSecret);
+        const region = getRequestRegion(req.body);
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
         
-        await axios.delete(
-            `https://api.pingone.com/v1/environments/${environmentId}/users/${userId}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const pending = await removeUser({ id: userId }, {
+            environmentId,
+            token,
+            region,
+            operationId,
+            mode: purgeStore.getDeleteMode(req.body),
+            retentionDays: req.body.retentionDays
+        });
 
-        logManager.info('User deleted successfully', {
+        logManager.info(pending ? 'User disabled successfully' : 'User deleted successfully', {
             userId,
             environmentId
         });
 
         res.json({
             success: true,
-            message: 'User deleted successfully'
+            operationId,
+            message: removalMessage(pending),
+            purgeAfter: pending?.purgeAfter
         });
 
     } catch (error) {
@@ -70,6 +132,8 @@ router.delete('/user/:userId', async (req, res) => {
 
 // POST /api/delete/bulk - Bulk delete users
 router.post('/bulk', async (req, res) => {
+    const operationId = jobStore.createOperationId('delete', req.body?.operationId);
+
     try {
         const { userIds, environmentId, clientId, clientSecret } = req.body;
         
@@ -79,51 +143,75 @@ router.post('/bulk', async (req, res) => {
             });
         }
 
-        logManager.info('Starting bulk user deletion', {
+        const dryRun = req.body.dryRun === true;
+        const mode = purgeStore.getDeleteMode(req.body);
+        const retentionDays = purgeStore.getRetentionDays(req.body.retentionDays);
+
+        logManager.info(dryRun ? 'Starting bulk user deletion dry run' : 'Starting bulk user deletion', {
             userCount: userIds.length,
-            environmentId
+            environmentId,
+            operationId,
+            mode
         });
 
-        const token = await getWorkerToken(environmentId, clientId, clientSecret);
-        const results = [];
-        let successCount = 0;
-        let errorCount = 0;
-        const startTime = Date.now();
+        const region = getRequestRegion(req.body);
 
-        for (const userId of userIds) {
-            try {
-                await axios.delete(
-                    `https://api.pingone.com/v1/environments/${environmentId}/users/${userId}`,
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${token}`,
-                            'Content-Type': 'application/json'
-                        }
-                    }
-                );
-
-                results.push({
-                    userId,
-                    status: 'success',
-                    message: 'User deleted successfully'
-                });
-                
-                successCount++;
-                
-            } catch (error) {
-                const errorMessage = error.response?.data?.detail || error.message;
-                
-                results.push({
-                    userId,
-                    status: 'error',
-                    message: errorMessage
-                });
-                
-                errorCount++;
-            }
+        // Record the run so it can be inspected and resumed from /api/jobs (dry runs write nothing, so there is nothing to resume)
+        if (!dryRun) {
+            jobStore.createJob({
+                operationId,
+                type: 'delete',
+                rows: userIds,
+                options: { environmentId, region, identifier: 'userId', mode, retentionDays }
+            });
         }
 
+        sendProgressUpdate(operationId, {
+            type: 'progress',
+            current: 0,
+            total: userIds.length,
+            success: 0,
+            errors: 0,
+            skipped: 0,
+            message: 'Getting authentication token...'
+        });
+
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
+        const startTime = Date.now();
+
+        const { results, successCount, errorCount, notFoundCount, cancelledCount } = await deleteUserRows(userIds, {
+            identifier: 'userId',
+            environmentId,
+            token,
+            region,
+            operationId,
+            concurrency: req.body.concurrency,
+            mode,
+            retentionDays,
+            dryRun
+        });
+
         const duration = Date.now() - startTime;
+        const cancelled = cancelledCount > 0;
+        jobStore.completeJob(operationId, cancelled ? 'cancelled' : 'completed', { duration });
+
+        // Send completion update (a cancelled run has already sent its 'cancelled' event)
+        if (!cancelled) {
+            sendProgressUpdate(operationId, {
+                type: 'complete',
+                current: userIds.length,
+                total: userIds.length,
+                success: successCount,
+                errors: errorCount,
+                skipped: notFoundCount,
+                duration,
+                message: dryRun ? 'Dry run completed' : 'Delete completed'
+            });
+        }
+
+        if (dryRun) {
+            return sendDeletePlan(res, { operationId, results, successCount, errorCount, notFoundCount, cancelledCount, duration });
+        }
         
         // Enhanced totals logging
         logManager.info('DELETE TOTALS - Bulk User Deletion Completed', {
@@ -146,15 +234,26 @@ router.post('/bulk', async (req, res) => {
 
         res.json({
             success: true,
+            cancelled,
             results,
+            operationId,
             summary: {
                 total: userIds.length,
                 successful: successCount,
-                failed: errorCount
+                failed: errorCount,
+                notProcessed: cancelledCount
             }
         });
 
     } catch (error) {
+        jobStore.completeJob(operationId, 'failed', { error: error.message });
+
+        sendProgressUpdate(operationId, {
+            type: 'error',
+            message: error.message,
+            error: true
+        });
+
         logManager.error('Bulk user deletion error', {
             error: error.message,
             stack: error.stack
@@ -162,13 +261,16 @@ router.post('/bulk', async (req, res) => {
 
         res.status(500).json({
             error: 'Failed to perform bulk user deletion',
-            details: error.message
+            details: error.message,
+            operationId
         });
     }
 });
 
 // POST /api/delete/by-username - Delete user by username
 router.post('/by-username', async (req, res) => {
+    const operationId = jobStore.createOperationId('delete', req.body?.operationId);
+
     try {
         const { username, environmentId, clientId, clientSecret } = req.body;
         
@@ -183,62 +285,44 @@ router.post('/by-username', async (req, res) => {
             environmentId
         });
 
-        const token = await getWorkerToken(environmentId, clientId, clientSecret);
-        
-        // First, find the user by username
-        logManager.info('Searching for user', {
-            username,
-            filter: `username eq "${username}"`
-        });
+        const region = getRequestRegion(req.body);
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
         
-        const searchResponse = await axios.get(
-            `https://api.pingone.com/v1/environments/${environmentId}/users`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                params: {
-                    filter: `username eq "${username}"`
-                }
-            }
-        );
+        // Find the user first; several matches are reported, never resolved by deleting the first one
+        const userIds = await findUserIds('username', username, environmentId, token, region);
 
         logManager.info('Search response', {
             username,
-            found: searchResponse.data._embedded?.users?.length || 0,
-            total: searchResponse.data.count || 0
+            found: userIds.length
         });
 
-        if (!searchResponse.data._embedded || !searchResponse.data._embedded.users || searchResponse.data._embedded.users.length === 0) {
-            logManager.warn('User not found in search', {
-                username,
-                responseData: searchResponse.data
-            });
+        if (userIds.length === 0) {
+            logManager.warn('User not found in search', { username });
             return res.status(404).json({
                 error: 'User not found',
                 details: `No user found with username: ${username}`
             });
         }
+        if (userIds.length > 1) {
+            return res.status(409).json(ambiguousMatchError('username', username, userIds));
+        }
 
-        const user = searchResponse.data._embedded.users[0];
+        const user = { id: userIds[0], username };
         
         logManager.info('Found user, attempting deletion', {
             username,
-            userId: user.id,
-            userEmail: user.email
+            userId: user.id
         });
         
-        // Delete the user
-        await axios.delete(
-            `https://api.pingone.com/v1/environments/${environmentId}/users/${user.id}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        // Delete (or disable) the user
+        const pending = await removeUser(user, {
+            environmentId,
+            token,
+            region,
+            operationId,
+            mode: purgeStore.getDeleteMode(req.body),
+            retentionDays: req.body.retentionDays
+        });
 
         logManager.info('User deleted by username successfully', {
             username,
@@ -248,8 +332,10 @@ router.post('/by-username', async (req, res) => {
 
         res.json({
             success: true,
+            operationId,
             userId: user.id,
-            message: 'User deleted successfully'
+            message: removalMessage(pending),
+            purgeAfter: pending?.purgeAfter
         });
 
     } catch (error) {
@@ -283,6 +369,8 @@ router.post('/by-username', async (req, res) => {
 
 // POST /api/delete/by-email - Delete user by email
 router.post('/by-email', async (req, res) => {
+    const operationId = jobStore.createOperationId('delete', req.body?.operationId);
+
     try {
         const { email, environmentId, clientId, clientSecret } = req.body;
         
@@ -297,40 +385,32 @@ router.post('/by-email', async (req, res) => {
             environmentId
         });
 
-        const token = await getWorkerToken(environmentId, clientId, clientSecret);
+        const region = getRequestRegion(req.body);
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
         
-        // First, find the user by email
-        const searchResponse = await axios.get(
-            `https://api.pingone.com/v1/environments/${environmentId}/users`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                params: {
-                    filter: `email eq "${email}"`
-                }
-            }
-        );
+        // Find the user first; several users may share an email, and then nothing is deleted
+        const userIds = await findUserIds('email', email, environmentId, token, region);
 
-        if (!searchResponse.data._embedded || !searchResponse.data._embedded.users || searchResponse.data._embedded.users.length === 0) {
+        if (userIds.length === 0) {
             return res.status(404).json({
                 error: 'User not found'
             });
         }
+        if (userIds.length > 1) {
+            return res.status(409).json(ambiguousMatchError('email', email, userIds));
+        }
 
-        const user = searchResponse.data._embedded.users[0];
+        const user = { id: userIds[0], email };
         
-        // Delete the user
-        await axios.delete(
-            `https://api.pingone.com/v1/environments/${environmentId}/users/${user.id}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        // Delete (or disable) the user
+        const pending = await removeUser(user, {
+            environmentId,
+            token,
+            region,
+            operationId,
+            mode: purgeStore.getDeleteMode(req.body),
+            retentionDays: req.body.retentionDays
+        });
 
         logManager.info('User deleted by email successfully', {
             email,
@@ -340,8 +420,10 @@ router.post('/by-email', async (req, res) => {
 
         res.json({
             success: true,
+            operationId,
             userId: user.id,
-            message: 'User deleted successfully'
+            message: removalMessage(pending),
+            purgeAfter: pending?.purgeAfter
         });
 
     } catch (error) {
@@ -369,96 +451,144 @@ router.post('/by-email', async (req, res) => {
 });
 
 // Main endpoint for bulk delete, now at /api/delete
+// Body: CSV rows in `users` matched by `identifier` (userId, username, email, externalId or 'auto', the default),
+// or the older `usernames` array
 router.post('/', async (req, res) => {
+    const operationId = jobStore.createOperationId('delete', req.body?.operationId);
+
     try {
-        const { usernames, environmentId, clientId, clientSecret } = req.body;
+        const { usernames, users, environmentId, clientId, clientSecret } = req.body;
 
-        if (!usernames || !Array.isArray(usernames) || !environmentId || !clientId || !clientSecret) {
+        if ((!Array.isArray(usernames) && !Array.isArray(users)) || !environmentId || !clientId || !clientSecret) {
             return res.status(400).json({
-                error: 'Missing required fields: usernames (array), environmentId, clientId, clientSecret'
+                error: 'Missing required fields: users or usernames (array), environmentId, clientId, clientSecret'
             });
         }
 
-        logManager.info('Starting bulk user deletion by username', {
-            userCount: usernames.length,
-            environmentId
+        let identifier = 'username';
+        let values = usernames;
+        if (Array.isArray(users)) {
+            const requested = req.body.identifier;
+            identifier = requested && requested !== 'auto' ? requested : detectDeleteIdentifier(users);
+            if (!identifier) {
+                return res.status(400).json({
+                    error: 'No identifier column',
+                    details: `The rows need one of these columns: ${DELETE_IDENTIFIERS.join(', ')}`
+                });
+            }
+            if (!DELETE_IDENTIFIERS.includes(identifier)) {
+                return res.status(400).json({
+                    error: 'Invalid identifier',
+                    details: `identifier must be 'auto' or one of: ${DELETE_IDENTIFIERS.join(', ')}`
+                });
+            }
+            values = users.map(row => getRowValue(row, identifier));
+        }
+
+        const mode = purgeStore.getDeleteMode(req.body);
+        const retentionDays = purgeStore.getRetentionDays(req.body.retentionDays);
+
+        logManager.info(`Starting bulk user deletion by ${identifier}`, {
+            userCount: values.length,
+            environmentId,
+            operationId,
+            mode
         });
 
-        const token = await getWorkerToken(environmentId, clientId, clientSecret);
-        const results = [];
-        let successCount = 0;
-        let errorCount = 0;
-        let notFoundCount = 0;
-        const startTime = Date.now();
+        const region = getRequestRegion(req.body);
+        const dryRun = req.body.dryRun === true;
 
-        for (const username of usernames) {
-            try {
-                // Find the user by username first
-                const searchResponse = await axios.get(
-                    `https://api.pingone.com/v1/environments/${environmentId}/users?filter=username eq "${username}"`,
-                    {
-                        headers: { 'Authorization': `Bearer ${token}` }
-                    }
-                );
-
-                if (searchResponse.data._embedded?.users?.length > 0) {
-                    const userId = searchResponse.data._embedded.users[0].id;
-
-                    // Delete the user by ID
-                    await axios.delete(
-                        `https://api.pingone.com/v1/environments/${environmentId}/users/${userId}`,
-                        {
-                            headers: { 'Authorization': `Bearer ${token}` }
-                        }
-                    );
-
-                    results.push({
-                        username,
-                        status: 'deleted',
-                        message: 'User deleted successfully'
-                    });
-                    successCount++;
-                } else {
-                    results.push({
-                        username,
-                        status: 'not_found',
-                        message: 'User not found'
-                    });
-                    notFoundCount++;
-                }
-            } catch (error) {
-                const errorMessage = error.response?.data?.message || error.message;
-                results.push({
-                    username,
-                    status: 'error',
-                    message: errorMessage
-                });
-                errorCount++;
-            }
+        // Record the run so it can be inspected and resumed from /api/jobs (dry runs write nothing, so there is nothing to resume)
+        if (!dryRun) {
+            jobStore.createJob({
+                operationId,
+                type: 'delete',
+                rows: values,
+                options: { environmentId, region, identifier, mode, retentionDays }
+            });
         }
 
+        sendProgressUpdate(operationId, {
+            type: 'progress',
+            current: 0,
+            total: values.length,
+            success: 0,
+            errors: 0,
+            skipped: 0,
+            message: 'Getting authentication token...'
+        });
+
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
+        const startTime = Date.now();
+
+        const { results, successCount, errorCount, notFoundCount, ambiguousCount, cancelledCount } = await deleteUserRows(values, {
+            identifier,
+            environmentId,
+            token,
+            region,
+            operationId,
+            concurrency: req.body.concurrency,
+            mode,
+            retentionDays,
+            dryRun
+        });
+
         const duration = Date.now() - startTime;
-        logManager.logDeleteOperation(successCount, usernames.length, notFoundCount, duration);
+        const cancelled = cancelledCount > 0;
+        jobStore.completeJob(operationId, cancelled ? 'cancelled' : 'completed', { duration });
+
+        // Send completion update (a cancelled run has already sent its 'cancelled' event)
+        if (!cancelled) {
+            sendProgressUpdate(operationId, {
+                type: 'complete',
+                current: values.length,
+                total: values.length,
+                success: successCount,
+                errors: errorCount,
+                skipped: notFoundCount + ambiguousCount,
+                duration,
+                message: dryRun ? 'Dry run completed' : 'Delete completed'
+            });
+        }
+
+        if (dryRun) {
+            return sendDeletePlan(res, { operationId, identifier, results, successCount, errorCount, notFoundCount, ambiguousCount, cancelledCount, duration });
+        }
+        logManager.logDeleteOperation(successCount, values.length, notFoundCount, duration);
 
         res.json({
             success: true,
+            cancelled,
             results,
+            operationId,
+            identifier,
             summary: {
-                total: usernames.length,
+                total: values.length,
                 successful: successCount,
                 failed: errorCount,
-                notFound: notFoundCount
+                notFound: notFoundCount,
+                ambiguous: ambiguousCount,
+                notProcessed: cancelledCount
             }
         });
 
     } catch (error) {
+        jobStore.completeJob(operationId, 'failed', { error: error.message });
+
+        sendProgressUpdate(operationId, {
+            type: 'error',
+            message: error.message,
+            error: true
+        });
+
         logManager.error('Bulk user deletion error', {
             error: error.message,
             stack: error.stack
         });
         res.status(500).json({
             error: 'Failed to perform bulk user deletion',
-            details: error.message
+            details: error.message,
+            operationId
         });
     }
 });
@@ -466,29 +596,39 @@ router.post('/', async (req, res) => {
 // POST /api/delete/user - Delete a single user by username
 router.post('/user', async (req, res) => {
     const { username, environmentId, clientId, clientSecret } = req.body;
+    const operationId = jobStore.createOperationId('delete', req.body.operationId);
 
     if (!username || !environmentId || !clientId || !clientSecret) {
         return res.status(400).json({ success: false, message: 'Missing required fields.' });
     }
 
     try {
-        const token = await getWorkerToken(environmentId, clientId, clientSecret);
-        const userId = await getUserIdByUsername(username, environmentId, token);
+        const region = getRequestRegion(req.body);
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
+        const userId = await getUserIdByUsername(username, environmentId, token, region);
 
         if (!userId) {
             return res.status(404).json({ success: false, message: `User '${username}' not found.` });
         }
 
-        await deleteUserById(userId, environmentId, token);
+        const pending = await removeUser({ id: userId, username }, {
+            environmentId,
+            token,
+            region,
+            operationId,
+            mode: purgeStore.getDeleteMode(req.body),
+            retentionDays: req.body.retentionDays
+        });
 
         const result = {
             username,
-            status: 'deleted',
-            message: 'User deleted successfully',
+            status: pending ? 'disabled' : 'deleted',
+            message: removalMessage(pending),
+            purgeAfter: pending?.purgeAfter
         };
 
         logManager.info('Single user deleted successfully', { username, userId });
-        res.json({ success: true, results: [result] });
+        res.json({ success: true, operationId, results: [result] });
 
     } catch (error) {
         const errorMessage = error.response?.data?.details?.[0]?.message || error.message;
@@ -497,4 +637,574 @@ router.post('/user', async (req, res) => {
     }
 });
 
+// POST /api/delete/by-filter/preview - Find the users a filter delete would remove (read-only)
+// Body: credentials plus a SCIM `filter` (e.g. username sw "test_") and/or `populationId`/`populationName`
+router.post('/by-filter/preview', async (req, res) => {
+    try {
+        const { environmentId, clientId, clientSecret, populationId, populationName } = req.body;
+
+        if (!environmentId || !clientId || !clientSecret) {
+            return res.status(400).json({
+                error: 'Missing required fields: environmentId, clientId, clientSecret'
+            });
+        }
+
+        // Never match the whole environment by accident
+        const scimFilter = typeof req.body.filter === 'string' ? req.body.filter.trim() : '';
+        if (!scimFilter && !populationId && !populationName) {
+            return res.status(400).json({
+                error: 'Missing filter',
+                details: 'Send a SCIM `filter`, a `populationId`/`populationName`, or both'
+            });
+        }
+
+        const region = getRequestRegion(req.body);
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
+        const populationContext = await getPopulationContext(environmentId, token, region);
+
+        let deletePopulationId = null;
+        if (populationId || populationName) {
+            try {
+                deletePopulationId = resolvePopulationId({ populationId, populationName }, populationContext);
+            } catch (error) {
+                return res.status(400).json({ error: 'Unknown population', details: error.message });
+            }
+        }
+
+        const filter = buildUserFilter(scimFilter, deletePopulationId);
+        const userIds = [];
+        const sample = [];
+        await forEachUserPage({ environmentId, accessToken: token, region, filter }, (users) => {
+            for (const user of users) {
+                userIds.push(user.id);
+                if (sample.length < FILTER_DELETE_CONFIG.SAMPLE_SIZE) {
+                    const row = mapUserToRow(user, populationContext);
+                    sample.push({ userId: row.userId, username: row.username, email: row.email, populationName: row.populationName });
+                }
+            }
+        });
+
+        // Drop expired previews so the map doesn't grow
+        const now = Date.now();
+        for (const [id, preview] of filterDeletePreviews) {
+            if (preview.expiresAt <= now) filterDeletePreviews.delete(id);
+        }
+
+        let previewId = null;
+        const confirmationText = `DELETE ${userIds.length}`;
+        if (userIds.length > 0) {
+            previewId = crypto.randomBytes(16).toString('hex');
+            filterDeletePreviews.set(previewId, {
+                environmentId,
+                filter,
+                userIds,
+                confirmationText,
+                expiresAt: now + FILTER_DELETE_CONFIG.PREVIEW_TTL
+            });
+        }
+
+        logManager.info('Filter delete preview', { environmentId, filter, matchCount: userIds.length, previewId });
+
+        res.json({
+            success: true,
+            previewId,
+            filter,
+            matchCount: userIds.length,
+            sample,
+            confirmationText: previewId ? confirmationText : null,
+            expiresAt: previewId ? new Date(now + FILTER_DELETE_CONFIG.PREVIEW_TTL).toISOString() : null
+        });
+
+    } catch (error) {
+        // PingOne rejects malformed SCIM filters with a 400
+        const invalidFilter = error.response?.status === 400;
+        const details = error.response?.data?.details?.[0]?.message || error.response?.data?.message || error.message;
+
+        logManager.error('Filter delete preview error', {
+            error: error.message,
+            responseData: error.response?.data
+        });
+
+        res.status(invalidFilter ? 400 : 500).json({
+            error: invalidFilter ? 'Invalid filter' : 'Failed to preview filter delete',
+            details
+        });
+    }
+});
+
+// POST /api/delete/by-filter - Delete exactly the users matched by a preview
+// Body: credentials, `previewId` from /by-filter/preview and `confirmation` equal to its confirmationText
+// Users created after the preview are never touched; users deleted since then fail with PingOne's 404
+router.post('/by-filter', async (req, res) => {
+    const operationId = jobStore.createOperationId('delete', req.body?.operationId);
+
+    try {
+        const { environmentId, clientId, clientSecret, previewId, confirmation } = req.body;
+
+        if (!environmentId || !clientId || !clientSecret || !previewId) {
+            return res.status(400).json({
+                error: 'Missing required fields: previewId, environmentId, clientId, clientSecret'
+            });
+        }
+
+        const preview = filterDeletePreviews.get(previewId);
+        if (!preview || preview.expiresAt <= Date.now()) {
+            filterDeletePreviews.delete(previewId);
+            return res.status(404).json({
+                error: 'Preview not found',
+                details: 'The preview has expired or was already used - preview the filter again'
+            });
+        }
+
+        if (preview.environmentId !== environmentId) {
+            return res.status(400).json({
+                error: 'Environment mismatch',
+                details: 'The preview was made for a different environment'
+            });
+        }
+
+        if (String(confirmation || '').trim() !== preview.confirmationText) {
+            return res.status(400).json({
+                error: 'Confirmation does not match',
+                details: `Type "${preview.confirmationText}" to confirm`
+            });
+        }
+
+        // A preview confirms one run only
+        filterDeletePreviews.delete(previewId);
+        const { userIds, filter } = preview;
+        const mode = purgeStore.getDeleteMode(req.body);
+        const retentionDays = purgeStore.getRetentionDays(req.body.retentionDays);
+
+        logManager.info('Starting filter user deletion', { environmentId, operationId, filter, userCount: userIds.length, mode });
+        logManager.logUserAction('operation_start', { operation: 'Delete by filter', recordCount: userIds.length });
+
+        const region = getRequestRegion(req.body);
+
+        // Recorded like a bulk delete by user ID, so the run can be inspected, reported and resumed from /api/jobs
+        jobStore.createJob({
+            operationId,
+            type: 'delete',
+            rows: userIds,
+            options: { environmentId, region, identifier: 'userId', filter, mode, retentionDays }
+        });
+
+        sendProgressUpdate(operationId, {
+            type: 'progress',
+            current: 0,
+            total: userIds.length,
+            success: 0,
+            errors: 0,
+            skipped: 0,
+            message: 'Getting authentication token...'
+        });
+
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
+        const startTime = Date.now();
+
+        const { results, successCount, errorCount, notFoundCount, cancelledCount } = await deleteUserRows(userIds, {
+            identifier: 'userId',
+            environmentId,
+            token,
+            region,
+            operationId,
+            concurrency: req.body.concurrency,
+            mode,
+            retentionDays
+        });
+
+        const duration = Date.now() - startTime;
+        const cancelled = cancelledCount > 0;
+        jobStore.completeJob(operationId, cancelled ? 'cancelled' : 'completed', { duration });
+
+        if (!cancelled) {
+            sendProgressUpdate(operationId, {
+                type: 'complete',
+                current: userIds.length,
+                total: userIds.length,
+                success: successCount,
+                errors: errorCount,
+                skipped: notFoundCount,
+                duration,
+                message: 'Delete completed'
+            });
+        }
+
+        logManager.logStructured(`DELETE TOTALS: Total=${userIds.length}, Deleted=${successCount}, Failed=${errorCount}, Skipped=${notFoundCount}, Duration=${duration}ms`);
+        logManager.info('Filter user deletion completed', {
+            operationId,
+            filter,
+            total: userIds.length,
+            successCount,
+            errorCount,
+            notFoundCount
+        });
+
+        res.json({
+            success: true,
+            cancelled,
+            results,
+            operationId,
+            filter,
+            summary: {
+                total: userIds.length,
+                successful: successCount,
+                failed: errorCount,
+                notFound: notFoundCount,
+                notProcessed: cancelledCount
+            }
+        });
+
+    } catch (error) {
+        jobStore.completeJob(operationId, 'failed', { error: error.message });
+
+        sendProgressUpdate(operationId, {
+            type: 'error',
+            message: error.message,
+            error: true
+        });
+
+        logManager.error('Filter user deletion error', {
+            error: error.message,
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            error: 'Failed to delete users by filter',
+            details: error.message,
+            operationId
+        });
+    }
+});
+
+// Helper function to delete rows through the shared worker pool
+// identifier is 'userId' (rows are PingOne IDs) or 'username', 'email' or 'externalId' (rows are looked up first)
+// A lookup matching several users (shared email or externalId) is reported as 'ambiguous' and nothing is deleted
+// Results keep the input order; context.rowIndexes maps rows back to a stored job when resuming
+// With context.dryRun users are only looked up; 'planned' rows name the user ID a real run would delete
+// With context.mode 'disable' users are disabled and queued for purge instead of deleted (status 'disabled')
+async function deleteUserRows(rows, context) {
+    const { identifier, environmentId, token, region, operationId, concurrency, rowIndexes, dryRun, mode, retentionDays } = context;
+    const removeContext = { environmentId, token, region, operationId, mode, retentionDays };
+    const results = new Array(rows.length);
+    let successCount = 0;
+    let errorCount = 0;
+    let notFoundCount = 0;
+    let ambiguousCount = 0;
+
+    await runWorkerPool(rows, async (value) => {
+        if (!value) {
+            throw new Error(`Row has no ${identifier} value`);
+        }
+
+        if (identifier === 'userId') {
+            if (dryRun) {
+                const exists = await userExists(value, environmentId, token, region);
+                return { userId: exists ? value : null };
+            }
+            const pending = await removeUser({ id: value }, removeContext);
+            return { userId: value, pending };
+        }
+
+        // Find the user first
+        const userIds = await findUserIds(identifier, value, environmentId, token, region);
+        if (userIds.length > 1) {
+            return { ambiguous: userIds };
+        }
+        const userId = userIds[0] || null;
+        if (!userId || dryRun) {
+            return { userId };
+        }
+
+        // Delete (or disable) the user by ID
+        const pending = await removeUser({ id: userId, [identifier]: value }, removeContext);
+        return { userId, pending };
+    }, {
+        concurrency,
+        shouldStop: () => jobStore.isCancelRequested(operationId),
+        onSettled: ({ index, value, error }) => {
+            const row = { [identifier]: rows[index] };
+
+            if (error) {
+                const errorMessage = error.response?.data?.detail || error.response?.data?.message || error.message;
+                results[index] = {
+                    ...row,
+                    status: 'error',
+                    message: errorMessage,
+                    error: error.response?.data
+                };
+                errorCount++;
+            } else if (value.ambiguous) {
+                results[index] = {
+                    ...row,
+                    status: 'ambiguous',
+                    message: `Matches ${value.ambiguous.length} users - not deleted (${value.ambiguous.join(', ')})`,
+                    matchedUserIds: value.ambiguous
+                };
+                ambiguousCount++;
+            } else if (value.userId && dryRun) {
+                results[index] = {
+                    ...row,
+                    userId: value.userId,
+                    status: 'planned',
+                    action: mode === 'disable' ? 'disable' : 'delete',
+                    message: `Would ${mode === 'disable' ? 'disable' : 'delete'} user id ${value.userId}`
+                };
+                successCount++;
+            } else if (value.pending) {
+                results[index] = {
+                    ...row,
+                    userId: value.userId,
+                    status: 'disabled',
+                    message: removalMessage(value.pending),
+                    purgeAfter: value.pending.purgeAfter
+                };
+                successCount++;
+            } else if (value.userId) {
+                results[index] = {
+                    ...row,
+                    userId: value.userId,
+                    status: identifier === 'userId' ? 'success' : 'deleted',
+                    message: 'User deleted successfully'
+                };
+                successCount++;
+            } else {
+                results[index] = {
+                    ...row,
+                    status: 'not_found',
+                    message: 'User not found'
+                };
+                notFoundCount++;
+            }
+
+            jobStore.updateRow(operationId, rowIndexes ? rowIndexes[index] : index, results[index]);
+
+            // Users that no longer exist and ambiguous matches count as skipped
+            const processedCount = successCount + errorCount + notFoundCount + ambiguousCount;
+            sendProgressUpdate(operationId, {
+                type: 'progress',
+                current: processedCount,
+                total: rows.length,
+                success: successCount,
+                errors: errorCount,
+                skipped: notFoundCount + ambiguousCount,
+                message: `Processing user ${processedCount} of ${rows.length}`
+            });
+        }
+    });
+
+    // Rows the pool never started because the run was cancelled
+    let cancelledCount = 0;
+    rows.forEach((value, index) => {
+        if (results[index]) return;
+        results[index] = {
+            [identifier]: value,
+            status: 'cancelled',
+            message: 'Not processed (operation cancelled)'
+        };
+        jobStore.updateRow(operationId, rowIndexes ? rowIndexes[index] : index, results[index]);
+        cancelledCount++;
+    });
+
+    if (cancelledCount > 0) {
+        const processedCount = successCount + errorCount + notFoundCount + ambiguousCount;
+        logManager.warn('Bulk user deletion cancelled', {
+            operationId,
+            processed: processedCount,
+            notProcessed: cancelledCount,
+            total: rows.length
+        });
+
+        sendProgressUpdate(operationId, {
+            type: 'cancelled',
+            current: processedCount,
+            total: rows.length,
+            success: successCount,
+            errors: errorCount,
+            skipped: notFoundCount + ambiguousCount,
+            notProcessed: cancelledCount,
+            message: `Delete cancelled: ${processedCount} of ${rows.length} rows processed, ${cancelledCount} not processed`
+        });
+    }
+
+    return { results, successCount, errorCount, notFoundCount, ambiguousCount, cancelledCount };
+}
+
+// Helper function to finish a dry run: report the per-row plan without touching the job store or delete totals
+function sendDeletePlan(res, plan) {
+    const { operationId, identifier, results, successCount, errorCount, notFoundCount, ambiguousCount = 0, cancelledCount, duration } = plan;
+
+    logManager.info('Bulk user deletion dry run completed', {
+        operationId,
+        total: results.length,
+        wouldDelete: successCount,
+        notFound: notFoundCount,
+        ambiguous: ambiguousCount,
+        failed: errorCount,
+        duration: `${duration}ms`
+    });
+
+    res.json({
+        success: true,
+        dryRun: true,
+        cancelled: cancelledCount > 0,
+        results,
+        operationId,
+        identifier,
+        summary: {
+            total: results.length,
+            successful: successCount,
+            failed: errorCount,
+            notFound: notFoundCount,
+            ambiguous: ambiguousCount,
+            notProcessed: cancelledCount
+        }
+    });
+}
+
+// Re-run the unfinished rows of a stored delete job
+jobStore.registerResumeHandler('delete', async (job, rowIndexes, credentials) => {
+    const { environmentId, clientId, clientSecret } = credentials;
+    const region = job.options.region;
+    const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
+
+    const { results } = await deleteUserRows(jobStore.getRowInputs(job, rowIndexes), {
+        identifier: job.options.identifier,
+        environmentId,
+        token,
+        region,
+        operationId: job.operationId,
+        concurrency: credentials.concurrency,
+        mode: job.options.mode,
+        retentionDays: job.options.retentionDays,
+        rowIndexes
+    });
+    return results;
+});
+
+// Helper function to remove one user: hard delete, or with context.mode 'disable' PATCH enabled: false and queue a purge
+// Hard deletes save the full user to the operation's snapshot first and are refused if that fails
+// user is { id, username?, email? }; returns the pending purge entry when disabled, otherwise null
+async function removeUser(user, context) {
+    const { environmentId, token, region, operationId, mode, retentionDays } = context;
+    if (mode === 'disable') {
+        await setUserEnabled(user.id, false, environmentId, token, region);
+        return purgeStore.addPendingPurge({
+            userId: user.id,
+            username: user.username,
+            email: user.email,
+            environmentId,
+            region,
+            operationId,
+            retentionDays
+        });
+    }
+    const snapshot = await getUserById(user.id, environmentId, token, region);
+    snapshotStore.saveUserSnapshot(operationId, { environmentId, region }, snapshot);
+    await deleteUserById(user.id, environmentId, token, region);
+    return null;
+}
+
+function removalMessage(pending) {
+    return pending ? `User disabled; purge after ${pending.purgeAfter.slice(0, 10)}` : 'User deleted successfully';
+}
+
+// Helper function to read the full user object (for the pre-delete snapshot)
+async function getUserById(userId, environmentId, accessToken, region) {
+    const response = await axios.get(
+        `${getApiBaseUrl(region)}/environments/${environmentId}/users/${userId}`,
+        {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+            }
+        }
+    );
+    return response.data;
+}
+
+// Helper function to delete a user in PingOne by ID
+async function deleteUserById(userId, environmentId, accessToken, region) {
+    await axios.delete(
+        `${getApiBaseUrl(region)}/environments/${environmentId}/users/${userId}`,
+        {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+            }
+        }
+    );
+}
+
+// Helper function to check whether a user ID exists in PingOne (read-only, used by dry runs)
+async function userExists(userId, environmentId, accessToken, region) {
+    try {
+        await axios.get(
+            `${getApiBaseUrl(region)}/environments/${environmentId}/users/${userId}`,
+            {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+        return true;
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+// Case-insensitive column lookup, so `Email` or `EXTERNALID` headers work too
+function getRowValue(row, identifier) {
+    const key = Object.keys(row || {}).find(column => column.trim().toLowerCase() === identifier.toLowerCase());
+    return key && row[key] != null ? String(row[key]).trim() : '';
+}
+
+// Pick the identifier column for a CSV: the first (in DELETE_IDENTIFIERS order) filled in on every row,
+// otherwise the one filled in on the most rows; null when the rows have none of them
+function detectDeleteIdentifier(rows) {
+    let best = null;
+    let bestCount = 0;
+    for (const identifier of DELETE_IDENTIFIERS) {
+        const count = rows.filter(row => getRowValue(row, identifier)).length;
+        if (count > 0 && count === rows.length) {
+            return identifier;
+        }
+        if (count > bestCount) {
+            best = identifier;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+// 409 body of the single-user routes when the lookup is not unique, worded like the bulk 'ambiguous' rows
+function ambiguousMatchError(identifier, value, userIds) {
+    return {
+        error: 'Ambiguous match',
+        details: `${identifier} "${value}" matches ${userIds.length} users - not deleted (${userIds.join(', ')})`,
+        matchedUserIds: userIds
+    };
+}
+
+// Helper function to find the IDs of every user whose username, email or externalId equals value
+// Email and externalId aren't unique in PingOne, so callers must handle more than one match
+async function findUserIds(identifier, value, environmentId, accessToken, region) {
+    const escaped = value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const response = await axios.get(
+        `${getApiBaseUrl(region)}/environments/${environmentId}/users`,
+        {
+            params: { filter: `${identifier} eq "${escaped}"` },
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+            }
+        }
+    );
+    return (response.data._embedded?.users || []).map(user => user.id);
+}
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,142 @@
+// User Export Route
+// Pages through the environment's users (optionally filtered) and returns them as a CSV the import/modify/delete flows accept
+// Debugging: Watch /api/progress/<operationId> while exporting; check 'User export' log entries for the filter used
+
+const express = require('express');
+const Papa = require('papaparse');
+const logManager = require('../utils/logManager');
+const jobStore = require('../utils/jobStore');
+const { getWorkerToken } = require('./token');
+const { getRequestRegion } = require('../utils/pingoneRegions');
+const { sendProgressUpdate } = require('../utils/progress');
+const { getExportColumns, getPopulationContext, resolvePopulationId, mapUserToRow } = require('../utils/userMapping');
+const { getUserSchema } = require('../utils/userSchema');
+const { buildUserFilter, forEachUserPage } = require('../utils/userSearch');
+
+const router = express.Router();
+
+// POST /api/export - Export users as CSV
+// Body: credentials, optional SCIM `filter` (e.g. username sw "test_"), optional `populationId` or `populationName`
+router.post('/', async (req, res) => {
+    const startTime = Date.now();
+    const operationId = jobStore.createOperationId('export', req.body.operationId);
+
+    try {
+        const { environmentId, clientId, clientSecret, populationId, populationName } = req.body;
+
+        if (!environmentId || !clientId || !clientSecret) {
+            return res.status(400).json({
+                error: 'Missing required fields: environmentId, clientId, clientSecret'
+            });
+        }
+
+        const region = getRequestRegion(req.body);
+
+        sendProgressUpdate(operationId, {
+            type: 'progress',
+            current: 0,
+            total: 0,
+            success: 0,
+            errors: 0,
+            message: 'Getting authentication token...'
+        });
+
+        const accessToken = await getWorkerToken(environmentId, clientId, clientSecret, region);
+        const populationContext = await getPopulationContext(environmentId, accessToken, region);
+        // Custom attribute columns, so an exported file keeps custom data when it is edited and imported again
+        const userSchema = await getUserSchema(environmentId, accessToken, region);
+        const columns = getExportColumns(userSchema);
+
+        // Only restrict by population when one was asked for (resolvePopulationId would otherwise return the default)
+        let exportPopulationId = null;
+        if (populationId || populationName) {
+            try {
+                exportPopulationId = resolvePopulationId({ populationId, populationName }, populationContext);
+            } catch (error) {
+                return res.status(400).json({ error: 'Unknown population', details: error.message });
+            }
+        }
+
+        const filter = buildUserFilter(req.body.filter, exportPopulationId);
+        logManager.info('User export started', { environmentId, operationId, filter });
+        logManager.logUserAction('operation_start', { operation: 'Export Users', filter });
+
+        const rows = [];
+        let cancelled = false;
+        await forEachUserPage({ environmentId, accessToken, region, filter }, (users, { fetched, total }) => {
+            rows.push(...users.map(user => mapUserToRow(user, populationContext, userSchema)));
+
+            sendProgressUpdate(operationId, {
+                type: 'progress',
+                current: fetched,
+                total: total || fetched,
+                success: fetched,
+                errors: 0,
+                message: `Exported ${fetched}${total ? ` of ${total}` : ''} users...`
+            });
+
+            // Stop between pages if the browser cancelled the export
+            cancelled = jobStore.isCancelRequested(operationId);
+            return !cancelled;
+        });
+
+        const duration = Date.now() - startTime;
+
+        if (cancelled) {
+            sendProgressUpdate(operationId, {
+                type: 'cancelled',
+                current: rows.length,
+                total: rows.length,
+                success: rows.length,
+                errors: 0,
+                message: `Export cancelled after ${rows.length} users`
+            });
+            logManager.info('User export cancelled', { operationId, exported: rows.length });
+            return res.status(409).json({ error: 'Export cancelled', operationId, exported: rows.length });
+        }
+
+        sendProgressUpdate(operationId, {
+            type: 'complete',
+            current: rows.length,
+            total: rows.length,
+            success: rows.length,
+            errors: 0,
+            duration,
+            message: `Exported ${rows.length} users`
+        });
+
+        logManager.info('User export finished', { environmentId, operationId, exported: rows.length, duration });
+        logManager.logUserAction('operation_complete', { operation: 'Export Users', exported: rows.length });
+
+        const csv = Papa.unparse({ fields: columns, data: rows.map(row => columns.map(column => row[column])) });
+        res.set('X-Operation-Id', operationId);
+        res.set('X-Exported-Count', String(rows.length));
+        res.attachment(`pingone-users-${new Date().toISOString().slice(0, 10)}.csv`);
+        res.type('text/csv').send(csv);
+
+    } catch (error) {
+        // PingOne rejects malformed SCIM filters with a 400
+        const invalidFilter = error.response?.status === 400;
+        const details = error.response?.data?.details?.[0]?.message || error.response?.data?.message || error.message;
+
+        sendProgressUpdate(operationId, {
+            type: 'error',
+            message: details,
+            error: true
+        });
+
+        logManager.error('User export error', {
+            operationId,
+            error: error.message,
+            responseData: error.response?.data
+        });
+
+        res.status(invalidFilter ? 400 : 500).json({
+            error: invalidFilter ? 'Invalid filter' : 'Failed to export users',
+            details,
+            operationId
+        });
+    }
+});
+
+module.exports = router;
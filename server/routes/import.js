@@ -9,45 +9,29 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const logManager = require('../utils/logManager');
-const { getWorkerToken } = require('./token');
+const { getRequestRegion, requireValidRegion, getApiBaseUrl } = require('../utils/pingoneRegions');
+const { getWorkerToken, getUserIdByUsername } = require('./token');
+const { runWorkerPool } = require('../utils/workerPool');
+const jobStore = require('../utils/jobStore');
+const { subscribe, sendProgressUpdate } = require('../utils/progress');
+const { diffUser, buildPatchBody } = require('../utils/userDiff');
+const { getPopulationContext, mapUserData } = require('../utils/userMapping');
+const { getUserSchema } = require('../utils/userSchema');
+const { resolveUploadCredentials } = require('../utils/credentialVault');
 
 const router = express.Router();
 
-// Store active SSE connections
-const sseConnections = new Map();
+// Import modes: 'create' skips users that already exist, 'upsert' updates them instead
+const IMPORT_MODES = ['create', 'upsert'];
 
-// SSE endpoint for progress updates
-router.get('/progress/:operationId', (req, res) => {
-    const { operationId } = req.params;
-    
-    // Set SSE headers
-    res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Cache-Control'
-    });
-
-    // Store connection
-    sseConnections.set(operationId, res);
+// Attributes an upsert can use to find the existing user after a uniqueness conflict
+const MATCH_KEYS = ['username', 'email', 'externalId'];
 
-    // Send initial connection message
-    res.write(`data: ${JSON.stringify({ type: 'connected', operationId })}\n\n`);
+// Mapped attributes an upsert never PATCHes (PingOne sets passwords and populations through separate endpoints)
+const UPSERT_EXCLUDED_FIELDS = ['password', 'population'];
 
-    // Handle client disconnect
-    req.on('close', () => {
-        sseConnections.delete(operationId);
-    });
-});
-
-// Helper function to send progress updates
-function sendProgressUpdate(operationId, data) {
-    const connection = sseConnections.get(operationId);
-    if (connection) {
-        connection.write(`data: ${JSON.stringify(data)}\n\n`);
-    }
-}
+// SSE endpoint for progress updates (kept for existing clients; the same stream is served at /api/progress/:operationId)
+router.get('/progress/:operationId', subscribe);
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -79,10 +63,24 @@ const upload = multer({
     }
 });
 
+// requireValidRegion for the upload route, which also removes the stored upload when the region is refused
+function requireValidUploadRegion(req, res, next) {
+    let valid = false;
+    requireValidRegion(req, res, () => {
+        valid = true;
+        next();
+    });
+    if (!valid && req.file?.path) {
+        fs.unlink(req.file.path, (err) => {
+            if (err) console.error('Error cleaning up refused upload:', err);
+        });
+    }
+}
+
 // POST /api/import - Import users from CSV file upload
-router.post('/', upload.single('csv'), async (req, res) => {
+router.post('/', upload.single('csv'), resolveUploadCredentials, requireValidUploadRegion, async (req, res) => {
     const startTime = Date.now();
-    const operationId = `csv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const operationId = jobStore.createOperationId('csv', req.body?.operationId);
     
     try {
         // Validate file upload
@@ -136,6 +134,25 @@ router.post('/', upload.single('csv'), async (req, res) => {
             });
         }
 
+        const region = getRequestRegion(req.body);
+        const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+        const { mode, matchKey, error: modeError } = getImportMode(req.body);
+        if (modeError) {
+            return res.status(400).json({ error: 'Invalid import mode', details: modeError });
+        }
+
+        // Record the run so it can be inspected and resumed from /api/jobs (dry runs write nothing, so there is nothing to resume)
+        if (!dryRun) {
+            jobStore.createJob({
+                operationId,
+                type: 'import',
+                rows: users,
+                input: fs.readFileSync(filePath),
+                options: { environmentId, region, filename: req.file.originalname, mode, matchKey }
+            });
+        }
+
         // Send initial progress update
         sendProgressUpdate(operationId, {
             type: 'progress',
@@ -146,7 +163,7 @@ router.post('/', upload.single('csv'), async (req, res) => {
             message: 'Reading CSV file...'
         });
 
-        logManager.info('Starting CSV import', {
+        logManager.info(dryRun ? 'Starting CSV import dry run' : 'Starting CSV import', {
             filename: req.file.originalname,
             size: req.file.size,
             environmentId,
@@ -176,7 +193,7 @@ router.post('/', upload.single('csv'), async (req, res) => {
         
         logManager.logFileSelected(req.file.originalname, users.length);
         logManager.logUserAction('operation_start', {
-            operation: 'Import',
+            operation: dryRun ? 'Import dry run' : 'Import',
             recordCount: users.length
         });
 
@@ -191,112 +208,25 @@ router.post('/', upload.single('csv'), async (req, res) => {
             message: 'Getting authentication token...'
         });
 
-        const accessToken = await getWorkerToken(environmentId, clientId, clientSecret);
-        const defaultPopulationId = await getDefaultPopulation(environmentId, accessToken);
-
-        // Process users one by one
-        // DEBUG: Monitor this loop for performance and error patterns
-        const results = [];
-        let successCount = 0;
-        let errorCount = 0;
-        let skippedCount = 0;
+        const accessToken = await getWorkerToken(environmentId, clientId, clientSecret, region);
+        const populationContext = await getPopulationContext(environmentId, accessToken, region);
+        const userSchema = await getUserSchema(environmentId, accessToken, region);
 
-        for (let i = 0; i < users.length; i++) {
-            const user = users[i];
-            
-            try {
-                // Map CSV data to PingOne user format
-                const userData = mapUserData(user, defaultPopulationId);
-                
-                // Create user in PingOne
-                const result = await createUser(userData, environmentId, accessToken);
-                
-                results.push({
-                    username: user.username || user.email || `user-${i}`,
-                    status: 'imported',
-                    message: 'User created successfully',
-                    userId: result.id
-                });
-                
-                successCount++;
-                
-                logManager.logUserAction('import', { 
-                    username: user.username || user.email || `user-${i}`, 
-                    userId: result.id,
-                    status: 'success', 
-                    message: 'User created successfully' 
-                });
-                
-            } catch (error) {
-                // DEBUG: Check error details for specific PingOne API failures
-                const errorMessage = error.response?.data?.details?.[0]?.message || 
-                                   error.response?.data?.detail || 
-                                   error.message;
-                
-                // Check if this is a uniqueness violation (should be treated as skipped)
-                const detailsCode = error.response?.data?.details?.[0]?.code;
-                const isUniquenessViolation = (detailsCode && detailsCode.toUpperCase() === 'UNIQUENESS_VIOLATION') ||
-                                            (errorMessage && errorMessage.toLowerCase().includes('unique')) ||
-                                            (errorMessage && errorMessage.toLowerCase().includes('already exists'));
-                
-                const status = isUniquenessViolation ? 'skipped' : 'error';
-                const finalMessage = isUniquenessViolation ? 'User already exists (skipped)' : errorMessage;
-                
-                if (isUniquenessViolation) {
-                    logManager.info('User skipped (already exists)', {
-                        username: user.username || user.email,
-                        reason: errorMessage
-                    });
-                } else {
-                    logManager.error('User import failed', {
-                        username: user.username || user.email,
-                        error: errorMessage,
-                        apiResponse: error.response?.data
-                    });
-                }
-                
-                results.push({
-                    username: user.username || user.email || `user-${i}`,
-                    status: status,
-                    message: finalMessage,
-                    error: error.response?.data
-                });
-                
-                if (isUniquenessViolation) {
-                    skippedCount++;
-                } else {
-                    errorCount++;
-                }
-                
-                logManager.logUserAction('import', { 
-                    username: user.username || user.email || `user-${i}`, 
-                    status: status, 
-                    message: finalMessage 
-                });
-            }
-
-            // Send real-time progress update
-            sendProgressUpdate(operationId, {
-                type: 'progress',
-                current: i + 1,
-                total: users.length,
-                success: successCount,
-                errors: errorCount,
-                skipped: skippedCount,
-                message: `Processing user ${i + 1} of ${users.length}`
-            });
-
-            // Log progress every 10 users to track performance
-            if ((i + 1) % 10 === 0) {
-                logManager.info('Import progress', {
-                    processed: i + 1,
-                    total: users.length,
-                    success: successCount,
-                    errors: errorCount,
-                    skipped: skippedCount
-                });
-            }
-        }
+        // Process users through the shared worker pool (rows run in parallel, results keep file order)
+        // DEBUG: Lower `concurrency` in the request if PingOne starts rate limiting the run
+        const { results, successCount, createdCount, updatedCount, unchangedCount, errorCount, skippedCount, cancelledCount } = await importUserRows(users, {
+            environmentId,
+            accessToken,
+            region,
+            populationContext,
+            userSchema,
+            operationId,
+            concurrency: req.body.concurrency,
+            mode,
+            matchKey,
+            label: dryRun ? 'Import dry run' : 'Import',
+            dryRun
+        });
 
         // Clean up uploaded file
         fs.unlink(filePath, (err) => {
@@ -306,24 +236,36 @@ router.post('/', upload.single('csv'), async (req, res) => {
         });
 
         const duration = Date.now() - startTime;
+        const cancelled = cancelledCount > 0;
+
+        if (dryRun) {
+            return sendImportPlan(res, { operationId, results, successCount, createdCount, updatedCount, unchangedCount, errorCount, skippedCount, cancelledCount, duration });
+        }
+
+        jobStore.completeJob(operationId, cancelled ? 'cancelled' : 'completed', { duration });
         
-        // Send completion update
-        sendProgressUpdate(operationId, {
-            type: 'complete',
-            current: users.length,
-            total: users.length,
-            success: successCount,
-            errors: errorCount,
-            skipped: skippedCount,
-            duration: duration,
-            message: 'Import completed'
-        });
+        // Send completion update (a cancelled run has already sent its 'cancelled' event)
+        if (!cancelled) {
+            sendProgressUpdate(operationId, {
+                type: 'complete',
+                current: users.length,
+                total: users.length,
+                success: successCount,
+                errors: errorCount,
+                skipped: skippedCount + unchangedCount,
+                duration: duration,
+                message: 'Import completed'
+            });
+        }
         
         // Enhanced totals logging
         logManager.info('IMPORT TOTALS - CSV Import Completed', {
             filename: req.file.originalname,
             totalRecords: users.length,
             successful: successCount,
+            created: createdCount,
+            updated: updatedCount,
+            unchanged: unchangedCount,
             failed: errorCount,
             skipped: skippedCount,
             duration: `${duration}ms`,
@@ -331,7 +273,7 @@ router.post('/', upload.single('csv'), async (req, res) => {
         });
         
         // Log structured totals for easy reading
-        logManager.logStructured(`IMPORT TOTALS: Total=${users.length}, Imported=${successCount}, Failed=${errorCount}, Skipped=${skippedCount}, Duration=${duration}ms`);
+        logManager.logStructured(`IMPORT TOTALS: Total=${users.length}, Imported=${createdCount}, Updated=${updatedCount}, Unchanged=${unchangedCount}, Failed=${errorCount}, Skipped=${skippedCount}, Duration=${duration}ms`);
         
         logManager.logImportOperation(successCount, users.length, duration, skippedCount);
         logManager.logUserAction('operation_complete', {
@@ -344,21 +286,31 @@ router.post('/', upload.single('csv'), async (req, res) => {
 
         res.json({
             success: true,
+            cancelled,
             results,
             successCount,
             errorCount,
             skippedCount,
+            createdCount,
+            updatedCount,
+            unchangedCount,
             operationId,
             summary: {
                 total: users.length,
                 successful: successCount,
+                created: createdCount,
+                updated: updatedCount,
+                unchanged: unchangedCount,
                 failed: errorCount,
                 skipped: skippedCount,
+                notProcessed: cancelledCount,
                 duration: duration
             }
         });
 
     } catch (error) {
+        jobStore.completeJob(operationId, 'failed', { error: error.message });
+
         // Send error update
         sendProgressUpdate(operationId, {
             type: 'error',
@@ -389,9 +341,9 @@ router.post('/', upload.single('csv'), async (req, res) => {
 
 // POST /api/import/bulk - Import users from JSON data (no file upload)
 // DEBUG: This endpoint handles direct JSON data - check request body structure
-router.post('/bulk', express.json({ limit: '50mb' }), async (req, res) => {
+router.post('/bulk', express.json({ limit: '50mb' }), requireValidRegion, async (req, res) => {
     const startTime = Date.now();
-    const operationId = `bulk_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const operationId = jobStore.createOperationId('bulk', req.body?.operationId);
     
     try {
         const { users, environmentId, clientId, clientSecret } = req.body;
@@ -404,6 +356,24 @@ router.post('/bulk', express.json({ limit: '50mb' }), async (req, res) => {
             });
         }
 
+        const region = getRequestRegion(req.body);
+        const dryRun = req.body.dryRun === true;
+
+        const { mode, matchKey, error: modeError } = getImportMode(req.body);
+        if (modeError) {
+            return res.status(400).json({ error: 'Invalid import mode', details: modeError });
+        }
+
+        // Record the run so it can be inspected and resumed from /api/jobs (dry runs write nothing, so there is nothing to resume)
+        if (!dryRun) {
+            jobStore.createJob({
+                operationId,
+                type: 'import',
+                rows: users,
+                options: { environmentId, region, mode, matchKey }
+            });
+        }
+
         // Send initial progress update
         sendProgressUpdate(operationId, {
             type: 'progress',
@@ -411,17 +381,17 @@ router.post('/bulk', express.json({ limit: '50mb' }), async (req, res) => {
             total: users.length,
             success: 0,
             errors: 0,
-            message: 'Starting bulk import...'
+            message: dryRun ? 'Starting import dry run...' : 'Starting bulk import...'
         });
 
-        logManager.info('Starting bulk import from JSON data', {
+        logManager.info(dryRun ? 'Starting bulk import dry run from JSON data' : 'Starting bulk import from JSON data', {
             recordCount: users.length,
             environmentId,
             operationId
         });
 
         logManager.logUserAction('operation_start', {
-            operation: 'Bulk Import',
+            operation: dryRun ? 'Bulk Import dry run' : 'Bulk Import',
             recordCount: users.length
         });
 
@@ -435,126 +405,55 @@ router.post('/bulk', express.json({ limit: '50mb' }), async (req, res) => {
             message: 'Getting authentication token...'
         });
 
-        const accessToken = await getWorkerToken(environmentId, clientId, clientSecret);
-        const defaultPopulationId = await getDefaultPopulation(environmentId, accessToken);
+        const accessToken = await getWorkerToken(environmentId, clientId, clientSecret, region);
+        const populationContext = await getPopulationContext(environmentId, accessToken, region);
+        const userSchema = await getUserSchema(environmentId, accessToken, region);
 
-        // Process users
-        const results = [];
-        let successCount = 0;
-        let errorCount = 0;
-        let skippedCount = 0;
+        // Process users through the shared worker pool (rows run in parallel, results keep file order)
+        // DEBUG: Lower `concurrency` in the request if PingOne starts rate limiting the run
+        const { results, successCount, createdCount, updatedCount, unchangedCount, errorCount, skippedCount, cancelledCount } = await importUserRows(users, {
+            environmentId,
+            accessToken,
+            region,
+            populationContext,
+            userSchema,
+            operationId,
+            concurrency: req.body.concurrency,
+            mode,
+            matchKey,
+            label: dryRun ? 'Bulk import dry run' : 'Bulk import',
+            dryRun
+        });
 
-        for (let i = 0; i < users.length; i++) {
-            const user = users[i];
-            
-            try {
-                // Get default population if not specified in user data
-                const userData = mapUserData(user, defaultPopulationId);
-                const result = await createUser(userData, environmentId, accessToken);
-                
-                results.push({
-                    username: user.username || user.email || `user-${i}`,
-                    status: 'imported',
-                    message: 'User created successfully',
-                    userId: result.id
-                });
-                
-                successCount++;
-                
-                logManager.logUserAction('import', { 
-                    username: user.username || user.email || `user-${i}`, 
-                    userId: result.id,
-                    status: 'success', 
-                    message: 'User created successfully' 
-                });
-                
-            } catch (error) {
-                const errorMessage = error.response?.data?.details?.[0]?.message || 
-                                   error.response?.data?.detail || 
-                                   error.message;
-                
-                // Check if this is a uniqueness violation (should be treated as skipped)
-                const detailsCode = error.response?.data?.details?.[0]?.code;
-                const isUniquenessViolation = (detailsCode && detailsCode.toUpperCase() === 'UNIQUENESS_VIOLATION') ||
-                                            (errorMessage && errorMessage.toLowerCase().includes('unique')) ||
-                                            (errorMessage && errorMessage.toLowerCase().includes('already exists'));
-                
-                const status = isUniquenessViolation ? 'skipped' : 'error';
-                const finalMessage = isUniquenessViolation ? 'User already exists (skipped)' : errorMessage;
-                
-                if (isUniquenessViolation) {
-                    logManager.info('User skipped (already exists)', {
-                        username: user.username || user.email,
-                        reason: errorMessage
-                    });
-                } else {
-                    logManager.error('Bulk user import failed', {
-                        username: user.username || user.email,
-                        error: errorMessage,
-                        apiResponse: error.response?.data
-                    });
-                }
-                
-                results.push({
-                    username: user.username || user.email || `user-${i}`,
-                    status: status,
-                    message: finalMessage,
-                    error: error.response?.data
-                });
-                
-                if (isUniquenessViolation) {
-                    skippedCount++;
-                } else {
-                    errorCount++;
-                }
-                
-                logManager.logUserAction('import', { 
-                    username: user.username || user.email || `user-${i}`, 
-                    status: status, 
-                    message: finalMessage 
-                });
-            }
+        const duration = Date.now() - startTime;
+        const cancelled = cancelledCount > 0;
 
-            // Send real-time progress update
+        if (dryRun) {
+            return sendImportPlan(res, { operationId, results, successCount, createdCount, updatedCount, unchangedCount, errorCount, skippedCount, cancelledCount, duration });
+        }
+
+        jobStore.completeJob(operationId, cancelled ? 'cancelled' : 'completed', { duration });
+        
+        // Send completion update (a cancelled run has already sent its 'cancelled' event)
+        if (!cancelled) {
             sendProgressUpdate(operationId, {
-                type: 'progress',
-                current: i + 1,
+                type: 'complete',
+                current: users.length,
                 total: users.length,
                 success: successCount,
                 errors: errorCount,
-                skipped: skippedCount,
-                message: `Processing user ${i + 1} of ${users.length}`
+                skipped: skippedCount + unchangedCount,
+                duration: duration,
+                message: 'Import completed'
             });
-
-            // Progress logging
-            if ((i + 1) % 10 === 0) {
-                logManager.info('Bulk import progress', {
-                    processed: i + 1,
-                    total: users.length,
-                    success: successCount,
-                    errors: errorCount,
-                    skipped: skippedCount
-                });
-            }
         }
 
-        const duration = Date.now() - startTime;
-        
-        // Send completion update
-        sendProgressUpdate(operationId, {
-            type: 'complete',
-            current: users.length,
-            total: users.length,
-            success: successCount,
-            errors: errorCount,
-            skipped: skippedCount,
-            duration: duration,
-            message: 'Import completed'
-        });
-
         logManager.info('Bulk import completed', {
             totalRecords: users.length,
             successCount,
+            createdCount,
+            updatedCount,
+            unchangedCount,
             errorCount,
             skippedCount,
             duration: `${duration}ms`
@@ -571,21 +470,31 @@ router.post('/bulk', express.json({ limit: '50mb' }), async (req, res) => {
 
         res.json({
             success: true,
+            cancelled,
             results,
             successCount,
             errorCount,
             skippedCount,
+            createdCount,
+            updatedCount,
+            unchangedCount,
             operationId,
             summary: {
                 total: users.length,
                 successful: successCount,
+                created: createdCount,
+                updated: updatedCount,
+                unchanged: unchangedCount,
                 failed: errorCount,
                 skipped: skippedCount,
+                notProcessed: cancelledCount,
                 duration: duration
             }
         });
 
     } catch (error) {
+        jobStore.completeJob(operationId, 'failed', { error: error.message });
+
         // Send error update
         sendProgressUpdate(operationId, {
             type: 'error',
@@ -607,7 +516,7 @@ router.post('/bulk', express.json({ limit: '50mb' }), async (req, res) => {
 });
 
 // POST /api/import/user - Import single user
-router.post('/user', async (req, res) => {
+router.post('/user', requireValidRegion, async (req, res) => {
     try {
         const { user, environmentId, clientId, clientSecret } = req.body;
         
@@ -617,10 +526,12 @@ router.post('/user', async (req, res) => {
             });
         }
 
-        const accessToken = await getWorkerToken(environmentId, clientId, clientSecret);
-        const defaultPopulationId = await getDefaultPopulation(environmentId, accessToken);
-        const userData = mapUserData(user, defaultPopulationId);
-        const result = await createUser(userData, environmentId, accessToken);
+        const region = getRequestRegion(req.body);
+        const accessToken = await getWorkerToken(environmentId, clientId, clientSecret, region);
+        const populationContext = await getPopulationContext(environmentId, accessToken, region);
+        const userSchema = await getUserSchema(environmentId, accessToken, region);
+        const userData = mapUserData(user, populationContext, userSchema);
+        const result = await createUser(userData, environmentId, accessToken, region);
 
         logManager.info('Single user import successful', {
             username: user.username || user.email,
@@ -648,205 +559,432 @@ router.post('/user', async (req, res) => {
     }
 });
 
-// Helper function to get the default population for the environment
-// DEBUG: If population lookup fails, check environment permissions and API response
-async function getDefaultPopulation(environmentId, accessToken) {
-    try {
-        logManager.debug('Getting default population', { environmentId });
-        
-        const response = await axios.get(
-            `https://api.pingone.com/v1/environments/${environmentId}/populations`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json'
+// Helper function to import parsed rows through the shared worker pool
+// Results are stored by row index so the response matches the input file order
+// When resuming a job, context.rowIndexes maps each row back to its position in the stored job
+// With context.mode 'upsert' a uniqueness conflict updates the user found by context.matchKey instead of skipping the row
+// With context.dryRun the rows are only mapped and looked up: 'planned' means the user would be created or updated
+// DEBUG: Check 'Worker pool' log entries if rows are being retried or rate limited
+async function importUserRows(users, context) {
+    const { environmentId, accessToken, region, populationContext, userSchema, operationId, concurrency, label, rowIndexes, dryRun } = context;
+    const mode = context.mode || 'create';
+    const matchKey = context.matchKey || 'username';
+    const results = new Array(users.length);
+    let processedCount = 0;
+    let createdCount = 0;
+    let updatedCount = 0;
+    let unchangedCount = 0;
+    let errorCount = 0;
+    let skippedCount = 0;
+
+    await runWorkerPool(users, async (user) => {
+        // Map CSV data to PingOne user format, then create the user in PingOne
+        const userData = mapUserData(user, populationContext, userSchema);
+        if (dryRun) {
+            return planUserImport(userData, user, { environmentId, accessToken, region, mode, matchKey });
+        }
+
+        try {
+            const createdUser = await createUser(userData, environmentId, accessToken, region);
+            return { action: 'created', userId: createdUser.id };
+        } catch (error) {
+            if (mode !== 'upsert' || !isUniquenessViolation(error)) {
+                throw error;
+            }
+            return updateExistingUser(userData, user, { environmentId, accessToken, region, matchKey });
+        }
+    }, {
+        concurrency,
+        shouldStop: () => jobStore.isCancelRequested(operationId),
+        onSettled: ({ index, value, error }) => {
+            const user = users[index];
+            const username = user.username || user.email || `user-${index}`;
+
+            if (!error) {
+                results[index] = buildImportResult(username, value, dryRun);
+
+                if (results[index].status === 'skipped') {
+                    skippedCount++;
+                } else if (value.action === 'created' || value.action === 'create') {
+                    createdCount++;
+                } else if (value.action === 'updated' || value.action === 'update') {
+                    updatedCount++;
+                } else {
+                    unchangedCount++;
+                }
+
+                if (!dryRun) {
+                    logManager.logUserAction('import', { 
+                        username, 
+                        userId: value.userId,
+                        status: results[index].status, 
+                        message: results[index].message 
+                    });
+                }
+            } else {
+                // DEBUG: Check error details for specific PingOne API failures
+                const errorMessage = error.response?.data?.details?.[0]?.message || 
+                                   error.response?.data?.detail || 
+                                   error.message;
+                
+                // A uniqueness violation outside upsert mode is treated as skipped
+                const uniquenessViolation = isUniquenessViolation(error);
+                const status = uniquenessViolation ? 'skipped' : 'error';
+                const finalMessage = uniquenessViolation ? 'User already exists (skipped)' : errorMessage;
+                
+                if (uniquenessViolation) {
+                    logManager.info('User skipped (already exists)', {
+                        username: user.username || user.email,
+                        reason: errorMessage
+                    });
+                } else {
+                    logManager.error(`${label} user failed`, {
+                        username: user.username || user.email,
+                        error: errorMessage,
+                        apiResponse: error.response?.data
+                    });
+                }
+                
+                results[index] = {
+                    username,
+                    status: status,
+                    message: finalMessage,
+                    error: error.response?.data
+                };
+                
+                if (uniquenessViolation) {
+                    skippedCount++;
+                } else {
+                    errorCount++;
+                }
+                
+                if (!dryRun) {
+                    logManager.logUserAction('import', { 
+                        username, 
+                        status: status, 
+                        message: finalMessage 
+                    });
                 }
             }
-        );
 
-        // Find the default population (usually the first one or marked as default)
-        const populations = response.data._embedded?.populations || [];
-        let defaultPopulation = populations.find(pop => pop.default === true);
-        
-        if (!defaultPopulation && populations.length > 0) {
-            defaultPopulation = populations[0]; // Use first population as fallback
-        }
+            jobStore.updateRow(operationId, rowIndexes ? rowIndexes[index] : index, results[index]);
+            processedCount++;
+
+            // Send real-time progress update (unchanged users count as skipped)
+            sendProgressUpdate(operationId, {
+                type: 'progress',
+                current: processedCount,
+                total: users.length,
+                success: createdCount + updatedCount,
+                errors: errorCount,
+                skipped: skippedCount + unchangedCount,
+                message: `Processing user ${processedCount} of ${users.length}`
+            });
 
-        if (!defaultPopulation) {
-            throw new Error('No populations found in environment');
+            // Log progress every 10 users to track performance
+            if (processedCount % 10 === 0) {
+                logManager.info(`${label} progress`, {
+                    processed: processedCount,
+                    total: users.length,
+                    created: createdCount,
+                    updated: updatedCount,
+                    unchanged: unchangedCount,
+                    errors: errorCount,
+                    skipped: skippedCount
+                });
+            }
         }
+    });
 
-        logManager.info('Found default population', {
-            environmentId,
-            populationId: defaultPopulation.id,
-            populationName: defaultPopulation.name
-        });
+    // Rows the pool never started because the run was cancelled
+    let cancelledCount = 0;
+    users.forEach((user, index) => {
+        if (results[index]) return;
+        results[index] = {
+            username: user.username || user.email || `user-${index}`,
+            status: 'cancelled',
+            message: 'Not processed (operation cancelled)'
+        };
+        jobStore.updateRow(operationId, rowIndexes ? rowIndexes[index] : index, results[index]);
+        cancelledCount++;
+    });
 
-        return defaultPopulation.id;
+    const successCount = createdCount + updatedCount;
 
-    } catch (error) {
-        logManager.error('Failed to get default population', {
-            environmentId,
-            error: error.message,
-            responseData: error.response?.data
+    if (cancelledCount > 0) {
+        logManager.warn(`${label} cancelled`, {
+            operationId,
+            processed: processedCount,
+            notProcessed: cancelledCount,
+            total: users.length
         });
-        throw new Error(`Failed to get default population: ${error.message}`);
-    }
-}
 
-// Helper function to map CSV user data to PingOne user format
-// DEBUG: If user data mapping fails, check CSV headers and PingOne user schema
-function mapUserData(user, defaultPopulationId = null) {
-    // Sanitize user data to remove any leading/trailing whitespace
-    const sanitizedUser = {};
-    for (const key in user) {
-        sanitizedUser[key] = typeof user[key] === 'string' ? user[key].trim() : user[key];
+        sendProgressUpdate(operationId, {
+            type: 'cancelled',
+            current: processedCount,
+            total: users.length,
+            success: successCount,
+            errors: errorCount,
+            skipped: skippedCount + unchangedCount,
+            notProcessed: cancelledCount,
+            message: `Import cancelled: ${processedCount} of ${users.length} rows processed, ${cancelledCount} not processed`
+        });
     }
 
-    // Use populationId from CSV if present, otherwise fall back to the default
-    const populationId = defaultPopulationId;
-
-    const data = {
-        population: { id: populationId },
-        username: sanitizedUser.username,
-        email: sanitizedUser.email,
-        enabled: sanitizedUser.active !== undefined ? sanitizedUser.active === 'true' || sanitizedUser.active === true : true
-    };
+    return { results, successCount, createdCount, updatedCount, unchangedCount, errorCount, skippedCount, cancelledCount };
+}
 
-    // Add name information if available
-    if (sanitizedUser.firstName || sanitizedUser.lastName || sanitizedUser.givenName || sanitizedUser.familyName) {
-        data.name = {};
-        
-        if (sanitizedUser.firstName || sanitizedUser.givenName) {
-            data.name.given = sanitizedUser.firstName || sanitizedUser.givenName;
-        }
-        
-        if (sanitizedUser.lastName || sanitizedUser.familyName) {
-            data.name.family = sanitizedUser.lastName || sanitizedUser.familyName;
-        }
-        
-        if (sanitizedUser.middleName) {
-            data.name.middle = sanitizedUser.middleName;
-        }
-        
-        if (sanitizedUser.formattedName) {
-            data.name.formatted = sanitizedUser.formattedName;
-        }
-        
-        if (sanitizedUser.prefix) {
-            data.name.honorificPrefix = sanitizedUser.prefix;
-        }
-        
-        if (sanitizedUser.suffix) {
-            data.name.honorificSuffix = sanitizedUser.suffix;
+// Helper function to turn a settled row (real run or dry-run plan) into its per-row result
+function buildImportResult(username, value, dryRun) {
+    const fields = (value.changes || []).map(change => change.field).join(',');
+
+    if (dryRun) {
+        switch (value.action) {
+            case 'create':
+                return { username, status: 'planned', action: 'create', message: 'Would create' };
+            case 'update':
+                return { username, userId: value.userId, status: 'planned', action: 'update', message: `Would update fields ${fields}`, changes: value.changes };
+            case 'unchanged':
+                return { username, userId: value.userId, status: 'unchanged', message: 'Would skip: unchanged' };
+            default:
+                return { username, userId: value.userId, status: 'skipped', message: 'Would skip: exists' };
         }
     }
 
-    // Add additional profile information
-    if (sanitizedUser.nickname) {
-        data.nickname = sanitizedUser.nickname;
+    switch (value.action) {
+        case 'updated':
+            return { username, userId: value.userId, status: 'updated', message: `User updated (${fields})`, changes: value.changes };
+        case 'unchanged':
+            return { username, userId: value.userId, status: 'unchanged', message: 'User already up to date' };
+        default:
+            return { username, userId: value.userId, status: 'imported', message: 'User created successfully' };
     }
-    
-    if (sanitizedUser.title) {
-        data.title = sanitizedUser.title;
-    }
-    
-    if (sanitizedUser.preferredLanguage) {
-        data.preferredLanguage = sanitizedUser.preferredLanguage;
+}
+
+// Re-run the unfinished rows of a stored import job
+jobStore.registerResumeHandler('import', async (job, rowIndexes, credentials) => {
+    const { environmentId, clientId, clientSecret } = credentials;
+    const region = job.options.region;
+    const users = jobStore.getRowInputs(job, rowIndexes);
+
+    const accessToken = await getWorkerToken(environmentId, clientId, clientSecret, region);
+    const populationContext = await getPopulationContext(environmentId, accessToken, region);
+    const userSchema = await getUserSchema(environmentId, accessToken, region);
+
+    const { results } = await importUserRows(users, {
+        environmentId,
+        accessToken,
+        region,
+        populationContext,
+        userSchema,
+        operationId: job.operationId,
+        concurrency: credentials.concurrency,
+        mode: job.options.mode,
+        matchKey: job.options.matchKey,
+        label: 'Resumed import',
+        rowIndexes
+    });
+    return results;
+});
+
+// Helper function to finish a dry run: report the per-row plan without touching the job store or import totals
+function sendImportPlan(res, plan) {
+    const { operationId, results, successCount, createdCount, updatedCount, unchangedCount, errorCount, skippedCount, cancelledCount, duration } = plan;
+    const cancelled = cancelledCount > 0;
+
+    if (!cancelled) {
+        sendProgressUpdate(operationId, {
+            type: 'complete',
+            current: results.length,
+            total: results.length,
+            success: successCount,
+            errors: errorCount,
+            skipped: skippedCount + unchangedCount,
+            duration,
+            message: 'Dry run completed'
+        });
     }
-    
-    if (sanitizedUser.locale) {
-        data.locale = sanitizedUser.locale;
+
+    logManager.info('Import dry run completed', {
+        operationId,
+        totalRecords: results.length,
+        wouldCreate: createdCount,
+        wouldUpdate: updatedCount,
+        unchanged: unchangedCount,
+        wouldSkip: skippedCount,
+        failed: errorCount,
+        duration: `${duration}ms`
+    });
+
+    res.json({
+        success: true,
+        dryRun: true,
+        cancelled,
+        results,
+        successCount,
+        errorCount,
+        skippedCount,
+        createdCount,
+        updatedCount,
+        unchangedCount,
+        operationId,
+        summary: {
+            total: results.length,
+            successful: successCount,
+            created: createdCount,
+            updated: updatedCount,
+            unchanged: unchangedCount,
+            failed: errorCount,
+            skipped: skippedCount,
+            notProcessed: cancelledCount,
+            duration
+        }
+    });
+}
+
+// Helper function to plan a single row for a dry run - read-only lookups, nothing is created or updated
+// PingOne enforces unique usernames, so an existing username is what makes a create-mode import skip the row
+// Upserts find the user by matchKey with the real run's helpers, so a taken username without exactly one match fails alike
+async function planUserImport(userData, row, context) {
+    const { environmentId, accessToken, region, mode, matchKey } = context;
+
+    if (!userData.username) {
+        throw new Error('Missing username');
     }
-    
-    if (sanitizedUser.timezone) {
-        data.timezone = sanitizedUser.timezone;
+
+    if (mode !== 'upsert') {
+        const existingUserId = await getUserIdByUsername(userData.username, environmentId, accessToken, region);
+        return existingUserId ? { action: 'skip', userId: existingUserId } : { action: 'create' };
     }
 
-    // Add external ID if provided
-    if (sanitizedUser.externalId) {
-        data.externalId = sanitizedUser.externalId;
+    const matches = await findUsersByMatchKey(userData, matchKey, environmentId, accessToken, region);
+    if (matches.length === 0) {
+        const usernameTaken = matchKey !== 'username' &&
+            await getUserIdByUsername(userData.username, environmentId, accessToken, region);
+        if (!usernameTaken) {
+            return { action: 'create' };
+        }
     }
 
-    // Add type if provided (employee, contractor, etc.)
-    if (sanitizedUser.type) {
-        data.type = sanitizedUser.type;
+    const existingUser = getSingleMatch(matches, userData, matchKey);
+    const changes = diffUser(existingUser, getUpsertAttributes(userData, row));
+    return { action: changes.length > 0 ? 'update' : 'unchanged', userId: existingUser.id, changes };
+}
+
+// Helper function for upsert mode: find the user that blocked the create and PATCH only the attributes that differ
+async function updateExistingUser(userData, row, context) {
+    const { environmentId, accessToken, region, matchKey } = context;
+
+    const existingUser = await findUserByMatchKey(userData, matchKey, environmentId, accessToken, region);
+    const attributes = getUpsertAttributes(userData, row);
+    const changes = diffUser(existingUser, attributes);
+
+    if (changes.length === 0) {
+        logManager.debug('Upsert found no changes', { matchKey, userId: existingUser.id });
+        return { action: 'unchanged', userId: existingUser.id, changes };
     }
 
-    // Add phone numbers if provided
-    if (sanitizedUser.primaryPhone || sanitizedUser.mobilePhone) {
-        data.phoneNumbers = [];
-        
-        if (sanitizedUser.primaryPhone) {
-            data.phoneNumbers.push({
-                value: sanitizedUser.primaryPhone,
-                type: 'work',
-                primary: true
-            });
-        }
-        
-        if (sanitizedUser.mobilePhone && sanitizedUser.mobilePhone !== sanitizedUser.primaryPhone) {
-            data.phoneNumbers.push({
-                value: sanitizedUser.mobilePhone,
-                type: 'mobile',
-                primary: false
-            });
+    await axios.patch(
+        `${getApiBaseUrl(region)}/environments/${environmentId}/users/${existingUser.id}`,
+        buildPatchBody(existingUser, attributes, changes),
+        {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+            }
         }
+    );
+
+    logManager.info('User updated by upsert', {
+        matchKey,
+        userId: existingUser.id,
+        fields: changes.map(change => change.field)
+    });
+
+    return { action: 'updated', userId: existingUser.id, changes };
+}
+
+// Helper function to find exactly one existing user by the upsert match key
+// DEBUG: Zero or several matches fail the row rather than guessing which user to update
+async function findUserByMatchKey(userData, matchKey, environmentId, accessToken, region) {
+    const matches = await findUsersByMatchKey(userData, matchKey, environmentId, accessToken, region);
+    return getSingleMatch(matches, userData, matchKey);
+}
+
+// Helper function to list the existing users whose match key equals the row's value (none when the row has no value)
+async function findUsersByMatchKey(userData, matchKey, environmentId, accessToken, region) {
+    const value = userData[matchKey];
+    if (!value) {
+        return [];
     }
 
-    // Add address if provided
-    if (sanitizedUser.streetAddress || sanitizedUser.locality || sanitizedUser.region || sanitizedUser.postalCode || sanitizedUser.countryCode) {
-        data.addresses = [{
-            type: 'work',
-            primary: true
-        }];
-        
-        if (sanitizedUser.streetAddress) {
-            data.addresses[0].streetAddress = sanitizedUser.streetAddress;
-        }
-        
-        if (sanitizedUser.locality) {
-            data.addresses[0].locality = sanitizedUser.locality;
-        }
-        
-        if (sanitizedUser.region) {
-            data.addresses[0].region = sanitizedUser.region;
-        }
-        
-        if (sanitizedUser.postalCode) {
-            data.addresses[0].postalCode = sanitizedUser.postalCode;
-        }
-        
-        if (sanitizedUser.countryCode) {
-            data.addresses[0].countryCode = sanitizedUser.countryCode;
+    const filter = `${matchKey} eq "${String(value).replace(/"/g, '\\"')}"`;
+    const response = await axios.get(
+        `${getApiBaseUrl(region)}/environments/${environmentId}/users?filter=${encodeURIComponent(filter)}`,
+        {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+            }
         }
+    );
+
+    return response.data._embedded?.users || [];
+}
+
+function getSingleMatch(matches, userData, matchKey) {
+    const value = userData[matchKey];
+    if (!value) {
+        throw new Error(`Cannot match existing user: row has no ${matchKey}`);
+    }
+    if (matches.length === 0) {
+        throw new Error(`No user found with ${matchKey} ${value} to update`);
+    }
+    if (matches.length > 1) {
+        throw new Error(`${matches.length} users match ${matchKey} ${value}; not updating any of them`);
     }
 
-    // Add password if provided (for initial password set)
-    if (sanitizedUser.password) {
-        data.password = {
-            value: sanitizedUser.password,
-            forceChange: false // Set to true if you want users to change password on first login
-        };
+    return matches[0];
+}
+
+// The mapped attributes an upsert compares and PATCHes
+function getUpsertAttributes(userData, row) {
+    const attributes = { ...userData };
+    UPSERT_EXCLUDED_FIELDS.forEach(field => delete attributes[field]);
+
+    // mapUserData enables new users by default; an update only touches enabled when the row has an active value
+    if (row.active === undefined || row.active === null || String(row.active).trim() === '') {
+        delete attributes.enabled;
     }
+    return attributes;
+}
 
-    // DEBUG: Log final mapped user data structure
-    logManager.debug('User data mapped', {
-        username: data.username,
-        email: data.email,
-        populationId: data.population?.id,
-        hasName: !!data.name,
-        hasPhoneNumbers: !!data.phoneNumbers,
-        hasAddresses: !!data.addresses,
-        hasPassword: !!data.password
-    });
+// Helper function to detect PingOne's "user already exists" errors
+function isUniquenessViolation(error) {
+    const errorMessage = error.response?.data?.details?.[0]?.message || error.response?.data?.detail || error.message;
+    const detailsCode = error.response?.data?.details?.[0]?.code;
+    return (detailsCode && detailsCode.toUpperCase() === 'UNIQUENESS_VIOLATION') ||
+        (errorMessage && errorMessage.toLowerCase().includes('unique')) ||
+        (errorMessage && errorMessage.toLowerCase().includes('already exists'));
+}
+
+// Read and validate the import mode and upsert match key from a request body
+function getImportMode(body) {
+    const mode = body.mode || 'create';
+    const matchKey = body.matchKey || 'username';
 
-    return data;
+    if (!IMPORT_MODES.includes(mode)) {
+        return { error: `mode must be one of: ${IMPORT_MODES.join(', ')}` };
+    }
+    if (!MATCH_KEYS.includes(matchKey)) {
+        return { error: `matchKey must be one of: ${MATCH_KEYS.join(', ')}` };
+    }
+    return { mode, matchKey };
 }
 
 // Helper function to create a user in PingOne
 // DEBUG: If user creation fails, check PingOne API response and user data format
-async function createUser(userData, environmentId, accessToken) {
+async function createUser(userData, environmentId, accessToken, region) {
     try {
         logManager.debug('Creating user in PingOne', {
             username: userData.username,
@@ -856,7 +994,7 @@ async function createUser(userData, environmentId, accessToken) {
         });
 
         const response = await axios.post(
-            `https://api.pingone.com/v1/environments/${environmentId}/users`,
+            `${getApiBaseUrl(region)}/environments/${environmentId}/users`,
             userData,
             {
                 headers: {
@@ -890,6 +1028,7 @@ async function createUser(userData, environmentId, accessToken) {
         // Re-throw with enhanced error information
         const enhancedError = new Error(`Failed to create user ${userData.username}: ${error.message}`);
         enhancedError.response = error.response;
+        enhancedError.code = error.code;
         enhancedError.userData = userData;
         throw enhancedError;
     }
@@ -901,7 +1040,7 @@ router.post('/import', multer({
     limits: {
         fileSize: 5 * 1024 * 1024 // 5MB limit
     }
-}).single('csvFile'), async (req, res) => {
+}).single('csvFile'), resolveUploadCredentials, async (req, res) => {
     try {
         const { clientId, clientSecret } = req.body;
         const csvFile = req.file;
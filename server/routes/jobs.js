@@ -0,0 +1,336 @@
+// Bulk Job Routes
+// Lists stored import/modify/delete runs and resumes the rows that did not succeed
+// Debugging: Job files live in data/jobs/ - compare them with the 'Job created'/'Job finished' log entries
+
+const express = require('express');
+const logManager = require('../utils/logManager');
+const jobStore = require('../utils/jobStore');
+const { sendProgressUpdate } = require('../utils/progress');
+const runReport = require('../utils/runReport');
+const { getProductionConfirmationError } = require('../utils/credentialVault');
+const { requestHasRole } = require('../utils/accessControl');
+const { getSoftDeleteError } = require('../utils/purgeScheduler');
+
+const router = express.Router();
+
+// GET /api/jobs - List stored jobs (newest first), optionally filtered by type and status
+router.get('/', (req, res) => {
+    try {
+        const { type, status } = req.query;
+        const limit = parseInt(req.query.limit, 10) || undefined;
+
+        res.json({
+            success: true,
+            jobs: jobStore.listJobs({ type, status, limit })
+        });
+    } catch (error) {
+        logManager.error('Failed to list jobs', { error: error.message });
+        res.status(500).json({ error: 'Failed to list jobs', details: error.message });
+    }
+});
+
+// GET /api/jobs/:operationId - Full job including per-row status (passwords redacted)
+router.get('/:operationId', (req, res) => {
+    try {
+        const { operationId } = req.params;
+        if (!jobStore.isValidOperationId(operationId)) {
+            return res.status(400).json({ error: 'Invalid operation ID' });
+        }
+
+        const job = jobStore.getJob(operationId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json({
+            success: true,
+            job: {
+                ...jobStore.redactJob(job),
+                counts: jobStore.countRows(job),
+                resumableRows: jobStore.getResumableRowIndexes(job).length
+            }
+        });
+    } catch (error) {
+        logManager.error('Failed to get job', { operationId: req.params.operationId, error: error.message });
+        res.status(500).json({ error: 'Failed to get job', details: error.message });
+    }
+});
+
+// GET /api/jobs/:operationId/report?format=csv|json|html - Per-row results report as a file download
+// Columns: row, identifier, PingOne user id, status, message, error details
+router.get('/:operationId/report', (req, res) => {
+    try {
+        const { operationId } = req.params;
+        const format = (req.query.format || 'csv').toLowerCase();
+
+        if (!jobStore.isValidOperationId(operationId)) {
+            return res.status(400).json({ error: 'Invalid operation ID' });
+        }
+        if (!runReport.REPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                error: 'Invalid report format',
+                details: `format must be one of: ${runReport.REPORT_FORMATS.join(', ')}`
+            });
+        }
+
+        const job = jobStore.getJob(operationId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (jobStore.isJobActive(operationId)) {
+            return res.status(409).json({ error: 'Job is still running', details: 'The report is available once the run has finished' });
+        }
+
+        const report = runReport.buildReport(job);
+        const filename = `${job.type}-report-${operationId}.${format}`;
+        logManager.info('Job report downloaded', { operationId, format, rows: report.total });
+
+        res.attachment(filename);
+        if (format === 'json') {
+            return res.type('application/json').send(JSON.stringify(report, null, 2));
+        }
+        if (format === 'html') {
+            return res.type('text/html').send(runReport.toHtml(report));
+        }
+        res.type('text/csv').send(runReport.toCsv(report));
+    } catch (error) {
+        logManager.error('Failed to build job report', { operationId: req.params.operationId, error: error.message });
+        res.status(500).json({ error: 'Failed to build job report', details: error.message });
+    }
+});
+
+// GET /api/jobs/:operationId/failed-rows?includeSkipped=true - CSV of the rows to fix and re-run, with an error column
+router.get('/:operationId/failed-rows', (req, res) => {
+    try {
+        const { operationId } = req.params;
+        const includeSkipped = req.query.includeSkipped === 'true';
+
+        if (!jobStore.isValidOperationId(operationId)) {
+            return res.status(400).json({ error: 'Invalid operation ID' });
+        }
+
+        const job = jobStore.getJob(operationId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (jobStore.isJobActive(operationId)) {
+            return res.status(409).json({ error: 'Job is still running', details: 'Failed rows can be exported once the run has finished' });
+        }
+
+        const rowIndexes = jobStore.getFailedRowIndexes(job, { includeSkipped });
+        logManager.info('Failed rows exported', { operationId, rows: rowIndexes.length, includeSkipped });
+
+        res.attachment(`${job.type}-failed-rows-${operationId}.csv`);
+        res.type('text/csv').send(runReport.toFailedRowsCsv(job, rowIndexes));
+    } catch (error) {
+        logManager.error('Failed to export failed rows', { operationId: req.params.operationId, error: error.message });
+        res.status(500).json({ error: 'Failed to export failed rows', details: error.message });
+    }
+});
+
+// Wording for the two ways of re-running stored rows
+const RERUN_ACTIONS = {
+    resume: { label: 'Resume', log: 'Resuming job', nothing: 'Nothing to resume - every row already succeeded' },
+    retry: { label: 'Retry', log: 'Retrying failed rows', nothing: 'Nothing to retry - no failed rows' }
+};
+
+// POST /api/jobs/:operationId/resume - Re-process rows that are still pending or failed
+// Credentials are not stored with the job, so the caller supplies them again
+router.post('/:operationId/resume', (req, res) => {
+    rerunJobRows(req, res, 'resume', job => jobStore.getResumableRowIndexes(job));
+});
+
+// POST /api/jobs/:operationId/retry - Re-process only the failed rows ({ includeSkipped: true } adds skipped ones)
+router.post('/:operationId/retry', (req, res) => {
+    const includeSkipped = req.body.includeSkipped === true;
+    rerunJobRows(req, res, 'retry', job => jobStore.getFailedRowIndexes(job, { includeSkipped }));
+});
+
+// Shared body of resume and retry: selectRows(job) picks the row indexes to run again
+async function rerunJobRows(req, res, action, selectRows) {
+    const { operationId } = req.params;
+    const wording = RERUN_ACTIONS[action];
+    let started = false;
+
+    try {
+        const { environmentId, clientId, clientSecret } = req.body;
+
+        if (!environmentId || !clientId || !clientSecret) {
+            return res.status(400).json({
+                error: 'Missing required fields: environmentId, clientId, clientSecret'
+            });
+        }
+
+        if (!jobStore.isValidOperationId(operationId)) {
+            return res.status(400).json({ error: 'Invalid operation ID' });
+        }
+
+        const job = jobStore.getJob(operationId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        if (jobStore.isJobActive(operationId)) {
+            return res.status(409).json({ error: 'Job is still running' });
+        }
+
+        // Never replay rows against a different environment than the one the job was created for
+        if (job.options.environmentId && job.options.environmentId !== environmentId) {
+            return res.status(400).json({
+                error: 'Environment mismatch',
+                details: `Job ${operationId} belongs to environment ${job.options.environmentId}`
+            });
+        }
+
+        const handler = jobStore.getResumeHandler(job.type);
+        if (!handler) {
+            return res.status(400).json({ error: `Jobs of type '${job.type}' cannot be resumed` });
+        }
+
+        // Re-running a delete is a delete, so it needs the admin role like /api/delete
+        if (job.type === 'delete' && !requestHasRole(req, 'admin')) {
+            return res.status(403).json({ error: 'Access denied', details: 'Re-running delete jobs requires the admin role', requiredRole: 'admin' });
+        }
+
+        // Re-running deletes or modifications against a production profile needs the same typed confirmation
+        const confirmationError = ['delete', 'modify'].includes(job.type) && getProductionConfirmationError(req);
+        if (confirmationError) {
+            return res.status(428).json(confirmationError);
+        }
+
+        // Soft deletes keep the mode of the original run, so the environment must still be purgeable
+        const softDeleteError = job.type === 'delete' && job.options.mode === 'disable' && getSoftDeleteError(environmentId);
+        if (softDeleteError) {
+            return res.status(400).json(softDeleteError);
+        }
+
+        const rowIndexes = selectRows(job);
+        if (rowIndexes.length === 0) {
+            return res.json({
+                success: true,
+                operationId,
+                resumedRows: 0,
+                results: [],
+                message: wording.nothing
+            });
+        }
+
+        // Rows whose passwords were not kept cannot be replayed faithfully; say so before anything runs
+        try {
+            jobStore.getRowInputs(job, rowIndexes);
+        } catch (error) {
+            if (error.code !== 'SECRET_UNAVAILABLE') throw error;
+            return res.status(409).json({ error: 'Row passwords unavailable', details: error.message, rows: error.rows });
+        }
+
+        logManager.info(wording.log, { operationId, type: job.type, rows: rowIndexes.length });
+        logManager.logUserAction('operation_start', {
+            operation: `${wording.label} ${job.type}`,
+            recordCount: rowIndexes.length
+        });
+
+        const startTime = Date.now();
+        jobStore.startJob(operationId);
+        started = true;
+
+        const results = await handler(job, rowIndexes, req.body);
+        const cancelled = results.some(result => result.status === 'cancelled');
+        const duration = Date.now() - startTime;
+        const finishedJob = jobStore.completeJob(operationId, cancelled ? 'cancelled' : 'completed', { duration });
+
+        // Row handlers stream per-row progress; a cancelled run has already sent its 'cancelled' event
+        if (!cancelled) {
+            const errors = results.filter(result => result.status === 'error').length;
+            const skipped = results.filter(result => ['skipped', 'unchanged', 'not_found'].includes(result.status)).length;
+            sendProgressUpdate(operationId, {
+                type: 'complete',
+                current: results.length,
+                total: results.length,
+                success: results.length - errors - skipped,
+                errors,
+                skipped,
+                duration,
+                message: `${wording.label} of ${job.type} job completed`
+            });
+        }
+
+        res.json({
+            success: true,
+            cancelled,
+            operationId,
+            resumedRows: rowIndexes.length,
+            results: results.map((result, index) => ({ row: rowIndexes[index] + 1, ...result })),
+            summary: finishedJob.summary
+        });
+
+    } catch (error) {
+        if (started) {
+            jobStore.completeJob(operationId, 'failed', { error: error.message });
+            sendProgressUpdate(operationId, {
+                type: 'error',
+                message: error.message,
+                error: true
+            });
+        }
+
+        logManager.error(`Job ${action} error`, {
+            operationId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            error: `Failed to ${action} job`,
+            details: error.message,
+            operationId
+        });
+    }
+}
+
+// POST /api/jobs/:operationId/cancel - Stop a running job between rows
+// Rows already sent to PingOne finish; the rest are reported as 'cancelled' and can be resumed later
+router.post('/:operationId/cancel', (req, res) => {
+    try {
+        const { operationId } = req.params;
+        if (!jobStore.isValidOperationId(operationId)) {
+            return res.status(400).json({ error: 'Invalid operation ID' });
+        }
+
+        const job = jobStore.getJob(operationId);
+
+        // The browser may cancel before the bulk request has created the job - remember it so the run stops at once
+        if (!job) {
+            jobStore.requestCancel(operationId);
+            return res.status(202).json({
+                success: true,
+                operationId,
+                status: 'pending',
+                message: 'Cancellation recorded; the operation will stop before its first row'
+            });
+        }
+
+        if (!jobStore.isJobActive(operationId)) {
+            return res.status(409).json({
+                error: 'Job is not running',
+                operationId,
+                status: job.status
+            });
+        }
+
+        jobStore.requestCancel(operationId);
+        logManager.logUserAction('operation_cancel', { operationId, type: job.type });
+
+        res.status(202).json({
+            success: true,
+            operationId,
+            status: 'cancelling',
+            counts: jobStore.countRows(job),
+            message: 'Cancellation requested; rows in flight will finish and no new rows will start'
+        });
+    } catch (error) {
+        logManager.error('Failed to cancel job', { operationId: req.params.operationId, error: error.message });
+        res.status(500).json({ error: 'Failed to cancel job', details: error.message });
+    }
+});
+
+module.exports = router;
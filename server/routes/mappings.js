@@ -0,0 +1,141 @@
+// CSV Mapping Profile Routes
+// CRUD for named header mapping profiles, plus an endpoint that applies a profile to parsed CSV rows
+// Debugging: Profiles live in data/mappings/ - check 'Mapping profile ...' log entries for changes
+
+const express = require('express');
+const logManager = require('../utils/logManager');
+const mappingProfiles = require('../utils/mappingProfiles');
+
+const router = express.Router();
+
+// GET /api/mappings - List profiles, plus the valid targets and transforms for building new ones
+router.get('/', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            profiles: mappingProfiles.listProfiles(),
+            targets: mappingProfiles.MAPPING_TARGETS,
+            transforms: Object.keys(mappingProfiles.TRANSFORMS)
+        });
+    } catch (error) {
+        logManager.error('Failed to list mapping profiles', { error: error.message });
+        res.status(500).json({ error: 'Failed to list mapping profiles', details: error.message });
+    }
+});
+
+// GET /api/mappings/:id - Single profile
+router.get('/:id', (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mappingProfiles.isValidProfileId(id)) {
+            return res.status(400).json({ error: 'Invalid mapping profile ID' });
+        }
+
+        const profile = mappingProfiles.getProfile(id);
+        if (!profile) {
+            return res.status(404).json({ error: 'Mapping profile not found' });
+        }
+
+        res.json({ success: true, profile });
+    } catch (error) {
+        logManager.error('Failed to get mapping profile', { id: req.params.id, error: error.message });
+        res.status(500).json({ error: 'Failed to get mapping profile', details: error.message });
+    }
+});
+
+// POST /api/mappings - Create a profile; the ID is derived from the name unless one is supplied
+router.post('/', (req, res) => {
+    try {
+        const errors = mappingProfiles.validateProfile(req.body);
+        if (req.body?.id !== undefined && !mappingProfiles.isValidProfileId(req.body.id)) {
+            errors.push('id may only contain letters, numbers, dashes and underscores');
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid mapping profile', details: errors });
+        }
+
+        const profile = mappingProfiles.createProfile(req.body);
+        res.status(201).json({ success: true, profile });
+    } catch (error) {
+        if (error.code === 'EEXIST') {
+            return res.status(409).json({ error: 'Mapping profile already exists', details: error.message });
+        }
+        logManager.error('Failed to create mapping profile', { error: error.message });
+        res.status(500).json({ error: 'Failed to create mapping profile', details: error.message });
+    }
+});
+
+// PUT /api/mappings/:id - Replace a profile
+router.put('/:id', (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mappingProfiles.isValidProfileId(id)) {
+            return res.status(400).json({ error: 'Invalid mapping profile ID' });
+        }
+
+        const errors = mappingProfiles.validateProfile(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid mapping profile', details: errors });
+        }
+
+        const profile = mappingProfiles.updateProfile(id, req.body);
+        if (!profile) {
+            return res.status(404).json({ error: 'Mapping profile not found' });
+        }
+
+        res.json({ success: true, profile });
+    } catch (error) {
+        logManager.error('Failed to update mapping profile', { id: req.params.id, error: error.message });
+        res.status(500).json({ error: 'Failed to update mapping profile', details: error.message });
+    }
+});
+
+// DELETE /api/mappings/:id - Remove a profile
+router.delete('/:id', (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mappingProfiles.isValidProfileId(id)) {
+            return res.status(400).json({ error: 'Invalid mapping profile ID' });
+        }
+
+        if (!mappingProfiles.deleteProfile(id)) {
+            return res.status(404).json({ error: 'Mapping profile not found' });
+        }
+
+        res.json({ success: true, id });
+    } catch (error) {
+        logManager.error('Failed to delete mapping profile', { id: req.params.id, error: error.message });
+        res.status(500).json({ error: 'Failed to delete mapping profile', details: error.message });
+    }
+});
+
+// POST /api/mappings/:id/apply - Map parsed CSV rows ({ rows: [...] }) to the standard column names
+// The main page calls this before import/modify/delete, so those routes only ever see standard columns
+router.post('/:id/apply', (req, res) => {
+    try {
+        const { id } = req.params;
+        const { rows } = req.body;
+
+        if (!mappingProfiles.isValidProfileId(id)) {
+            return res.status(400).json({ error: 'Invalid mapping profile ID' });
+        }
+        if (!Array.isArray(rows)) {
+            return res.status(400).json({ error: 'Missing required field: rows (array)' });
+        }
+
+        const profile = mappingProfiles.getProfile(id);
+        if (!profile) {
+            return res.status(404).json({ error: 'Mapping profile not found' });
+        }
+
+        const mappedRows = rows.map(row => mappingProfiles.applyMappingProfile(row || {}, profile));
+        logManager.debug('Mapping profile applied', { id, rows: rows.length });
+
+        res.json({ success: true, profileId: id, rows: mappedRows });
+    } catch (error) {
+        logManager.error('Failed to apply mapping profile', { id: req.params.id, error: error.message });
+        res.status(500).json({ error: 'Failed to apply mapping profile', details: error.message });
+    }
+});
+
+module.exports = router;
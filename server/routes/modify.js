@@ -1,10 +1,24 @@
 const express = require('express');
 const axios = require('axios');
 const logManager = require('../utils/logManager');
+const { getRequestRegion, requireValidRegion, getApiBaseUrl } = require('../utils/pingoneRegions');
 const { getWorkerToken } = require('./token');
+const { runWorkerPool } = require('../utils/workerPool');
+const jobStore = require('../utils/jobStore');
+const { sendProgressUpdate } = require('../utils/progress');
+const { diffUser, buildPatchBody, formatChanges } = require('../utils/userDiff');
+const { MODIFY_FIELDS, getPopulationContext, mapModifyRow } = require('../utils/userMapping');
+const { getUserSchema } = require('../utils/userSchema');
+const { requireProductionConfirmation } = require('../utils/credentialVault');
 
 const router = express.Router();
 
+// An unknown region or base URL is a 400 like on /api/token, not a 500 from the first PingOne call
+router.use(requireValidRegion);
+
+// Production environment profiles need the environment name typed back (confirmEnvironment) before any change
+router.use(requireProductionConfirmation);
+
 // PUT /api/modify/user/:userId - Modify a specific user
 router.put('/user/:userId', async (req, res) => {
     try {
@@ -23,10 +37,11 @@ router.put('/user/:userId', async (req, res) => {
             fields: Object.keys(userData)
         });
 
-        const token = await getWorkerToken(environmentId, clientId, clientSecret);
+        const region = getRequestRegion(req.body);
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
         
         const response = await axios.put(
-            `https://api.pingone.com/v1/environments/${environmentId}/users/${userId}`,
+            `${getApiBaseUrl(region)}/environments/${environmentId}/users/${userId}`,
             userData,
             {
                 headers: {
@@ -90,10 +105,11 @@ router.patch('/user/:userId', async (req, res) => {
             fields: Object.keys(userData)
         });
 
-        const token = await getWorkerToken(environmentId, clientId, clientSecret);
+        const region = getRequestRegion(req.body);
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
         
         const response = await axios.patch(
-            `https://api.pingone.com/v1/environments/${environmentId}/users/${userId}`,
+            `${getApiBaseUrl(region)}/environments/${environmentId}/users/${userId}`,
             userData,
             {
                 headers: {
@@ -140,7 +156,11 @@ router.patch('/user/:userId', async (req, res) => {
 });
 
 // POST /api/modify/bulk - Bulk modify users
+// Rows are either { userId|username, userData } or flat CSV rows mapped like imports; `fields` limits flat rows
+// to the settings page Modify Attributes selection
 router.post('/bulk', async (req, res) => {
+    const operationId = jobStore.createOperationId('modify', req.body?.operationId);
+
     try {
         const { users, environmentId, clientId, clientSecret } = req.body;
         
@@ -150,130 +170,149 @@ router.post('/bulk', async (req, res) => {
             });
         }
 
-        logManager.info('Starting bulk user modification', {
+        const dryRun = req.body.dryRun === true;
+
+        const fields = Array.isArray(req.body.fields) ? req.body.fields : null;
+        const unknownFields = (fields || []).filter(field => !MODIFY_FIELDS[field]);
+        if (unknownFields.length > 0) {
+            return res.status(400).json({
+                error: 'Unknown modify fields',
+                details: `${unknownFields.join(', ')} (expected: ${Object.keys(MODIFY_FIELDS).join(', ')})`
+            });
+        }
+
+        logManager.info(dryRun ? 'Starting bulk user modification dry run' : 'Starting bulk user modification', {
             userCount: users.length,
-            environmentId
+            environmentId,
+            operationId
         });
 
-        const token = await getWorkerToken(environmentId, clientId, clientSecret);
-        const results = [];
-        let successCount = 0;
-        let errorCount = 0;
-        const startTime = Date.now();
+        const region = getRequestRegion(req.body);
 
-        for (const userUpdate of users) {
-            try {
-                const { userId, userData, username } = userUpdate;
-                
-                if (!userId && !username) {
-                    throw new Error('Missing userId or username');
-                }
-                
-                if (!userData) {
-                    throw new Error('Missing userData');
-                }
+        // Record the run so it can be inspected and resumed from /api/jobs (dry runs write nothing, so there is nothing to resume)
+        if (!dryRun) {
+            jobStore.createJob({
+                operationId,
+                type: 'modify',
+                rows: users,
+                options: { environmentId, region, fields }
+            });
+        }
 
-                let targetUserId = userId;
-                
-                // If we have username but no userId, find the user first
-                if (!userId && username) {
-                    logManager.info('Finding user by username for modification', { username });
-                    
-                    const searchResponse = await axios.get(
-                        `https://api.pingone.com/v1/environments/${environmentId}/users`,
-                        {
-                            headers: {
-                                'Authorization': `Bearer ${token}`,
-                                'Content-Type': 'application/json'
-                            },
-                            params: {
-                                filter: `username eq "${username}"`
-                            }
-                        }
-                    );
-
-                    if (!searchResponse.data._embedded?.users?.length) {
-                        throw new Error(`User not found with username: ${username}`);
-                    }
-                    
-                    targetUserId = searchResponse.data._embedded.users[0].id;
-                }
+        sendProgressUpdate(operationId, {
+            type: 'progress',
+            current: 0,
+            total: users.length,
+            success: 0,
+            errors: 0,
+            skipped: 0,
+            message: 'Getting authentication token...'
+        });
 
-                const response = await axios.patch(
-                    `https://api.pingone.com/v1/environments/${environmentId}/users/${targetUserId}`,
-                    userData,
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${token}`,
-                            'Content-Type': 'application/json'
-                        }
-                    }
-                );
-
-                results.push({
-                    userId: targetUserId,
-                    username: username || 'unknown',
-                    status: 'success',
-                    message: 'User modified successfully',
-                    user: response.data
-                });
-                
-                successCount++;
-                
-            } catch (error) {
-                logManager.error('Individual user modification error', {
-                    userId: userUpdate.userId,
-                    username: userUpdate.username,
-                    error: error.message,
-                    status: error.response?.status,
-                    responseData: error.response?.data
-                });
-                
-                const errorMessage = error.response?.data?.detail || error.response?.data?.message || error.message;
-                
-                results.push({
-                    userId: userUpdate.userId || 'unknown',
-                    username: userUpdate.username || 'unknown',
-                    status: 'error',
-                    message: errorMessage
-                });
-                
-                errorCount++;
-            }
-        }
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
+        const populationContext = await getModifyPopulationContext(users, fields, environmentId, token, region);
+        const userSchema = await getModifyUserSchema(users, fields, environmentId, token, region);
+        const startTime = Date.now();
+
+        const { results, successCount, errorCount, unchangedCount, cancelledCount } = await modifyUserRows(users, {
+            environmentId,
+            token,
+            region,
+            fields,
+            populationContext,
+            userSchema,
+            operationId,
+            concurrency: req.body.concurrency,
+            dryRun
+        });
 
         const duration = Date.now() - startTime;
+        const cancelled = cancelledCount > 0;
+        jobStore.completeJob(operationId, cancelled ? 'cancelled' : 'completed', { duration });
+
+        // Send completion update (a cancelled run has already sent its 'cancelled' event)
+        if (!cancelled) {
+            sendProgressUpdate(operationId, {
+                type: 'complete',
+                current: users.length,
+                total: users.length,
+                success: successCount,
+                errors: errorCount,
+                skipped: unchangedCount,
+                duration,
+                message: dryRun ? 'Dry run completed' : 'Modify completed'
+            });
+        }
+
+        if (dryRun) {
+            logManager.info('Bulk user modification dry run completed', {
+                operationId,
+                total: users.length,
+                wouldUpdate: successCount,
+                unchanged: unchangedCount,
+                failed: errorCount,
+                duration: `${duration}ms`
+            });
+
+            return res.json({
+                success: true,
+                dryRun: true,
+                cancelled,
+                results,
+                operationId,
+                summary: {
+                    total: users.length,
+                    successful: successCount,
+                    unchanged: unchangedCount,
+                    failed: errorCount,
+                    notProcessed: cancelledCount
+                }
+            });
+        }
         
         // Enhanced totals logging
         logManager.info('MODIFY TOTALS - Bulk User Modification Completed', {
             totalRecords: users.length,
             successful: successCount,
             failed: errorCount,
-            skipped: 0, // Modify doesn't have skipped records
+            skipped: unchangedCount, // Rows that already matched PingOne
             duration: `${duration}ms`,
             successRate: `${Math.round((successCount / users.length) * 100)}%`
         });
         
         // Log structured totals for easy reading
-        logManager.logStructured(`MODIFY TOTALS: Total=${users.length}, Modified=${successCount}, Failed=${errorCount}, Skipped=0, Duration=${duration}ms`);
+        logManager.logStructured(`MODIFY TOTALS: Total=${users.length}, Modified=${successCount}, Failed=${errorCount}, Skipped=${unchangedCount}, Duration=${duration}ms`);
         
         logManager.info('Bulk user modification completed', {
             total: users.length,
             successCount,
+            unchangedCount,
             errorCount
         });
 
         res.json({
             success: true,
+            cancelled,
             results,
+            operationId,
             summary: {
                 total: users.length,
                 successful: successCount,
-                failed: errorCount
+                unchanged: unchangedCount,
+                failed: errorCount,
+                notProcessed: cancelledCount
             }
         });
 
     } catch (error) {
+        jobStore.completeJob(operationId, 'failed', { error: error.message });
+
+        sendProgressUpdate(operationId, {
+            type: 'error',
+            message: error.message,
+            error: true
+        });
+
         logManager.error('Bulk user modification error', {
             error: error.message,
             stack: error.stack
@@ -281,7 +320,8 @@ router.post('/bulk', async (req, res) => {
 
         res.status(500).json({
             error: 'Failed to perform bulk user modification',
-            details: error.message
+            details: error.message,
+            operationId
         });
     }
 });
@@ -303,11 +343,12 @@ router.post('/by-username', async (req, res) => {
             fields: Object.keys(userData)
         });
 
-        const token = await getWorkerToken(environmentId, clientId, clientSecret);
+        const region = getRequestRegion(req.body);
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
         
         // First, find the user by username
         const searchResponse = await axios.get(
-            `https://api.pingone.com/v1/environments/${environmentId}/users`,
+            `${getApiBaseUrl(region)}/environments/${environmentId}/users`,
             {
                 headers: {
                     'Authorization': `Bearer ${token}`,
@@ -330,7 +371,7 @@ router.post('/by-username', async (req, res) => {
         
         // Modify the user
         const response = await axios.patch(
-            `https://api.pingone.com/v1/environments/${environmentId}/users/${user.id}`,
+            `${getApiBaseUrl(region)}/environments/${environmentId}/users/${user.id}`,
             userData,
             {
                 headers: {
@@ -397,10 +438,11 @@ router.get('/user/:userId', async (req, res) => {
             environmentId
         });
 
-        const token = await getWorkerToken(environmentId, clientId, clientSecret);
+        const region = getRequestRegion(req.query);
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
         
         const response = await axios.get(
-            `https://api.pingone.com/v1/environments/${environmentId}/users/${userId}`,
+            `${getApiBaseUrl(region)}/environments/${environmentId}/users/${userId}`,
             {
                 headers: {
                     'Authorization': `Bearer ${token}`,
@@ -472,4 +514,298 @@ router.get('/test-totals', (req, res) => {
     });
 });
 
+// Helper function to modify rows through the shared worker pool
+// Each row GETs the current user and only PATCHes the fields that differ; rows with no differences are 'unchanged'
+// Results keep the input order; context.rowIndexes maps rows back to a stored job when resuming
+// With context.dryRun the target user is only looked up and the row reports the fields it would change
+async function modifyUserRows(users, context) {
+    const { environmentId, token, region, fields, populationContext, userSchema, operationId, concurrency, rowIndexes, dryRun } = context;
+    const results = new Array(users.length);
+    let successCount = 0;
+    let errorCount = 0;
+    let unchangedCount = 0;
+
+    // Rows whose password PUT was sent; a second PUT after a lost response can fail the password history check
+    const passwordSent = new Set();
+
+    await runWorkerPool(users, async (userUpdate, index) => {
+        const { userId, username } = userUpdate;
+        
+        if (!userId && !username) {
+            throw new Error('Missing userId or username');
+        }
+
+        // Flat CSV rows are mapped like imports, limited to the selected modify fields
+        const userData = userUpdate.userData || mapModifyRow(userUpdate, fields, populationContext, userSchema);
+        if (Object.keys(userData).length === 0) {
+            throw new Error('No attributes to update - check the CSV columns and the Modify Attributes settings');
+        }
+
+        let currentUser;
+        
+        // If we have username but no userId, find the user first
+        if (!userId && username) {
+            logManager.info('Finding user by username for modification', { username });
+            
+            const searchResponse = await axios.get(
+                `${getApiBaseUrl(region)}/environments/${environmentId}/users`,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Content-Type': 'application/json'
+                    },
+                    params: {
+                        filter: `username eq "${username}"`
+                    }
+                }
+            );
+
+            if (!searchResponse.data._embedded?.users?.length) {
+                throw new Error(`User not found with username: ${username}`);
+            }
+            
+            currentUser = searchResponse.data._embedded.users[0];
+        } else {
+            currentUser = await getUserById(userId, environmentId, token, region);
+        }
+
+        const targetUserId = currentUser.id;
+
+        // DEBUG: An unexpected 'unchanged' row means the CSV values already match what PingOne stores
+        // A password (ticked explicitly) is not diffed - PingOne never returns it - and always counts as a change
+        const password = normalizePassword(userData.password);
+        const changes = diffUser(currentUser, userData);
+        if (password) {
+            changes.push({ field: 'password', from: '(hidden)', to: '(new value)' });
+        }
+        if (dryRun || changes.length === 0) {
+            return { targetUserId, changes };
+        }
+
+        // PingOne moves users between populations and sets passwords through their own endpoints, not the user PATCH
+        const populationChange = changes.find(change => change.field === 'population.id');
+        const attributeChanges = changes.filter(change => change !== populationChange && change.field !== 'password');
+        let updatedUser = currentUser;
+
+        if (attributeChanges.length > 0) {
+            const response = await axios.patch(
+                `${getApiBaseUrl(region)}/environments/${environmentId}/users/${targetUserId}`,
+                buildPatchBody(currentUser, userData, attributeChanges),
+                {
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+            updatedUser = response.data;
+        }
+
+        if (populationChange) {
+            await axios.put(
+                `${getApiBaseUrl(region)}/environments/${environmentId}/users/${targetUserId}/population`,
+                { id: populationChange.to },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+        }
+
+        if (password) {
+            passwordSent.add(index);
+            await axios.put(
+                `${getApiBaseUrl(region)}/environments/${environmentId}/users/${targetUserId}/password`,
+                password,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Content-Type': 'application/vnd.pingidentity.password.set+json'
+                    }
+                }
+            );
+        }
+
+        return { targetUserId, changes, user: updatedUser };
+    }, {
+        concurrency,
+        // Every attempt re-reads the user and only sends attributes that still differ, so repeating a row is harmless
+        // until its password has been sent - passwords cannot be diffed, so those rows are not retried after that
+        idempotent: (userUpdate, index) => !passwordSent.has(index),
+        shouldStop: () => jobStore.isCancelRequested(operationId),
+        onSettled: ({ index, value, error }) => {
+            const userUpdate = users[index];
+
+            if (!error && value.changes.length === 0) {
+                results[index] = {
+                    userId: value.targetUserId,
+                    username: userUpdate.username || 'unknown',
+                    status: 'unchanged',
+                    message: dryRun ? 'Would skip: unchanged' : 'No changes (user already up to date)'
+                };
+
+                unchangedCount++;
+            } else if (!error && dryRun) {
+                results[index] = {
+                    userId: value.targetUserId,
+                    username: userUpdate.username || 'unknown',
+                    status: 'planned',
+                    action: 'update',
+                    message: `Would update fields ${value.changes.map(change => change.field).join(',')}`,
+                    diff: formatChanges(value.changes),
+                    changes: value.changes
+                };
+
+                successCount++;
+            } else if (!error) {
+                const diff = formatChanges(value.changes);
+                results[index] = {
+                    userId: value.targetUserId,
+                    username: userUpdate.username || 'unknown',
+                    status: 'modified',
+                    message: `User modified: ${diff}`,
+                    diff,
+                    changes: value.changes,
+                    user: value.user
+                };
+                
+                successCount++;
+            } else {
+                logManager.error('Individual user modification error', {
+                    userId: userUpdate.userId,
+                    username: userUpdate.username,
+                    error: error.message,
+                    status: error.response?.status,
+                    responseData: error.response?.data
+                });
+                
+                const errorMessage = error.response?.data?.detail || error.response?.data?.message || error.message;
+                
+                results[index] = {
+                    userId: userUpdate.userId || 'unknown',
+                    username: userUpdate.username || 'unknown',
+                    status: 'error',
+                    message: errorMessage,
+                    error: error.response?.data
+                };
+                
+                errorCount++;
+            }
+
+            jobStore.updateRow(operationId, rowIndexes ? rowIndexes[index] : index, results[index]);
+
+            const processedCount = successCount + errorCount + unchangedCount;
+            sendProgressUpdate(operationId, {
+                type: 'progress',
+                current: processedCount,
+                total: users.length,
+                success: successCount,
+                errors: errorCount,
+                skipped: unchangedCount,
+                message: `Processing user ${processedCount} of ${users.length}`
+            });
+        }
+    });
+
+    // Rows the pool never started because the run was cancelled
+    let cancelledCount = 0;
+    users.forEach((userUpdate, index) => {
+        if (results[index]) return;
+        results[index] = {
+            userId: userUpdate.userId || 'unknown',
+            username: userUpdate.username || 'unknown',
+            status: 'cancelled',
+            message: 'Not processed (operation cancelled)'
+        };
+        jobStore.updateRow(operationId, rowIndexes ? rowIndexes[index] : index, results[index]);
+        cancelledCount++;
+    });
+
+    if (cancelledCount > 0) {
+        const processedCount = successCount + errorCount + unchangedCount;
+        logManager.warn('Bulk user modification cancelled', {
+            operationId,
+            processed: processedCount,
+            notProcessed: cancelledCount,
+            total: users.length
+        });
+
+        sendProgressUpdate(operationId, {
+            type: 'cancelled',
+            current: processedCount,
+            total: users.length,
+            success: successCount,
+            errors: errorCount,
+            skipped: unchangedCount,
+            notProcessed: cancelledCount,
+            message: `Modify cancelled: ${processedCount} of ${users.length} rows processed, ${cancelledCount} not processed`
+        });
+    }
+
+    return { results, successCount, errorCount, unchangedCount, cancelledCount };
+}
+
+// Re-run the unfinished rows of a stored modify job
+jobStore.registerResumeHandler('modify', async (job, rowIndexes, credentials) => {
+    const { environmentId, clientId, clientSecret } = credentials;
+    const region = job.options.region;
+    const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
+    const users = jobStore.getRowInputs(job, rowIndexes);
+    const fields = job.options.fields || null;
+    const populationContext = await getModifyPopulationContext(users, fields, environmentId, token, region);
+    const userSchema = await getModifyUserSchema(users, fields, environmentId, token, region);
+
+    const { results } = await modifyUserRows(users, {
+        environmentId,
+        token,
+        region,
+        fields,
+        populationContext,
+        userSchema,
+        operationId: job.operationId,
+        concurrency: credentials.concurrency,
+        rowIndexes
+    });
+    return results;
+});
+
+// Helper function to turn a row's password (mapped { value, forceChange } or a plain string in userData) into the
+// body of PingOne's password set request, or null when the row sets none
+function normalizePassword(password) {
+    if (!password) {
+        return null;
+    }
+    return typeof password === 'object' ? password : { value: String(password), forceChange: false };
+}
+
+// Helper function to load populations only when a flat row asks to move its user to another population
+async function getModifyPopulationContext(users, fields, environmentId, token, region) {
+    const populationSelected = !fields || fields.includes('population');
+    const needed = populationSelected && users.some(user => !user.userData && (user.populationId || user.populationName));
+    return needed ? getPopulationContext(environmentId, token, region) : null;
+}
+
+// Helper function to load the user schema only when flat rows may carry custom attribute columns
+async function getModifyUserSchema(users, fields, environmentId, token, region) {
+    const customSelected = !fields || fields.includes('customAttributes');
+    const needed = customSelected && users.some(user => !user.userData);
+    return needed ? getUserSchema(environmentId, token, region) : null;
+}
+
+// Helper function to read a user in PingOne by ID
+async function getUserById(userId, environmentId, accessToken, region) {
+    const response = await axios.get(
+        `${getApiBaseUrl(region)}/environments/${environmentId}/users/${userId}`,
+        {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+            }
+        }
+    );
+    return response.data;
+}
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,116 @@
+// Pending Purge Route
+// Lists users disabled by soft deletes, restores them before their purge date, and purges due users on demand
+// Debugging: Entries are data/purge/<userId>.json; the unattended scheduler logs 'Purge run' entries
+
+const express = require('express');
+const logManager = require('../utils/logManager');
+const purgeStore = require('../utils/purgeStore');
+const { purgeDueUsers, restorePendingUser } = require('../utils/purgeScheduler');
+const { getWorkerToken } = require('./token');
+const { getRequestRegion } = require('../utils/pingoneRegions');
+const { requireProductionConfirmation } = require('../utils/credentialVault');
+
+const router = express.Router();
+
+// GET /api/purge - List purge entries (query: environmentId, status)
+router.get('/', (req, res) => {
+    try {
+        const { environmentId, status } = req.query;
+        if (status && !purgeStore.PURGE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                details: `status must be one of: ${purgeStore.PURGE_STATUSES.join(', ')}`
+            });
+        }
+
+        res.json({
+            success: true,
+            entries: purgeStore.listPurgeEntries({ environmentId, status }),
+            defaultMode: purgeStore.PURGE_CONFIG.DEFAULT_DELETE_MODE,
+            retentionDays: purgeStore.PURGE_CONFIG.RETENTION_DAYS
+        });
+    } catch (error) {
+        logManager.error('Failed to list purge entries', { error: error.message });
+        res.status(500).json({ error: 'Failed to list purge entries', details: error.message });
+    }
+});
+
+// POST /api/purge/:userId/restore - Re-enable a pending user and take them off the purge list
+router.post('/:userId/restore', async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { environmentId, clientId, clientSecret } = req.body;
+
+        if (!purgeStore.isValidUserId(userId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+        if (!environmentId || !clientId || !clientSecret) {
+            return res.status(400).json({
+                error: 'Missing required fields: environmentId, clientId, clientSecret'
+            });
+        }
+
+        const entry = purgeStore.getPurgeEntry(userId);
+        if (!entry) {
+            return res.status(404).json({ error: 'User is not on the purge list', userId });
+        }
+        if (entry.status !== 'pending') {
+            return res.status(409).json({ error: `User was already ${entry.status}`, userId, status: entry.status });
+        }
+        if (entry.environmentId !== environmentId) {
+            return res.status(400).json({
+                error: 'Environment mismatch',
+                details: 'The user was disabled in a different environment'
+            });
+        }
+
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, entry.region);
+        const restored = await restorePendingUser(entry, token);
+
+        logManager.logUserAction('restore', { userId, username: entry.username, status: 'restored', message: 'Re-enabled before purge' });
+        res.json({ success: true, entry: restored });
+
+    } catch (error) {
+        logManager.error('Failed to restore pending user', {
+            userId: req.params.userId,
+            error: error.message,
+            responseData: error.response?.data
+        });
+
+        // The user no longer exists in PingOne, so there is nothing to re-enable
+        if (error.response?.status === 404) {
+            return res.status(404).json({ error: 'User not found in PingOne', details: error.response?.data?.message || error.message });
+        }
+        res.status(500).json({ error: 'Failed to restore user', details: error.response?.data?.message || error.message });
+    }
+});
+
+// POST /api/purge/run - Purge the due users of the environment in the request body now
+// The scheduler does the same on a timer for the environment configured in PINGONE_ENVIRONMENT_ID
+// Production environment profiles need the environment name typed back (confirmEnvironment)
+router.post('/run', requireProductionConfirmation, async (req, res) => {
+    try {
+        const { environmentId, clientId, clientSecret } = req.body;
+        if (!environmentId || !clientId || !clientSecret) {
+            return res.status(400).json({
+                error: 'Missing required fields: environmentId, clientId, clientSecret'
+            });
+        }
+
+        const region = getRequestRegion(req.body);
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
+        const result = await purgeDueUsers({ environmentId, accessToken: token });
+
+        if (result.running) {
+            return res.status(409).json({ error: 'A purge is already running for this environment' });
+        }
+
+        res.json({ success: true, ...result });
+
+    } catch (error) {
+        logManager.error('Purge run error', { error: error.message });
+        res.status(500).json({ error: 'Failed to purge users', details: error.message });
+    }
+});
+
+module.exports = router;
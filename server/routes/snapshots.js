@@ -0,0 +1,172 @@
+// Delete Snapshot Route
+// Lists the users saved before each delete operation and recreates them in PingOne (undo for deletions)
+// Debugging: Snapshots are data/snapshots/<operationId>.jsonl; check 'Snapshot restore' log entries for per-user outcomes
+
+const express = require('express');
+const axios = require('axios');
+const logManager = require('../utils/logManager');
+const snapshotStore = require('../utils/snapshotStore');
+const { runWorkerPool } = require('../utils/workerPool');
+const { getWorkerToken } = require('./token');
+const { getApiBaseUrl } = require('../utils/pingoneRegions');
+const { requireProductionConfirmation } = require('../utils/credentialVault');
+
+const router = express.Router();
+
+// GET /api/snapshots - Snapshot summaries, newest first
+router.get('/', (req, res) => {
+    try {
+        res.json({ success: true, snapshots: snapshotStore.listSnapshots() });
+    } catch (error) {
+        logManager.error('Failed to list snapshots', { error: error.message });
+        res.status(500).json({ error: 'Failed to list snapshots', details: error.message });
+    }
+});
+
+// GET /api/snapshots/:operationId - Saved users of one delete operation
+router.get('/:operationId', (req, res) => {
+    try {
+        const { operationId } = req.params;
+        if (!snapshotStore.isValidSnapshotId(operationId)) {
+            return res.status(400).json({ error: 'Invalid operation ID' });
+        }
+
+        const snapshot = snapshotStore.getSnapshot(operationId);
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Snapshot not found', operationId });
+        }
+        res.json({ success: true, snapshot });
+    } catch (error) {
+        logManager.error('Failed to read snapshot', { operationId: req.params.operationId, error: error.message });
+        res.status(500).json({ error: 'Failed to read snapshot', details: error.message });
+    }
+});
+
+// POST /api/snapshots/:operationId/restore - Recreate the deleted users of an operation
+// Body: credentials for the snapshot's environment, optional `userIds` to restore only some users
+// Restored users get new PingOne IDs and no password; users already restored are skipped
+// Production environment profiles need the environment name typed back (confirmEnvironment)
+router.post('/:operationId/restore', requireProductionConfirmation, async (req, res) => {
+    const { operationId } = req.params;
+
+    try {
+        const { environmentId, clientId, clientSecret, userIds } = req.body;
+
+        if (!snapshotStore.isValidSnapshotId(operationId)) {
+            return res.status(400).json({ error: 'Invalid operation ID' });
+        }
+        if (!environmentId || !clientId || !clientSecret) {
+            return res.status(400).json({
+                error: 'Missing required fields: environmentId, clientId, clientSecret'
+            });
+        }
+        if (userIds !== undefined && !Array.isArray(userIds)) {
+            return res.status(400).json({ error: 'userIds must be an array' });
+        }
+
+        const snapshot = snapshotStore.getSnapshot(operationId);
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Snapshot not found', operationId });
+        }
+        if (snapshot.environmentId !== environmentId) {
+            return res.status(400).json({
+                error: 'Environment mismatch',
+                details: 'The users were deleted from a different environment'
+            });
+        }
+
+        const entries = snapshot.users.filter(entry => !userIds || userIds.includes(entry.user.id));
+        const region = snapshot.region;
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
+
+        logManager.info('Snapshot restore started', { operationId, environmentId, users: entries.length });
+
+        const results = new Array(entries.length);
+        const counts = { restored: 0, skipped: 0, exists: 0, error: 0 };
+
+        const pending = [];
+        entries.forEach((entry, index) => {
+            if (entry.restoredAt) {
+                results[index] = {
+                    userId: entry.user.id,
+                    username: entry.user.username,
+                    restoredUserId: entry.restoredUserId,
+                    status: 'skipped',
+                    message: `Already restored at ${entry.restoredAt}`
+                };
+                counts.skipped++;
+            } else {
+                pending.push(index);
+            }
+        });
+
+        await runWorkerPool(pending, async (index) => {
+            const response = await axios.post(
+                `${getApiBaseUrl(region)}/environments/${environmentId}/users`,
+                snapshotStore.toCreatePayload(entries[index].user),
+                {
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+            return response.data;
+        }, {
+            concurrency: req.body.concurrency,
+            onSettled: ({ index, value, error }) => {
+                const entryIndex = pending[index];
+                const { user } = entries[entryIndex];
+                const row = { userId: user.id, username: user.username };
+
+                if (error) {
+                    // 409 is PingOne's uniqueness conflict: someone already recreated the user
+                    const exists = error.response?.status === 409;
+                    results[entryIndex] = {
+                        ...row,
+                        status: exists ? 'exists' : 'error',
+                        message: exists
+                            ? 'A user with this username or email already exists'
+                            : error.response?.data?.details?.[0]?.message || error.response?.data?.message || error.message,
+                        error: error.response?.data
+                    };
+                    counts[exists ? 'exists' : 'error']++;
+                    return;
+                }
+
+                snapshotStore.markUserRestored(operationId, user.id, value.id);
+                results[entryIndex] = {
+                    ...row,
+                    restoredUserId: value.id,
+                    status: 'restored',
+                    message: 'User recreated (set a new password before they sign in)'
+                };
+                counts.restored++;
+            }
+        });
+
+        logManager.info('Snapshot restore completed', { operationId, ...counts });
+
+        res.json({
+            success: true,
+            operationId,
+            results,
+            summary: { total: entries.length, ...counts }
+        });
+
+    } catch (error) {
+        logManager.error('Snapshot restore error', {
+            operationId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            error: 'Failed to restore snapshot',
+            details: error.message,
+            operationId
+        });
+    }
+});
+
+module.exports = router;
@@ -4,13 +4,20 @@
 
 const express = require('express');
 const axios = require('axios');
+const crypto = require('crypto');
 const logManager = require('../utils/logManager');
+const { resolveRegion, getRequestRegion, getApiBaseUrl, getAuthBaseUrl } = require('../utils/pingoneRegions');
+const { checkWorkerPermissions } = require('../utils/permissionCheck');
+const { DEFAULT_AUTH_METHOD, normalizeClientCredential, buildTokenRequest } = require('../utils/tokenAuth');
 
 const router = express.Router();
 
 // Token cache to avoid unnecessary API calls
 // DEBUG: Check tokenCache in memory for current token status
-exports.tokenCache = {};
+const tokenCache = {};
+
+// Key for the credential hashes in cache keys; per process, so /api/token/cache never lists a guessable hash of a secret
+const CACHE_KEY_SECRET = crypto.randomBytes(32);
 
 // Token configuration
 const TOKEN_CONFIG = {
@@ -47,8 +54,25 @@ function isTokenValid(tokenData) {
 
 // Helper function to create cache key
 // DEBUG: If token caching isn't working, check key generation
-function createCacheKey(environmentId, clientId) {
-    return `${environmentId}:${clientId}`;
+// Region is part of the key because the same environment ID is only valid in one geography
+// The auth method is too, so switching an app to private_key_jwt never reuses a token obtained with its secret
+// and so is a hash of the secret or key, so a wrong secret is never answered with a token obtained with the right one
+function createCacheKey(environmentId, clientId, region, clientSecret) {
+    const { authMethod } = normalizeClientCredential(clientSecret);
+    return `${getCacheKeyPrefix(environmentId, clientId, region, authMethod)}${getCredentialHash(clientSecret)}`;
+}
+
+// Prefix of every cache key of one client (and auth method, when given); the status endpoint never sees the secret
+function getCacheKeyPrefix(environmentId, clientId, region, authMethod) {
+    return `${resolveRegion(region)}:${environmentId}:${clientId}:${authMethod ? `${authMethod}:` : ''}`;
+}
+
+function getCredentialHash(clientSecret) {
+    const { clientSecret: secret, privateKey, keyId } = normalizeClientCredential(clientSecret);
+    return crypto.createHmac('sha256', CACHE_KEY_SECRET)
+        .update(JSON.stringify([secret || null, privateKey || null, keyId || null]))
+        .digest('hex')
+        .substring(0, 16);
 }
 
 // Helper function to calculate and log token age information
@@ -75,12 +99,15 @@ function logTokenAgeInfo(tokenData, action = 'reused') {
 }
 
 // Get worker token with caching
-const getWorkerToken = async (environmentId, clientId, clientSecret) => {
-    const cacheKey = createCacheKey(environmentId, clientId);
+// `clientSecret` is the secret (client_secret_basic) or a credential object from tokenAuth.createClientCredential
+// `useCache: false` always asks PingOne and leaves the cache untouched (credential tests)
+const getWorkerToken = async (environmentId, clientId, clientSecret, region, { useCache = true } = {}) => {
+    const { authMethod } = normalizeClientCredential(clientSecret);
+    const cacheKey = createCacheKey(environmentId, clientId, region, clientSecret);
     const now = Date.now();
     
     // Check cache first
-    const cached = exports.tokenCache[cacheKey];
+    const cached = useCache && tokenCache[cacheKey];
     if (cached && isTokenValid(cached)) {
         // Log detailed token age information
         logTokenAgeInfo(cached, 'reused');
@@ -93,56 +120,60 @@ const getWorkerToken = async (environmentId, clientId, clientSecret) => {
 
     // If no valid cached token, get a new one
     try {
-        logManager.logStructured('TOKEN REQUEST: Fetching new token');
+        logManager.logStructured(`TOKEN REQUEST: Fetching new token (${authMethod})`);
         
-        const tokenResponse = await axios.post(
-            `https://auth.pingone.com/${environmentId}/as/token`,
-            new URLSearchParams({
-                grant_type: 'client_credentials',
-                client_id: clientId,
-                client_secret: clientSecret
-            }),
-            {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
-            }
-        );
+        const tokenUrl = `${getAuthBaseUrl(region)}/${environmentId}/as/token`;
+        const { body, headers } = buildTokenRequest(clientSecret, clientId, tokenUrl);
+        const tokenResponse = await axios.post(tokenUrl, body, { headers });
 
         const { access_token, expires_in } = tokenResponse.data;
         const expiresAt = now + (expires_in * 1000);
+
+        if (!useCache) {
+            logManager.logStructured('TOKEN CREATED: New token obtained without caching');
+            return access_token;
+        }
         
         // Cache the new token
-        exports.tokenCache[cacheKey] = {
+        tokenCache[cacheKey] = {
             access_token,
             expiresAt,
             createdAt: now,
             environmentId,
-            clientId
+            clientId,
+            region: resolveRegion(region),
+            authMethod
         };
 
         // Log token age info
-        logTokenAgeInfo(exports.tokenCache[cacheKey], 'created');
+        logTokenAgeInfo(tokenCache[cacheKey], 'created');
         
         logManager.logStructured('TOKEN CREATED: New token obtained and cached');
-        logManager.logWorkerTokenCreated();
+        logManager.logWorkerTokenReceived(Math.round(expires_in / 60));
         
         return access_token;
     } catch (error) {
         logManager.error('TOKEN ERROR: Failed to get worker token', {
             error: error.message,
             environmentId: environmentId.substring(0, 8) + '...',
-            clientId: clientId.substring(0, 8) + '...'
+            clientId: clientId.substring(0, 8) + '...',
+            region,
+            authMethod
         });
         throw error;
     }
 };
 
-// Export the function
-exports.getWorkerToken = getWorkerToken;
+// Drop the cached tokens of one client (every auth method), e.g. after its secret or key changed in the credential vault
+function clearCachedToken(environmentId, clientId, region) {
+    const prefix = getCacheKeyPrefix(environmentId, clientId, region);
+    Object.keys(tokenCache)
+        .filter(cacheKey => cacheKey.startsWith(prefix))
+        .forEach(cacheKey => delete tokenCache[cacheKey]);
+}
 
-const getUserIdByUsername = async (username, environmentId, token) => {
-    const url = `https://api.pingone.com/v1/environments/${environmentId}/users?filter=username eq "${username}"`;
+const getUserIdByUsername = async (username, environmentId, token, region) => {
+    const url = `${getApiBaseUrl(region)}/environments/${environmentId}/users?filter=username eq "${username}"`;
     try {
         const response = await axios.get(url, {
             headers: { 'Authorization': `Bearer ${token}` }
@@ -157,11 +188,15 @@ const getUserIdByUsername = async (username, environmentId, token) => {
             error: error.message,
             statusCode: error.response?.status
         });
-        throw new Error('Could not retrieve user from PingOne.');
+        // Keep the HTTP details so callers (and the worker pool) can react to rate limits
+        const lookupError = new Error('Could not retrieve user from PingOne.');
+        lookupError.response = error.response;
+        lookupError.code = error.code;
+        throw lookupError;
     }
 };
 
-// POST /api/token - Get worker token
+// POST /api/token - Get worker token (admin only, for scripts; the UI never needs the token itself)
 router.post('/', async (req, res) => {
     try {
         const { environmentId, clientId, clientSecret } = req.body;
@@ -173,7 +208,8 @@ router.post('/', async (req, res) => {
             });
         }
         
-        const token = await getWorkerToken(environmentId, clientId, clientSecret);
+        const region = getRequestRegion(req.body);
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
         
         res.json({
             access_token: token,
@@ -196,6 +232,10 @@ router.post('/', async (req, res) => {
             res.status(400).json({
                 error: 'Invalid request to PingOne. Please check your Environment ID.'
             });
+        } else if (error.message.startsWith('Unsupported PingOne region')) {
+            res.status(400).json({
+                error: error.message
+            });
         } else {
             res.status(500).json({
                 error: 'An internal server error occurred while trying to get a token from PingOne.'
@@ -204,53 +244,49 @@ router.post('/', async (req, res) => {
     }
 });
 
-// POST /api/token/worker - Get worker token (alternative endpoint)
-router.post('/worker', async (req, res) => {
+// POST /api/token/environment - Name of the configured environment for the main page
+// The page used to fetch this from PingOne itself; the worker token now never leaves the server
+router.post('/environment', async (req, res) => {
     try {
         const { environmentId, clientId, clientSecret } = req.body;
-        
-        // Validate required fields
+
         if (!environmentId || !clientId || !clientSecret) {
             return res.status(400).json({
                 success: false,
                 error: 'Missing required fields: environmentId, clientId, and clientSecret are all required.'
             });
         }
-        
-        const token = await getWorkerToken(environmentId, clientId, clientSecret);
-        
+
+        const region = getRequestRegion(req.body);
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
+        const response = await axios.get(`${getApiBaseUrl(region)}/environments/${environmentId}`, {
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            timeout: 10000
+        });
+
         res.json({
             success: true,
             data: {
-                access_token: token,
-                token_type: 'Bearer',
-                expires_in: 3000 // 50 minutes in seconds
+                name: response.data.name || 'Unknown Environment',
+                id: environmentId,
+                clientId,
+                region
             }
         });
-        
     } catch (error) {
-        logManager.error('Worker token endpoint processing error', {
-            errorMessage: error.message,
-            stack: error.stack
+        logManager.error('Environment info request failed', {
+            error: error.message,
+            status: error.response?.status
+        });
+
+        res.status(error.message.startsWith('Unsupported PingOne region') ? 400 : 500).json({
+            success: false,
+            error: 'Failed to get environment info',
+            details: error.response?.data?.message || error.message
         });
-        
-        // Check for specific error messages from getWorkerToken
-        if (error.message.includes('PingOne API error (401)')) {
-            res.status(401).json({
-                success: false,
-                error: 'Invalid PingOne credentials. Please check your Client ID and Client Secret.'
-            });
-        } else if (error.message.includes('PingOne API error (400)')) {
-            res.status(400).json({
-                success: false,
-                error: 'Invalid request to PingOne. Please check your Environment ID.'
-            });
-        } else {
-            res.status(500).json({
-                success: false,
-                error: 'An internal server error occurred while trying to get a token from PingOne.'
-            });
-        }
     }
 });
 
@@ -264,8 +300,17 @@ router.get('/status', (req, res) => {
         });
     }
     
-    const cacheKey = createCacheKey(environmentId, clientId);
-    const cached = exports.tokenCache[cacheKey];
+    let prefix;
+    try {
+        prefix = getCacheKeyPrefix(environmentId, clientId, getRequestRegion(req.query), req.query.authMethod || DEFAULT_AUTH_METHOD);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    // Any valid token of this client and method; the newest one when its secret changed within the hour
+    const cached = Object.entries(tokenCache)
+        .filter(([cacheKey, tokenData]) => cacheKey.startsWith(prefix) && isTokenValid(tokenData))
+        .map(([, tokenData]) => tokenData)
+        .sort((a, b) => b.createdAt - a.createdAt)[0];
     const now = Date.now();
     
     if (cached && isTokenValid(cached)) {
@@ -316,14 +361,15 @@ router.post('/test', async (req, res) => {
         logManager.info('Testing PingOne credentials', {
             environmentId: environmentId.substring(0, 8) + '...',
             clientId: clientId.substring(0, 8) + '...',
-            secretLength: clientSecret.length
+            authMethod: normalizeClientCredential(clientSecret).authMethod
         });
         
         // Force a fresh token request (bypass cache)
-        const token = await getWorkerToken(environmentId, clientId, clientSecret);
+        const region = getRequestRegion(req.body);
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region, { useCache: false });
         
         // Test the token by making a simple API call
-        const testUrl = `https://api.pingone.com/v1/environments/${environmentId}`;
+        const testUrl = `${getApiBaseUrl(region)}/environments/${environmentId}`;
         const testResponse = await axios.get(testUrl, {
             headers: {
                 'Authorization': `Bearer ${token}`,
@@ -335,8 +381,19 @@ router.post('/test', async (req, res) => {
         logManager.info('Credentials test successful', {
             environmentId: environmentId.substring(0, 8) + '...',
             environmentName: testResponse.data.name,
+            region,
+            authMethod: normalizeClientCredential(clientSecret).authMethod,
             tokenLength: token.length
         });
+
+        // Working credentials are still worth reporting when the permission check itself fails
+        let permissions;
+        try {
+            permissions = await checkWorkerPermissions({ environmentId, clientId, accessToken: token, region });
+        } catch (error) {
+            logManager.error('Permission check failed', { error: error.message, status: error.response?.status });
+            permissions = { checked: false, error: error.response?.data?.message || error.message };
+        }
         
         res.json({
             success: true,
@@ -344,12 +401,15 @@ router.post('/test', async (req, res) => {
             environment: {
                 id: environmentId,
                 name: testResponse.data.name,
-                type: testResponse.data.type
+                type: testResponse.data.type,
+                region
             },
+            authMethod: normalizeClientCredential(clientSecret).authMethod,
             token: {
                 length: token.length,
                 expires_in: 3000
-            }
+            },
+            permissions
         });
         
     } catch (error) {
@@ -371,6 +431,9 @@ router.post('/test', async (req, res) => {
         } else if (error.message.includes('PingOne API error (403)')) {
             errorMessage = 'Access denied - Please check your client application permissions';
             statusCode = 403;
+        } else if (error.message.startsWith('Unsupported PingOne region')) {
+            errorMessage = error.message;
+            statusCode = 400;
         }
         
         res.status(statusCode).json({
@@ -381,23 +444,59 @@ router.post('/test', async (req, res) => {
     }
 });
 
+// POST /api/token/permissions - Capability matrix (import/modify/delete/export/groups) of the worker application
+// The main page calls this on load to disable operations the app cannot perform
+router.post('/permissions', async (req, res) => {
+    try {
+        const { environmentId, clientId, clientSecret } = req.body;
+
+        if (!environmentId || !clientId || !clientSecret) {
+            return res.status(400).json({
+                error: 'Missing required fields: environmentId, clientId, clientSecret'
+            });
+        }
+
+        const region = getRequestRegion(req.body);
+        const token = await getWorkerToken(environmentId, clientId, clientSecret, region);
+        const permissions = await checkWorkerPermissions({ environmentId, clientId, accessToken: token, region });
+
+        res.json({ success: true, permissions });
+    } catch (error) {
+        logManager.error('Permission check failed', {
+            error: error.message,
+            status: error.response?.status
+        });
+
+        res.status(error.message.startsWith('Unsupported PingOne region') ? 400 : 500).json({
+            error: 'Failed to check worker application permissions',
+            details: error.response?.data?.message || error.message
+        });
+    }
+});
+
 // DELETE /api/token - Clear token cache
 router.delete('/', (req, res) => {
     const { environmentId, clientId } = req.query;
     
     if (environmentId && clientId) {
         // Clear specific token
-        const cacheKey = createCacheKey(environmentId, clientId);
-        if (exports.tokenCache[cacheKey]) {
-            delete exports.tokenCache[cacheKey];
-            logManager.info('Specific token cleared from cache', { environmentId, clientId });
+        let region;
+        try {
+            region = getRequestRegion(req.query);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        const cacheSize = Object.keys(tokenCache).length;
+        clearCachedToken(environmentId, clientId, region);
+        if (Object.keys(tokenCache).length < cacheSize) {
+            logManager.info('Specific token cleared from cache', { environmentId, clientId, region });
         } else {
-            logManager.info('No token found in cache for specified environment', { environmentId, clientId });
+            logManager.info('No token found in cache for specified environment', { environmentId, clientId, region });
         }
     } else {
-        // Clear all tokens
-        const cacheSize = Object.keys(exports.tokenCache).length;
-        exports.tokenCache = {};
+        // Clear all tokens (keep the same object so importers see the change)
+        const cacheSize = Object.keys(tokenCache).length;
+        Object.keys(tokenCache).forEach(key => delete tokenCache[key]);
         logManager.info('All tokens cleared from cache', { previousCacheSize: cacheSize });
     }
     
@@ -408,7 +507,7 @@ router.delete('/', (req, res) => {
 router.get('/cache', (req, res) => {
     const now = Date.now();
     const cacheInfo = {
-        totalTokens: Object.keys(exports.tokenCache).length,
+        totalTokens: Object.keys(tokenCache).length,
         configuration: {
             cacheDuration: TOKEN_CONFIG.CACHE_DURATION / 1000,
             bufferTime: TOKEN_CONFIG.BUFFER_TIME / 1000,
@@ -417,16 +516,19 @@ router.get('/cache', (req, res) => {
         tokens: []
     };
     
-    for (const [cacheKey, tokenData] of Object.entries(exports.tokenCache)) {
-        const [environmentId, clientId] = cacheKey.split(':');
+    for (const [cacheKey, tokenData] of Object.entries(tokenCache)) {
+        const [region, environmentId, clientId, authMethod, credentialHash] = cacheKey.split(':');
         const ageMinutes = Math.floor((now - tokenData.createdAt) / (60 * 1000));
         const timeRemaining = Math.floor((tokenData.expiresAt - now) / (60 * 1000));
         const isValid = isTokenValid(tokenData);
         
         cacheInfo.tokens.push({
             cacheKey,
+            region,
             environmentId: environmentId.substring(0, 8) + '...',
             clientId: clientId.substring(0, 8) + '...',
+            authMethod,
+            credentialHash,
             valid: isValid,
             age: {
                 minutes: ageMinutes,
@@ -446,12 +548,6 @@ module.exports = {
     router,
     getWorkerToken,
     getUserIdByUsername,
+    clearCachedToken,
     tokenCache
 };
-
-// Export individual functions for direct import
-exports.getUserIdByUsername = getUserIdByUsername;
-exports.tokenCache = tokenCache;
-
-// Keep the existing router export for backward compatibility
-module.exports = router;
\ No newline at end of file
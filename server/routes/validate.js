@@ -0,0 +1,114 @@
+// CSV Validation Route
+// Pre-flight check of an import file: returns per-row problems without creating or changing anything in PingOne
+// Debugging: Check 'CSV validated' log entries for row and problem counts
+
+const express = require('express');
+const multer = require('multer');
+const Papa = require('papaparse');
+const logManager = require('../utils/logManager');
+const { getRequestRegion } = require('../utils/pingoneRegions');
+const { getWorkerToken } = require('./token');
+const { getPasswordPolicy, validateRows, DEFAULT_PASSWORD_POLICY } = require('../utils/csvValidation');
+const mappingProfiles = require('../utils/mappingProfiles');
+const { resolveUploadCredentials } = require('../utils/credentialVault');
+
+const router = express.Router();
+
+// Files are only parsed, never stored
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 50 * 1024 * 1024, // Same limit as /api/import
+        files: 1
+    }
+});
+
+// Rows come from an uploaded `csv` file, a `csv` text field, or already parsed `users` (what the main page sends)
+function getRequestRows(req) {
+    if (Array.isArray(req.body.users)) {
+        return req.body.users;
+    }
+
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (typeof text !== 'string') {
+        return null;
+    }
+
+    const parsed = Papa.parse(text, {
+        header: true,
+        skipEmptyLines: true,
+        transformHeader: (header) => header.trim()
+    });
+    return parsed.data;
+}
+
+// POST /api/validate - Validate CSV rows and report problems per row
+// Credentials (or a credentialId) are optional; when given, passwords are checked against the environment's default password policy
+router.post('/', upload.single('csv'), resolveUploadCredentials, async (req, res) => {
+    try {
+        let rows = getRequestRows(req);
+        if (!rows) {
+            return res.status(400).json({
+                error: 'Missing CSV data',
+                details: 'Upload a `csv` file, or send `csv` text or a `users` array'
+            });
+        }
+
+        // Optional mapping profile, so API callers can validate a raw export the same way the main page does
+        const { mappingProfileId } = req.body;
+        if (mappingProfileId) {
+            const profile = mappingProfiles.isValidProfileId(mappingProfileId) && mappingProfiles.getProfile(mappingProfileId);
+            if (!profile) {
+                return res.status(400).json({ error: 'Mapping profile not found', details: mappingProfileId });
+            }
+            rows = rows.map(row => mappingProfiles.applyMappingProfile(row || {}, profile));
+        }
+
+        let passwordPolicy = { policy: DEFAULT_PASSWORD_POLICY, source: 'default' };
+        const { environmentId, clientId, clientSecret } = req.body;
+        const hasPasswords = rows.some(row => row && row.password);
+        if (hasPasswords && environmentId && clientId && clientSecret) {
+            // A token failure must not hide the rest of the report, so fall back to the standard policy
+            try {
+                const region = getRequestRegion(req.body);
+                const accessToken = await getWorkerToken(environmentId, clientId, clientSecret, region);
+                passwordPolicy = await getPasswordPolicy(environmentId, accessToken, region);
+            } catch (error) {
+                logManager.warn('Could not read the password policy - using the standard policy', {
+                    environmentId,
+                    error: error.message
+                });
+            }
+        }
+
+        const report = validateRows(rows, { passwordPolicy: passwordPolicy.policy });
+
+        logManager.info('CSV validated', {
+            filename: req.file?.originalname,
+            totalRows: report.totalRows,
+            invalidRows: report.invalidRows,
+            problemCount: report.problemCount
+        });
+
+        res.json({
+            success: true,
+            ...report,
+            passwordPolicy: {
+                name: passwordPolicy.policy.name,
+                source: passwordPolicy.source
+            }
+        });
+    } catch (error) {
+        logManager.error('CSV validation error', {
+            error: error.message,
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            error: 'Failed to validate CSV',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+// Access Control Tests
+// Role rules must hold for every spelling of a path that Express routes to the same router
+// Debugging: Run with `npm test`; sign-in is switched on through the OIDC_* variables before the modules load
+
+process.env.OIDC_ISSUER = 'https://auth.example.com/env/as';
+process.env.OIDC_CLIENT_ID = 'test-client';
+
+jest.mock('../logManager', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const express = require('express');
+const { getRequiredRole, requireAuthentication } = require('../accessControl');
+const sessionStore = require('../sessionStore');
+
+describe('getRequiredRole', () => {
+    test.each([
+        ['POST', '/api/delete/bulk', 'admin'],
+        ['POST', '/api/Delete/bulk', 'admin'],
+        ['POST', '/API/DELETE', 'admin'],
+        ['POST', '/api/Purge/run', 'admin'],
+        ['POST', '/api/Credentials', 'admin'],
+        ['GET', '/Settings', 'admin'],
+        ['POST', '/api/Import/bulk', 'operator'],
+        ['POST', '/api/TOKEN/Permissions', 'viewer'],
+        ['POST', '/api/token/environment', 'viewer'],
+        ['POST', '/api/token', 'admin'],
+        ['POST', '/api/Token/', 'admin'],
+        ['GET', '/api/Purge/pending', 'viewer']
+    ])('%s %s needs %s', (method, requestPath, role) => {
+        expect(getRequiredRole(method, requestPath)).toBe(role);
+    });
+});
+
+describe('requireAuthentication', () => {
+    let server;
+    let baseUrl;
+    const cookieFor = role => {
+        const session = sessionStore.createSession({ sub: `${role}-user`, username: role, role });
+        return `${sessionStore.SESSION_CONFIG.COOKIE_NAME}=${encodeURIComponent(session.id)}`;
+    };
+
+    beforeAll(done => {
+        const app = express();
+        app.use(requireAuthentication);
+        // Stand-ins for the real routers: reaching them at all is what the rules must prevent
+        for (const mountPath of ['/api/delete', '/api/purge', '/api/import', '/api/credentials']) {
+            app.use(mountPath, (req, res) => res.status(400).json({ error: 'reached router' }));
+        }
+        server = app.listen(0, () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test.each([
+        '/api/delete/bulk',
+        '/api/Delete/bulk',
+        '/API/DELETE',
+        '/api/Purge/run',
+        '/api/Import/bulk',
+        '/api/Credentials'
+    ])('a viewer gets 403 for POST %s', async requestPath => {
+        const response = await fetch(`${baseUrl}${requestPath}`, { method: 'POST', headers: { cookie: cookieFor('viewer') } });
+        expect(response.status).toBe(403);
+        expect((await response.json()).error).toBe('Access denied');
+    });
+
+    test('an admin reaches the router for a mixed-case path', async () => {
+        const response = await fetch(`${baseUrl}/api/Delete/bulk`, { method: 'POST', headers: { cookie: cookieFor('admin') } });
+        expect(response.status).toBe(400);
+    });
+
+    test('a mixed-case API path without a session gets 401 rather than a redirect', async () => {
+        const response = await fetch(`${baseUrl}/API/Delete`, { method: 'POST', redirect: 'manual' });
+        expect(response.status).toBe(401);
+        expect((await response.json()).authRequired).toBe(true);
+    });
+});
@@ -0,0 +1,50 @@
+// CSV Validation Tests
+// Locale and preferredLanguage checks of the pre-flight report, including the shipped sample files
+// Debugging: Run with `npm test`; only the `problems` of the rows in question are asserted
+
+jest.mock('../logManager', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+const { validateRows } = require('../csvValidation');
+
+const baseRow = { username: 'jdoe', email: 'jdoe@example.com' };
+const problemsFor = (field, value) => {
+    const [entry] = validateRows([{ ...baseRow, [field]: value }]).rows;
+    return (entry?.problems || []).filter(problem => problem.field === field);
+};
+
+describe('locale', () => {
+    test.each(['en-US', 'en_US', 'fr', 'pt-BR', 'zh-Hant-TW', 'US', 'us', 'GB'])('accepts "%s"', value => {
+        expect(problemsFor('locale', value)).toEqual([]);
+    });
+
+    test.each(['USA', 'XX', 'ZZ', '12', 'Klingon', 'en-'])('rejects "%s"', value => {
+        expect(problemsFor('locale', value)).toEqual([{ field: 'locale', message: `unknown locale "${value}"` }]);
+    });
+});
+
+describe('preferredLanguage', () => {
+    test.each(['en', 'en-US', 'de_CH'])('accepts "%s"', value => {
+        expect(problemsFor('preferredLanguage', value)).toEqual([]);
+    });
+
+    // A bare region is fine for locale but is not a language
+    test.each(['US', 'xx', 'english'])('rejects "%s"', value => {
+        expect(problemsFor('preferredLanguage', value)).toHaveLength(1);
+    });
+});
+
+describe('sample files', () => {
+    test.each(['users.csv', 'examples.csv', 'test_users.csv'])('%s has no locale problems', fileName => {
+        const csv = fs.readFileSync(path.join(__dirname, '../../..', fileName), 'utf-8');
+        const { data } = Papa.parse(csv, { header: true, skipEmptyLines: true });
+        const localeProblems = validateRows(data).rows
+            .flatMap(entry => entry.problems)
+            .filter(problem => problem.field === 'locale' || problem.field === 'preferredLanguage');
+
+        expect(data.length).toBeGreaterThan(0);
+        expect(localeProblems).toEqual([]);
+    });
+});
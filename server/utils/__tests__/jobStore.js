@@ -0,0 +1,85 @@
+// Job Store Tests
+// Row passwords in job files: encrypted with the vault key and bound to their row, or left out without it
+// Debugging: Run with `npm test`; job files go to a temporary JOBS_DIR that is removed afterwards
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const jobsDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'jobstore-test-'));
+process.env.JOBS_DIR = jobsDirectory;
+process.env.CREDENTIAL_VAULT_KEY = 'test-vault-key-0123456789abcdef';
+
+jest.mock('../logManager', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const jobStore = require('../jobStore');
+const { VAULT_CONFIG } = require('../credentialVault');
+
+let nextId = 0;
+function createJob(type, rows, options = {}) {
+    const operationId = `test_${type}_${++nextId}`;
+    return jobStore.createJob({ operationId, type, rows, options });
+}
+
+const readJobFile = operationId => fs.readFileSync(path.join(jobsDirectory, `${operationId}.json`), 'utf-8');
+
+afterAll(() => {
+    fs.rmSync(jobsDirectory, { recursive: true, force: true });
+});
+
+describe('with the vault key set', () => {
+    test('import passwords are encrypted on disk and decrypted for resume', () => {
+        const job = createJob('import', [{ username: 'a', password: 'S3cret!a' }, { username: 'b' }]);
+
+        const stored = readJobFile(job.operationId);
+        expect(stored).not.toContain('S3cret!a');
+        expect(JSON.parse(stored).rows[0].input.password.encrypted).toEqual(expect.objectContaining({ iv: expect.any(String), tag: expect.any(String) }));
+
+        expect(jobStore.getRowInputs(job, [0, 1])).toEqual([{ username: 'a', password: 'S3cret!a' }, { username: 'b' }]);
+    });
+
+    test('modify rows keep userData.password, and flat password columns only when password is ticked', () => {
+        const ticked = createJob('modify', [{ userId: 'u1', userData: { password: 'Nested1!' } }, { username: 'c', password: 'Flat1!' }], { fields: ['password'] });
+        expect(jobStore.getRowInputs(ticked, [0, 1])).toEqual([
+            { userId: 'u1', userData: { password: 'Nested1!' } },
+            { username: 'c', password: 'Flat1!' }
+        ]);
+
+        const unticked = createJob('modify', [{ username: 'c', password: 'Flat1!', title: 'T' }], { fields: ['title'] });
+        expect(jobStore.getRowInputs(unticked, [0])).toEqual([{ username: 'c', title: 'T' }]);
+    });
+
+    test('an encrypted password copied to another row cannot be decrypted there', () => {
+        const job = createJob('import', [{ username: 'a', password: 'S3cret!a' }, { username: 'b', password: 'S3cret!b' }]);
+        job.rows[1].input.password = job.rows[0].input.password;
+
+        expect(() => jobStore.getRowInputs(job, [0, 1])).toThrow(expect.objectContaining({ code: 'SECRET_UNAVAILABLE', rows: [2] }));
+    });
+
+    test('jobs leave the server with passwords masked', () => {
+        const job = createJob('modify', [{ userId: 'u1', userData: { password: 'Nested1!' } }], { fields: ['password'] });
+
+        expect(jobStore.redactJob(job).rows[0].input).toEqual({ userId: 'u1', userData: { password: '********' } });
+    });
+});
+
+describe('without the vault key', () => {
+    const masterKey = VAULT_CONFIG.MASTER_KEY;
+
+    beforeAll(() => {
+        VAULT_CONFIG.MASTER_KEY = '';
+    });
+
+    afterAll(() => {
+        VAULT_CONFIG.MASTER_KEY = masterKey;
+    });
+
+    test('passwords are left out and resuming those rows is refused', () => {
+        const job = createJob('import', [{ username: 'a', password: 'S3cret!a' }, { username: 'b' }]);
+
+        expect(readJobFile(job.operationId)).not.toContain('S3cret!a');
+        expect(job.rows[0].input.password).toEqual({ omitted: true });
+        expect(() => jobStore.getRowInputs(job, [0])).toThrow(expect.objectContaining({ code: 'SECRET_UNAVAILABLE', rows: [1] }));
+        expect(jobStore.getRowInputs(job, [1])).toEqual([{ username: 'b' }]);
+    });
+});
@@ -0,0 +1,101 @@
+// Purge and Snapshot Store Tests
+// Pending-purge entries and due dates, and delete snapshots folded back into users that can be recreated
+// Debugging: Run with `npm test`; PURGE_DIR and SNAPSHOTS_DIR point at a temporary directory removed afterwards
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'purgestore-test-'));
+process.env.PURGE_DIR = path.join(dataDirectory, 'purge');
+process.env.SNAPSHOTS_DIR = path.join(dataDirectory, 'snapshots');
+
+jest.mock('../logManager', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const purgeStore = require('../purgeStore');
+const snapshotStore = require('../snapshotStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+afterAll(() => {
+    fs.rmSync(dataDirectory, { recursive: true, force: true });
+});
+
+describe('purgeStore', () => {
+    test('getDeleteMode and getRetentionDays reject values outside the allowed set', () => {
+        expect(purgeStore.getDeleteMode({})).toBe(purgeStore.PURGE_CONFIG.DEFAULT_DELETE_MODE);
+        expect(purgeStore.getDeleteMode({ mode: 'disable' })).toBe('disable');
+        expect(purgeStore.getDeleteMode({ mode: 'archive' })).toBeNull();
+
+        expect(purgeStore.getRetentionDays(undefined)).toBe(purgeStore.PURGE_CONFIG.RETENTION_DAYS);
+        expect(purgeStore.getRetentionDays('7')).toBe(7);
+        expect(purgeStore.getRetentionDays(0)).toBeNull();
+        expect(purgeStore.getRetentionDays(1.5)).toBeNull();
+        expect(purgeStore.getRetentionDays(purgeStore.PURGE_CONFIG.MAX_RETENTION_DAYS + 1)).toBeNull();
+    });
+
+    test('an entry becomes due once its retention period has ended', () => {
+        const entry = purgeStore.addPendingPurge({ userId: 'user-due', environmentId: 'env-1', region: 'NA', retentionDays: 3 });
+        const purgeAfter = new Date(entry.purgeAfter).getTime();
+
+        expect(purgeAfter - new Date(entry.disabledAt).getTime()).toBe(3 * DAY);
+        expect(purgeStore.getDuePurgeEntries('env-1', purgeAfter - 1).map(due => due.userId)).not.toContain('user-due');
+        expect(purgeStore.getDuePurgeEntries('env-1', purgeAfter).map(due => due.userId)).toContain('user-due');
+        expect(purgeStore.getDuePurgeEntries('env-2', purgeAfter)).toEqual([]);
+    });
+
+    test('only pending entries are due, and updates keep the rest of the entry', () => {
+        purgeStore.addPendingPurge({ userId: 'user-restored', environmentId: 'env-1', region: 'NA', retentionDays: 1 });
+        const restored = purgeStore.updatePurgeEntry('user-restored', { status: 'restored', userId: 'ignored' });
+
+        expect(restored).toEqual(expect.objectContaining({ userId: 'user-restored', environmentId: 'env-1', status: 'restored' }));
+        expect(purgeStore.getDuePurgeEntries('env-1', Date.now() + 2 * DAY).map(due => due.userId)).not.toContain('user-restored');
+        expect(purgeStore.updatePurgeEntry('user-missing', { status: 'purged' })).toBeNull();
+    });
+
+    test('user IDs that are not safe file names are refused', () => {
+        expect(() => purgeStore.getPurgeEntry('../credentials/cred_1')).toThrow('Invalid user ID');
+    });
+});
+
+describe('snapshotStore', () => {
+    const user = {
+        id: 'u-1',
+        username: 'jdoe',
+        email: 'jdoe@example.com',
+        population: { id: 'pop-1', name: 'Default' },
+        createdAt: '2024-01-01T00:00:00.000Z',
+        lifecycle: { status: 'ACCOUNT_OK' },
+        _links: { self: {} }
+    };
+
+    test('folds deletes and restores of an operation into one entry per user', () => {
+        snapshotStore.saveUserSnapshot('delete_1', { environmentId: 'env-1', region: 'EU' }, user);
+        snapshotStore.saveUserSnapshot('delete_1', { environmentId: 'env-1', region: 'EU' }, { ...user, id: 'u-2', username: 'asmith' });
+        snapshotStore.markUserRestored('delete_1', 'u-1', 'u-new');
+
+        const snapshot = snapshotStore.getSnapshot('delete_1');
+        expect(snapshot).toEqual(expect.objectContaining({ operationId: 'delete_1', environmentId: 'env-1', region: 'EU' }));
+        expect(snapshot.users.map(entry => [entry.user.id, entry.restoredUserId])).toEqual([['u-1', 'u-new'], ['u-2', null]]);
+
+        expect(snapshotStore.listSnapshots()).toEqual([expect.objectContaining({ operationId: 'delete_1', users: 2, restored: 1 })]);
+        expect(snapshotStore.getSnapshot('delete_missing')).toBeNull();
+    });
+
+    test('a user deleted twice in one operation keeps the latest copy', () => {
+        snapshotStore.saveUserSnapshot('delete_2', { environmentId: 'env-1', region: 'NA' }, user);
+        snapshotStore.saveUserSnapshot('delete_2', { environmentId: 'env-1', region: 'NA' }, { ...user, email: 'latest@example.com' });
+
+        const { users } = snapshotStore.getSnapshot('delete_2');
+        expect(users).toHaveLength(1);
+        expect(users[0].user.email).toBe('latest@example.com');
+    });
+
+    test('toCreatePayload drops read-only attributes and keeps only the population ID', () => {
+        expect(snapshotStore.toCreatePayload(user)).toEqual({
+            username: 'jdoe',
+            email: 'jdoe@example.com',
+            population: { id: 'pop-1' }
+        });
+    });
+});
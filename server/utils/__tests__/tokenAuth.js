@@ -0,0 +1,117 @@
+// Token Auth Tests
+// Request shape per token auth method, and the claims and signatures of client_secret_jwt / private_key_jwt assertions
+// Debugging: Run with `npm test`; assertions are verified with Node's crypto the way PingOne would verify them
+
+const crypto = require('crypto');
+const { createClientCredential, validatePrivateKey, buildTokenRequest } = require('../tokenAuth');
+
+const CLIENT_ID = 'client-1';
+const TOKEN_URL = 'https://auth.pingone.com/env-1/as/token';
+
+function decodeAssertion(assertion) {
+    const [header, payload, signature] = assertion.split('.');
+    return {
+        header: JSON.parse(Buffer.from(header, 'base64url').toString('utf-8')),
+        payload: JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8')),
+        signingInput: `${header}.${payload}`,
+        signature: Buffer.from(signature, 'base64url')
+    };
+}
+
+function assertionOf(credential) {
+    const { body } = buildTokenRequest(credential, CLIENT_ID, TOKEN_URL);
+    expect(body.get('client_assertion_type')).toBe('urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
+    expect(body.get('client_id')).toBe(CLIENT_ID);
+    return decodeAssertion(body.get('client_assertion'));
+}
+
+function pemKeyPair(type, options) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+    return { privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }), publicKey };
+}
+
+describe('buildTokenRequest', () => {
+    test('client_secret_basic sends form-encoded credentials in the Authorization header', () => {
+        const { body, headers, authMethod } = buildTokenRequest('p@ss:word', CLIENT_ID, TOKEN_URL);
+
+        expect(authMethod).toBe('client_secret_basic');
+        expect(body.toString()).toBe('grant_type=client_credentials');
+        expect(Buffer.from(headers.Authorization.replace('Basic ', ''), 'base64').toString()).toBe('client-1:p%40ss%3Aword');
+    });
+
+    test('client_secret_post sends the secret in the body', () => {
+        const { body, headers } = buildTokenRequest({ authMethod: 'client_secret_post', clientSecret: 'secret' }, CLIENT_ID, TOKEN_URL);
+
+        expect(body.get('client_id')).toBe(CLIENT_ID);
+        expect(body.get('client_secret')).toBe('secret');
+        expect(headers.Authorization).toBeUndefined();
+    });
+
+    test('rejects unknown methods', () => {
+        expect(() => buildTokenRequest({ authMethod: 'tls_client_auth' }, CLIENT_ID, TOKEN_URL)).toThrow('Unsupported token auth method');
+    });
+});
+
+describe('client assertions', () => {
+    test('carry iss/sub/aud/jti and a 60 second lifetime', () => {
+        const { payload } = assertionOf({ authMethod: 'client_secret_jwt', clientSecret: 'secret' });
+
+        expect(payload.iss).toBe(CLIENT_ID);
+        expect(payload.sub).toBe(CLIENT_ID);
+        expect(payload.aud).toBe(TOKEN_URL);
+        expect(payload.exp - payload.iat).toBe(60);
+        expect(Math.abs(payload.iat - Date.now() / 1000)).toBeLessThan(5);
+    });
+
+    test('use a fresh jti every time', () => {
+        const credential = { authMethod: 'client_secret_jwt', clientSecret: 'secret' };
+        expect(assertionOf(credential).payload.jti).not.toBe(assertionOf(credential).payload.jti);
+    });
+
+    test('client_secret_jwt is signed HS256 with the secret', () => {
+        const { header, signingInput, signature } = assertionOf({ authMethod: 'client_secret_jwt', clientSecret: 'secret' });
+
+        expect(header).toEqual({ alg: 'HS256', typ: 'JWT' });
+        expect(signature.equals(crypto.createHmac('sha256', 'secret').update(signingInput).digest())).toBe(true);
+    });
+
+    test('private_key_jwt with an RSA key is signed RS256 and names the key ID', () => {
+        const { privateKey, publicKey } = pemKeyPair('rsa', { modulusLength: 2048 });
+        const { header, signingInput, signature } = assertionOf({ authMethod: 'private_key_jwt', privateKey, keyId: 'kid-1' });
+
+        expect(header).toEqual({ alg: 'RS256', typ: 'JWT', kid: 'kid-1' });
+        expect(crypto.verify('sha256', Buffer.from(signingInput), publicKey, signature)).toBe(true);
+    });
+
+    test('private_key_jwt with a P-256 key is signed ES256 in JOSE (r||s) form', () => {
+        const { privateKey, publicKey } = pemKeyPair('ec', { namedCurve: 'P-256' });
+        const { header, signingInput, signature } = assertionOf({ authMethod: 'private_key_jwt', privateKey });
+
+        expect(header.alg).toBe('ES256');
+        expect(signature).toHaveLength(64);
+        expect(crypto.verify('sha256', Buffer.from(signingInput), { key: publicKey, dsaEncoding: 'ieee-p1363' }, signature)).toBe(true);
+    });
+});
+
+describe('validatePrivateKey', () => {
+    test('accepts RSA and P-256 keys', () => {
+        expect(validatePrivateKey(pemKeyPair('rsa', { modulusLength: 2048 }).privateKey)).toBeNull();
+        expect(validatePrivateKey(pemKeyPair('ec', { namedCurve: 'P-256' }).privateKey)).toBeNull();
+    });
+
+    test('rejects other curves and non-PEM input', () => {
+        expect(validatePrivateKey(pemKeyPair('ec', { namedCurve: 'P-384' }).privateKey)).toBe('privateKey must be an RSA or EC P-256 key');
+        expect(validatePrivateKey('not a key')).toBe('privateKey must be a PEM-encoded private key');
+    });
+});
+
+describe('createClientCredential', () => {
+    test('keeps plain secrets as strings for client_secret_basic', () => {
+        expect(createClientCredential({ clientSecret: 'secret' })).toBe('secret');
+    });
+
+    test('returns null when the method lacks its secret or key', () => {
+        expect(createClientCredential({ authMethod: 'client_secret_post' })).toBeNull();
+        expect(createClientCredential({ authMethod: 'private_key_jwt', clientSecret: 'secret' })).toBeNull();
+    });
+});
@@ -0,0 +1,87 @@
+// User Diff Tests
+// Which requested values count as changes, and PATCH bodies that only carry (merged) changed attributes
+// Debugging: Run with `npm test`; users are plain objects shaped like PingOne's GET /users/{id} response
+
+const { diffUser, buildPatchBody, formatChanges } = require('../userDiff');
+
+const storedUser = {
+    id: 'u-1',
+    username: 'jdoe',
+    email: 'jdoe@example.com',
+    title: '',
+    name: { given: 'John', family: 'Doe' },
+    population: { id: 'pop-1' },
+    phoneNumbers: [{ type: 'work', value: '+1 555 0100' }],
+    enabled: true
+};
+
+describe('diffUser', () => {
+    test('reports nothing when every requested value matches', () => {
+        expect(diffUser(storedUser, { username: 'jdoe', name: { given: 'John' }, enabled: true })).toEqual([]);
+    });
+
+    test('reports top-level changes with their old and new values', () => {
+        expect(diffUser(storedUser, { email: 'john@example.com', enabled: false })).toEqual([
+            { field: 'email', from: 'jdoe@example.com', to: 'john@example.com' },
+            { field: 'enabled', from: true, to: false }
+        ]);
+    });
+
+    test('compares nested objects per sub-field', () => {
+        expect(diffUser(storedUser, { name: { given: 'Jon', family: 'Doe' }, population: { id: 'pop-2' } })).toEqual([
+            { field: 'name.given', from: 'John', to: 'Jon' },
+            { field: 'population.id', from: 'pop-1', to: 'pop-2' }
+        ]);
+    });
+
+    test('treats missing, null and empty values as the same', () => {
+        expect(diffUser(storedUser, { title: null, nickname: '', locale: null })).toEqual([]);
+    });
+
+    test('compares arrays as a whole, ignoring key order inside their objects', () => {
+        expect(diffUser(storedUser, { phoneNumbers: [{ value: '+1 555 0100', type: 'work' }] })).toEqual([]);
+        expect(diffUser(storedUser, { phoneNumbers: [{ type: 'mobile', value: '+1 555 0100' }] })).toHaveLength(1);
+    });
+
+    test('skips undefined values and passwords, which PingOne never returns', () => {
+        expect(diffUser(storedUser, { email: undefined, password: 'S3cret!' })).toEqual([]);
+    });
+
+    test('diffs against a missing user as if every attribute were empty', () => {
+        expect(diffUser(undefined, { email: 'new@example.com' })).toEqual([
+            { field: 'email', from: undefined, to: 'new@example.com' }
+        ]);
+    });
+});
+
+describe('buildPatchBody', () => {
+    test('holds only the changed top-level attributes', () => {
+        const requested = { email: 'john@example.com', username: 'jdoe' };
+        const body = buildPatchBody(storedUser, requested, diffUser(storedUser, requested));
+
+        expect(body).toEqual({ email: 'john@example.com' });
+    });
+
+    test('merges nested objects with the stored value so other sub-fields survive', () => {
+        const requested = { name: { given: 'Jon' } };
+        const body = buildPatchBody(storedUser, requested, diffUser(storedUser, requested));
+
+        expect(body).toEqual({ name: { given: 'Jon', family: 'Doe' } });
+    });
+
+    test('replaces arrays instead of merging them', () => {
+        const requested = { phoneNumbers: [{ type: 'mobile', value: '+1 555 0199' }] };
+        const body = buildPatchBody(storedUser, requested, diffUser(storedUser, requested));
+
+        expect(body).toEqual(requested);
+    });
+});
+
+describe('formatChanges', () => {
+    test('renders one "field: from → to" entry per change', () => {
+        expect(formatChanges([
+            { field: 'email', from: 'a@example.com', to: 'b@example.com' },
+            { field: 'title', from: undefined, to: 'Engineer' }
+        ])).toBe('email: a@example.com → b@example.com; title: (empty) → Engineer');
+    });
+});
@@ -0,0 +1,178 @@
+// User Mapping Tests
+// CSV rows to PingOne payloads (import and modify), typed custom attributes, and export rows that map back to the same user
+// Debugging: Run with `npm test`; populations and the user schema are built in memory, nothing calls PingOne
+
+jest.mock('../logManager', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { EXPORT_COLUMNS, getExportColumns, resolvePopulationId, mapUserData, mapModifyRow, mapUserToRow } = require('../userMapping');
+const { mapCustomAttributes } = require('../userSchema');
+
+const populations = [{ id: 'pop-default', name: 'Default' }, { id: 'pop-staff', name: 'Staff' }];
+const populationContext = {
+    byId: new Map(populations.map(population => [population.id, population])),
+    byName: new Map(populations.map(population => [population.name.toLowerCase(), population])),
+    defaultPopulationId: 'pop-default'
+};
+
+const schemaAttribute = attribute => [attribute.name.toLowerCase(), { schemaType: 'CUSTOM', enabled: true, ...attribute }];
+const userSchema = {
+    attributes: new Map([
+        schemaAttribute({ name: 'costCenter', type: 'STRING' }),
+        schemaAttribute({ name: 'isContractor', type: 'BOOLEAN' }),
+        schemaAttribute({ name: 'regions', type: 'STRING', multiValued: true, enumeratedValues: [{ value: 'emea' }, { value: 'apac' }] }),
+        schemaAttribute({ name: 'workLocation', type: 'JSON' })
+    ])
+};
+
+describe('resolvePopulationId', () => {
+    test('accepts IDs and names (in either column) and falls back to the default', () => {
+        expect(resolvePopulationId({ populationId: 'pop-staff' }, populationContext)).toBe('pop-staff');
+        expect(resolvePopulationId({ populationName: 'staff' }, populationContext)).toBe('pop-staff');
+        expect(resolvePopulationId({ populationId: 'Staff' }, populationContext)).toBe('pop-staff');
+        expect(resolvePopulationId({}, populationContext)).toBe('pop-default');
+    });
+
+    test('refuses unknown populations instead of defaulting', () => {
+        expect(() => resolvePopulationId({ populationName: 'Nope' }, populationContext)).toThrow('Unknown population name: Nope');
+    });
+});
+
+describe('mapUserData', () => {
+    test('builds the PingOne payload from flat, untrimmed columns', () => {
+        expect(mapUserData({
+            username: ' jdoe ',
+            email: 'jdoe@example.com',
+            active: 'false',
+            firstName: 'John',
+            lastName: 'Doe',
+            title: 'Engineer',
+            primaryPhone: '+1 555 0100',
+            locality: 'Denver',
+            populationName: 'Staff'
+        }, populationContext)).toEqual({
+            population: { id: 'pop-staff' },
+            username: 'jdoe',
+            email: 'jdoe@example.com',
+            enabled: false,
+            name: { given: 'John', family: 'Doe' },
+            title: 'Engineer',
+            phoneNumbers: [{ value: '+1 555 0100', type: 'work', primary: true }],
+            addresses: [{ type: 'work', primary: true, locality: 'Denver' }]
+        });
+    });
+
+    test('adds custom schema attributes with their types', () => {
+        const data = mapUserData({
+            username: 'jdoe',
+            costCenter: 'CC-1',
+            isContractor: 'TRUE',
+            regions: 'emea; apac',
+            'workLocation.building': 'B2'
+        }, null, userSchema);
+
+        expect(data).toEqual(expect.objectContaining({
+            costCenter: 'CC-1',
+            isContractor: true,
+            regions: ['emea', 'apac'],
+            workLocation: { building: 'B2' }
+        }));
+    });
+
+    test('reports every custom value that does not fit its attribute', () => {
+        expect(() => mapCustomAttributes({ isContractor: 'maybe', regions: 'mars' }, userSchema))
+            .toThrow('Invalid custom attributes: isContractor must be true or false, got "maybe"; regions must be one of: emea, apac');
+    });
+});
+
+describe('mapModifyRow', () => {
+    const row = { username: 'jdoe', email: 'new@example.com', firstName: 'Jon', title: '', password: 'S3cret!', costCenter: 'CC-2' };
+
+    test('includes only filled columns and leaves the password out unless it is ticked', () => {
+        expect(mapModifyRow(row, null, null, userSchema)).toEqual({
+            username: 'jdoe',
+            email: 'new@example.com',
+            name: { given: 'Jon' },
+            costCenter: 'CC-2'
+        });
+    });
+
+    test('limits the body to the ticked fields', () => {
+        expect(mapModifyRow(row, ['email', 'password'])).toEqual({
+            email: 'new@example.com',
+            password: { value: 'S3cret!', forceChange: false }
+        });
+    });
+
+    test('moves users only when the row names a population', () => {
+        expect(mapModifyRow({ username: 'jdoe', populationName: 'Staff' }, ['population'], populationContext)).toEqual({ population: { id: 'pop-staff' } });
+        expect(mapModifyRow({ username: 'jdoe' }, ['population'], populationContext)).toEqual({});
+    });
+});
+
+describe('mapUserToRow', () => {
+    const user = {
+        id: 'u-1',
+        username: 'jdoe',
+        email: 'jdoe@example.com',
+        enabled: true,
+        name: { given: 'John', family: 'Doe' },
+        population: { id: 'pop-staff' },
+        phoneNumbers: [{ value: '+1 555 0100', type: 'work', primary: true }, { value: '+1 555 0199', type: 'mobile', primary: false }],
+        addresses: [{ type: 'work', primary: true, locality: 'Denver', countryCode: 'US' }]
+    };
+
+    test('writes the columns mapUserData reads, with empty cells for missing values', () => {
+        const row = mapUserToRow(user, populationContext);
+
+        expect(row).toEqual(expect.objectContaining({
+            userId: 'u-1',
+            active: 'true',
+            firstName: 'John',
+            primaryPhone: '+1 555 0100',
+            mobilePhone: '+1 555 0199',
+            locality: 'Denver',
+            populationName: 'Staff',
+            title: ''
+        }));
+    });
+
+    test('maps back to the same user when re-imported', () => {
+        const { id, ...attributes } = user;
+        expect(mapUserData(mapUserToRow(user, populationContext), populationContext)).toEqual(attributes);
+    });
+
+    test('adds a column per custom attribute, skipping names taken by standard columns', () => {
+        const schema = { attributes: new Map([...userSchema.attributes, schemaAttribute({ name: 'Title', type: 'STRING' })]) };
+
+        expect(getExportColumns(null)).toEqual(EXPORT_COLUMNS);
+        expect(getExportColumns(schema)).toEqual([...EXPORT_COLUMNS, 'costCenter', 'isContractor', 'regions', 'workLocation']);
+    });
+
+    test('keeps custom attribute values when re-imported', () => {
+        const customUser = {
+            ...user,
+            costCenter: 'CC-1',
+            isContractor: false,
+            regions: ['emea', 'apac'],
+            workLocation: { building: 'B2', floor: 3 }
+        };
+        const row = mapUserToRow(customUser, populationContext, userSchema);
+
+        expect(row).toEqual(expect.objectContaining({
+            costCenter: 'CC-1',
+            isContractor: 'false',
+            regions: 'emea;apac',
+            workLocation: '{"building":"B2","floor":3}'
+        }));
+
+        const { id, ...attributes } = customUser;
+        expect(mapUserData(row, populationContext, userSchema)).toEqual(attributes);
+    });
+
+    test('writes multi-valued cells as a JSON array when a value contains the separator', () => {
+        const row = mapUserToRow({ ...user, regions: ['emea;north'] }, populationContext, userSchema);
+
+        expect(row.regions).toBe('["emea;north"]');
+        expect(row.costCenter).toBe('');
+    });
+});
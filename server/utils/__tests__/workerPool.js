@@ -0,0 +1,188 @@
+// Worker Pool Tests
+// Ordering, concurrency, stop requests and which failures are retried (rate limits always, 5xx/resets only when idempotent)
+// Debugging: Run with `npm test`; BASE_DELAY is shrunk so retries take milliseconds instead of seconds
+
+jest.mock('../logManager', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { POOL_CONFIG, runWorkerPool, resolveConcurrency, isRetryableError, getRetryDelay } = require('../workerPool');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+const networkError = code => Object.assign(new Error(code), { code });
+
+// A task that fails with `error` on its first `failures` attempts, then resolves
+function flakyTask(error, failures = 1) {
+    let calls = 0;
+    return jest.fn(async () => {
+        calls++;
+        if (calls <= failures) throw error;
+        return 'ok';
+    });
+}
+
+const originalBaseDelay = POOL_CONFIG.BASE_DELAY;
+
+beforeAll(() => {
+    POOL_CONFIG.BASE_DELAY = 1;
+});
+
+afterAll(() => {
+    POOL_CONFIG.BASE_DELAY = originalBaseDelay;
+});
+
+describe('runWorkerPool', () => {
+    test('returns outcomes in input order while onSettled sees completion order', async () => {
+        const settled = [];
+        const outcomes = await runWorkerPool([30, 1, 15], async (ms, index) => {
+            await sleep(ms);
+            return `row${index}`;
+        }, {
+            concurrency: 3,
+            onSettled: outcome => settled.push(outcome.index)
+        });
+
+        expect(outcomes.map(outcome => outcome.value)).toEqual(['row0', 'row1', 'row2']);
+        expect(settled).toEqual([1, 2, 0]);
+    });
+
+    test('never runs more tasks at once than the concurrency', async () => {
+        let inFlight = 0;
+        let peak = 0;
+        await runWorkerPool(Array.from({ length: 8 }, (_, index) => index), async () => {
+            inFlight++;
+            peak = Math.max(peak, inFlight);
+            await sleep(5);
+            inFlight--;
+        }, { concurrency: 3 });
+
+        expect(peak).toBe(3);
+    });
+
+    test('resolveConcurrency falls back to the default and caps at the maximum', () => {
+        expect(resolveConcurrency(undefined)).toBe(POOL_CONFIG.DEFAULT_CONCURRENCY);
+        expect(resolveConcurrency('0')).toBe(POOL_CONFIG.DEFAULT_CONCURRENCY);
+        expect(resolveConcurrency('4')).toBe(4);
+        expect(resolveConcurrency(500)).toBe(POOL_CONFIG.MAX_CONCURRENCY);
+    });
+
+    test.each([
+        ['429', httpError(429)],
+        ['503', httpError(503)],
+        ['ECONNREFUSED', networkError('ECONNREFUSED')],
+        ['EAI_AGAIN', networkError('EAI_AGAIN')]
+    ])('retries %s for every task', async (name, error) => {
+        const task = flakyTask(error);
+        const [outcome] = await runWorkerPool(['row'], task);
+
+        expect(outcome).toEqual({ index: 0, value: 'ok', attempts: 2 });
+    });
+
+    test.each([
+        ['500', httpError(500)],
+        ['502', httpError(502)],
+        ['504', httpError(504)],
+        ['ECONNRESET', networkError('ECONNRESET')],
+        ['ETIMEDOUT', networkError('ETIMEDOUT')]
+    ])('retries %s only for idempotent tasks', async (name, error) => {
+        const plain = flakyTask(error);
+        const [failed] = await runWorkerPool(['row'], plain);
+        expect(failed.error).toBe(error);
+        expect(plain).toHaveBeenCalledTimes(1);
+
+        const idempotent = flakyTask(error);
+        const [retried] = await runWorkerPool(['row'], idempotent, { idempotent: true });
+        expect(retried.value).toBe('ok');
+        expect(idempotent).toHaveBeenCalledTimes(2);
+    });
+
+    test.each([400, 401, 404, 409])('does not retry %s', async status => {
+        const task = flakyTask(httpError(status));
+        const [outcome] = await runWorkerPool(['row'], task, { idempotent: true });
+
+        expect(outcome.error.response.status).toBe(status);
+        expect(task).toHaveBeenCalledTimes(1);
+    });
+
+    test('gives up after maxRetries', async () => {
+        const task = flakyTask(httpError(429), Infinity);
+        const [outcome] = await runWorkerPool(['row'], task, { maxRetries: 2 });
+
+        expect(outcome.attempts).toBe(3);
+        expect(outcome.error.response.status).toBe(429);
+    });
+
+    test('asks an idempotent() callback per row after each failed attempt', async () => {
+        const error = networkError('ECONNRESET');
+        const idempotent = jest.fn(item => item === 'safe');
+        const tasks = { safe: flakyTask(error), unsafe: flakyTask(error) };
+
+        const outcomes = await runWorkerPool(['safe', 'unsafe'], item => tasks[item](), { idempotent });
+
+        expect(outcomes[0].value).toBe('ok');
+        expect(outcomes[1].error).toBe(error);
+        expect(idempotent).toHaveBeenCalledWith('safe', 0);
+        expect(idempotent).toHaveBeenCalledWith('unsafe', 1);
+    });
+
+    test('a rate-limited row pauses rows that start after it', async () => {
+        const startedAt = [];
+        const began = Date.now();
+        const rateLimited = flakyTask(httpError(429, { 'retry-after': '0.15' }));
+
+        await runWorkerPool([0, 1, 2], async (item) => {
+            startedAt[item] = Date.now() - began;
+            if (item === 0) return rateLimited();
+            if (item === 1) await sleep(20);
+        }, { concurrency: 2 });
+
+        expect(startedAt[2]).toBeGreaterThanOrEqual(140);
+    });
+
+    test('shouldStop lets rows in flight finish and leaves unstarted rows undefined', async () => {
+        let stop = false;
+        const outcomes = await runWorkerPool([0, 1, 2, 3], async (item) => {
+            await sleep(5);
+            stop = true;
+            return item;
+        }, { concurrency: 2, shouldStop: () => stop });
+
+        expect(outcomes[0].value).toBe(0);
+        expect(outcomes[1].value).toBe(1);
+        expect(outcomes[2]).toBeUndefined();
+        expect(outcomes[3]).toBeUndefined();
+    });
+});
+
+describe('isRetryableError', () => {
+    test('treats responses and connection errors by their status or code', () => {
+        expect(isRetryableError(httpError(503))).toBe(true);
+        expect(isRetryableError(httpError(502))).toBe(false);
+        expect(isRetryableError(httpError(502), true)).toBe(true);
+        expect(isRetryableError(networkError('ECONNRESET'))).toBe(false);
+        expect(isRetryableError(new Error('bug'), true)).toBe(false);
+    });
+});
+
+describe('getRetryDelay', () => {
+    test('uses Retry-After seconds', () => {
+        expect(getRetryDelay(httpError(429, { 'retry-after': '2' }), 0)).toBe(2000);
+    });
+
+    test('uses a Retry-After HTTP date', () => {
+        const date = new Date(Date.now() + 5000).toUTCString();
+        const delay = getRetryDelay(httpError(429, { 'retry-after': date }), 0);
+        expect(delay).toBeGreaterThan(3000);
+        expect(delay).toBeLessThanOrEqual(5000);
+    });
+
+    test('caps Retry-After at MAX_DELAY', () => {
+        expect(getRetryDelay(httpError(429, { 'retry-after': '86400' }), 0)).toBe(POOL_CONFIG.MAX_DELAY);
+    });
+
+    test('backs off exponentially without Retry-After', () => {
+        const first = getRetryDelay(httpError(500), 0);
+        const third = getRetryDelay(httpError(500), 2);
+        expect(first).toBeGreaterThanOrEqual(POOL_CONFIG.BASE_DELAY);
+        expect(third).toBeGreaterThanOrEqual(POOL_CONFIG.BASE_DELAY * 4);
+    });
+});
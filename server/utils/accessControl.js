@@ -0,0 +1,103 @@
+// Access Control
+// Requires a signed-in session for every page and API call, and checks the user's role against the route
+// Roles: viewer (logs, jobs, reports), operator (+ import, modify, export), admin (+ delete, purge, restore, settings)
+// Debugging: 401 means no session, 403 names the role the route needs, 503 means sign-in is not configured;
+// everything is open only with INSECURE_DISABLE_SIGN_IN=true
+
+const logManager = require('./logManager');
+const { isAuthEnabled, isSignInDisabled, ROLES } = require('./oidcClient');
+const { getSession, getSessionIdFromRequest } = require('./sessionStore');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// First match wins; anything not listed needs viewer. `methods` limits a rule to those HTTP methods
+const ACCESS_RULES = [
+    { path: '/settings', role: 'admin' },
+    { path: '/api/delete', role: 'admin' },
+    { path: '/api/purge', methods: WRITE_METHODS, role: 'admin' },
+    { path: '/api/snapshots', methods: WRITE_METHODS, role: 'admin' },
+    { path: '/api/credentials', methods: WRITE_METHODS, role: 'admin' },
+    { path: '/api/token/test', role: 'admin' },
+    { path: '/api/logs', methods: WRITE_METHODS, role: 'admin' },
+    // The main page checks the worker app's permissions and shows the environment name for every user
+    { path: '/api/token/permissions', role: 'viewer' },
+    { path: '/api/token/environment', role: 'viewer' },
+    // POST /api/token returns the raw worker token, which can do anything the worker app can
+    { path: '/api/token', methods: WRITE_METHODS, role: 'admin' },
+    { path: '/api/import', role: 'operator' },
+    { path: '/api/modify', role: 'operator' },
+    { path: '/api/export', role: 'operator' },
+    { path: '/api/validate', role: 'operator' },
+    { path: '/api/mappings', methods: WRITE_METHODS, role: 'operator' },
+    // Delete jobs additionally need admin, checked in the jobs router where the job type is known
+    { path: '/api/jobs', methods: WRITE_METHODS, role: 'operator' }
+];
+
+// Reachable without a session
+const PUBLIC_PATHS = ['/auth', '/api/health'];
+
+// Express matches routes case-insensitively, so `/API/Delete` reaches the delete router and must hit its rule too
+function matchesPath(requestPath, rulePath) {
+    requestPath = requestPath.toLowerCase();
+    return requestPath === rulePath || requestPath.startsWith(`${rulePath}/`) || requestPath.startsWith(`${rulePath}.`);
+}
+
+function isApiPath(requestPath) {
+    return requestPath.toLowerCase().startsWith('/api/');
+}
+
+function getRequiredRole(method, requestPath) {
+    const rule = ACCESS_RULES.find(candidate =>
+        matchesPath(requestPath, candidate.path) && (!candidate.methods || candidate.methods.includes(method)));
+    return rule ? rule.role : 'viewer';
+}
+
+// True if `role` includes `requiredRole`
+function hasRole(role, requiredRole) {
+    const index = ROLES.indexOf(role);
+    return index !== -1 && index <= ROLES.indexOf(requiredRole);
+}
+
+// Role check for handlers that know more than the path (e.g. the type of a stored job); passes while sign-in is disabled
+function requestHasRole(req, requiredRole) {
+    return !req.authSession || hasRole(req.authSession.user.role, requiredRole);
+}
+
+// Express middleware mounted before the static files and API routes
+function requireAuthentication(req, res, next) {
+    if (isSignInDisabled() || PUBLIC_PATHS.some(publicPath => matchesPath(req.path, publicPath))) {
+        return next();
+    }
+    // The server does not start like this; fail closed should the middleware be mounted elsewhere
+    if (!isAuthEnabled()) {
+        return res.status(503).json({ error: 'Sign-in is not configured', details: 'Set OIDC_ISSUER and OIDC_CLIENT_ID' });
+    }
+
+    const session = getSession(getSessionIdFromRequest(req));
+    if (!session) {
+        if (isApiPath(req.path)) {
+            return res.status(401).json({ error: 'Authentication required', details: 'Sign in at /auth/login', authRequired: true });
+        }
+        // Pages bounce through the sign-in and come back here
+        return res.redirect(`/auth/login?returnTo=${encodeURIComponent(req.originalUrl)}`);
+    }
+
+    req.authSession = session;
+    const requiredRole = getRequiredRole(req.method, req.path);
+    if (!hasRole(session.user.role, requiredRole)) {
+        logManager.warn('Access denied', { sub: session.user.sub, role: session.user.role, requiredRole, method: req.method, path: req.path });
+        if (isApiPath(req.path)) {
+            return res.status(403).json({ error: 'Access denied', details: `This requires the ${requiredRole} role`, requiredRole });
+        }
+        return res.status(403).send(`<p>Access denied: this page requires the ${requiredRole} role. <a href="/">Back to User Management</a></p>`);
+    }
+    next();
+}
+
+module.exports = {
+    ACCESS_RULES,
+    getRequiredRole,
+    hasRole,
+    requestHasRole,
+    requireAuthentication
+};
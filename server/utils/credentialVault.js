@@ -0,0 +1,392 @@
+// Credential Vault
+// Named environment profiles: PingOne worker credentials stored on the server with the client secret and private key encrypted at rest (AES-256-GCM)
+// Profiles marked `production` make delete and modify runs require the profile name typed back (confirmEnvironment)
+// Debugging: Profiles live in data/credentials/<id>.json; the vault is off until CREDENTIAL_VAULT_KEY is set
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logManager = require('./logManager');
+const { getRequestRegion } = require('./pingoneRegions');
+const { DEFAULT_AUTH_METHOD, TOKEN_AUTH_METHODS, isValidAuthMethod, createClientCredential, validatePrivateKey } = require('./tokenAuth');
+
+const VAULT_CONFIG = {
+    DIRECTORY: process.env.CREDENTIALS_DIR || path.join(__dirname, '../../data/credentials'),
+    // Any long random string, e.g. `openssl rand -hex 32`; changing it makes stored secrets unreadable
+    MASTER_KEY: process.env.CREDENTIAL_VAULT_KEY || '',
+    ALGORITHM: 'aes-256-gcm'
+};
+
+let derivedKey = null;
+
+function isVaultEnabled() {
+    return Boolean(VAULT_CONFIG.MASTER_KEY);
+}
+
+// scrypt is slow on purpose, so the key is derived once per process
+function getEncryptionKey() {
+    if (!isVaultEnabled()) {
+        throw Object.assign(new Error('Credential vault is disabled - set CREDENTIAL_VAULT_KEY'), { code: 'VAULT_DISABLED' });
+    }
+    if (!derivedKey) {
+        derivedKey = crypto.scryptSync(VAULT_CONFIG.MASTER_KEY, 'pingone-credential-vault', 32);
+    }
+    return derivedKey;
+}
+
+// Short fingerprint stored with each secret so a changed master key gives a clear error instead of a GCM failure
+function getKeyId() {
+    return crypto.createHash('sha256').update(getEncryptionKey()).digest('hex').substr(0, 8);
+}
+
+// The profile ID is bound as additional data, so an encrypted secret cannot be copied into another profile
+// Private keys add their field name, so they cannot be swapped with the secret either
+function encryptSecret(id, secret, field = null) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(VAULT_CONFIG.ALGORITHM, getEncryptionKey(), iv);
+    cipher.setAAD(Buffer.from(field ? `${id}:${field}` : id, 'utf-8'));
+    const data = Buffer.concat([cipher.update(secret, 'utf-8'), cipher.final()]);
+    return {
+        keyId: getKeyId(),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+function decryptSecret(id, encrypted, field = null) {
+    if (encrypted.keyId !== getKeyId()) {
+        throw new Error(`'${id}' was encrypted with a different CREDENTIAL_VAULT_KEY`);
+    }
+    const decipher = crypto.createDecipheriv(VAULT_CONFIG.ALGORITHM, getEncryptionKey(), Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAAD(Buffer.from(field ? `${id}:${field}` : id, 'utf-8'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]).toString('utf-8');
+}
+
+function ensureVaultDirectory() {
+    if (!fs.existsSync(VAULT_CONFIG.DIRECTORY)) {
+        // Owner-only, the files hold encrypted secrets
+        fs.mkdirSync(VAULT_CONFIG.DIRECTORY, { recursive: true, mode: 0o700 });
+    }
+}
+
+// Profile IDs become file names, same rule as operation IDs
+function isValidCredentialId(id) {
+    return typeof id === 'string' && /^[A-Za-z0-9_-]{1,100}$/.test(id);
+}
+
+function getProfileFilePath(id) {
+    if (!isValidCredentialId(id)) {
+        throw new Error(`Invalid credential profile ID: ${id}`);
+    }
+    return path.join(VAULT_CONFIG.DIRECTORY, `${id}.json`);
+}
+
+function writeProfile(profile) {
+    ensureVaultDirectory();
+    const filePath = getProfileFilePath(profile.id);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(profile, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+}
+
+function readProfile(id) {
+    const filePath = getProfileFilePath(id);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+// What the browser may see: everything except the encrypted secret and key
+// Profiles saved before auth methods existed used client_secret_basic
+function toPublicProfile(profile) {
+    const { secret, privateKey, ...rest } = profile;
+    return {
+        ...rest,
+        authMethod: profile.authMethod || DEFAULT_AUTH_METHOD,
+        keyId: profile.keyId || null,
+        hasSecret: Boolean(secret),
+        hasPrivateKey: Boolean(privateKey)
+    };
+}
+
+// Check a create/update body; the secret (or private key for private_key_jwt) is only required when the profile has none yet
+function validateProfile(input, existing) {
+    const errors = [];
+    if (!input || typeof input !== 'object') {
+        return ['Profile must be a JSON object'];
+    }
+    for (const field of ['environmentId', 'clientId']) {
+        if (typeof input[field] !== 'string' || !input[field].trim()) {
+            errors.push(`${field} is required`);
+        }
+    }
+    if (input.clientSecret !== undefined && typeof input.clientSecret !== 'string') {
+        errors.push('clientSecret must be a string');
+    }
+    const authMethod = input.authMethod === undefined ? existing?.authMethod || DEFAULT_AUTH_METHOD : input.authMethod;
+    if (!isValidAuthMethod(authMethod)) {
+        errors.push(`authMethod must be one of ${TOKEN_AUTH_METHODS.join(', ')}`);
+    } else if (authMethod === 'private_key_jwt') {
+        if (!input.privateKey && !existing?.hasPrivateKey) {
+            errors.push('privateKey is required for private_key_jwt');
+        }
+    } else if (!input.clientSecret && !existing?.hasSecret) {
+        errors.push('clientSecret is required');
+    }
+    if (input.privateKey) {
+        const keyError = validatePrivateKey(input.privateKey);
+        if (keyError) errors.push(keyError);
+    }
+    if (input.keyId !== undefined && input.keyId !== null && typeof input.keyId !== 'string') {
+        errors.push('keyId must be a string');
+    }
+    if (input.name !== undefined && typeof input.name !== 'string') {
+        errors.push('name must be a string');
+    }
+    if (input.production !== undefined && typeof input.production !== 'boolean') {
+        errors.push('production must be true or false');
+    }
+    if (input.color !== undefined && input.color !== null && input.color !== '' && !/^#[0-9a-fA-F]{6}$/.test(input.color)) {
+        errors.push('color must be a hex colour like #c8102e');
+    }
+    try {
+        getRequestRegion(input);
+    } catch (error) {
+        errors.push(error.message);
+    }
+    return errors;
+}
+
+function listProfiles() {
+    if (!fs.existsSync(VAULT_CONFIG.DIRECTORY)) {
+        return [];
+    }
+
+    const profiles = [];
+    for (const file of fs.readdirSync(VAULT_CONFIG.DIRECTORY)) {
+        if (!file.endsWith('.json')) continue;
+        try {
+            profiles.push(toPublicProfile(JSON.parse(fs.readFileSync(path.join(VAULT_CONFIG.DIRECTORY, file), 'utf-8'))));
+        } catch (error) {
+            logManager.warn('Skipping unreadable credential profile', { file, error: error.message });
+        }
+    }
+    return profiles.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getProfile(id) {
+    const profile = readProfile(id);
+    return profile ? toPublicProfile(profile) : null;
+}
+
+// Callers validate first
+function createProfile(input) {
+    const id = `cred_${crypto.randomBytes(8).toString('hex')}`;
+    const now = new Date().toISOString();
+    const profile = {
+        id,
+        name: (input.name || '').trim() || `PingOne ${input.environmentId.trim()}`,
+        environmentId: input.environmentId.trim(),
+        clientId: input.clientId.trim(),
+        region: getRequestRegion(input),
+        production: input.production === true,
+        color: input.color || null,
+        authMethod: input.authMethod || DEFAULT_AUTH_METHOD,
+        keyId: (input.keyId || '').trim() || null,
+        secret: input.clientSecret ? encryptSecret(id, input.clientSecret) : null,
+        privateKey: input.privateKey ? encryptSecret(id, input.privateKey, 'privateKey') : null,
+        createdAt: now,
+        updatedAt: now
+    };
+    writeProfile(profile);
+    logManager.info('Credential profile created', { id, environmentId: profile.environmentId });
+    return toPublicProfile(profile);
+}
+
+// A missing or empty clientSecret/privateKey keeps the stored one; returns null if the profile does not exist
+function updateProfile(id, input) {
+    const existing = readProfile(id);
+    if (!existing) {
+        return null;
+    }
+
+    const profile = {
+        ...existing,
+        name: (input.name || '').trim() || existing.name,
+        environmentId: input.environmentId.trim(),
+        clientId: input.clientId.trim(),
+        region: getRequestRegion(input),
+        production: input.production === undefined ? Boolean(existing.production) : input.production,
+        color: input.color === undefined ? existing.color || null : input.color || null,
+        authMethod: input.authMethod || existing.authMethod || DEFAULT_AUTH_METHOD,
+        keyId: input.keyId === undefined ? existing.keyId || null : (input.keyId || '').trim() || null,
+        secret: input.clientSecret ? encryptSecret(id, input.clientSecret) : existing.secret || null,
+        privateKey: input.privateKey ? encryptSecret(id, input.privateKey, 'privateKey') : existing.privateKey || null,
+        updatedAt: new Date().toISOString()
+    };
+    writeProfile(profile);
+    logManager.info('Credential profile updated', {
+        id,
+        environmentId: profile.environmentId,
+        authMethod: profile.authMethod,
+        secretChanged: Boolean(input.clientSecret),
+        privateKeyChanged: Boolean(input.privateKey)
+    });
+    return toPublicProfile(profile);
+}
+
+function deleteProfile(id) {
+    const filePath = getProfileFilePath(id);
+    if (!fs.existsSync(filePath)) {
+        return false;
+    }
+    fs.unlinkSync(filePath);
+    logManager.info('Credential profile deleted', { id });
+    return true;
+}
+
+// Server-side only: the decrypted credentials of a profile, or null if it does not exist
+function getCredentials(id) {
+    const profile = readProfile(id);
+    if (!profile) {
+        return null;
+    }
+    return {
+        name: profile.name,
+        production: Boolean(profile.production),
+        environmentId: profile.environmentId,
+        clientId: profile.clientId,
+        clientSecret: profile.secret ? decryptSecret(id, profile.secret) : null,
+        privateKey: profile.privateKey ? decryptSecret(id, profile.privateKey, 'privateKey') : null,
+        authMethod: profile.authMethod || DEFAULT_AUTH_METHOD,
+        keyId: profile.keyId || null,
+        region: profile.region
+    };
+}
+
+// Express middleware: a request carrying `credentialId` gets the profile's credentials filled into its body,
+// so routes keep reading environmentId/clientId/clientSecret as before. The profile always wins over body values
+// For auth methods other than client_secret_basic, `clientSecret` becomes the credential object getWorkerToken expects;
+// direct API callers get the same by sending authMethod (plus privateKey/keyId for private_key_jwt)
+function resolveCredentials(req, res, next) {
+    const credentialId = req.body?.credentialId;
+    if (credentialId === undefined || credentialId === null || credentialId === '') {
+        const authMethod = req.body?.authMethod;
+        if (authMethod === undefined || authMethod === null || authMethod === '') {
+            return next();
+        }
+        if (!isValidAuthMethod(authMethod)) {
+            return res.status(400).json({
+                error: 'Invalid authMethod',
+                details: `authMethod must be one of ${TOKEN_AUTH_METHODS.join(', ')}`
+            });
+        }
+        if (authMethod === 'private_key_jwt' && req.body.privateKey) {
+            const keyError = validatePrivateKey(req.body.privateKey);
+            if (keyError) {
+                return res.status(400).json({ error: 'Invalid privateKey', details: keyError });
+            }
+        }
+        req.body.clientSecret = createClientCredential(req.body);
+        delete req.body.privateKey;
+        return next();
+    }
+
+    if (!isVaultEnabled()) {
+        return res.status(503).json({
+            error: 'Credential vault is disabled',
+            details: 'Set CREDENTIAL_VAULT_KEY on the server to use credential profiles'
+        });
+    }
+    if (!isValidCredentialId(credentialId)) {
+        return res.status(400).json({ error: 'Invalid credential profile ID' });
+    }
+
+    try {
+        const credentials = getCredentials(credentialId);
+        if (!credentials) {
+            return res.status(404).json({ error: 'Credential profile not found', credentialId });
+        }
+
+        req.body.environmentId = credentials.environmentId;
+        req.body.clientId = credentials.clientId;
+        req.body.clientSecret = createClientCredential(credentials);
+        delete req.body.privateKey;
+        // The region comes from the profile too, so its secret is only ever sent to its own PingOne geography
+        req.body.region = credentials.region;
+        delete req.body.baseUrl;
+        req.credentialProfile = { id: credentialId, name: credentials.name, production: credentials.production };
+        next();
+    } catch (error) {
+        logManager.error('Failed to read credential profile', { credentialId, error: error.message });
+        res.status(500).json({ error: 'Failed to read credential profile', details: error.message });
+    }
+}
+
+// resolveCredentials for multipart routes: their bodies are only parsed by multer inside the route, after the app-wide
+// resolveCredentials saw an empty body, so the profile named by credentialId is resolved after multer instead
+// JSON bodies were already resolved app-wide and are passed through; an upload stored on disk is removed when resolution is refused
+function resolveUploadCredentials(req, res, next) {
+    if (!req.is('multipart/form-data')) {
+        return next();
+    }
+    let resolved = false;
+    resolveCredentials(req, res, () => {
+        resolved = true;
+        next();
+    });
+    if (!resolved && req.file?.path) {
+        fs.unlink(req.file.path, (err) => {
+            if (err) logManager.warn('Failed to remove refused upload', { path: req.file.path, error: err.message });
+        });
+    }
+}
+
+// Body of the 428 response when a write against a production profile lacks the typed environment name, or null
+// Dry runs are read-only and never need it
+function getProductionConfirmationError(req) {
+    const profile = req.credentialProfile;
+    if (!profile || !profile.production || req.body?.dryRun === true) {
+        return null;
+    }
+    if (req.body?.confirmEnvironment === profile.name) {
+        return null;
+    }
+    return {
+        error: 'Production confirmation required',
+        details: `Type the environment name "${profile.name}" (confirmEnvironment) to run this against production`,
+        environmentName: profile.name
+    };
+}
+
+// Express middleware for routers whose every write needs the production confirmation
+function requireProductionConfirmation(req, res, next) {
+    const error = getProductionConfirmationError(req);
+    if (error) {
+        logManager.warn('Production write refused without confirmation', { credentialId: req.credentialProfile.id, path: req.originalUrl });
+        return res.status(428).json(error);
+    }
+    next();
+}
+
+module.exports = {
+    VAULT_CONFIG,
+    isVaultEnabled,
+    encryptSecret,
+    decryptSecret,
+    isValidCredentialId,
+    validateProfile,
+    listProfiles,
+    getProfile,
+    createProfile,
+    updateProfile,
+    deleteProfile,
+    getCredentials,
+    resolveCredentials,
+    resolveUploadCredentials,
+    getProductionConfirmationError,
+    requireProductionConfirmation
+};
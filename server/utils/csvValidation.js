@@ -0,0 +1,235 @@
+// CSV Pre-flight Validation
+// Checks parsed import rows for problems PingOne would reject, without calling any write API
+// Debugging: POST a few rows to /api/validate and compare the report with the row's eventual import error
+
+const axios = require('axios');
+const logManager = require('./logManager');
+const { getApiBaseUrl } = require('./pingoneRegions');
+
+// Same rule as Utils.validateEmail in public/js/utils.js
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Digits plus the usual separators; E.164 allows at most 15 digits
+const PHONE_REGEX = /^\+?[0-9\s().-]+$/;
+const PHONE_DIGITS = { MIN: 7, MAX: 15 };
+
+// mapUserData only treats the exact string 'true' as enabled, so anything else would silently disable the user
+const ACTIVE_VALUES = ['true', 'false'];
+
+// Used when no credentials are supplied or the environment policy can't be read (PingOne's "Standard" policy)
+const DEFAULT_PASSWORD_POLICY = {
+    name: 'Standard',
+    length: { min: 8, max: 255 },
+    minCharacters: {
+        'ABCDEFGHIJKLMNOPQRSTUVWXYZ': 1,
+        'abcdefghijklmnopqrstuvwxyz': 1,
+        '0123456789': 1,
+        '~!@#$%^&*()-_=+[]{}|;:,.<>/?': 1
+    },
+    maxRepeatedCharacters: 2,
+    excludesProfileData: true
+};
+
+const CHARACTER_SET_NAMES = {
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZ': 'uppercase letter',
+    'abcdefghijklmnopqrstuvwxyz': 'lowercase letter',
+    '0123456789': 'digit'
+};
+
+// Helper function to load the environment's default password policy (read-only)
+// DEBUG: Falls back to DEFAULT_PASSWORD_POLICY when the worker app can't read password policies
+async function getPasswordPolicy(environmentId, accessToken, region) {
+    try {
+        const response = await axios.get(
+            `${getApiBaseUrl(region)}/environments/${environmentId}/passwordPolicies`,
+            {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+
+        const policies = response.data._embedded?.passwordPolicies || [];
+        const policy = policies.find(entry => entry.default === true);
+        if (policy) {
+            return { policy, source: 'environment' };
+        }
+        logManager.warn('No default password policy found - using the standard policy', { environmentId });
+    } catch (error) {
+        logManager.warn('Failed to load password policy - using the standard policy', {
+            environmentId,
+            error: error.message,
+            status: error.response?.status
+        });
+    }
+    return { policy: DEFAULT_PASSWORD_POLICY, source: 'default' };
+}
+
+function hasValue(value) {
+    return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+function isValidPhone(value) {
+    const digits = value.replace(/\D/g, '').length;
+    return PHONE_REGEX.test(value) && digits >= PHONE_DIGITS.MIN && digits <= PHONE_DIGITS.MAX;
+}
+
+function isValidTimezone(value) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Well-formed BCP 47 tag whose language subtag is a known language ("en-US", "fr", "pt_BR" is accepted as "pt-BR")
+const languageNames = typeof Intl.DisplayNames === 'function' ? new Intl.DisplayNames(['en'], { type: 'language' }) : null;
+function isValidLocale(value) {
+    try {
+        const [canonical] = Intl.getCanonicalLocales(value.replace(/_/g, '-'));
+        const language = canonical.split('-')[0];
+        return !languageNames || languageNames.of(language) !== language;
+    } catch (error) {
+        return false;
+    }
+}
+
+// PingOne's locale is free text, and files often hold just a region ("US", as in the sample CSVs);
+// a known ISO 3166 region code is accepted there, but not for preferredLanguage, which must be a language tag
+const regionNames = typeof Intl.DisplayNames === 'function' ? new Intl.DisplayNames(['en'], { type: 'region' }) : null;
+function isValidRegion(value) {
+    if (!/^[A-Za-z]{2}$/.test(value)) {
+        return false;
+    }
+    const code = value.toUpperCase();
+    return code !== 'ZZ' && (!regionNames || regionNames.of(code) !== code);
+}
+
+// Returns the list of policy rules the password breaks
+function checkPassword(password, row, policy) {
+    const problems = [];
+    const { length, minCharacters, maxRepeatedCharacters, excludesProfileData } = policy;
+
+    if (length?.min && password.length < length.min) {
+        problems.push(`must be at least ${length.min} characters`);
+    }
+    if (length?.max && password.length > length.max) {
+        problems.push(`must be at most ${length.max} characters`);
+    }
+
+    for (const [characters, count] of Object.entries(minCharacters || {})) {
+        const found = Array.from(password).filter(character => characters.includes(character)).length;
+        if (found < count) {
+            const name = CHARACTER_SET_NAMES[characters];
+            problems.push(`needs at least ${count} ${name ? `${name}${count === 1 ? '' : 's'}` : `of ${characters}`}`);
+        }
+    }
+
+    if (maxRepeatedCharacters) {
+        const repeated = new RegExp(`(.)\\1{${maxRepeatedCharacters},}`).exec(password);
+        if (repeated) {
+            problems.push(`repeats "${repeated[1]}" ${repeated[0].length} times in a row (at most ${maxRepeatedCharacters} allowed)`);
+        }
+    }
+
+    if (excludesProfileData) {
+        const lowered = password.toLowerCase();
+        const profileValues = [row.username, String(row.email || '').split('@')[0], row.firstName, row.lastName]
+            .filter(value => hasValue(value) && String(value).trim().length >= 3)
+            .map(value => String(value).trim().toLowerCase());
+        if (profileValues.some(value => lowered.includes(value))) {
+            problems.push('must not contain the username, email or name');
+        }
+    }
+
+    return problems;
+}
+
+// Validate parsed CSV rows and return { rows: [{ row, identifier, problems: [{ field, message }] }], ... }
+// Only rows with problems are listed; `row` is the 1-based data row (file line row + 1, counting the header)
+function validateRows(rows, options = {}) {
+    const passwordPolicy = options.passwordPolicy || DEFAULT_PASSWORD_POLICY;
+    const seen = { username: new Map(), email: new Map() };
+    const report = [];
+
+    rows.forEach((rawRow, index) => {
+        const row = {};
+        for (const [key, value] of Object.entries(rawRow || {})) {
+            row[key] = typeof value === 'string' ? value.trim() : value;
+        }
+        const problems = [];
+        const add = (field, message) => problems.push({ field, message });
+
+        if (!hasValue(row.username)) add('username', 'username is required');
+        if (!hasValue(row.email)) {
+            add('email', 'email is required');
+        } else if (!EMAIL_REGEX.test(row.email)) {
+            add('email', `"${row.email}" is not a valid email address`);
+        }
+
+        // Duplicates compare case-insensitively, as PingOne uniqueness does
+        for (const field of ['username', 'email']) {
+            if (!hasValue(row[field])) continue;
+            const key = String(row[field]).toLowerCase();
+            if (seen[field].has(key)) {
+                add(field, `duplicate ${field} "${row[field]}" (first on row ${seen[field].get(key)})`);
+            } else {
+                seen[field].set(key, index + 1);
+            }
+        }
+
+        const activeColumn = hasValue(row.active) ? 'active' : hasValue(row.enabled) ? 'enabled' : null;
+        if (activeColumn && !ACTIVE_VALUES.includes(String(row[activeColumn]))) {
+            add(activeColumn, `${activeColumn} must be "true" or "false", got "${row[activeColumn]}"`);
+        }
+
+        for (const field of ['primaryPhone', 'mobilePhone']) {
+            if (hasValue(row[field]) && !isValidPhone(String(row[field]))) {
+                add(field, `"${row[field]}" is not a valid phone number`);
+            }
+        }
+
+        if (hasValue(row.timezone) && !isValidTimezone(row.timezone)) {
+            add('timezone', `unknown timezone "${row.timezone}"`);
+        }
+        if (hasValue(row.locale) && !isValidLocale(String(row.locale)) && !isValidRegion(String(row.locale))) {
+            add('locale', `unknown locale "${row.locale}"`);
+        }
+        if (hasValue(row.preferredLanguage) && !isValidLocale(String(row.preferredLanguage))) {
+            add('preferredLanguage', `unknown preferredLanguage "${row.preferredLanguage}"`);
+        }
+
+        if (hasValue(row.password)) {
+            for (const message of checkPassword(String(row.password), row, passwordPolicy)) {
+                add('password', `password ${message}`);
+            }
+        }
+
+        if (problems.length > 0) {
+            report.push({
+                row: index + 1,
+                identifier: row.username || row.email || `Row ${index + 1}`,
+                problems
+            });
+        }
+    });
+
+    const problemCount = report.reduce((total, entry) => total + entry.problems.length, 0);
+    return {
+        valid: report.length === 0,
+        totalRows: rows.length,
+        validRows: rows.length - report.length,
+        invalidRows: report.length,
+        problemCount,
+        rows: report
+    };
+}
+
+module.exports = {
+    EMAIL_REGEX,
+    DEFAULT_PASSWORD_POLICY,
+    getPasswordPolicy,
+    validateRows
+};
@@ -0,0 +1,441 @@
+// Bulk Job Store
+// Persists every import/modify/delete run as a JSON file so results survive restarts and runs can be resumed
+// Debugging: Job files live in data/jobs/<operationId>.json - open them to inspect per-row status
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logManager = require('./logManager');
+const { isVaultEnabled, encryptSecret, decryptSecret } = require('./credentialVault');
+
+const JOB_CONFIG = {
+    DIRECTORY: process.env.JOBS_DIR || path.join(__dirname, '../../data/jobs'),
+    FLUSH_INTERVAL: 1000 // Batch row updates into at most one write per second per job
+};
+
+// Row statuses that still need work when a run is resumed
+const RESUMABLE_ROW_STATUSES = ['pending', 'error', 'cancelled'];
+
+// Row statuses picked by "retry failed" and the failed rows export; skipped ones only on request
+const FAILED_ROW_STATUSES = ['error'];
+const SKIPPED_ROW_STATUSES = ['skipped', 'not_found', 'ambiguous'];
+
+// Cancel requests older than this are dropped if their job never started
+const CANCEL_REQUEST_TTL = 10 * 60 * 1000;
+
+// Jobs touched by this process, kept in memory so row updates don't re-read the file
+const activeJobs = new Map();
+const flushTimers = new Map();
+
+// Row processors registered by the import/modify/delete routes so stored jobs can be resumed
+const resumeHandlers = new Map();
+
+// Cancellation requests by operationId; kept separately so a cancel that races ahead of job creation still counts
+const cancelRequests = new Map();
+
+function ensureJobDirectory() {
+    if (!fs.existsSync(JOB_CONFIG.DIRECTORY)) {
+        fs.mkdirSync(JOB_CONFIG.DIRECTORY, { recursive: true });
+    }
+}
+
+// Operation IDs become file names, so only allow the characters our generators produce
+function isValidOperationId(operationId) {
+    return typeof operationId === 'string' && /^[A-Za-z0-9_-]{1,100}$/.test(operationId);
+}
+
+function getJobFilePath(operationId) {
+    if (!isValidOperationId(operationId)) {
+        throw new Error(`Invalid operation ID: ${operationId}`);
+    }
+    return path.join(JOB_CONFIG.DIRECTORY, `${operationId}.json`);
+}
+
+// Use the operation ID chosen by the browser (so it can subscribe and cancel before the response arrives)
+// unless it is malformed or already taken, in which case generate a fresh one
+function createOperationId(prefix, requestedId) {
+    if (isValidOperationId(requestedId) && !activeJobs.has(requestedId) && !fs.existsSync(getJobFilePath(requestedId))) {
+        return requestedId;
+    }
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// SHA-256 of the raw file contents (CSV upload) or of the row data (JSON bulk requests)
+function hashInput(input) {
+    const content = typeof input === 'string' || Buffer.isBuffer(input) ? input : JSON.stringify(input);
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function writeJob(job) {
+    ensureJobDirectory();
+    const filePath = getJobFilePath(job.operationId);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(job, null, 2), 'utf-8');
+    fs.renameSync(tempPath, filePath);
+}
+
+function flushJob(operationId) {
+    const timer = flushTimers.get(operationId);
+    if (timer) {
+        clearTimeout(timer);
+        flushTimers.delete(operationId);
+    }
+
+    const job = activeJobs.get(operationId);
+    if (!job) return;
+
+    try {
+        writeJob(job);
+    } catch (error) {
+        logManager.error('Failed to persist job', { operationId, error: error.message });
+    }
+}
+
+// Write every in-flight job to disk (used on shutdown)
+function flushAllJobs() {
+    for (const operationId of activeJobs.keys()) {
+        flushJob(operationId);
+    }
+}
+
+function scheduleFlush(operationId) {
+    if (flushTimers.has(operationId)) return;
+    flushTimers.set(operationId, setTimeout(() => flushJob(operationId), JOB_CONFIG.FLUSH_INTERVAL));
+}
+
+// Per-status counts used by list views and summaries
+function countRows(job) {
+    const counts = {};
+    for (const row of job.rows) {
+        counts[row.status] = (counts[row.status] || 0) + 1;
+    }
+    return counts;
+}
+
+// Record a new run before any PingOne calls are made
+function createJob({ operationId, type, rows, input, options = {} }) {
+    const now = new Date().toISOString();
+    const job = {
+        operationId,
+        type,
+        status: 'running',
+        inputHash: hashInput(input !== undefined ? input : rows),
+        options,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: now,
+        completedAt: null,
+        summary: null,
+        rows: rows.map((row, index) => ({
+            row: index + 1,
+            input: protectInput(operationId, index + 1, row),
+            status: 'pending',
+            result: null,
+            updatedAt: null
+        }))
+    };
+
+    activeJobs.set(operationId, job);
+    flushJob(operationId);
+
+    logManager.info('Job created', { operationId, type, rows: rows.length, inputHash: job.inputHash.substring(0, 12) });
+    return job;
+}
+
+function getJob(operationId) {
+    if (activeJobs.has(operationId)) {
+        return activeJobs.get(operationId);
+    }
+
+    const filePath = getJobFilePath(operationId);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+// Lightweight summaries of every stored job, newest first
+function listJobs({ type, status, limit } = {}) {
+    ensureJobDirectory();
+
+    const jobs = fs.readdirSync(JOB_CONFIG.DIRECTORY)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            const operationId = file.replace(/\.json$/, '');
+            try {
+                return getJob(operationId);
+            } catch (error) {
+                logManager.warn('Skipping unreadable job file', { file, error: error.message });
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .filter(job => (!type || job.type === type) && (!status || job.status === status))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(job => ({
+            operationId: job.operationId,
+            type: job.type,
+            status: job.status,
+            inputHash: job.inputHash,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            completedAt: job.completedAt,
+            total: job.rows.length,
+            counts: countRows(job),
+            summary: job.summary
+        }));
+
+    return limit ? jobs.slice(0, limit) : jobs;
+}
+
+// Store the outcome of one row; the index is the row's position in the original input
+function updateRow(operationId, index, result) {
+    const job = activeJobs.get(operationId);
+    if (!job || !job.rows[index]) return;
+
+    const now = new Date().toISOString();
+    job.rows[index].status = result.status;
+    job.rows[index].result = result;
+    job.rows[index].updatedAt = now;
+    job.updatedAt = now;
+    scheduleFlush(operationId);
+}
+
+// Mark a run as started again (used when resuming)
+function startJob(operationId) {
+    const job = getJob(operationId);
+    if (!job) return null;
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.updatedAt = job.startedAt;
+    job.completedAt = null;
+    activeJobs.set(operationId, job);
+    flushJob(operationId);
+    return job;
+}
+
+// Close out a run and release it from memory
+// The summary always carries per-status counts; callers can add extras such as duration
+function completeJob(operationId, status, extra = {}) {
+    const job = activeJobs.get(operationId);
+    if (!job) return null;
+
+    const now = new Date().toISOString();
+    job.status = status;
+    job.summary = { total: job.rows.length, counts: countRows(job), ...extra };
+    job.updatedAt = now;
+    job.completedAt = now;
+    flushJob(operationId);
+    activeJobs.delete(operationId);
+    cancelRequests.delete(operationId);
+
+    logManager.info('Job finished', { operationId, type: job.type, status, counts: countRows(job) });
+    return job;
+}
+
+function isJobActive(operationId) {
+    return activeJobs.has(operationId);
+}
+
+// Ask a running (or about to start) job to stop; bulk loops check this between rows
+function requestCancel(operationId) {
+    const now = Date.now();
+    for (const [id, requestedAt] of cancelRequests) {
+        if (!activeJobs.has(id) && now - requestedAt > CANCEL_REQUEST_TTL) {
+            cancelRequests.delete(id);
+        }
+    }
+
+    cancelRequests.set(operationId, now);
+    logManager.warn('Job cancellation requested', { operationId, running: activeJobs.has(operationId) });
+}
+
+function isCancelRequested(operationId) {
+    return cancelRequests.has(operationId);
+}
+
+// Indexes of rows that were never processed or failed
+function getResumableRowIndexes(job) {
+    return job.rows
+        .map((row, index) => (RESUMABLE_ROW_STATUSES.includes(row.status) ? index : -1))
+        .filter(index => index !== -1);
+}
+
+// Indexes of rows that failed, plus skipped rows when includeSkipped is set
+function getFailedRowIndexes(job, { includeSkipped = false } = {}) {
+    const statuses = includeSkipped ? [...FAILED_ROW_STATUSES, ...SKIPPED_ROW_STATUSES] : FAILED_ROW_STATUSES;
+    return job.rows
+        .map((row, index) => (statuses.includes(row.status) ? index : -1))
+        .filter(index => index !== -1);
+}
+
+// Jobs still marked running on disk at startup belonged to a process that crashed or was stopped
+function recoverInterruptedJobs() {
+    ensureJobDirectory();
+    let recovered = 0;
+
+    for (const file of fs.readdirSync(JOB_CONFIG.DIRECTORY).filter(name => name.endsWith('.json'))) {
+        try {
+            const job = JSON.parse(fs.readFileSync(path.join(JOB_CONFIG.DIRECTORY, file), 'utf-8'));
+            if (job.status === 'running' && !activeJobs.has(job.operationId)) {
+                job.status = 'interrupted';
+                job.updatedAt = new Date().toISOString();
+                writeJob(job);
+                recovered++;
+            }
+        } catch (error) {
+            logManager.warn('Could not inspect job file during recovery', { file, error: error.message });
+        }
+    }
+
+    if (recovered > 0) {
+        logManager.info('Marked interrupted jobs', { count: recovered });
+    }
+    return recovered;
+}
+
+// Register how rows of a job type are re-run
+// handler(job, rowIndexes, credentials) must process job.rows[rowIndexes[i]] and resolve with their results
+function registerResumeHandler(type, handler) {
+    resumeHandlers.set(type, handler);
+}
+
+function getResumeHandler(type) {
+    return resumeHandlers.get(type) || null;
+}
+
+// Where a row input keeps its password: flat CSV rows at the top level, modify rows inside userData
+function getSecretHolders(input) {
+    const holders = [];
+    if (input && typeof input === 'object') {
+        holders.push({ holder: input, field: 'password' });
+        if (input.userData && typeof input.userData === 'object') {
+            holders.push({ holder: input.userData, field: 'userData.password' });
+        }
+    }
+    return holders.filter(({ holder }) => holder.password);
+}
+
+// Copy of a row input safe to write to disk: passwords are encrypted with CREDENTIAL_VAULT_KEY (bound to the job and
+// row) so resume and retry can still send them, or replaced by { omitted: true } when the vault is off
+function protectInput(operationId, rowNumber, input) {
+    const holders = getSecretHolders(input);
+    if (holders.length === 0) {
+        return input;
+    }
+
+    const protectedInput = { ...input };
+    for (const { holder, field } of holders) {
+        const value = isVaultEnabled()
+            ? { encrypted: encryptSecret(operationId, JSON.stringify(holder.password), `row${rowNumber}:${field}`) }
+            : { omitted: true };
+        if (field === 'password') {
+            protectedInput.password = value;
+        } else {
+            protectedInput.userData = { ...holder, password: value };
+        }
+    }
+    return protectedInput;
+}
+
+// Whether re-running a job sends its rows' password column: imports always, modify only with `password` ticked
+function usesRowPasswords(job) {
+    return job.type === 'import' || Boolean(job.options?.fields?.includes('password'));
+}
+
+// Row inputs of a stored job with their passwords decrypted, for resume and retry handlers
+// Throws (code SECRET_UNAVAILABLE) naming the rows whose password was not stored or cannot be decrypted;
+// password columns the job type does not use are dropped instead
+function getRowInputs(job, rowIndexes) {
+    const rowPasswords = usesRowPasswords(job);
+    const unavailable = [];
+    const inputs = rowIndexes.map(index => {
+        const { row: rowNumber, input } = job.rows[index];
+        const revealed = input && typeof input === 'object' ? { ...input } : input;
+
+        for (const { holder, field } of getSecretHolders(input)) {
+            // Job files written before passwords were protected hold them as they came in
+            if (typeof holder.password !== 'object' || !(holder.password.encrypted || holder.password.omitted)) continue;
+            if (field === 'password' && !rowPasswords) {
+                delete revealed.password;
+                continue;
+            }
+
+            let value = null;
+            try {
+                value = holder.password.encrypted
+                    ? JSON.parse(decryptSecret(job.operationId, holder.password.encrypted, `row${rowNumber}:${field}`))
+                    : null;
+            } catch (error) {
+                logManager.warn('Could not decrypt stored row password', { operationId: job.operationId, row: rowNumber, error: error.message });
+            }
+            if (value === null) {
+                unavailable.push(rowNumber);
+            } else if (field === 'password') {
+                revealed.password = value;
+            } else {
+                revealed.userData = { ...holder, password: value };
+            }
+        }
+        return revealed;
+    });
+
+    if (unavailable.length > 0) {
+        throw Object.assign(
+            new Error(`The passwords of row${unavailable.length === 1 ? '' : 's'} ${unavailable.join(', ')} were not kept (CREDENTIAL_VAULT_KEY was not set or has changed) - run those rows again from the CSV`),
+            { code: 'SECRET_UNAVAILABLE', rows: unavailable }
+        );
+    }
+    return inputs;
+}
+
+// Strip passwords from row input (flat CSV rows or modify rows with nested userData) before a job leaves the server
+function redactInput(input) {
+    if (!input || typeof input !== 'object') {
+        return input;
+    }
+
+    const redacted = { ...input };
+    if (redacted.password) {
+        redacted.password = '********';
+    }
+    if (redacted.userData && typeof redacted.userData === 'object' && redacted.userData.password) {
+        redacted.userData = { ...redacted.userData, password: '********' };
+    }
+    return redacted;
+}
+
+function redactJob(job) {
+    return {
+        ...job,
+        rows: job.rows.map(row => ({ ...row, input: redactInput(row.input) }))
+    };
+}
+
+module.exports = {
+    JOB_CONFIG,
+    isValidOperationId,
+    createOperationId,
+    hashInput,
+    createJob,
+    getJob,
+    listJobs,
+    updateRow,
+    startJob,
+    completeJob,
+    flushJob,
+    flushAllJobs,
+    isJobActive,
+    requestCancel,
+    isCancelRequested,
+    countRows,
+    getResumableRowIndexes,
+    getFailedRowIndexes,
+    recoverInterruptedJobs,
+    registerResumeHandler,
+    getResumeHandler,
+    getRowInputs,
+    redactJob
+};
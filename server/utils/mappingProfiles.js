@@ -0,0 +1,269 @@
+// CSV Mapping Profiles
+// Named profiles that rename arbitrary CSV headers to the columns the import/modify/delete routes understand
+// Debugging: Profiles live in data/mappings/<id>.json - POST /api/mappings/<id>/apply shows what a row becomes
+
+const fs = require('fs');
+const path = require('path');
+const logManager = require('./logManager');
+
+const MAPPING_CONFIG = {
+    DIRECTORY: process.env.MAPPINGS_DIR || path.join(__dirname, '../../data/mappings')
+};
+
+// Columns consumed by mapUserData/mapModifyRow and the delete routes
+const MAPPING_TARGETS = [
+    'userId', 'username', 'email', 'password',
+    'firstName', 'lastName', 'middleName', 'formattedName', 'prefix', 'suffix', 'nickname',
+    'title', 'preferredLanguage', 'locale', 'timezone', 'externalId', 'type', 'active',
+    'primaryPhone', 'mobilePhone',
+    'streetAddress', 'locality', 'region', 'postalCode', 'countryCode',
+    'populationId', 'populationName'
+];
+
+// Any other target must look like a custom schema attribute column ("costCenter", "workLocation.building")
+const CUSTOM_TARGET_PATTERN = /^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*$/;
+
+function isValidTarget(target) {
+    return MAPPING_TARGETS.includes(target) || (typeof target === 'string' && CUSTOM_TARGET_PATTERN.test(target));
+}
+
+// Value transforms, applied in the order listed on the mapping
+const TRANSFORMS = {
+    trim: value => value.trim(),
+    lowercase: value => value.toLowerCase(),
+    uppercase: value => value.toUpperCase(),
+    // Handled in applyMappingProfile because it fills several columns
+    splitFullName: value => value
+};
+
+function ensureMappingDirectory() {
+    if (!fs.existsSync(MAPPING_CONFIG.DIRECTORY)) {
+        fs.mkdirSync(MAPPING_CONFIG.DIRECTORY, { recursive: true });
+    }
+}
+
+// Profile IDs become file names, same rule as operation IDs
+function isValidProfileId(id) {
+    return typeof id === 'string' && /^[A-Za-z0-9_-]{1,100}$/.test(id);
+}
+
+function getProfileFilePath(id) {
+    if (!isValidProfileId(id)) {
+        throw new Error(`Invalid mapping profile ID: ${id}`);
+    }
+    return path.join(MAPPING_CONFIG.DIRECTORY, `${id}.json`);
+}
+
+// "HR Export (Workday)" -> "hr-export-workday"
+function createProfileId(name) {
+    const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substr(0, 80);
+    return slug || `mapping-${Date.now()}`;
+}
+
+// Check a profile body and return the list of problems (empty when valid)
+function validateProfile(profile) {
+    const errors = [];
+
+    if (!profile || typeof profile !== 'object') {
+        return ['Profile must be a JSON object'];
+    }
+    if (typeof profile.name !== 'string' || !profile.name.trim()) {
+        errors.push('name is required');
+    }
+    if (profile.mappings !== undefined && !Array.isArray(profile.mappings)) {
+        errors.push('mappings must be an array');
+    }
+
+    (Array.isArray(profile.mappings) ? profile.mappings : []).forEach((mapping, index) => {
+        const label = `mappings[${index}]`;
+        const transforms = mapping?.transforms || [];
+
+        if (typeof mapping?.source !== 'string' || !mapping.source.trim()) {
+            errors.push(`${label}.source is required`);
+        }
+        if (!Array.isArray(transforms)) {
+            errors.push(`${label}.transforms must be an array`);
+            return;
+        }
+        const unknown = transforms.filter(name => !TRANSFORMS[name]);
+        if (unknown.length > 0) {
+            errors.push(`${label} has unknown transforms: ${unknown.join(', ')}`);
+        }
+        // splitFullName fills firstName/lastName itself, every other mapping needs a target column
+        if (!transforms.includes('splitFullName') && !isValidTarget(mapping?.target)) {
+            errors.push(`${label}.target must be one of ${MAPPING_TARGETS.join(', ')} or a custom attribute name`);
+        }
+    });
+
+    if (profile.constants !== undefined) {
+        if (!profile.constants || typeof profile.constants !== 'object' || Array.isArray(profile.constants)) {
+            errors.push('constants must be an object');
+        } else {
+            const invalid = Object.keys(profile.constants).filter(key => !isValidTarget(key));
+            if (invalid.length > 0) {
+                errors.push(`constants has invalid columns: ${invalid.join(', ')}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Keep only the fields we know about so arbitrary request bodies are not written to disk
+function normalizeProfile(profile) {
+    return {
+        name: profile.name.trim(),
+        description: typeof profile.description === 'string' ? profile.description : '',
+        passthrough: profile.passthrough !== false,
+        mappings: (profile.mappings || []).map(mapping => ({
+            source: mapping.source.trim(),
+            ...(mapping.target ? { target: mapping.target } : {}),
+            transforms: mapping.transforms || []
+        })),
+        constants: { ...(profile.constants || {}) }
+    };
+}
+
+function writeProfile(profile) {
+    ensureMappingDirectory();
+    const filePath = getProfileFilePath(profile.id);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(profile, null, 2), 'utf-8');
+    fs.renameSync(tempPath, filePath);
+}
+
+function getProfile(id) {
+    const filePath = getProfileFilePath(id);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+function listProfiles() {
+    if (!fs.existsSync(MAPPING_CONFIG.DIRECTORY)) {
+        return [];
+    }
+
+    const profiles = [];
+    for (const file of fs.readdirSync(MAPPING_CONFIG.DIRECTORY)) {
+        if (!file.endsWith('.json')) continue;
+        try {
+            profiles.push(JSON.parse(fs.readFileSync(path.join(MAPPING_CONFIG.DIRECTORY, file), 'utf-8')));
+        } catch (error) {
+            logManager.warn('Skipping unreadable mapping profile', { file, error: error.message });
+        }
+    }
+    return profiles.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Callers validate first; throws if the ID is already taken
+function createProfile(input) {
+    const id = input.id !== undefined ? input.id : createProfileId(input.name);
+    if (getProfile(id)) {
+        throw Object.assign(new Error(`Mapping profile '${id}' already exists`), { code: 'EEXIST' });
+    }
+
+    const now = new Date().toISOString();
+    const profile = { id, ...normalizeProfile(input), createdAt: now, updatedAt: now };
+    writeProfile(profile);
+    logManager.info('Mapping profile created', { id, mappings: profile.mappings.length });
+    return profile;
+}
+
+// Replaces the whole profile; returns null if it does not exist
+function updateProfile(id, input) {
+    const existing = getProfile(id);
+    if (!existing) {
+        return null;
+    }
+
+    const profile = { id, ...normalizeProfile(input), createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+    writeProfile(profile);
+    logManager.info('Mapping profile updated', { id, mappings: profile.mappings.length });
+    return profile;
+}
+
+function deleteProfile(id) {
+    const filePath = getProfileFilePath(id);
+    if (!fs.existsSync(filePath)) {
+        return false;
+    }
+    fs.unlinkSync(filePath);
+    logManager.info('Mapping profile deleted', { id });
+    return true;
+}
+
+// "Ada Lovelace" -> Ada / Lovelace, "Lovelace, Ada" -> Ada / Lovelace, "Ada King Lovelace" -> Ada / King / Lovelace
+function splitFullName(value) {
+    const commaIndex = value.indexOf(',');
+    const ordered = commaIndex === -1
+        ? value
+        : `${value.substr(commaIndex + 1)} ${value.substr(0, commaIndex)}`;
+    const parts = ordered.trim().split(/\s+/).filter(Boolean);
+
+    if (parts.length === 0) return {};
+    if (parts.length === 1) return { firstName: parts[0] };
+
+    return {
+        firstName: parts[0],
+        ...(parts.length > 2 ? { middleName: parts.slice(1, -1).join(' ') } : {}),
+        lastName: parts[parts.length - 1]
+    };
+}
+
+// CSV headers are matched ignoring case and surrounding whitespace
+function normalizeHeader(header) {
+    return String(header).trim().toLowerCase();
+}
+
+// Turn one parsed CSV row into a row keyed by MAPPING_TARGETS
+// Unmapped columns are kept unless passthrough is false; constants override them and non-empty mapped columns override constants
+function applyMappingProfile(row, profile) {
+    const headers = new Map(Object.keys(row).map(header => [normalizeHeader(header), header]));
+    const sources = new Set(profile.mappings.map(mapping => normalizeHeader(mapping.source)));
+    const mapped = {};
+
+    if (profile.passthrough !== false) {
+        for (const [key, value] of Object.entries(row)) {
+            if (!sources.has(normalizeHeader(key))) {
+                mapped[key] = value;
+            }
+        }
+    }
+
+    Object.assign(mapped, profile.constants);
+
+    for (const mapping of profile.mappings) {
+        const header = headers.get(normalizeHeader(mapping.source));
+        let value = header !== undefined ? row[header] : undefined;
+        if (value === undefined || value === null || value === '') continue;
+
+        value = String(value);
+        for (const name of mapping.transforms) {
+            value = TRANSFORMS[name](value);
+        }
+
+        if (mapping.transforms.includes('splitFullName')) {
+            Object.assign(mapped, splitFullName(value));
+        } else if (value !== '') {
+            mapped[mapping.target] = value;
+        }
+    }
+
+    return mapped;
+}
+
+module.exports = {
+    MAPPING_CONFIG,
+    MAPPING_TARGETS,
+    TRANSFORMS,
+    isValidProfileId,
+    validateProfile,
+    getProfile,
+    listProfiles,
+    createProfile,
+    updateProfile,
+    deleteProfile,
+    applyMappingProfile
+};
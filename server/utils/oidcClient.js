@@ -0,0 +1,209 @@
+// OIDC Client
+// Sign-in to the management UI: authorization code flow with PKCE against PingOne (or any OIDC provider)
+// Debugging: Check 'OIDC ...' log entries; the server refuses to start without OIDC_ISSUER and OIDC_CLIENT_ID
+// unless INSECURE_DISABLE_SIGN_IN=true opts out for local development
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logManager = require('./logManager');
+const { buildTokenRequest } = require('./tokenAuth');
+
+const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const OIDC_CONFIG = {
+    // e.g. https://auth.pingone.com/<environmentId>/as
+    ISSUER: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+    CLIENT_ID: process.env.OIDC_CLIENT_ID || '',
+    // Optional: without a secret the app signs in as a public client (PKCE only, token auth method None)
+    CLIENT_SECRET: process.env.OIDC_CLIENT_SECRET || '',
+    TOKEN_AUTH_METHOD: process.env.OIDC_TOKEN_AUTH_METHOD || 'client_secret_basic',
+    REDIRECT_URI: process.env.OIDC_REDIRECT_URI || `http://localhost:${process.env.PORT || 3002}/auth/callback`,
+    POST_LOGOUT_REDIRECT_URI: process.env.OIDC_POST_LOGOUT_REDIRECT_URI || '',
+    SCOPES: process.env.OIDC_SCOPES || 'openid profile email',
+    // Claim holding role names (admin/operator/viewer) and claim holding group names or IDs
+    ROLE_CLAIM: process.env.OIDC_ROLE_CLAIM || 'roles',
+    GROUPS_CLAIM: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    ROLE_GROUPS: {
+        admin: list(process.env.OIDC_ADMIN_GROUPS),
+        operator: list(process.env.OIDC_OPERATOR_GROUPS),
+        viewer: list(process.env.OIDC_VIEWER_GROUPS)
+    },
+    CLOCK_SKEW_SECONDS: 60,
+    // Local development only: run without sign-in instead of refusing to start
+    INSECURE_DISABLE_SIGN_IN: process.env.INSECURE_DISABLE_SIGN_IN === 'true'
+};
+
+// Highest first; each role includes the ones after it
+const ROLES = ['admin', 'operator', 'viewer'];
+
+let discovery = null;
+let jwks = null;
+
+function isAuthEnabled() {
+    return Boolean(OIDC_CONFIG.ISSUER && OIDC_CONFIG.CLIENT_ID);
+}
+
+// Sign-in is off only when it is not configured and the opt-out is set explicitly
+function isSignInDisabled() {
+    return !isAuthEnabled() && OIDC_CONFIG.INSECURE_DISABLE_SIGN_IN;
+}
+
+async function getDiscovery() {
+    if (!discovery) {
+        const response = await axios.get(`${OIDC_CONFIG.ISSUER}/.well-known/openid-configuration`, { timeout: 10000 });
+        discovery = response.data;
+        logManager.info('OIDC discovery loaded', { issuer: discovery.issuer });
+    }
+    return discovery;
+}
+
+// Keys are refetched once when a token names a kid we have not seen (the provider rotated its keys)
+async function getSigningKey(kid) {
+    const find = () => (jwks?.keys || []).find(key => key.kid === kid || (!kid && key.use !== 'enc'));
+    if (!find()) {
+        const response = await axios.get((await getDiscovery()).jwks_uri, { timeout: 10000 });
+        jwks = response.data;
+    }
+    const jwk = find();
+    if (!jwk) {
+        throw new Error(`ID token signed with unknown key ${kid}`);
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// { url, state, codeVerifier, nonce } for the redirect to the provider; the caller keeps the last three server-side
+async function createAuthorizationRequest() {
+    const { authorization_endpoint: authorizationEndpoint } = await getDiscovery();
+    const state = crypto.randomBytes(16).toString('base64url');
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: OIDC_CONFIG.CLIENT_ID,
+        redirect_uri: OIDC_CONFIG.REDIRECT_URI,
+        scope: OIDC_CONFIG.SCOPES,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    });
+    return { url: `${authorizationEndpoint}?${params}`, state, codeVerifier, nonce };
+}
+
+// Check signature, issuer, audience, expiry and nonce; returns the claims
+async function verifyIdToken(idToken, nonce) {
+    const [encodedHeader, encodedPayload, encodedSignature] = (idToken || '').split('.');
+    if (!encodedSignature) {
+        throw new Error('Malformed ID token');
+    }
+    const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf-8'));
+    const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf-8'));
+
+    if (!['RS256', 'ES256'].includes(header.alg)) {
+        throw new Error(`Unsupported ID token algorithm ${header.alg}`);
+    }
+    const key = await getSigningKey(header.kid);
+    const valid = crypto.verify(
+        'sha256',
+        Buffer.from(`${encodedHeader}.${encodedPayload}`),
+        header.alg === 'ES256' ? { key, dsaEncoding: 'ieee-p1363' } : key,
+        Buffer.from(encodedSignature, 'base64url')
+    );
+    if (!valid) {
+        throw new Error('ID token signature is invalid');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (claims.iss !== (await getDiscovery()).issuer) {
+        throw new Error('ID token issuer does not match');
+    }
+    if (!audiences.includes(OIDC_CONFIG.CLIENT_ID)) {
+        throw new Error('ID token audience does not match');
+    }
+    if (!claims.exp || claims.exp + OIDC_CONFIG.CLOCK_SKEW_SECONDS < now) {
+        throw new Error('ID token has expired');
+    }
+    if (claims.nonce !== nonce) {
+        throw new Error('ID token nonce does not match');
+    }
+    return claims;
+}
+
+// Swap the authorization code for tokens; the code verifier proves this server started the sign-in
+async function exchangeCode(code, codeVerifier) {
+    const { token_endpoint: tokenEndpoint } = await getDiscovery();
+
+    let body;
+    let headers;
+    if (OIDC_CONFIG.CLIENT_SECRET) {
+        const credential = { authMethod: OIDC_CONFIG.TOKEN_AUTH_METHOD, clientSecret: OIDC_CONFIG.CLIENT_SECRET };
+        ({ body, headers } = buildTokenRequest(credential, OIDC_CONFIG.CLIENT_ID, tokenEndpoint));
+    } else {
+        body = new URLSearchParams({ client_id: OIDC_CONFIG.CLIENT_ID });
+        headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    }
+    body.set('grant_type', 'authorization_code');
+    body.set('code', code);
+    body.set('redirect_uri', OIDC_CONFIG.REDIRECT_URI);
+    body.set('code_verifier', codeVerifier);
+
+    const response = await axios.post(tokenEndpoint, body, { headers, timeout: 10000 });
+    return response.data;
+}
+
+// Group membership is often only in the userinfo response; a failure here just means fewer claims
+async function fetchUserInfo(accessToken) {
+    const { userinfo_endpoint: userInfoEndpoint } = await getDiscovery();
+    if (!userInfoEndpoint || !accessToken) {
+        return {};
+    }
+    try {
+        const response = await axios.get(userInfoEndpoint, { headers: { 'Authorization': `Bearer ${accessToken}` }, timeout: 10000 });
+        return response.data || {};
+    } catch (error) {
+        logManager.warn('OIDC userinfo request failed', { status: error.response?.status, error: error.message });
+        return {};
+    }
+}
+
+// The highest role granted by the role claim or by group membership, or null
+function resolveRole(claims) {
+    const values = claim => {
+        const value = claims[claim];
+        if (value === undefined || value === null) return [];
+        return (Array.isArray(value) ? value : String(value).split(/[\s,]+/)).map(item => String(item));
+    };
+
+    const roleNames = values(OIDC_CONFIG.ROLE_CLAIM).map(role => role.toLowerCase());
+    const groups = values(OIDC_CONFIG.GROUPS_CLAIM);
+    return ROLES.find(role => roleNames.includes(role) || OIDC_CONFIG.ROLE_GROUPS[role].some(group => groups.includes(group))) || null;
+}
+
+// Provider logout URL for the session's ID token, or null when the provider has none
+async function getLogoutUrl(idToken) {
+    const { end_session_endpoint: endSessionEndpoint } = await getDiscovery();
+    if (!endSessionEndpoint) {
+        return null;
+    }
+    const params = new URLSearchParams();
+    if (idToken) params.set('id_token_hint', idToken);
+    if (OIDC_CONFIG.POST_LOGOUT_REDIRECT_URI) params.set('post_logout_redirect_uri', OIDC_CONFIG.POST_LOGOUT_REDIRECT_URI);
+    const query = params.toString();
+    return query ? `${endSessionEndpoint}?${query}` : endSessionEndpoint;
+}
+
+module.exports = {
+    OIDC_CONFIG,
+    ROLES,
+    isAuthEnabled,
+    isSignInDisabled,
+    createAuthorizationRequest,
+    exchangeCode,
+    verifyIdToken,
+    fetchUserInfo,
+    resolveRole,
+    getLogoutUrl
+};
@@ -0,0 +1,209 @@
+// Permission Check
+// Works out what the worker application may do from its role assignments, so missing permissions show up before a bulk run
+// Debugging: Check 'Permission check' log entries; capabilities are `null` (unknown) when the app cannot read its own roles
+
+const axios = require('axios');
+const logManager = require('./logManager');
+const { getApiBaseUrl } = require('./pingoneRegions');
+
+// PingOne permission IDs each operation needs
+const CAPABILITIES = {
+    import: {
+        label: 'Import users',
+        permissions: ['users:create:user', 'users:read:user', 'populations:read:population']
+    },
+    modify: {
+        label: 'Modify users',
+        permissions: ['users:read:user', 'users:update:user']
+    },
+    delete: {
+        label: 'Delete users',
+        permissions: ['users:read:user', 'users:delete:user']
+    },
+    export: {
+        label: 'Export users',
+        permissions: ['users:read:user', 'populations:read:population']
+    },
+    groups: {
+        label: 'Groups',
+        permissions: ['groups:read:group', 'groups:update:group']
+    }
+};
+
+// Built-in roles, for role objects returned without their permission list
+const BUILT_IN_ROLE_PERMISSIONS = {
+    'Organization Admin': Object.values(CAPABILITIES).flatMap(capability => capability.permissions),
+    'Environment Admin': Object.values(CAPABILITIES).flatMap(capability => capability.permissions),
+    'Identity Data Admin': Object.values(CAPABILITIES).flatMap(capability => capability.permissions),
+    'Identity Data Read Only': ['users:read:user', 'populations:read:population', 'groups:read:group']
+};
+
+function authHeaders(accessToken) {
+    return {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+    };
+}
+
+// Scopes of the access token; the JWT is only decoded here, PingOne has already verified it
+function getTokenScopes(accessToken) {
+    try {
+        const payload = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64').toString('utf-8'));
+        const scope = payload.scope || payload.scp || [];
+        return Array.isArray(scope) ? scope : String(scope).split(' ').filter(Boolean);
+    } catch (error) {
+        return [];
+    }
+}
+
+function getRolePermissions(role) {
+    const permissions = (role.permissions || []).map(permission => permission.id).filter(Boolean);
+    return permissions.length > 0 ? permissions : BUILT_IN_ROLE_PERMISSIONS[role.name] || [];
+}
+
+// Role assignments that apply to this environment: organization-wide, the environment itself, or one of its populations
+function appliesToEnvironment(assignment, environmentId, populationIds) {
+    const scope = assignment.scope || {};
+    return scope.type === 'ORGANIZATION' ||
+        (scope.type === 'ENVIRONMENT' && scope.id === environmentId) ||
+        (scope.type === 'POPULATION' && populationIds.has(scope.id));
+}
+
+// IDs of the populations in population-scoped assignments that belong to this environment
+// The scope names its environment when PingOne includes it; otherwise the population is looked up in the environment
+async function getEnvironmentPopulationIds(rawAssignments, environmentId, apiBaseUrl, accessToken) {
+    const populationIds = new Set();
+    const checked = new Set();
+    for (const assignment of rawAssignments) {
+        const scope = assignment.scope || {};
+        if (scope.type !== 'POPULATION' || !scope.id || checked.has(scope.id)) continue;
+        checked.add(scope.id);
+
+        if (scope.environment?.id) {
+            if (scope.environment.id === environmentId) {
+                populationIds.add(scope.id);
+            }
+            continue;
+        }
+        try {
+            await axios.get(
+                `${apiBaseUrl}/environments/${environmentId}/populations/${scope.id}`,
+                { headers: authHeaders(accessToken), timeout: 10000 }
+            );
+            populationIds.add(scope.id);
+        } catch (error) {
+            const status = error.response?.status;
+            if (status !== 403 && status !== 404) {
+                throw error;
+            }
+            // Not in this environment, or not readable: the role is left out rather than over-reporting
+            logManager.warn('Permission check ignored a population-scoped role', { environmentId, populationId: scope.id, status });
+        }
+    }
+    return populationIds;
+}
+
+// { import: { label, allowed, missing, reason }, ... } from resolved role assignments
+// Permissions granted only through population-scoped roles still allow the operation, limited to those populations
+function buildCapabilityMatrix(assignments) {
+    const environmentWide = new Set();
+    const populationScoped = new Set();
+    for (const assignment of assignments) {
+        const target = assignment.scope.type === 'POPULATION' ? populationScoped : environmentWide;
+        assignment.permissions.forEach(permission => target.add(permission));
+    }
+
+    const matrix = {};
+    for (const [name, capability] of Object.entries(CAPABILITIES)) {
+        const missing = capability.permissions.filter(permission => !environmentWide.has(permission) && !populationScoped.has(permission));
+        const limited = capability.permissions.some(permission => !environmentWide.has(permission) && populationScoped.has(permission));
+        matrix[name] = {
+            label: capability.label,
+            allowed: missing.length === 0,
+            missing,
+            reason: missing.length > 0
+                ? `The worker application is missing ${missing.join(', ')}`
+                : limited ? 'Limited to the populations of its population-scoped roles' : null
+        };
+    }
+    return matrix;
+}
+
+// Same shape when the roles cannot be read: every operation is left enabled and the API decides
+function buildUnknownMatrix(reason) {
+    const matrix = {};
+    for (const [name, capability] of Object.entries(CAPABILITIES)) {
+        matrix[name] = { label: capability.label, allowed: null, missing: [], reason };
+    }
+    return matrix;
+}
+
+// Inspect the worker app (the application ID is its client ID) and return { checked, roles, scopes, capabilities }
+async function checkWorkerPermissions({ environmentId, clientId, accessToken, region }) {
+    const apiBaseUrl = getApiBaseUrl(region);
+    const scopes = getTokenScopes(accessToken);
+
+    let rawAssignments;
+    try {
+        const response = await axios.get(
+            `${apiBaseUrl}/environments/${environmentId}/applications/${clientId}/roleAssignments`,
+            { headers: authHeaders(accessToken), timeout: 10000 }
+        );
+        rawAssignments = response.data._embedded?.roleAssignments || [];
+    } catch (error) {
+        const status = error.response?.status;
+        if (status !== 403 && status !== 404) {
+            throw error;
+        }
+        // Identity Data Admin alone cannot read applications, which is a valid setup
+        logManager.warn('Permission check could not read role assignments', { environmentId, status });
+        return {
+            checked: false,
+            roles: [],
+            scopes,
+            capabilities: buildUnknownMatrix('Role assignments could not be read - give the worker app a role that can read applications to check them')
+        };
+    }
+
+    // Several assignments usually share a role
+    const rolesById = new Map();
+    for (const assignment of rawAssignments) {
+        const roleId = assignment.role?.id;
+        if (!roleId || rolesById.has(roleId)) continue;
+        const response = await axios.get(`${apiBaseUrl}/roles/${roleId}`, { headers: authHeaders(accessToken), timeout: 10000 });
+        rolesById.set(roleId, response.data);
+    }
+
+    const populationIds = await getEnvironmentPopulationIds(rawAssignments, environmentId, apiBaseUrl, accessToken);
+    const assignments = rawAssignments
+        .filter(assignment => assignment.role?.id && appliesToEnvironment(assignment, environmentId, populationIds))
+        .map(assignment => {
+            const role = rolesById.get(assignment.role.id);
+            return {
+                role: role.name,
+                scope: { type: assignment.scope.type, id: assignment.scope.id },
+                permissions: getRolePermissions(role)
+            };
+        });
+
+    const capabilities = buildCapabilityMatrix(assignments);
+    logManager.info('Permission check', {
+        environmentId,
+        roles: assignments.map(assignment => `${assignment.role} (${assignment.scope.type})`),
+        denied: Object.keys(capabilities).filter(name => !capabilities[name].allowed)
+    });
+
+    return {
+        checked: true,
+        roles: assignments.map(({ role, scope }) => ({ name: role, scope })),
+        scopes,
+        capabilities
+    };
+}
+
+module.exports = {
+    CAPABILITIES,
+    getTokenScopes,
+    buildCapabilityMatrix,
+    checkWorkerPermissions
+};
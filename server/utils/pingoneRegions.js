@@ -0,0 +1,95 @@
+// PingOne Region Configuration
+// Maps each PingOne geography to its auth and API hosts so routes never hardcode pingone.com
+// Debugging: If requests go to the wrong tenant, check the region resolved by resolveRegion()
+
+const REGIONS = {
+    NA: {
+        name: 'North America',
+        authUrl: 'https://auth.pingone.com',
+        apiUrl: 'https://api.pingone.com'
+    },
+    EU: {
+        name: 'Europe',
+        authUrl: 'https://auth.pingone.eu',
+        apiUrl: 'https://api.pingone.eu'
+    },
+    CA: {
+        name: 'Canada',
+        authUrl: 'https://auth.pingone.ca',
+        apiUrl: 'https://api.pingone.ca'
+    },
+    APAC: {
+        name: 'Asia Pacific',
+        authUrl: 'https://auth.pingone.asia',
+        apiUrl: 'https://api.pingone.asia'
+    }
+};
+
+const DEFAULT_REGION = 'NA';
+
+// Resolve a region code (NA, EU, CA, APAC) or a PingOne base URL to a region code
+// Only known PingOne hosts are accepted so credentials are never sent elsewhere
+function resolveRegion(value) {
+    if (!value) {
+        return DEFAULT_REGION;
+    }
+
+    const code = String(value).trim().toUpperCase();
+    if (REGIONS[code]) {
+        return code;
+    }
+
+    let hostname = null;
+    try {
+        hostname = new URL(String(value).trim()).hostname.toLowerCase();
+    } catch (error) {
+        hostname = null;
+    }
+
+    if (hostname) {
+        for (const [regionCode, region] of Object.entries(REGIONS)) {
+            if (new URL(region.apiUrl).hostname === hostname || new URL(region.authUrl).hostname === hostname) {
+                return regionCode;
+            }
+        }
+    }
+
+    throw new Error(`Unsupported PingOne region: ${value}`);
+}
+
+// Read the region from a request body or query string
+// Accepts either an explicit `region` code or the `baseUrl` saved on the settings page
+function getRequestRegion(source = {}) {
+    return resolveRegion(source.region || source.baseUrl);
+}
+
+// Express middleware: answer 400 for an unknown region before a route gets a token or starts a run
+// GET requests carry the region in the query string, everything else in the body
+function requireValidRegion(req, res, next) {
+    try {
+        getRequestRegion((req.method === 'GET' ? req.query : req.body) || {});
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    next();
+}
+
+// Base URL for the PingOne Management API, including the version prefix
+function getApiBaseUrl(region) {
+    return `${REGIONS[resolveRegion(region)].apiUrl}/v1`;
+}
+
+// Base URL for the PingOne authorization server
+function getAuthBaseUrl(region) {
+    return REGIONS[resolveRegion(region)].authUrl;
+}
+
+module.exports = {
+    REGIONS,
+    DEFAULT_REGION,
+    resolveRegion,
+    getRequestRegion,
+    requireValidRegion,
+    getApiBaseUrl,
+    getAuthBaseUrl
+};
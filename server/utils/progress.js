@@ -0,0 +1,96 @@
+// Bulk Operation Progress Broadcaster
+// Streams progress events for any bulk operation to Server-Sent Events subscribers, keyed by operationId
+// Debugging: Open /api/progress/<operationId> in a browser tab to watch the raw event stream
+
+const logManager = require('./logManager');
+
+const PROGRESS_CONFIG = {
+    RETAIN_FINISHED: 5 * 60 * 1000, // Keep the final event this long so late subscribers still see the outcome
+    RETAIN_IDLE: 30 * 60 * 1000 // Forget runs that stopped sending without a final event (crashed or abandoned) after this long
+};
+
+// Event types after which an operation sends nothing further
+const TERMINAL_EVENTS = ['complete', 'cancelled', 'error'];
+
+// Subscribers per operation (more than one tab may watch the same run)
+const subscribers = new Map();
+
+// Last event per operation, replayed to anyone who subscribes mid-run or just after it ended
+// Every event restarts the operation's expiry timer, so nothing is kept for the life of the process
+const lastEvents = new Map();
+const cleanupTimers = new Map();
+
+function scheduleCleanup(operationId, delay) {
+    clearTimeout(cleanupTimers.get(operationId));
+    const timer = setTimeout(() => {
+        lastEvents.delete(operationId);
+        cleanupTimers.delete(operationId);
+    }, delay);
+    timer.unref();
+    cleanupTimers.set(operationId, timer);
+}
+
+function writeEvent(res, data) {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+// Express handler body for GET .../progress/:operationId
+function subscribe(req, res) {
+    const { operationId } = req.params;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Cache-Control'
+    });
+
+    if (!subscribers.has(operationId)) {
+        subscribers.set(operationId, new Set());
+    }
+    subscribers.get(operationId).add(res);
+
+    // Send initial connection message, then catch the subscriber up
+    writeEvent(res, { type: 'connected', operationId });
+    if (lastEvents.has(operationId)) {
+        writeEvent(res, lastEvents.get(operationId));
+    }
+
+    // Handle client disconnect
+    req.on('close', () => {
+        const connections = subscribers.get(operationId);
+        if (!connections) return;
+        connections.delete(res);
+        if (connections.size === 0) {
+            subscribers.delete(operationId);
+        }
+    });
+}
+
+// Send an event ({ type, current, total, success, errors, skipped, message, ... }) to every subscriber
+function sendProgressUpdate(operationId, data) {
+    if (!operationId) return;
+
+    const event = { operationId, ...data };
+    lastEvents.set(operationId, event);
+
+    const connections = subscribers.get(operationId);
+    if (connections) {
+        for (const res of connections) {
+            try {
+                writeEvent(res, event);
+            } catch (error) {
+                logManager.warn('Failed to write progress event', { operationId, error: error.message });
+            }
+        }
+    }
+
+    scheduleCleanup(operationId, TERMINAL_EVENTS.includes(data.type) ? PROGRESS_CONFIG.RETAIN_FINISHED : PROGRESS_CONFIG.RETAIN_IDLE);
+}
+
+module.exports = {
+    PROGRESS_CONFIG,
+    subscribe,
+    sendProgressUpdate
+};
@@ -0,0 +1,232 @@
+// Purge Scheduler
+// Hard-deletes soft-deleted users once their retention period has ended, and re-enables users restored before that
+// Debugging: Check 'Purge run' and 'Scheduled purge' log entries; each environment is purged with the PINGONE_* credentials
+// when it is PINGONE_ENVIRONMENT_ID, otherwise with a credential profile stored for it in the vault
+
+const axios = require('axios');
+const fs = require('fs');
+const logManager = require('./logManager');
+const purgeStore = require('./purgeStore');
+const snapshotStore = require('./snapshotStore');
+const { runWorkerPool } = require('./workerPool');
+const { getApiBaseUrl, resolveRegion } = require('./pingoneRegions');
+const { createClientCredential } = require('./tokenAuth');
+const { isVaultEnabled, listProfiles, getCredentials } = require('./credentialVault');
+const { getWorkerToken } = require('../routes/token');
+
+const SCHEDULER_CONFIG = {
+    INTERVAL: (parseInt(process.env.PURGE_INTERVAL_MINUTES, 10) || 60) * 60 * 1000,
+    FIRST_RUN_DELAY: 60 * 1000 // Let the server finish starting before the first run
+};
+
+// Environments whose purge is already running, so the timer and /api/purge/run never overlap
+const runningPurges = new Set();
+
+function authHeaders(accessToken) {
+    return {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+    };
+}
+
+// Helper function to set a user's enabled flag (PATCH, same as modify)
+async function setUserEnabled(userId, enabled, environmentId, accessToken, region) {
+    await axios.patch(
+        `${getApiBaseUrl(region)}/environments/${environmentId}/users/${userId}`,
+        { enabled },
+        { headers: authHeaders(accessToken) }
+    );
+}
+
+// Purge one due entry. A user someone re-enabled in PingOne is treated as restored rather than deleted
+// The user is snapshotted under the operation that disabled them, so /api/snapshots can still recreate them
+async function purgeEntry(entry, accessToken) {
+    const baseUrl = `${getApiBaseUrl(entry.region)}/environments/${entry.environmentId}/users/${entry.userId}`;
+
+    try {
+        const response = await axios.get(baseUrl, { headers: authHeaders(accessToken) });
+        if (response.data.enabled === true) {
+            return { status: 'restored', note: 'User was re-enabled outside the purge list' };
+        }
+        const operationId = entry.operationId || `purge_${entry.userId}`;
+        snapshotStore.saveUserSnapshot(operationId, { environmentId: entry.environmentId, region: entry.region }, response.data);
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return { status: 'purged', note: 'User was already deleted' };
+        }
+        throw error;
+    }
+
+    await axios.delete(baseUrl, { headers: authHeaders(accessToken) });
+    return { status: 'purged' };
+}
+
+// Delete every due pending user of one environment; failures stay pending and are retried on the next run
+async function purgeDueUsers({ environmentId, accessToken, now = Date.now() }) {
+    if (runningPurges.has(environmentId)) {
+        logManager.warn('Purge already running - skipping', { environmentId });
+        return { running: true, due: 0, purged: 0, restored: 0, errors: 0, entries: [] };
+    }
+
+    runningPurges.add(environmentId);
+    try {
+        const due = purgeStore.getDuePurgeEntries(environmentId, now);
+        const entries = [];
+        let purged = 0;
+        let restored = 0;
+        let errors = 0;
+
+        await runWorkerPool(due, entry => purgeEntry(entry, accessToken), {
+            onSettled: ({ index, value, error }) => {
+                const entry = due[index];
+                const finishedAt = new Date().toISOString();
+                let updated;
+
+                if (error) {
+                    const message = error.response?.data?.message || error.message;
+                    updated = purgeStore.updatePurgeEntry(entry.userId, { attempts: (entry.attempts || 0) + 1, lastError: message });
+                    logManager.error('Failed to purge user', { userId: entry.userId, environmentId, error: message });
+                    errors++;
+                } else if (value.status === 'restored') {
+                    updated = purgeStore.updatePurgeEntry(entry.userId, { status: 'restored', restoredAt: finishedAt, note: value.note, lastError: null });
+                    restored++;
+                } else {
+                    updated = purgeStore.updatePurgeEntry(entry.userId, { status: 'purged', purgedAt: finishedAt, note: value.note || null, lastError: null });
+                    purged++;
+                }
+                entries.push(updated || entry);
+            }
+        });
+
+        logManager.info('Purge run', { environmentId, due: due.length, purged, restored, errors });
+        return { running: false, due: due.length, purged, restored, errors, entries };
+    } finally {
+        runningPurges.delete(environmentId);
+    }
+}
+
+// Re-enable a pending user and take them off the purge list
+async function restorePendingUser(entry, accessToken) {
+    await setUserEnabled(entry.userId, true, entry.environmentId, accessToken, entry.region);
+    const restored = purgeStore.updatePurgeEntry(entry.userId, { status: 'restored', restoredAt: new Date().toISOString(), lastError: null });
+    logManager.info('Pending purge user restored', { userId: entry.userId, environmentId: entry.environmentId });
+    return restored;
+}
+
+// PINGONE_* credentials for unattended runs, or null when they are not configured
+// PINGONE_AUTH_METHOD picks the token auth method; private_key_jwt reads the PEM key from PINGONE_PRIVATE_KEY_FILE
+function getSchedulerCredentials() {
+    const { PINGONE_ENVIRONMENT_ID, PINGONE_CLIENT_ID, PINGONE_CLIENT_SECRET, PINGONE_REGION } = process.env;
+    const { PINGONE_AUTH_METHOD, PINGONE_PRIVATE_KEY_FILE, PINGONE_KEY_ID } = process.env;
+    if (!PINGONE_ENVIRONMENT_ID || !PINGONE_CLIENT_ID || (!PINGONE_CLIENT_SECRET && !PINGONE_PRIVATE_KEY_FILE)) {
+        return null;
+    }
+
+    const clientSecret = createClientCredential({
+        authMethod: PINGONE_AUTH_METHOD,
+        clientSecret: PINGONE_CLIENT_SECRET,
+        privateKey: PINGONE_PRIVATE_KEY_FILE ? fs.readFileSync(PINGONE_PRIVATE_KEY_FILE, 'utf-8') : null,
+        keyId: PINGONE_KEY_ID
+    });
+    if (!clientSecret) {
+        return null;
+    }
+    return {
+        environmentId: PINGONE_ENVIRONMENT_ID,
+        clientId: PINGONE_CLIENT_ID,
+        clientSecret,
+        region: resolveRegion(PINGONE_REGION)
+    };
+}
+
+function hasSchedulerCredentials(environmentId) {
+    const { PINGONE_ENVIRONMENT_ID, PINGONE_CLIENT_ID, PINGONE_CLIENT_SECRET, PINGONE_PRIVATE_KEY_FILE } = process.env;
+    return Boolean(environmentId) && environmentId === PINGONE_ENVIRONMENT_ID && Boolean(PINGONE_CLIENT_ID) &&
+        Boolean(PINGONE_CLIENT_SECRET || PINGONE_PRIVATE_KEY_FILE);
+}
+
+// The first vault profile (by name) for the environment that still holds a secret or private key
+function findPurgeProfile(environmentId) {
+    if (!environmentId || !isVaultEnabled()) {
+        return null;
+    }
+    return listProfiles().find(profile => profile.environmentId === environmentId && (profile.hasSecret || profile.hasPrivateKey)) || null;
+}
+
+// Whether the scheduler can reach the environment on its own, so users disabled there will really be purged
+function canPurgeEnvironment(environmentId) {
+    return hasSchedulerCredentials(environmentId) || Boolean(findPurgeProfile(environmentId));
+}
+
+// Body of the 400 for soft deletes in an environment the scheduler cannot purge, or null when it can
+function getSoftDeleteError(environmentId) {
+    if (canPurgeEnvironment(environmentId)) {
+        return null;
+    }
+    return {
+        error: 'Soft delete unavailable',
+        details: `The purge scheduler has no credentials for environment ${environmentId}, so disabled users would never be purged - ` +
+            'save a credential profile for it (CREDENTIAL_VAULT_KEY) or use mode "delete"'
+    };
+}
+
+// Credentials the scheduler purges an environment with, or null when it has none
+function getEnvironmentCredentials(environmentId) {
+    if (hasSchedulerCredentials(environmentId)) {
+        return getSchedulerCredentials();
+    }
+    const profile = findPurgeProfile(environmentId);
+    const credentials = profile && getCredentials(profile.id);
+    if (!credentials) {
+        return null;
+    }
+    return {
+        environmentId,
+        clientId: credentials.clientId,
+        clientSecret: createClientCredential(credentials),
+        region: credentials.region
+    };
+}
+
+// Purge every environment with due users; one environment failing (lost profile, unreadable key file,
+// rejected token) is logged and never stops the others or rejects the timer callback
+async function runScheduledPurge() {
+    const environmentIds = [...new Set(purgeStore.getDuePurgeEntries().map(entry => entry.environmentId))];
+    for (const environmentId of environmentIds) {
+        try {
+            const credentials = getEnvironmentCredentials(environmentId);
+            if (!credentials) {
+                logManager.warn('Scheduled purge skipped - no credentials for environment', { environmentId });
+                continue;
+            }
+            const accessToken = await getWorkerToken(environmentId, credentials.clientId, credentials.clientSecret, credentials.region);
+            await purgeDueUsers({ environmentId, accessToken });
+        } catch (error) {
+            logManager.error('Scheduled purge failed', { environmentId, error: error.message });
+        }
+    }
+}
+
+// Start the timer; it only does work once some environment has due users
+function startPurgeScheduler() {
+    const run = () => runScheduledPurge().catch(error => logManager.error('Scheduled purge failed', { error: error.message }));
+    setTimeout(run, SCHEDULER_CONFIG.FIRST_RUN_DELAY).unref();
+    setInterval(run, SCHEDULER_CONFIG.INTERVAL).unref();
+    logManager.info('Purge scheduler started', {
+        environmentId: process.env.PINGONE_ENVIRONMENT_ID || null,
+        credentialProfiles: isVaultEnabled(),
+        intervalMinutes: SCHEDULER_CONFIG.INTERVAL / 60000
+    });
+    return true;
+}
+
+module.exports = {
+    SCHEDULER_CONFIG,
+    setUserEnabled,
+    purgeDueUsers,
+    restorePendingUser,
+    canPurgeEnvironment,
+    getSoftDeleteError,
+    runScheduledPurge,
+    startPurgeScheduler
+};
@@ -0,0 +1,146 @@
+// Pending Purge Store
+// Users disabled by a soft delete wait here until their retention period ends and the purge scheduler deletes them
+// Debugging: Entries live in data/purge/<userId>.json - check `status`, `purgeAfter` and `lastError` when a user isn't purged
+
+const fs = require('fs');
+const path = require('path');
+const logManager = require('./logManager');
+
+const DELETE_MODES = ['delete', 'disable'];
+
+const PURGE_CONFIG = {
+    DIRECTORY: process.env.PURGE_DIR || path.join(__dirname, '../../data/purge'),
+    // Mode used when a delete request doesn't send `mode`; set DELETE_MODE=disable to forbid hard deletes by default
+    DEFAULT_DELETE_MODE: DELETE_MODES.includes(process.env.DELETE_MODE) ? process.env.DELETE_MODE : 'delete',
+    RETENTION_DAYS: parseInt(process.env.PURGE_RETENTION_DAYS, 10) || 30,
+    MAX_RETENTION_DAYS: 3650
+};
+
+// pending -> purged (deleted after retention) or restored (re-enabled before it)
+const PURGE_STATUSES = ['pending', 'purged', 'restored'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function ensurePurgeDirectory() {
+    if (!fs.existsSync(PURGE_CONFIG.DIRECTORY)) {
+        fs.mkdirSync(PURGE_CONFIG.DIRECTORY, { recursive: true });
+    }
+}
+
+// PingOne user IDs become file names, same rule as operation IDs
+function isValidUserId(userId) {
+    return typeof userId === 'string' && /^[A-Za-z0-9_-]{1,100}$/.test(userId);
+}
+
+function getEntryFilePath(userId) {
+    if (!isValidUserId(userId)) {
+        throw new Error(`Invalid user ID: ${userId}`);
+    }
+    return path.join(PURGE_CONFIG.DIRECTORY, `${userId}.json`);
+}
+
+function writeEntry(entry) {
+    ensurePurgeDirectory();
+    const filePath = getEntryFilePath(entry.userId);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(entry, null, 2), 'utf-8');
+    fs.renameSync(tempPath, filePath);
+}
+
+// Returns the delete mode for a request body, or null when `mode` is not one of DELETE_MODES
+function getDeleteMode(body = {}) {
+    if (body.mode === undefined || body.mode === null || body.mode === '') {
+        return PURGE_CONFIG.DEFAULT_DELETE_MODE;
+    }
+    return DELETE_MODES.includes(body.mode) ? body.mode : null;
+}
+
+// Returns whole days between 1 and MAX_RETENTION_DAYS, the default when not given, or null when invalid
+function getRetentionDays(value) {
+    if (value === undefined || value === null || value === '') {
+        return PURGE_CONFIG.RETENTION_DAYS;
+    }
+    const days = Number(value);
+    return Number.isInteger(days) && days >= 1 && days <= PURGE_CONFIG.MAX_RETENTION_DAYS ? days : null;
+}
+
+// Record a disabled user; disabling the same user again restarts the retention period
+function addPendingPurge({ userId, username, email, environmentId, region, operationId, retentionDays }) {
+    const now = Date.now();
+    const days = getRetentionDays(retentionDays) || PURGE_CONFIG.RETENTION_DAYS;
+    const entry = {
+        userId,
+        username: username || null,
+        email: email || null,
+        environmentId,
+        region,
+        operationId: operationId || null,
+        status: 'pending',
+        retentionDays: days,
+        disabledAt: new Date(now).toISOString(),
+        purgeAfter: new Date(now + days * DAY).toISOString(),
+        attempts: 0,
+        lastError: null
+    };
+    writeEntry(entry);
+    logManager.info('User disabled pending purge', { userId, environmentId, purgeAfter: entry.purgeAfter, operationId });
+    return entry;
+}
+
+function getPurgeEntry(userId) {
+    const filePath = getEntryFilePath(userId);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+function updatePurgeEntry(userId, changes) {
+    const entry = getPurgeEntry(userId);
+    if (!entry) {
+        return null;
+    }
+    const updated = { ...entry, ...changes, userId };
+    writeEntry(updated);
+    return updated;
+}
+
+// Entries sorted by purge date, optionally narrowed to one environment and/or status
+function listPurgeEntries({ environmentId, status } = {}) {
+    if (!fs.existsSync(PURGE_CONFIG.DIRECTORY)) {
+        return [];
+    }
+
+    const entries = [];
+    for (const file of fs.readdirSync(PURGE_CONFIG.DIRECTORY)) {
+        if (!file.endsWith('.json')) continue;
+        try {
+            entries.push(JSON.parse(fs.readFileSync(path.join(PURGE_CONFIG.DIRECTORY, file), 'utf-8')));
+        } catch (error) {
+            logManager.warn('Skipping unreadable purge entry', { file, error: error.message });
+        }
+    }
+    return entries
+        .filter(entry => (!environmentId || entry.environmentId === environmentId) && (!status || entry.status === status))
+        .sort((a, b) => a.purgeAfter.localeCompare(b.purgeAfter));
+}
+
+// Pending entries whose retention period has ended
+function getDuePurgeEntries(environmentId, now = Date.now()) {
+    return listPurgeEntries({ environmentId, status: 'pending' })
+        .filter(entry => new Date(entry.purgeAfter).getTime() <= now);
+}
+
+module.exports = {
+    DELETE_MODES,
+    PURGE_CONFIG,
+    PURGE_STATUSES,
+    isValidUserId,
+    getDeleteMode,
+    getRetentionDays,
+    addPendingPurge,
+    getPurgeEntry,
+    updatePurgeEntry,
+    listPurgeEntries,
+    getDuePurgeEntries
+};
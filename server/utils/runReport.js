@@ -0,0 +1,195 @@
+// Bulk Run Reports
+// Renders a stored import/modify/delete job as a downloadable CSV, JSON or self-contained HTML report
+// Debugging: Reports are built from data/jobs/<operationId>.json on every request - check the job file if a row looks wrong
+
+const REPORT_FORMATS = ['csv', 'json', 'html'];
+
+const REPORT_COLUMNS = [
+    { key: 'row', label: 'Row' },
+    { key: 'identifier', label: 'Identifier' },
+    { key: 'userId', label: 'PingOne User ID' },
+    { key: 'status', label: 'Status' },
+    { key: 'message', label: 'Message' },
+    { key: 'errorDetails', label: 'Error Details' }
+];
+
+// Row statuses shown as successful / skipped in the HTML summary; everything else is a failure or unfinished
+const SUCCESS_STATUSES = ['imported', 'updated', 'modified', 'deleted', 'disabled', 'success'];
+const SKIPPED_STATUSES = ['skipped', 'unchanged', 'not_found', 'ambiguous'];
+
+// PingOne error bodies look like { code, message, details: [{ code, target, message }] }
+function formatErrorDetails(error) {
+    if (!error) {
+        return '';
+    }
+    if (typeof error === 'string') {
+        return error;
+    }
+    if (Array.isArray(error.details) && error.details.length > 0) {
+        return error.details
+            .map(detail => (detail.target ? `${detail.target}: ${detail.message}` : detail.message))
+            .join('; ');
+    }
+    return error.message || JSON.stringify(error);
+}
+
+// Modify results fall back to 'unknown' when no user was found
+function knownValue(value) {
+    return value && value !== 'unknown' ? String(value) : '';
+}
+
+// One report row per input row, in file order
+function buildReportRows(job) {
+    return job.rows.map(jobRow => {
+        const input = jobRow.input || {};
+        const result = jobRow.result || {};
+        return {
+            row: jobRow.row,
+            identifier: knownValue(result.username) || knownValue(input.username) || knownValue(input.email) || knownValue(input.userId),
+            userId: knownValue(result.userId) || knownValue(input.userId),
+            status: jobRow.status,
+            message: result.message || (jobRow.status === 'pending' ? 'Not processed' : ''),
+            errorDetails: formatErrorDetails(result.error)
+        };
+    });
+}
+
+function buildReport(job) {
+    return {
+        operationId: job.operationId,
+        type: job.type,
+        status: job.status,
+        createdAt: job.createdAt,
+        completedAt: job.completedAt,
+        duration: job.summary?.duration,
+        filename: job.options?.filename,
+        environmentId: job.options?.environmentId,
+        total: job.rows.length,
+        counts: job.rows.reduce((counts, row) => ({ ...counts, [row.status]: (counts[row.status] || 0) + 1 }), {}),
+        rows: buildReportRows(job)
+    };
+}
+
+function escapeCsv(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(report) {
+    return [
+        REPORT_COLUMNS.map(column => column.label).join(','),
+        ...report.rows.map(row => REPORT_COLUMNS.map(column => escapeCsv(row[column.key])).join(','))
+    ].join('\r\n') + '\r\n';
+}
+
+// Failed (and optionally skipped) rows in the columns the run received, plus an `error` column, ready to fix and re-import
+// Password values are blanked like everywhere else a job leaves the server; nested modify userData is written as JSON
+function toFailedRowsCsv(job, rowIndexes) {
+    const rows = rowIndexes.map(index => job.rows[index]);
+    const columns = [];
+    for (const row of rows) {
+        for (const key of Object.keys(row.input || {})) {
+            if (!columns.includes(key)) columns.push(key);
+        }
+    }
+    const errorColumn = columns.includes('error') ? '_error' : 'error';
+
+    const lines = rows.map(row => {
+        const input = row.input || {};
+        const cells = columns.map(key => {
+            const value = key === 'password' ? '' : input[key];
+            return escapeCsv(value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+        });
+        const details = formatErrorDetails(row.result?.error);
+        const message = row.result?.message || row.status;
+        cells.push(escapeCsv(details && details !== message ? `${message} (${details})` : message));
+        return cells.join(',');
+    });
+
+    return [[...columns, errorColumn].map(escapeCsv).join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function statusClass(status) {
+    if (SUCCESS_STATUSES.includes(status)) return 'success';
+    if (SKIPPED_STATUSES.includes(status)) return 'skipped';
+    return 'failed';
+}
+
+// Everything is inline so the file can be mailed or archived on its own
+function toHtml(report) {
+    const title = `${report.type} run ${report.operationId}`;
+    const details = [
+        ['Operation', report.operationId],
+        ['Type', report.type],
+        ['Status', report.status],
+        ['File', report.filename],
+        ['Environment', report.environmentId],
+        ['Started', report.createdAt],
+        ['Completed', report.completedAt],
+        ['Duration', report.duration !== undefined ? `${(report.duration / 1000).toFixed(1)}s` : '']
+    ].filter(([, value]) => value);
+
+    const counts = Object.entries(report.counts)
+        .map(([status, count]) => `<span class="count ${statusClass(status)}">${escapeHtml(status)}: ${count}</span>`)
+        .join(' ');
+
+    const rows = report.rows.map(row => `
+        <tr class="${statusClass(row.status)}">
+            ${REPORT_COLUMNS.map(column => `<td>${escapeHtml(row[column.key])}</td>`).join('')}
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; margin: 2rem; color: #222; }
+    h1 { font-size: 1.4rem; }
+    dl { display: grid; grid-template-columns: max-content auto; gap: 0.25rem 1rem; }
+    dt { font-weight: 600; }
+    dd { margin: 0; }
+    .count { display: inline-block; padding: 0.2rem 0.6rem; margin: 0.2rem; border-radius: 1rem; background: #eee; }
+    .count.success { background: #e3f4e6; }
+    .count.skipped { background: #fff6d9; }
+    .count.failed { background: #fde4e4; }
+    table { border-collapse: collapse; width: 100%; margin-top: 1rem; font-size: 0.9rem; }
+    th, td { border: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    th { background: #f4f4f4; }
+    tr.failed td { background: #fff5f5; }
+    tr.skipped td { background: #fffdf3; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<dl>
+${details.map(([label, value]) => `    <dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join('\n')}
+</dl>
+<p>${report.total} row(s): ${counts}</p>
+<table>
+    <thead><tr>${REPORT_COLUMNS.map(column => `<th>${column.label}</th>`).join('')}</tr></thead>
+    <tbody>${rows}
+    </tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    REPORT_COLUMNS,
+    buildReport,
+    toCsv,
+    toHtml,
+    toFailedRowsCsv
+};
@@ -0,0 +1,125 @@
+// Session Store
+// Server-side sessions for signed-in users; the browser only holds a random session ID in an HttpOnly cookie
+// Debugging: Sessions are in memory, so a server restart signs everyone out; check 'Session ...' log entries
+
+const crypto = require('crypto');
+const logManager = require('./logManager');
+
+const SESSION_CONFIG = {
+    COOKIE_NAME: 'pingone_um_session',
+    IDLE_TIMEOUT: (parseInt(process.env.SESSION_IDLE_MINUTES, 10) || 60) * 60 * 1000,
+    MAX_AGE: (parseInt(process.env.SESSION_MAX_HOURS, 10) || 8) * 60 * 60 * 1000,
+    // A sign-in has this long to come back from PingOne before its PKCE verifier is dropped
+    LOGIN_TIMEOUT: 10 * 60 * 1000,
+    PRUNE_INTERVAL: 5 * 60 * 1000
+};
+
+const sessions = new Map();
+// Sign-ins waiting for their callback, by OAuth `state`
+const pendingLogins = new Map();
+
+function randomId() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function isSessionExpired(session, now = Date.now()) {
+    return now - session.lastSeenAt > SESSION_CONFIG.IDLE_TIMEOUT || now - session.createdAt > SESSION_CONFIG.MAX_AGE;
+}
+
+// Always a new ID, so a session ID planted before sign-in is never promoted
+function createSession(user, { idToken } = {}) {
+    const now = Date.now();
+    const session = { id: randomId(), user, idToken: idToken || null, createdAt: now, lastSeenAt: now };
+    sessions.set(session.id, session);
+    logManager.info('Session created', { sub: user.sub, role: user.role });
+    return session;
+}
+
+// The live session for an ID (touching its idle timer), or null
+function getSession(sessionId) {
+    const session = sessionId ? sessions.get(sessionId) : null;
+    if (!session) {
+        return null;
+    }
+    if (isSessionExpired(session)) {
+        sessions.delete(sessionId);
+        logManager.info('Session expired', { sub: session.user.sub });
+        return null;
+    }
+    session.lastSeenAt = Date.now();
+    return session;
+}
+
+function destroySession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (session) {
+        sessions.delete(sessionId);
+        logManager.info('Session ended', { sub: session.user.sub });
+    }
+    return session || null;
+}
+
+function savePendingLogin(state, login) {
+    pendingLogins.set(state, { ...login, createdAt: Date.now() });
+}
+
+// Single use: the entry is removed whether or not it is still valid
+function takePendingLogin(state) {
+    const login = state ? pendingLogins.get(state) : null;
+    if (!login) {
+        return null;
+    }
+    pendingLogins.delete(state);
+    return Date.now() - login.createdAt > SESSION_CONFIG.LOGIN_TIMEOUT ? null : login;
+}
+
+function pruneExpired(now = Date.now()) {
+    for (const [id, session] of sessions) {
+        if (isSessionExpired(session, now)) sessions.delete(id);
+    }
+    for (const [state, login] of pendingLogins) {
+        if (now - login.createdAt > SESSION_CONFIG.LOGIN_TIMEOUT) pendingLogins.delete(state);
+    }
+}
+
+setInterval(pruneExpired, SESSION_CONFIG.PRUNE_INTERVAL).unref();
+
+// The session ID from the Cookie header; no cookie parser is installed, and this is the only cookie the app reads
+function getSessionIdFromRequest(req) {
+    const header = req.headers.cookie || '';
+    for (const part of header.split(';')) {
+        const [name, ...value] = part.trim().split('=');
+        if (name === SESSION_CONFIG.COOKIE_NAME) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+}
+
+// SameSite=Lax keeps the cookie off cross-site POSTs, which is the CSRF protection for the JSON API
+function setSessionCookie(res, session, secure) {
+    res.append('Set-Cookie', [
+        `${SESSION_CONFIG.COOKIE_NAME}=${encodeURIComponent(session.id)}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Lax',
+        `Max-Age=${Math.floor(SESSION_CONFIG.MAX_AGE / 1000)}`,
+        ...(secure ? ['Secure'] : [])
+    ].join('; '));
+}
+
+function clearSessionCookie(res) {
+    res.append('Set-Cookie', `${SESSION_CONFIG.COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
+
+module.exports = {
+    SESSION_CONFIG,
+    createSession,
+    getSession,
+    destroySession,
+    savePendingLogin,
+    takePendingLogin,
+    getSessionIdFromRequest,
+    setSessionCookie,
+    clearSessionCookie
+};
@@ -0,0 +1,145 @@
+// Delete Snapshots
+// Full user objects saved just before a delete, one file per operation, so deleted users can be recreated
+// Debugging: Snapshots are data/snapshots/<operationId>.jsonl - one 'deleted' line per user, plus a 'restored' line once recreated
+
+const fs = require('fs');
+const path = require('path');
+const logManager = require('./logManager');
+
+const SNAPSHOT_CONFIG = {
+    DIRECTORY: process.env.SNAPSHOTS_DIR || path.join(__dirname, '../../data/snapshots')
+};
+
+// Attributes PingOne sets itself or only accepts through their own endpoints; everything else is sent back on restore
+// Passwords are never returned by the API, so restored users need a password reset
+const READ_ONLY_FIELDS = [
+    'id', 'environment', 'createdAt', 'updatedAt', 'lastSignOn', 'lifecycle', 'verifyStatus', 'account',
+    'identityProvider', 'mfaEnabled', 'memberOfGroupIDs', 'memberOfGroupNames', '_links', '_embedded'
+];
+
+function ensureSnapshotDirectory() {
+    if (!fs.existsSync(SNAPSHOT_CONFIG.DIRECTORY)) {
+        fs.mkdirSync(SNAPSHOT_CONFIG.DIRECTORY, { recursive: true });
+    }
+}
+
+// Snapshot file names use the operation ID, same rule as the job store
+function isValidSnapshotId(operationId) {
+    return typeof operationId === 'string' && /^[A-Za-z0-9_-]{1,100}$/.test(operationId);
+}
+
+function getSnapshotFilePath(operationId) {
+    if (!isValidSnapshotId(operationId)) {
+        throw new Error(`Invalid operation ID: ${operationId}`);
+    }
+    return path.join(SNAPSHOT_CONFIG.DIRECTORY, `${operationId}.jsonl`);
+}
+
+// Appending keeps each save O(1) however many users a bulk run deletes
+function appendRecord(operationId, record) {
+    ensureSnapshotDirectory();
+    fs.appendFileSync(getSnapshotFilePath(operationId), `${JSON.stringify(record)}\n`, 'utf-8');
+}
+
+// Save a user as returned by GET /users/{id}; throws so the caller can refuse to delete without a snapshot
+function saveUserSnapshot(operationId, { environmentId, region }, user) {
+    appendRecord(operationId, {
+        event: 'deleted',
+        at: new Date().toISOString(),
+        environmentId,
+        region,
+        user
+    });
+    logManager.debug('User snapshot saved', { operationId, userId: user.id, username: user.username });
+}
+
+function markUserRestored(operationId, userId, restoredUserId) {
+    appendRecord(operationId, {
+        event: 'restored',
+        at: new Date().toISOString(),
+        userId,
+        restoredUserId
+    });
+}
+
+// Fold the file into { operationId, environmentId, region, users: [{ user, deletedAt, restoredAt, restoredUserId }] }
+// A user deleted twice in one operation (e.g. after a resume) keeps the latest copy
+function getSnapshot(operationId) {
+    const filePath = getSnapshotFilePath(operationId);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    const byUserId = new Map();
+    let environmentId = null;
+    let region = null;
+    for (const line of fs.readFileSync(filePath, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            logManager.warn('Skipping unreadable snapshot line', { operationId, error: error.message });
+            continue;
+        }
+
+        if (record.event === 'deleted') {
+            environmentId = record.environmentId;
+            region = record.region;
+            byUserId.set(record.user.id, { user: record.user, deletedAt: record.at, restoredAt: null, restoredUserId: null });
+        } else if (record.event === 'restored' && byUserId.has(record.userId)) {
+            Object.assign(byUserId.get(record.userId), { restoredAt: record.at, restoredUserId: record.restoredUserId });
+        }
+    }
+
+    return { operationId, environmentId, region, users: Array.from(byUserId.values()) };
+}
+
+// Summaries of every snapshot, newest first
+function listSnapshots() {
+    if (!fs.existsSync(SNAPSHOT_CONFIG.DIRECTORY)) {
+        return [];
+    }
+
+    const snapshots = [];
+    for (const file of fs.readdirSync(SNAPSHOT_CONFIG.DIRECTORY)) {
+        if (!file.endsWith('.jsonl')) continue;
+        const operationId = file.slice(0, -'.jsonl'.length);
+        const snapshot = isValidSnapshotId(operationId) && getSnapshot(operationId);
+        if (!snapshot) continue;
+        const deletedAt = snapshot.users.map(entry => entry.deletedAt).sort();
+        snapshots.push({
+            operationId,
+            environmentId: snapshot.environmentId,
+            users: snapshot.users.length,
+            restored: snapshot.users.filter(entry => entry.restoredAt).length,
+            firstDeletedAt: deletedAt[0] || null,
+            lastDeletedAt: deletedAt[deletedAt.length - 1] || null
+        });
+    }
+    return snapshots.sort((a, b) => String(b.lastDeletedAt).localeCompare(String(a.lastDeletedAt)));
+}
+
+// Body for POST /users that recreates the snapshot user with the same attributes and population
+function toCreatePayload(user) {
+    const payload = {};
+    for (const [key, value] of Object.entries(user)) {
+        if (!READ_ONLY_FIELDS.includes(key)) {
+            payload[key] = value;
+        }
+    }
+    if (user.population?.id) {
+        payload.population = { id: user.population.id };
+    }
+    return payload;
+}
+
+module.exports = {
+    SNAPSHOT_CONFIG,
+    isValidSnapshotId,
+    saveUserSnapshot,
+    markUserRestored,
+    getSnapshot,
+    listSnapshots,
+    toCreatePayload
+};
@@ -0,0 +1,140 @@
+// Token Endpoint Authentication
+// How the worker app authenticates at /as/token: client_secret_basic, client_secret_post, client_secret_jwt or private_key_jwt
+// Debugging: 'invalid_client' from PingOne usually means the method here differs from the app's Token Endpoint Authentication Method
+
+const crypto = require('crypto');
+
+const TOKEN_AUTH_METHODS = ['client_secret_basic', 'client_secret_post', 'client_secret_jwt', 'private_key_jwt'];
+const DEFAULT_AUTH_METHOD = 'client_secret_basic';
+
+// Client assertions are single-use, so they only need to live long enough to reach PingOne
+const ASSERTION_LIFETIME_SECONDS = 60;
+
+function isValidAuthMethod(authMethod) {
+    return TOKEN_AUTH_METHODS.includes(authMethod);
+}
+
+// Routes pass the client credential where they used to pass the secret: either the secret itself (client_secret_basic)
+// or { authMethod, clientSecret, privateKey, keyId }. Returns the object form
+function normalizeClientCredential(credential) {
+    if (credential && typeof credential === 'object') {
+        return { ...credential, authMethod: credential.authMethod || DEFAULT_AUTH_METHOD };
+    }
+    return { authMethod: DEFAULT_AUTH_METHOD, clientSecret: credential };
+}
+
+// The value routes receive as `clientSecret`; plain secrets stay strings so existing callers see no difference
+function createClientCredential({ authMethod, clientSecret, privateKey, keyId }) {
+    const method = authMethod || DEFAULT_AUTH_METHOD;
+    if (method === DEFAULT_AUTH_METHOD) {
+        return clientSecret || null;
+    }
+    if (method === 'private_key_jwt' ? !privateKey : !clientSecret) {
+        return null;
+    }
+    return { authMethod: method, clientSecret: clientSecret || null, privateKey: privateKey || null, keyId: keyId || null };
+}
+
+// RS256 for RSA keys, ES256 for P-256 keys; returns null for anything PingOne would not accept
+function getSigningAlgorithm(key) {
+    if (key.asymmetricKeyType === 'rsa') {
+        return 'RS256';
+    }
+    if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails?.namedCurve === 'prime256v1') {
+        return 'ES256';
+    }
+    return null;
+}
+
+// Error message for an uploaded PEM key, or null when it can sign client assertions
+function validatePrivateKey(pem) {
+    if (typeof pem !== 'string' || !pem.includes('PRIVATE KEY')) {
+        return 'privateKey must be a PEM-encoded private key';
+    }
+    try {
+        if (!getSigningAlgorithm(crypto.createPrivateKey(pem))) {
+            return 'privateKey must be an RSA or EC P-256 key';
+        }
+    } catch (error) {
+        return `privateKey could not be read: ${error.message}`;
+    }
+    return null;
+}
+
+// Signed JWT for client_secret_jwt (HS256 with the secret) or private_key_jwt (the uploaded key)
+function createClientAssertion(credential, clientId, tokenUrl) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+        iss: clientId,
+        sub: clientId,
+        aud: tokenUrl,
+        jti: crypto.randomUUID(),
+        iat: now,
+        exp: now + ASSERTION_LIFETIME_SECONDS
+    };
+
+    let alg;
+    let key;
+    if (credential.authMethod === 'private_key_jwt') {
+        key = crypto.createPrivateKey(credential.privateKey);
+        alg = getSigningAlgorithm(key);
+        if (!alg) {
+            throw new Error('private_key_jwt needs an RSA or EC P-256 key');
+        }
+    } else {
+        alg = 'HS256';
+    }
+
+    const header = { alg, typ: 'JWT', ...(credential.keyId ? { kid: credential.keyId } : {}) };
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signingInput = `${encode(header)}.${encode(payload)}`;
+
+    let signature;
+    if (alg === 'HS256') {
+        signature = crypto.createHmac('sha256', credential.clientSecret).update(signingInput).digest();
+    } else {
+        // JWS wants the raw r||s form for ECDSA, not DER
+        signature = crypto.sign('sha256', Buffer.from(signingInput), alg === 'ES256' ? { key, dsaEncoding: 'ieee-p1363' } : key);
+    }
+    return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+// Body and headers of the client_credentials request for the credential's method
+function buildTokenRequest(clientCredential, clientId, tokenUrl) {
+    const credential = normalizeClientCredential(clientCredential);
+    if (!isValidAuthMethod(credential.authMethod)) {
+        throw new Error(`Unsupported token auth method: ${credential.authMethod}`);
+    }
+
+    const body = new URLSearchParams({ grant_type: 'client_credentials' });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    switch (credential.authMethod) {
+        case 'client_secret_basic':
+            // RFC 6749 2.3.1: both parts are form-encoded before base64
+            headers['Authorization'] = `Basic ${Buffer.from(
+                `${encodeURIComponent(clientId)}:${encodeURIComponent(credential.clientSecret)}`
+            ).toString('base64')}`;
+            break;
+        case 'client_secret_post':
+            body.set('client_id', clientId);
+            body.set('client_secret', credential.clientSecret);
+            break;
+        default:
+            body.set('client_id', clientId);
+            body.set('client_assertion_type', 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
+            body.set('client_assertion', createClientAssertion(credential, clientId, tokenUrl));
+    }
+
+    return { body, headers, authMethod: credential.authMethod };
+}
+
+module.exports = {
+    TOKEN_AUTH_METHODS,
+    DEFAULT_AUTH_METHOD,
+    isValidAuthMethod,
+    normalizeClientCredential,
+    createClientCredential,
+    validatePrivateKey,
+    buildTokenRequest
+};
@@ -0,0 +1,84 @@
+// PingOne User Diff
+// Compares a stored PingOne user with requested attribute values and builds PATCH bodies that only carry changes
+// Debugging: If a row is reported 'unchanged' unexpectedly, log the diffUser() output for that row
+
+// Attributes PingOne never returns, so they cannot be compared; callers set them through their own endpoint
+const SECRET_FIELDS = ['password'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// JSON with sorted keys, so arrays of objects compare equal regardless of key order
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (isPlainObject(value)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function isSameValue(current, requested) {
+    // Missing and empty attributes are the same thing to PingOne
+    if ((current === undefined || current === null || current === '') && (requested === null || requested === '')) {
+        return true;
+    }
+    return stableStringify(current) === stableStringify(requested);
+}
+
+// Compare requested values against the current user and return [{ field, from, to }] for every difference
+// Nested objects (name, population) are compared per sub-field; arrays (phoneNumbers, addresses) as a whole
+function diffUser(currentUser, requested, prefix = '') {
+    const changes = [];
+
+    for (const [key, value] of Object.entries(requested || {})) {
+        if (value === undefined || (!prefix && SECRET_FIELDS.includes(key))) continue;
+
+        const field = prefix ? `${prefix}.${key}` : key;
+        const current = currentUser ? currentUser[key] : undefined;
+
+        if (isPlainObject(value)) {
+            changes.push(...diffUser(isPlainObject(current) ? current : {}, value, field));
+        } else if (!isSameValue(current, value)) {
+            changes.push({ field, from: current, to: value });
+        }
+    }
+
+    return changes;
+}
+
+// Build a PATCH body holding only the top-level attributes that changed
+// Nested objects are merged with the stored value so e.g. name.family survives a name.given update
+function buildPatchBody(currentUser, requested, changes) {
+    const body = {};
+    const fields = new Set(changes.map(change => change.field.split('.')[0]));
+
+    for (const field of fields) {
+        const value = requested[field];
+        body[field] = isPlainObject(value) && isPlainObject(currentUser?.[field])
+            ? { ...currentUser[field], ...value }
+            : value;
+    }
+
+    return body;
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null || value === '') {
+        return '(empty)';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Human readable diff, e.g. "email: old@example.com → new@example.com; name.given: Jon → John"
+function formatChanges(changes) {
+    return changes.map(change => `${change.field}: ${formatValue(change.from)} → ${formatValue(change.to)}`).join('; ');
+}
+
+module.exports = {
+    diffUser,
+    buildPatchBody,
+    formatChanges
+};
@@ -0,0 +1,408 @@
+// PingOne User Mapping
+// Turns flat CSV rows into PingOne user payloads - full bodies for import, PATCH bodies for modify
+// Debugging: Check 'User data mapped' debug log entries to see the payload built for each row
+
+const axios = require('axios');
+const logManager = require('./logManager');
+const { getApiBaseUrl } = require('./pingoneRegions');
+const { mapCustomAttributes, formatCustomAttributes } = require('./userSchema');
+
+// Modify attribute ids (the settings page "Modify Attributes" grid) -> CSV columns that feed them and the PingOne path they update
+const MODIFY_FIELDS = {
+    firstName: { columns: ['firstName', 'givenName'], path: 'name.given' },
+    lastName: { columns: ['lastName', 'familyName'], path: 'name.family' },
+    email: { columns: ['email'], path: 'email' },
+    username: { columns: ['username'], path: 'username' },
+    // Only when ticked: PingOne sets passwords through their own endpoint, and they cannot be diffed
+    password: { columns: ['password'], path: 'password', explicit: true },
+    population: { columns: ['populationId', 'populationName'], path: 'population' },
+    active: { columns: ['active', 'enabled'], path: 'enabled' },
+    title: { columns: ['title'], path: 'title' },
+    phoneNumbers: { columns: ['primaryPhone', 'mobilePhone'], path: 'phoneNumbers' },
+    address: { columns: ['streetAddress', 'locality', 'region', 'postalCode', 'countryCode'], path: 'addresses' },
+    locale: { columns: ['locale'], path: 'locale' },
+    timezone: { columns: ['timezone'], path: 'timezone' },
+    externalId: { columns: ['externalId'], path: 'externalId' },
+    type: { columns: ['type'], path: 'type' },
+    nickname: { columns: ['nickname'], path: 'nickname' },
+    // Columns come from the environment's user schema (see userSchema.js), so none are listed here
+    customAttributes: { columns: [], path: null }
+};
+
+// CSV columns written by user export - the flat columns mapUserData reads, plus userId for modify/delete files
+const EXPORT_COLUMNS = [
+    'userId', 'username', 'email', 'active',
+    'firstName', 'lastName', 'middleName', 'formattedName', 'prefix', 'suffix', 'nickname',
+    'title', 'preferredLanguage', 'locale', 'timezone', 'externalId', 'type',
+    'primaryPhone', 'mobilePhone',
+    'streetAddress', 'locality', 'region', 'postalCode', 'countryCode',
+    'populationId', 'populationName'
+];
+
+// Export columns for one environment: EXPORT_COLUMNS plus a column per custom schema attribute
+// Attributes named like a standard column are left out, since import would read that column as the standard field
+function getExportColumns(userSchema = null) {
+    const standard = new Set(EXPORT_COLUMNS.map(column => column.toLowerCase()));
+    const custom = userSchema
+        ? Array.from(userSchema.attributes.values())
+            .map(attribute => attribute.name)
+            .filter(name => !standard.has(name.toLowerCase()))
+        : [];
+    return [...EXPORT_COLUMNS, ...custom];
+}
+
+// Helper function to load the environment's populations once per run
+// DEBUG: If population lookup fails, check environment permissions and API response
+async function getPopulationContext(environmentId, accessToken, region) {
+    try {
+        logManager.debug('Getting populations', { environmentId });
+        
+        const response = await axios.get(
+            `${getApiBaseUrl(region)}/environments/${environmentId}/populations`,
+            {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+
+        // Find the default population (usually the first one or marked as default)
+        const populations = response.data._embedded?.populations || [];
+        let defaultPopulation = populations.find(pop => pop.default === true);
+        
+        if (!defaultPopulation && populations.length > 0) {
+            defaultPopulation = populations[0]; // Use first population as fallback
+        }
+
+        if (!defaultPopulation) {
+            throw new Error('No populations found in environment');
+        }
+
+        logManager.info('Found default population', {
+            environmentId,
+            populationId: defaultPopulation.id,
+            populationName: defaultPopulation.name,
+            populationCount: populations.length
+        });
+
+        // Index by ID and by case-insensitive name so each row is a map lookup
+        return {
+            defaultPopulationId: defaultPopulation.id,
+            byId: new Map(populations.map(pop => [pop.id, pop])),
+            byName: new Map(populations.map(pop => [String(pop.name || '').toLowerCase(), pop]))
+        };
+
+    } catch (error) {
+        logManager.error('Failed to get populations', {
+            environmentId,
+            error: error.message,
+            responseData: error.response?.data
+        });
+        throw new Error(`Failed to get populations: ${error.message}`);
+    }
+}
+
+// Helper function to pick the population for a single CSV row
+// Rows may carry a populationId or a populationName; rows without either use the default
+// Unknown populations throw so the row is reported as an error instead of silently defaulted
+function resolvePopulationId(user, populationContext) {
+    if (!populationContext) {
+        return null;
+    }
+
+    const populationId = typeof user.populationId === 'string' ? user.populationId.trim() : user.populationId;
+    const populationName = typeof user.populationName === 'string' ? user.populationName.trim() : user.populationName;
+
+    if (populationId) {
+        if (populationContext.byId.has(populationId)) {
+            return populationId;
+        }
+        // Some exports put the population name in the populationId column
+        const namedPopulation = populationContext.byName.get(String(populationId).toLowerCase());
+        if (namedPopulation) {
+            return namedPopulation.id;
+        }
+        throw new Error(`Unknown population: ${populationId}`);
+    }
+
+    if (populationName) {
+        const namedPopulation = populationContext.byName.get(String(populationName).toLowerCase());
+        if (namedPopulation) {
+            return namedPopulation.id;
+        }
+        throw new Error(`Unknown population name: ${populationName}`);
+    }
+
+    return populationContext.defaultPopulationId;
+}
+
+// Helper function to map CSV user data to PingOne user format
+// Columns naming custom schema attributes are added when userSchema (from getUserSchema) is given
+// DEBUG: If user data mapping fails, check CSV headers and PingOne user schema
+function mapUserData(user, populationContext = null, userSchema = null) {
+    // Sanitize user data to remove any leading/trailing whitespace
+    const sanitizedUser = {};
+    for (const key in user) {
+        sanitizedUser[key] = typeof user[key] === 'string' ? user[key].trim() : user[key];
+    }
+
+    // Use populationId/populationName from CSV if present, otherwise fall back to the default
+    const populationId = resolvePopulationId(sanitizedUser, populationContext);
+
+    const data = {
+        population: { id: populationId },
+        username: sanitizedUser.username,
+        email: sanitizedUser.email,
+        enabled: sanitizedUser.active !== undefined ? sanitizedUser.active === 'true' || sanitizedUser.active === true : true
+    };
+
+    // Add name information if available
+    if (sanitizedUser.firstName || sanitizedUser.lastName || sanitizedUser.givenName || sanitizedUser.familyName) {
+        data.name = {};
+        
+        if (sanitizedUser.firstName || sanitizedUser.givenName) {
+            data.name.given = sanitizedUser.firstName || sanitizedUser.givenName;
+        }
+        
+        if (sanitizedUser.lastName || sanitizedUser.familyName) {
+            data.name.family = sanitizedUser.lastName || sanitizedUser.familyName;
+        }
+        
+        if (sanitizedUser.middleName) {
+            data.name.middle = sanitizedUser.middleName;
+        }
+        
+        if (sanitizedUser.formattedName) {
+            data.name.formatted = sanitizedUser.formattedName;
+        }
+        
+        if (sanitizedUser.prefix) {
+            data.name.honorificPrefix = sanitizedUser.prefix;
+        }
+        
+        if (sanitizedUser.suffix) {
+            data.name.honorificSuffix = sanitizedUser.suffix;
+        }
+    }
+
+    // Add additional profile information
+    if (sanitizedUser.nickname) {
+        data.nickname = sanitizedUser.nickname;
+    }
+    
+    if (sanitizedUser.title) {
+        data.title = sanitizedUser.title;
+    }
+    
+    if (sanitizedUser.preferredLanguage) {
+        data.preferredLanguage = sanitizedUser.preferredLanguage;
+    }
+    
+    if (sanitizedUser.locale) {
+        data.locale = sanitizedUser.locale;
+    }
+    
+    if (sanitizedUser.timezone) {
+        data.timezone = sanitizedUser.timezone;
+    }
+
+    // Add external ID if provided
+    if (sanitizedUser.externalId) {
+        data.externalId = sanitizedUser.externalId;
+    }
+
+    // Add type if provided (employee, contractor, etc.)
+    if (sanitizedUser.type) {
+        data.type = sanitizedUser.type;
+    }
+
+    // Add phone numbers if provided
+    if (sanitizedUser.primaryPhone || sanitizedUser.mobilePhone) {
+        data.phoneNumbers = [];
+        
+        if (sanitizedUser.primaryPhone) {
+            data.phoneNumbers.push({
+                value: sanitizedUser.primaryPhone,
+                type: 'work',
+                primary: true
+            });
+        }
+        
+        if (sanitizedUser.mobilePhone && sanitizedUser.mobilePhone !== sanitizedUser.primaryPhone) {
+            data.phoneNumbers.push({
+                value: sanitizedUser.mobilePhone,
+                type: 'mobile',
+                primary: false
+            });
+        }
+    }
+
+    // Add address if provided
+    if (sanitizedUser.streetAddress || sanitizedUser.locality || sanitizedUser.region || sanitizedUser.postalCode || sanitizedUser.countryCode) {
+        data.addresses = [{
+            type: 'work',
+            primary: true
+        }];
+        
+        if (sanitizedUser.streetAddress) {
+            data.addresses[0].streetAddress = sanitizedUser.streetAddress;
+        }
+        
+        if (sanitizedUser.locality) {
+            data.addresses[0].locality = sanitizedUser.locality;
+        }
+        
+        if (sanitizedUser.region) {
+            data.addresses[0].region = sanitizedUser.region;
+        }
+        
+        if (sanitizedUser.postalCode) {
+            data.addresses[0].postalCode = sanitizedUser.postalCode;
+        }
+        
+        if (sanitizedUser.countryCode) {
+            data.addresses[0].countryCode = sanitizedUser.countryCode;
+        }
+    }
+
+    // Add password if provided (for initial password set)
+    if (sanitizedUser.password) {
+        data.password = {
+            value: sanitizedUser.password,
+            forceChange: false // Set to true if you want users to change password on first login
+        };
+    }
+
+    // Add custom schema attributes (throws if a value doesn't fit the attribute type)
+    const customAttributes = mapCustomAttributes(sanitizedUser, userSchema);
+    Object.assign(data, customAttributes);
+
+    // DEBUG: Log final mapped user data structure
+    logManager.debug('User data mapped', {
+        username: data.username,
+        email: data.email,
+        populationId: data.population?.id,
+        hasName: !!data.name,
+        hasPhoneNumbers: !!data.phoneNumbers,
+        hasAddresses: !!data.addresses,
+        hasPassword: !!data.password,
+        customAttributes: Object.keys(customAttributes)
+    });
+
+    return data;
+}
+
+// Helper function to build a modify PATCH body from a flat CSV row
+// Only attributes that are in `fields` (all of MODIFY_FIELDS but password when omitted) and have a non-empty column in the row are included
+// Custom schema attributes are included when `customAttributes` is selected and userSchema is given
+// DEBUG: An empty result means none of the row's columns match a ticked Modify Attributes field
+function mapModifyRow(row, fields = null, populationContext = null, userSchema = null) {
+    // Modify files commonly say `enabled` where import files say `active`
+    const source = { ...row };
+    if (!hasValue(source.active) && hasValue(source.enabled)) {
+        source.active = source.enabled;
+    }
+
+    const selected = (fields || Object.keys(MODIFY_FIELDS).filter(fieldId => !MODIFY_FIELDS[fieldId].explicit))
+        .filter(fieldId => MODIFY_FIELDS[fieldId]);
+    const wanted = selected.filter(fieldId => MODIFY_FIELDS[fieldId].columns.some(column => hasValue(source[column])));
+
+    // Populations are only resolved when the row actually asks to move the user
+    const mapped = mapUserData(source, wanted.includes('population') ? populationContext : null);
+
+    const userData = {};
+    for (const fieldId of wanted) {
+        if (fieldId === 'population' && !mapped.population?.id) continue;
+        setPath(userData, MODIFY_FIELDS[fieldId].path, getPath(mapped, MODIFY_FIELDS[fieldId].path));
+    }
+    if (selected.includes('customAttributes')) {
+        Object.assign(userData, mapCustomAttributes(source, userSchema));
+    }
+    return userData;
+}
+
+// Helper function to turn a PingOne user into an export row (the reverse of mapUserData)
+// Reads both the phoneNumbers/addresses arrays mapUserData writes and PingOne's own primaryPhone/mobilePhone/address
+// Custom attribute columns (see getExportColumns) are added when userSchema is given
+function mapUserToRow(user, populationContext = null, userSchema = null) {
+    const phones = Array.isArray(user.phoneNumbers) ? user.phoneNumbers : [];
+    const mobile = phones.find(phone => phone.type === 'mobile');
+    const primary = phones.find(phone => phone.primary) || phones.find(phone => phone !== mobile);
+    const addresses = Array.isArray(user.addresses) ? user.addresses : [];
+    const address = user.address || addresses.find(entry => entry.primary) || addresses[0] || {};
+    const populationId = user.population?.id;
+
+    const row = {
+        userId: user.id,
+        username: user.username,
+        email: user.email,
+        active: user.enabled === undefined ? undefined : String(user.enabled),
+        firstName: user.name?.given,
+        lastName: user.name?.family,
+        middleName: user.name?.middle,
+        formattedName: user.name?.formatted,
+        prefix: user.name?.honorificPrefix,
+        suffix: user.name?.honorificSuffix,
+        nickname: user.nickname,
+        title: user.title,
+        preferredLanguage: user.preferredLanguage,
+        locale: user.locale,
+        timezone: user.timezone,
+        externalId: user.externalId,
+        type: user.type,
+        primaryPhone: user.primaryPhone || primary?.value,
+        mobilePhone: user.mobilePhone || mobile?.value,
+        streetAddress: address.streetAddress,
+        locality: address.locality,
+        region: address.region,
+        postalCode: address.postalCode,
+        countryCode: address.countryCode,
+        populationId,
+        populationName: populationContext?.byId.get(populationId)?.name
+    };
+
+    const columns = getExportColumns(userSchema);
+    const customCells = formatCustomAttributes(user, userSchema);
+    for (const column of columns.slice(EXPORT_COLUMNS.length)) {
+        row[column] = customCells[column];
+    }
+
+    // Empty cells rather than "undefined" in the CSV
+    for (const column of columns) {
+        if (row[column] === undefined || row[column] === null) {
+            row[column] = '';
+        }
+    }
+    return row;
+}
+
+function hasValue(value) {
+    return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+    if (value === undefined) return;
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((current, key) => {
+        current[key] = current[key] || {};
+        return current[key];
+    }, object);
+    target[last] = value;
+}
+
+module.exports = {
+    MODIFY_FIELDS,
+    EXPORT_COLUMNS,
+    getExportColumns,
+    getPopulationContext,
+    resolvePopulationId,
+    mapUserData,
+    mapModifyRow,
+    mapUserToRow
+};
@@ -0,0 +1,216 @@
+// PingOne User Schema
+// Loads the environment's custom user attributes and maps matching CSV columns to typed values
+// Debugging: Check 'User schema loaded' log entries for the attribute names the server matched columns against
+
+const axios = require('axios');
+const logManager = require('./logManager');
+const { getApiBaseUrl } = require('./pingoneRegions');
+
+const SCHEMA_CONFIG = {
+    CACHE_DURATION: 5 * 60 * 1000, // Schema changes are rare; reuse it across runs for a few minutes
+    MULTI_VALUE_SEPARATOR: ';'     // Cell separator for multi-valued attributes, e.g. "sales;emea"
+};
+
+// Loaded schemas by region + environment
+const schemaCache = new Map();
+
+// Helper function to load the custom attributes of the environment's User schema
+// Returns { attributes: Map(lowercase name -> attribute) }, or null when the schema can't be read (custom columns are then ignored)
+// DEBUG: A null result usually means the worker app lacks a role that can read schemas
+async function getUserSchema(environmentId, accessToken, region) {
+    const cacheKey = `${region || ''}:${environmentId}`;
+    const cached = schemaCache.get(cacheKey);
+    if (cached && Date.now() < cached.expiresAt) {
+        return cached.schema;
+    }
+
+    try {
+        const headers = {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+        };
+        const baseUrl = `${getApiBaseUrl(region)}/environments/${environmentId}/schemas`;
+
+        const schemasResponse = await axios.get(baseUrl, { headers });
+        const schemas = schemasResponse.data._embedded?.schemas || [];
+        const userSchema = schemas.find(schema => schema.name === 'User') || schemas[0];
+        if (!userSchema) {
+            throw new Error('No user schema found in environment');
+        }
+
+        const attributesResponse = await axios.get(`${baseUrl}/${userSchema.id}/attributes`, { headers });
+        const attributes = new Map(
+            (attributesResponse.data._embedded?.attributes || [])
+                .filter(attribute => attribute.schemaType === 'CUSTOM' && attribute.enabled !== false)
+                .map(attribute => [attribute.name.toLowerCase(), attribute])
+        );
+
+        logManager.info('User schema loaded', {
+            environmentId,
+            customAttributes: Array.from(attributes.values()).map(attribute => attribute.name)
+        });
+
+        const schema = { attributes };
+        schemaCache.set(cacheKey, { schema, expiresAt: Date.now() + SCHEMA_CONFIG.CACHE_DURATION });
+        return schema;
+    } catch (error) {
+        logManager.warn('Failed to load user schema - custom attribute columns will not be mapped', {
+            environmentId,
+            error: error.message,
+            status: error.response?.status
+        });
+        return null;
+    }
+}
+
+// Convert one cell to the attribute's type; throws with a row-level message when it doesn't fit
+function convertValue(attribute, value) {
+    switch (attribute.type) {
+        case 'BOOLEAN': {
+            const normalized = value.toLowerCase();
+            if (normalized !== 'true' && normalized !== 'false') {
+                throw new Error(`${attribute.name} must be true or false, got "${value}"`);
+            }
+            return normalized === 'true';
+        }
+        case 'JSON': {
+            let parsed;
+            try {
+                parsed = JSON.parse(value);
+            } catch (error) {
+                throw new Error(`${attribute.name} must be valid JSON`);
+            }
+            if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                throw new Error(`${attribute.name} must be a JSON object`);
+            }
+            return parsed;
+        }
+        default: {
+            const allowed = (attribute.enumeratedValues || []).map(entry => entry.value);
+            if (allowed.length > 0 && !allowed.includes(value)) {
+                throw new Error(`${attribute.name} must be one of: ${allowed.join(', ')}`);
+            }
+            if (attribute.regexValidation?.pattern && !new RegExp(attribute.regexValidation.pattern).test(value)) {
+                throw new Error(`${attribute.name} does not match the required pattern`);
+            }
+            return value;
+        }
+    }
+}
+
+// Multi-valued cells hold several values ("a;b") or a JSON array
+function convertCell(attribute, cell) {
+    if (!attribute.multiValued) {
+        return convertValue(attribute, cell);
+    }
+
+    let values;
+    if (cell.startsWith('[')) {
+        try {
+            values = JSON.parse(cell);
+        } catch (error) {
+            throw new Error(`${attribute.name} must be a valid JSON array`);
+        }
+        if (!Array.isArray(values)) {
+            throw new Error(`${attribute.name} must be a JSON array`);
+        }
+    } else {
+        values = attribute.type === 'JSON' ? [cell] : cell.split(SCHEMA_CONFIG.MULTI_VALUE_SEPARATOR);
+    }
+
+    return values
+        .map(value => (typeof value === 'string' ? value.trim() : value))
+        .filter(value => value !== '')
+        .map(value => (typeof value === 'string' ? convertValue(attribute, value) : checkTypedValue(attribute, value)));
+}
+
+// Non-string values parsed from a JSON array cell must still match the attribute type
+function checkTypedValue(attribute, value) {
+    const valid = attribute.type === 'BOOLEAN' ? typeof value === 'boolean'
+        : attribute.type === 'JSON' ? value !== null && typeof value === 'object' && !Array.isArray(value)
+            : typeof value === 'string';
+    if (!valid) {
+        throw new Error(`${attribute.name} has a value of the wrong type: ${JSON.stringify(value)}`);
+    }
+    return value;
+}
+
+// Helper function to map the CSV columns that name custom attributes ("costCenter", "workLocation.building") into payload values
+// Dotted headers build a JSON attribute one key at a time; all type problems in the row are reported together
+function mapCustomAttributes(row, userSchema) {
+    const data = {};
+    if (!userSchema) {
+        return data;
+    }
+
+    const problems = [];
+    for (const [header, rawValue] of Object.entries(row)) {
+        const cell = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+        if (cell === undefined || cell === null || cell === '') continue;
+
+        const [name, ...subPath] = header.trim().split('.');
+        const attribute = userSchema.attributes.get(name.toLowerCase());
+        if (!attribute) continue;
+
+        try {
+            if (subPath.length === 0) {
+                data[attribute.name] = convertCell(attribute, String(cell));
+            } else if (attribute.type !== 'JSON') {
+                throw new Error(`${attribute.name} is not a JSON attribute, so "${header}" can't set a sub-field`);
+            } else {
+                // attr.sub columns fill one object; a multi-valued attribute gets that object as its only value
+                const target = attribute.multiValued
+                    ? ((data[attribute.name] = data[attribute.name] || [{}])[0])
+                    : (data[attribute.name] = data[attribute.name] || {});
+                setNested(target, subPath, cell);
+            }
+        } catch (error) {
+            problems.push(error.message);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid custom attributes: ${problems.join('; ')}`);
+    }
+    return data;
+}
+
+// Helper function to turn a user's custom attribute values back into cells mapCustomAttributes reads (used by export)
+// Multi-valued attributes are joined with the separator unless a value contains it or isn't a string - then a JSON array
+function formatCustomAttributes(user, userSchema) {
+    const cells = {};
+    if (!userSchema) {
+        return cells;
+    }
+
+    for (const attribute of userSchema.attributes.values()) {
+        const value = user[attribute.name];
+        if (value === undefined || value === null) continue;
+
+        if (Array.isArray(value)) {
+            const joinable = value.every(entry => typeof entry === 'string' && !entry.includes(SCHEMA_CONFIG.MULTI_VALUE_SEPARATOR));
+            cells[attribute.name] = joinable && attribute.type !== 'JSON'
+                ? value.join(SCHEMA_CONFIG.MULTI_VALUE_SEPARATOR)
+                : JSON.stringify(value);
+        } else {
+            cells[attribute.name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+    }
+    return cells;
+}
+
+function setNested(object, keys, value) {
+    const last = keys[keys.length - 1];
+    const target = keys.slice(0, -1).reduce((current, key) => {
+        current[key] = current[key] && typeof current[key] === 'object' ? current[key] : {};
+        return current[key];
+    }, object);
+    target[last] = value;
+}
+
+module.exports = {
+    SCHEMA_CONFIG,
+    getUserSchema,
+    mapCustomAttributes,
+    formatCustomAttributes
+};
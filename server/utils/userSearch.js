@@ -0,0 +1,65 @@
+// PingOne User Search
+// Pages through /environments/{id}/users with an optional SCIM filter, for export and filter-based operations
+// Debugging: Check 'User search page' debug log entries for the filter sent and the page sizes returned
+
+const axios = require('axios');
+const logManager = require('./logManager');
+const { getApiBaseUrl } = require('./pingoneRegions');
+
+const SEARCH_CONFIG = {
+    PAGE_SIZE: 200
+};
+
+// Combine a caller's SCIM filter with a population restriction, e.g. (username sw "test_") and population.id eq "..."
+function buildUserFilter(filter, populationId) {
+    const parts = [];
+    if (filter && String(filter).trim()) {
+        parts.push(`(${String(filter).trim()})`);
+    }
+    if (populationId) {
+        parts.push(`population.id eq "${populationId}"`);
+    }
+    return parts.join(' and ');
+}
+
+// Helper function to walk every page of matching users
+// onPage(users, { fetched, total }) is awaited for each page; return false from it to stop early
+// `total` is PingOne's match count when the response carries one, otherwise null
+async function forEachUserPage({ environmentId, accessToken, region, filter, pageSize = SEARCH_CONFIG.PAGE_SIZE }, onPage) {
+    const params = new URLSearchParams({ limit: String(pageSize) });
+    if (filter) {
+        params.set('filter', filter);
+    }
+
+    let url = `${getApiBaseUrl(region)}/environments/${environmentId}/users?${params.toString()}`;
+    let fetched = 0;
+
+    while (url) {
+        const response = await axios.get(url, {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        const users = response.data._embedded?.users || [];
+        const total = typeof response.data.count === 'number' ? response.data.count : null;
+        fetched += users.length;
+
+        logManager.debug('User search page', { environmentId, filter, pageUsers: users.length, fetched, total });
+
+        const keepGoing = await onPage(users, { fetched, total });
+        if (keepGoing === false || users.length === 0) {
+            break;
+        }
+        url = response.data._links?.next?.href || null;
+    }
+
+    return fetched;
+}
+
+module.exports = {
+    SEARCH_CONFIG,
+    buildUserFilter,
+    forEachUserPage
+};
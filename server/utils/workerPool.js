@@ -0,0 +1,159 @@
+// Bulk Operation Worker Pool
+// Runs one async task per input row with bounded concurrency, shared rate-limit backoff and bounded retries
+// Debugging: Check server logs for 'Worker pool' entries when runs slow down or rows are retried
+
+const logManager = require('./logManager');
+
+const POOL_CONFIG = {
+    DEFAULT_CONCURRENCY: parseInt(process.env.BULK_CONCURRENCY, 10) || 5,
+    MAX_CONCURRENCY: 20,
+    MAX_RETRIES: 3,
+    BASE_DELAY: 1000,      // 1 second, doubled on each retry
+    MAX_DELAY: 60 * 1000   // Never wait more than a minute between attempts
+};
+
+// HTTP statuses that mean "slow down" - every worker pauses, not just the one that hit it
+const RATE_LIMIT_STATUSES = [429, 503];
+
+// Connection failures before the request reached PingOne - always safe to retry
+const UNSENT_ERROR_CODES = ['EAI_AGAIN', 'ECONNREFUSED'];
+
+// Failures after which PingOne may already have applied the request; only retried for idempotent tasks, since
+// repeating a create or delete that went through turns it into a 409 "already exists" or a 404
+const TRANSIENT_STATUSES = [408, 500, 502, 504];
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Clamp a requested concurrency to the supported range
+function resolveConcurrency(value) {
+    const parsed = parseInt(value, 10);
+    if (!parsed || parsed < 1) {
+        return POOL_CONFIG.DEFAULT_CONCURRENCY;
+    }
+    return Math.min(parsed, POOL_CONFIG.MAX_CONCURRENCY);
+}
+
+function isRateLimitError(error) {
+    return RATE_LIMIT_STATUSES.includes(error?.response?.status);
+}
+
+function isRetryableError(error, idempotent = false) {
+    const status = error?.response?.status;
+    if (status) {
+        return RATE_LIMIT_STATUSES.includes(status) || (idempotent && TRANSIENT_STATUSES.includes(status));
+    }
+    return UNSENT_ERROR_CODES.includes(error?.code) || (idempotent && TRANSIENT_ERROR_CODES.includes(error?.code));
+}
+
+// Work out how long to wait before the next attempt
+// Retry-After may be a number of seconds or an HTTP date; otherwise use exponential backoff with jitter
+function getRetryDelay(error, attempt) {
+    const retryAfter = error?.response?.headers?.['retry-after'];
+    if (retryAfter !== undefined && retryAfter !== null && retryAfter !== '') {
+        const seconds = Number(retryAfter);
+        if (!Number.isNaN(seconds)) {
+            return Math.min(Math.max(seconds * 1000, 0), POOL_CONFIG.MAX_DELAY);
+        }
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) {
+            return Math.min(Math.max(date - Date.now(), 0), POOL_CONFIG.MAX_DELAY);
+        }
+    }
+
+    const backoff = POOL_CONFIG.BASE_DELAY * Math.pow(2, attempt);
+    const jitter = Math.floor(Math.random() * POOL_CONFIG.BASE_DELAY);
+    return Math.min(backoff + jitter, POOL_CONFIG.MAX_DELAY);
+}
+
+// Run task(item, index) for every item and resolve with one outcome per item, in input order
+// Each outcome is { index, value } on success or { index, error } once retries are exhausted
+// options.idempotent opts a task into retries after 5xx/timeouts/resets; set it only when repeating the whole task is harmless,
+// or pass idempotent(item, index), asked after each failed attempt, for tasks where that depends on how far the row got
+// options.onSettled(outcome) fires as each row finishes (in completion order) for counters and progress
+// options.shouldStop() is checked before each row starts; once it returns true no new rows are dispatched,
+// rows already in flight finish, and the outcomes of rows that never started are left undefined
+async function runWorkerPool(items, task, options = {}) {
+    const concurrency = resolveConcurrency(options.concurrency);
+    const maxRetries = options.maxRetries !== undefined ? options.maxRetries : POOL_CONFIG.MAX_RETRIES;
+    const isIdempotent = (item, index) => typeof options.idempotent === 'function'
+        ? options.idempotent(item, index) === true
+        : options.idempotent === true;
+    const outcomes = new Array(items.length);
+
+    let nextIndex = 0;
+    let pausedUntil = 0;
+    let stopped = false;
+
+    const shouldStop = () => {
+        if (!stopped && options.shouldStop && options.shouldStop()) {
+            stopped = true;
+            logManager.warn('Worker pool stopping - no further rows will be started', {
+                started: nextIndex,
+                total: items.length
+            });
+        }
+        return stopped;
+    };
+
+    const runWithRetry = async (item, index) => {
+        for (let attempt = 0; ; attempt++) {
+            // Honor any pool-wide pause triggered by a rate-limited sibling
+            const pause = pausedUntil - Date.now();
+            if (pause > 0) {
+                await sleep(pause);
+            }
+
+            try {
+                const value = await task(item, index);
+                return { index, value, attempts: attempt + 1 };
+            } catch (error) {
+                if (attempt >= maxRetries || !isRetryableError(error, isIdempotent(item, index))) {
+                    return { index, error, attempts: attempt + 1 };
+                }
+
+                const delay = getRetryDelay(error, attempt);
+                if (isRateLimitError(error)) {
+                    pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+                }
+
+                logManager.warn('Worker pool retrying row after transient error', {
+                    row: index + 1,
+                    attempt: attempt + 1,
+                    maxRetries,
+                    status: error.response?.status,
+                    code: error.code,
+                    delay: `${delay}ms`
+                });
+
+                await sleep(delay);
+            }
+        }
+    };
+
+    const lane = async () => {
+        while (nextIndex < items.length && !shouldStop()) {
+            const index = nextIndex++;
+            const outcome = await runWithRetry(items[index], index);
+            outcomes[index] = outcome;
+            if (options.onSettled) {
+                options.onSettled(outcome);
+            }
+        }
+    };
+
+    const laneCount = Math.min(concurrency, items.length);
+    logManager.debug('Worker pool started', { items: items.length, concurrency: laneCount, maxRetries, idempotent: Boolean(options.idempotent) });
+
+    await Promise.all(Array.from({ length: laneCount }, lane));
+
+    return outcomes;
+}
+
+module.exports = {
+    POOL_CONFIG,
+    runWorkerPool,
+    resolveConcurrency,
+    isRetryableError,
+    getRetryDelay
+};